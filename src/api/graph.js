@@ -1,6 +1,10 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { DateTime } = require('luxon');
 const { ConfidentialClientApplication } = require('@azure/msal-node');
 const { getSecrets } = require('../utils/secrets');
+const { createLimiter, parseConcurrency } = require('../utils/concurrency');
+const metrics = require('../utils/metrics');
+const log = require('../utils/logger');
 
 let msalClient;
 
@@ -24,64 +28,204 @@ async function getMsalClient() {
   return msalClient;
 }
 
-async function getGraphAccessToken() {
+// `skipCache` asks Entra ID for a new token, so revoked credentials show up before the cached token expires.
+async function getGraphAccessToken({ skipCache = false } = {}) {
   const client = await getMsalClient();
   const tokenResponse = await client.acquireTokenByClientCredential({
     scopes: ['https://graph.microsoft.com/.default'],
+    skipCache,
   });
   return tokenResponse.accessToken;
 }
 
-async function graphRequest(method, url, body, extraHeaders = null) {
-  const token = await getGraphAccessToken();
-  const response = await fetch(url, {
-    method,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      ...(extraHeaders || {}),
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
+// Graph throttles per app and per mailbox; cap how many requests this process has in flight and
+// retry 429/5xx/network failures, honouring Retry-After when Graph sends it.
+const GRAPH_MAX_ATTEMPTS = 6;
+const GRAPH_MAX_RETRY_AFTER_MS = 120_000;
+const graphLimiter = createLimiter(parseConcurrency(process.env.GRAPH_MAX_CONCURRENCY, 4));
+const graphStats = {
+  requests: 0,
+  throttled: 0,
+  retries: 0,
+};
 
-  const text = await response.text();
-  let data;
-  try {
-    data = text ? JSON.parse(text) : {};
-  } catch {
-    data = { raw: text };
+const graphRequestsTotal = metrics.createCounter('graph_requests_total', 'Microsoft Graph HTTP requests (each attempt) by method and status.', ['method', 'status']);
+const graphRequestDuration = metrics.createHistogram('graph_request_duration_seconds', 'Microsoft Graph request latency (each attempt).', ['method']);
+const graphRetriesTotal = metrics.createCounter('graph_retries_total', 'Microsoft Graph requests retried after throttling, a 5xx or a network error.', ['method']);
+const graphThrottledTotal = metrics.createCounter('graph_throttled_total', 'Microsoft Graph responses that signalled throttling (429, or 503 with Retry-After).');
+
+// The counters above are process-wide, so concurrent runs would count each other's throttles; a run wrapped
+// in withGraphStats() also gets its own.
+const runStatsStorage = new AsyncLocalStorage();
+
+function getGraphStats() {
+  return { ...graphStats };
+}
+
+function withGraphStats(fn) {
+  return runStatsStorage.run({ throttled: 0, retries: 0 }, fn);
+}
+
+// The live counters of the enclosing withGraphStats() call, or null outside one.
+function getRunGraphStats() {
+  return runStatsStorage.getStore() || null;
+}
+
+function countGraphStat(name) {
+  graphStats[name] += 1;
+  const runStats = runStatsStorage.getStore();
+  if (runStats) {
+    runStats[name] += 1;
   }
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  if (!response.ok) {
-    throw new Error(`Graph ${method} failed ${response.status}: ${JSON.stringify(data)}`);
+function getBackoffMs(attempt) {
+  const jitter = Math.floor(Math.random() * 250);
+  return Math.min(30_000, 1000 * (2 ** (attempt - 1)) + jitter);
+}
+
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.min(GRAPH_MAX_RETRY_AFTER_MS, seconds * 1000);
   }
+  // Retry-After may also be an HTTP date.
+  const dateMs = Date.parse(value);
+  if (Number.isFinite(dateMs)) {
+    return Math.min(GRAPH_MAX_RETRY_AFTER_MS, Math.max(0, dateMs - Date.now()));
+  }
+  return null;
+}
+
+function isRetryableGraphStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+async function sendGraphRequest(method, url, body, extraHeaders) {
+  return graphLimiter(async () => {
+    const token = await getGraphAccessToken();
+    graphStats.requests += 1;
+    // Measured inside the limiter, so time spent queued behind other requests is not counted.
+    const startMs = Date.now();
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...(extraHeaders || {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
 
-  return data;
+    const text = await response.text();
+    graphRequestDuration.observe({ method }, metrics.secondsSince(startMs));
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { raw: text };
+    }
+    return { response, data };
+  });
+}
+
+async function graphRequest(method, url, body, extraHeaders = null) {
+  for (let attempt = 1; attempt <= GRAPH_MAX_ATTEMPTS; attempt += 1) {
+    let result;
+    try {
+      result = await sendGraphRequest(method, url, body, extraHeaders);
+    } catch (networkError) {
+      graphRequestsTotal.inc({ method, status: 'network_error' });
+      if (attempt === GRAPH_MAX_ATTEMPTS) {
+        throw networkError;
+      }
+      const waitMs = getBackoffMs(attempt);
+      countGraphStat('retries');
+      graphRetriesTotal.inc({ method });
+      log.warn('graph.retry', { method, attempt, waitMs, message: networkError.message });
+      await wait(waitMs);
+      continue;
+    }
+
+    const { response, data } = result;
+    graphRequestsTotal.inc({ method, status: response.status });
+    if (response.ok) {
+      return data;
+    }
+
+    const retryAfterMs = parseRetryAfterMs(response.headers.get('retry-after'));
+    // Graph signals throttling with 429, and sometimes with 503 + Retry-After.
+    if (response.status === 429 || (response.status === 503 && retryAfterMs !== null)) {
+      countGraphStat('throttled');
+      graphThrottledTotal.inc();
+    }
+
+    if (isRetryableGraphStatus(response.status) && attempt < GRAPH_MAX_ATTEMPTS) {
+      const waitMs = retryAfterMs ?? getBackoffMs(attempt);
+      countGraphStat('retries');
+      graphRetriesTotal.inc({ method });
+      log.warn('graph.retry', { method, attempt, waitMs, status: response.status });
+      await wait(waitMs);
+      continue;
+    }
+
+    const error = new Error(`Graph ${method} failed ${response.status}: ${JSON.stringify(data)}`);
+    error.statusCode = response.status;
+    error.graphErrorCode = data?.error?.code || '';
+    throw error;
+  }
+
+  // Unreachable: the final attempt either returns or throws above.
+  throw new Error(`Graph ${method} failed after ${GRAPH_MAX_ATTEMPTS} attempts`);
+}
+
+// Graph answers an expired or invalidated delta token with 410 Gone and/or one of these codes.
+// The only way forward is a fresh (non-delta) reconciliation followed by a new delta round.
+const DELTA_RESYNC_ERROR_CODES = ['syncstatenotfound', 'resyncrequired', 'syncstateinvalid'];
+
+function isDeltaResyncRequiredError(error) {
+  if (!error) return false;
+  if (error.statusCode === 410) return true;
+  const code = String(error.graphErrorCode || '').toLowerCase();
+  return DELTA_RESYNC_ERROR_CODES.some((candidate) => code.includes(candidate));
 }
 
 async function getCalendarWindowEvents(userUpn, pastDays, futureDays) {
   const now = DateTime.utc();
-  const startDateTime = now.minus({ days: pastDays }).toISO();
-  const endDateTime = now.plus({ days: futureDays }).toISO();
-  const selectFields = [
-    'id',
-    'iCalUId',
-    'subject',
-    'start',
-    'end',
-    'isAllDay',
-    'showAs',
-    'location',
-    'attendees',
-    'bodyPreview',
-    'lastModifiedDateTime',
-    'sensitivity',
-  ];
+  return getCalendarViewEvents(
+    userUpn,
+    now.minus({ days: pastDays }).toISO(),
+    now.plus({ days: futureDays }).toISO(),
+  );
+}
 
+const EVENT_SELECT_FIELDS = [
+  'id',
+  'iCalUId',
+  'subject',
+  'start',
+  'end',
+  'isAllDay',
+  'showAs',
+  'location',
+  'attendees',
+  'bodyPreview',
+  'lastModifiedDateTime',
+  'sensitivity',
+  'categories',
+  'organizer',
+];
+
+async function getCalendarViewEvents(userUpn, startDateTime, endDateTime) {
   const params = new URLSearchParams({
     startDateTime,
     endDateTime,
-    $select: selectFields.join(','),
+    $select: EVENT_SELECT_FIELDS.join(','),
     $top: '100',
   });
 
@@ -97,6 +241,31 @@ async function getCalendarWindowEvents(userUpn, pastDays, futureDays) {
   return events;
 }
 
+// Returns null when the event does not exist (deleted, or not in this user's mailbox).
+async function getEvent(userUpn, eventId) {
+  const params = new URLSearchParams({ $select: EVENT_SELECT_FIELDS.join(',') });
+  const url = `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(userUpn)}/events/${encodeURIComponent(eventId)}?${params.toString()}`;
+  try {
+    return await graphRequest('GET', url);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Graph only matches single events and series masters here; occurrences of a recurring series are not
+// returned by /events.
+async function findEventsByICalUId(userUpn, iCalUId) {
+  const params = new URLSearchParams({
+    $filter: `iCalUId eq '${String(iCalUId).replace(/'/g, "''")}'`,
+    $select: EVENT_SELECT_FIELDS.join(','),
+  });
+  const response = await graphRequest('GET', `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(userUpn)}/events?${params.toString()}`);
+  return response.value || [];
+}
+
 async function getDeltaEvents(userUpn, deltaLink = null, options = {}) {
   const {
     pastDays = 30,
@@ -114,7 +283,7 @@ async function getDeltaEvents(userUpn, deltaLink = null, options = {}) {
     const params = new URLSearchParams({
       startDateTime,
       endDateTime,
-      $select: 'subject,start,end,showAs,location,id,iCalUId,sensitivity,bodyPreview,isAllDay,lastModifiedDateTime',
+      $select: 'subject,start,end,showAs,location,id,iCalUId,sensitivity,bodyPreview,isAllDay,lastModifiedDateTime,categories,organizer,attendees',
     });
     url = `${baseUrl}/users/${encodeURIComponent(userUpn)}/calendarView/delta?${params.toString()}`;
   }
@@ -139,33 +308,31 @@ function getSubscriptionResource(userUpn) {
   return `/users/${userUpn}/events`;
 }
 
-async function findSubscriptionByResource(resource, clientState) {
-  const baseUrl = 'https://graph.microsoft.com/v1.0/subscriptions';
-  // Some tenants reject $top on this endpoint.
-  let url = baseUrl;
-
+/**
+ * Every subscription this app owns.
+ * @returns {Promise<Array<object>>}
+ */
+async function listSubscriptions() {
+  const subscriptions = [];
+  let url = 'https://graph.microsoft.com/v1.0/subscriptions';
   while (url) {
     const response = await graphRequest('GET', url);
-    const match = (response.value || []).find((subscription) => {
-      const stateMatches = clientState ? subscription.clientState === clientState : true;
-      return subscription.resource === resource && stateMatches;
-    });
-    if (match) {
-      return match;
-    }
+    subscriptions.push(...(response.value || []));
     url = response['@odata.nextLink'] || null;
   }
-
-  return null;
+  return subscriptions;
 }
 
-async function createSubscription(notificationUrl, clientState, userUpn) {
+// Lifecycle notifications (reauthorizationRequired, subscriptionRemoved, missed) go to the change notification
+// endpoint unless another URL is given. Graph only accepts lifecycleNotificationUrl when creating a subscription.
+async function createSubscription(notificationUrl, clientState, userUpn, lifecycleNotificationUrl = notificationUrl) {
   const expirationDateTime = DateTime.utc().plus({ hours: 48 }).toISO();
   const resource = getSubscriptionResource(userUpn);
 
   return graphRequest('POST', 'https://graph.microsoft.com/v1.0/subscriptions', {
     changeType: 'created,updated,deleted',
     notificationUrl,
+    lifecycleNotificationUrl,
     resource,
     expirationDateTime,
     clientState,
@@ -179,20 +346,29 @@ async function renewSubscription(subscriptionId) {
   });
 }
 
-async function createOrRenewSubscription(userUpn, notificationUrl, clientState) {
-  const resource = getSubscriptionResource(userUpn);
-  const existingSubscription = await findSubscriptionByResource(resource, clientState);
-
-  if (existingSubscription) {
-    return renewSubscription(existingSubscription.id);
-  }
+async function reauthorizeSubscription(subscriptionId) {
+  await graphRequest('POST', `https://graph.microsoft.com/v1.0/subscriptions/${subscriptionId}/reauthorize`);
+}
 
-  return createSubscription(notificationUrl, clientState, userUpn);
+async function deleteSubscription(subscriptionId) {
+  await graphRequest('DELETE', `https://graph.microsoft.com/v1.0/subscriptions/${subscriptionId}`);
 }
 
 module.exports = {
   getCalendarWindowEvents,
+  getCalendarViewEvents,
+  getEvent,
+  findEventsByICalUId,
   getDeltaEvents,
+  isDeltaResyncRequiredError,
+  getGraphStats,
+  withGraphStats,
+  getRunGraphStats,
+  getGraphAccessToken,
+  getSubscriptionResource,
+  listSubscriptions,
   createSubscription,
-  createOrRenewSubscription,
+  renewSubscription,
+  reauthorizeSubscription,
+  deleteSubscription,
 };
@@ -1,10 +1,23 @@
 const { getSecrets } = require('../utils/secrets');
+const { createLimiter, parseConcurrency } = require('../utils/concurrency');
+const metrics = require('../utils/metrics');
 const { DateTime } = require('luxon');
+const log = require('../utils/logger');
 
 let accessTokenCache = {
     token: null,
     expiry: null,
 };
+// Shared by concurrent callers so parallel user syncs trigger a single token refresh.
+let pendingTokenRefresh = null;
+
+// Caps in-flight ServiceTitan requests for the whole process (parallel user syncs share it).
+const stLimiter = createLimiter(parseConcurrency(process.env.ST_MAX_CONCURRENCY, 4));
+
+const stRequestsTotal = metrics.createCounter('servicetitan_requests_total', 'ServiceTitan API requests (each attempt) by method and status.', ['method', 'status']);
+const stRequestDuration = metrics.createHistogram('servicetitan_request_duration_seconds', 'ServiceTitan API request latency (each attempt).', ['method']);
+const stRetriesTotal = metrics.createCounter('servicetitan_retries_total', 'ServiceTitan API requests retried after a 429, a 5xx or a network error.', ['method']);
+const stThrottledTotal = metrics.createCounter('servicetitan_throttled_total', 'ServiceTitan API responses with status 429.');
 
 /**
  * Retrieves a valid ServiceTitan access token, refreshing it if necessary.
@@ -17,7 +30,16 @@ async function getAccessToken() {
         return accessTokenCache.token;
     }
 
-    console.log('ServiceTitan access token expired or not present. Refreshing...');
+    if (!pendingTokenRefresh) {
+        pendingTokenRefresh = refreshAccessToken().finally(() => {
+            pendingTokenRefresh = null;
+        });
+    }
+    return pendingTokenRefresh;
+}
+
+async function refreshAccessToken() {
+    log.info('servicetitan.token.refresh');
     
     const secrets = await getSecrets([
         'SERVICETITAN_CLIENT_ID',
@@ -51,11 +73,11 @@ async function getAccessToken() {
         accessTokenCache.token = data.access_token;
         // Calculate expiry based on expires_in (seconds)
         accessTokenCache.expiry = DateTime.now().plus({ seconds: data.expires_in });
-        console.log('ServiceTitan access token refreshed successfully.');
+        log.info('servicetitan.token.refreshed');
         return accessTokenCache.token;
 
     } catch (error) {
-        console.error('Error refreshing ServiceTitan token:', error);
+        log.error('servicetitan.token.refresh_failed', error);
         throw error;
     }
 }
@@ -94,15 +116,30 @@ async function stApiRequest(endpoint, options = {}) {
 
     let lastError;
     const maxAttempts = 4;
+    const method = String(config.method || 'GET').toUpperCase();
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        let responded = false;
         try {
-            const response = await fetch(`${baseUrl}${endpoint}`, config);
+            const response = await stLimiter(async () => {
+                const startMs = Date.now();
+                try {
+                    return await fetch(`${baseUrl}${endpoint}`, config);
+                } finally {
+                    stRequestDuration.observe({ method }, metrics.secondsSince(startMs));
+                }
+            });
+            responded = true;
+            stRequestsTotal.inc({ method, status: response.status });
 
             if (response.status === 429 || response.status >= 500) {
+                if (response.status === 429) {
+                    stThrottledTotal.inc();
+                }
                 const retryBody = await response.text();
                 lastError = new Error(`ServiceTitan API retryable error ${response.status}: ${retryBody}`);
                 if (attempt < maxAttempts) {
+                    stRetriesTotal.inc({ method });
                     await wait(getBackoffMs(attempt));
                     continue;
                 }
@@ -123,8 +160,12 @@ async function stApiRequest(endpoint, options = {}) {
             return response.json();
         } catch (error) {
             lastError = error;
+            if (!responded) {
+                stRequestsTotal.inc({ method, status: 'network_error' });
+            }
             const isNetworkError = !Object.prototype.hasOwnProperty.call(error, 'statusCode');
             if (isNetworkError && attempt < maxAttempts) {
+                stRetriesTotal.inc({ method });
                 await wait(getBackoffMs(attempt));
                 continue;
             }
@@ -132,7 +173,7 @@ async function stApiRequest(endpoint, options = {}) {
         }
     }
 
-    console.error(`Error calling ServiceTitan API endpoint ${endpoint}:`, lastError);
+    log.error('servicetitan.request.failed', { endpoint, error: lastError });
     throw lastError;
 }
 
@@ -152,14 +193,14 @@ function wait(ms) {
  */
 async function createNonJob(appointmentData) {
     // Avoid logging appointment names (could contain customer/private data). Keep logs minimal.
-    console.log('Creating Non-Job Appointment', {
+    log.debug('servicetitan.nonjob.create', {
         technicianId: appointmentData.technicianId,
         start: appointmentData.start,
         duration: appointmentData.duration,
         allDay: Boolean(appointmentData.allDay),
         showOnTechnicianSchedule: Boolean(appointmentData.showOnTechnicianSchedule),
     });
-    // appointmentData should contain: technicianId, timesheetCodeId, start (ISO), duration (HH:mm:ss), name
+    // appointmentData should contain: technicianId, timesheetCodeId, start (ISO), duration (HH:mm:ss), name, summary
     const payload = {
         technicianId: parseInt(appointmentData.technicianId),
         start: appointmentData.start, // ISO 8601 string
@@ -173,6 +214,11 @@ async function createNonJob(appointmentData) {
         active: appointmentData.active !== false,
     };
 
+    // Ownership marker (see utils/ownership).
+    if (appointmentData.summary) {
+        payload.summary = appointmentData.summary;
+    }
+
     const timesheetCodeId = Number.parseInt(String(appointmentData.timesheetCodeId || ''), 10);
     if (Number.isFinite(timesheetCodeId) && timesheetCodeId > 0) {
         payload.timesheetCodeId = timesheetCodeId;
@@ -182,7 +228,7 @@ async function createNonJob(appointmentData) {
         method: 'POST',
         body: JSON.stringify(payload),
     });
-    console.log('Non-Job Appointment created:', response.id);
+    log.info('servicetitan.nonjob.created', { appointmentId: response.id });
     return response.id;
 }
 
@@ -193,7 +239,8 @@ async function createNonJob(appointmentData) {
  * @returns {Promise<void>}
  */
 async function updateNonJob(appointmentId, updateData) {
-    console.log(`Updating Non-Job Appointment ${appointmentId}`, {
+    log.debug('servicetitan.nonjob.update', {
+        appointmentId,
         technicianId: updateData.technicianId,
         start: updateData.start,
         duration: updateData.duration,
@@ -213,6 +260,11 @@ async function updateNonJob(appointmentId, updateData) {
         active: updateData.active !== false,
     };
 
+    // Ownership marker (see utils/ownership).
+    if (updateData.summary) {
+        payload.summary = updateData.summary;
+    }
+
     const timesheetCodeId = Number.parseInt(String(updateData.timesheetCodeId || ''), 10);
     if (Number.isFinite(timesheetCodeId) && timesheetCodeId > 0) {
         payload.timesheetCodeId = timesheetCodeId;
@@ -222,7 +274,23 @@ async function updateNonJob(appointmentId, updateData) {
         method: 'PUT',
         body: JSON.stringify(payload),
     });
-    console.log(`Non-Job Appointment ${appointmentId} updated.`);
+    log.info('servicetitan.nonjob.updated', { appointmentId });
+}
+
+/**
+ * Fetches a ServiceTitan Non-Job Appointment.
+ * @param {string} appointmentId - The ID of the appointment.
+ * @returns {Promise<object|null>} The appointment, or null if it no longer exists.
+ */
+async function getNonJob(appointmentId) {
+    try {
+        return await stApiRequest(`/non-job-appointments/${appointmentId}`, { method: 'GET' });
+    } catch (error) {
+        if (error && error.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
 }
 
 /**
@@ -231,15 +299,15 @@ async function updateNonJob(appointmentId, updateData) {
  * @returns {Promise<void>}
  */
 async function deleteNonJob(appointmentId) {
-    console.log(`Deleting Non-Job Appointment ${appointmentId}`);
+    log.debug('servicetitan.nonjob.delete', { appointmentId });
     try {
         await stApiRequest(`/non-job-appointments/${appointmentId}`, {
             method: 'DELETE',
         });
-        console.log(`Non-Job Appointment ${appointmentId} deleted.`);
+        log.info('servicetitan.nonjob.deleted', { appointmentId });
     } catch (error) {
         if (error && error.statusCode === 404) {
-            console.warn(`Non-Job Appointment ${appointmentId} already missing (404).`);
+            log.warn('servicetitan.nonjob.delete_missing', { appointmentId });
             return;
         }
         throw error;
@@ -321,7 +389,9 @@ async function listTechnicians(options = {}) {
 }
 
 module.exports = {
+    refreshAccessToken,
     createNonJob,
+    getNonJob,
     updateNonJob,
     deleteNonJob,
     listNonJobs,
@@ -1,17 +1,51 @@
 const express = require('express');
 const { PubSub } = require('@google-cloud/pubsub');
 const syncService = require('./services/sync');
-const { requireOidcAuth } = require('./middleware/auth');
+const { requireOidcAuth, requireMetricsAuth } = require('./middleware/auth');
 const { notifyFailure } = require('./services/alerts');
 const { getSecrets } = require('./utils/secrets');
 const { loadConfig } = require('./config');
 const cleanupService = require('./services/cleanup');
+const reconcileService = require('./services/reconcile');
+const jobsService = require('./services/jobs');
+const runsService = require('./services/runs');
+const eventDebugService = require('./services/eventDebug');
+const healthService = require('./services/health');
+const subscriptionsService = require('./services/subscriptions');
+const store = require('./services/store');
+const { getEffectiveSettings } = require('./services/mapping');
+const { getFilterRulesForUser } = require('./services/filters');
+const metrics = require('./utils/metrics');
+const log = require('./utils/logger');
+const { correlationMiddleware } = require('./middleware/correlation');
 
 const app = express();
 app.use(express.json()); // Middleware to parse JSON bodies
+app.use(correlationMiddleware);
 
 const config = loadConfig();
 
+const webhookNotificationsTotal = metrics.createCounter('webhook_notifications_total', 'Graph change notifications by result (accepted, lifecycle, rejected for a bad clientState, unroutable, ignored during maintenance).', ['result']);
+const webhookRequestsTotal = metrics.createCounter('webhook_requests_total', 'Requests to the Graph webhook by result (validation, accepted, invalid, error).', ['result']);
+
+// Same shape as a sync summary, so callers can parse failures the same way as successes.
+function buildFailedSyncSummary(error) {
+    const now = new Date().toISOString();
+    return {
+        startedAt: now,
+        finishedAt: now,
+        calendarsProcessed: 0,
+        eventsFetched: 0,
+        eventsUpserted: 0,
+        eventsSkipped: 0,
+        graphThrottled: 0,
+        graphRetries: 0,
+        resyncs: [],
+        skippedLocked: [],
+        errors: [{ message: error.message }],
+    };
+}
+
 // --- Endpoints ---
 
 // Webhook receiver from Microsoft Graph
@@ -19,7 +53,8 @@ app.post('/graph/notifications', async (req, res) => {
     // Microsoft Graph webhook validation handshake
     const validationToken = req.query.validationToken;
     if (validationToken) {
-        console.log('Received Graph webhook validation request.');
+        log.info('webhook.validation');
+        webhookRequestsTotal.inc({ result: 'validation' });
         res.status(200).send(validationToken);
         return;
     }
@@ -29,12 +64,15 @@ app.post('/graph/notifications', async (req, res) => {
     // and handle decryption of encrypted notifications if configured.
     try {
         if (config.maintenanceMode) {
-            console.warn('maintenance_mode: ignoring graph notifications publish');
+            log.warn('webhook.ignored.maintenance_mode');
+            webhookRequestsTotal.inc({ result: 'accepted' });
+            webhookNotificationsTotal.inc({ result: 'ignored' }, Array.isArray(req.body?.value) ? req.body.value.length : 0);
             res.status(202).send();
             return;
         }
 
         if (!req.body || !Array.isArray(req.body.value)) {
+            webhookRequestsTotal.inc({ result: 'invalid' });
             res.status(400).send('Bad Request: Invalid notification payload.');
             return;
         }
@@ -47,7 +85,8 @@ app.post('/graph/notifications', async (req, res) => {
         // The notification body from Graph can contain multiple notifications
         for (const notification of req.body.value) {
             if (!notification || notification.clientState !== expectedClientState) {
-                console.warn('Ignoring Graph notification with invalid clientState.');
+                log.warn('webhook.notification.invalid_client_state', { subscriptionId: notification?.subscriptionId || null });
+                webhookNotificationsTotal.inc({ result: 'rejected' });
                 continue;
             }
 
@@ -57,16 +96,43 @@ app.post('/graph/notifications', async (req, res) => {
             const upnMatch = resource.match(/users\/([^/]+)\/events/i);
             const userUpn = upnMatch ? decodeURIComponent(upnMatch[1]) : null;
 
+            // Lifecycle notifications share this endpoint (see createSubscription). Reauthorizing or recreating
+            // a subscription takes longer than Graph waits for an answer, so the /sync/user worker handles them.
+            if (notification.lifecycleEvent) {
+                const messageId = await pubsub.topic(topicName).publishMessage({
+                    json: {
+                        upn: userUpn,
+                        source: 'lifecycle',
+                        lifecycleEvent: notification.lifecycleEvent,
+                        subscriptionId: notification.subscriptionId || null,
+                        correlationId: req.correlationId,
+                    },
+                });
+                log.info('webhook.lifecycle.published', {
+                    messageId,
+                    lifecycleEvent: notification.lifecycleEvent,
+                    subscriptionId: notification.subscriptionId || null,
+                });
+                webhookNotificationsTotal.inc({ result: 'lifecycle' });
+                continue;
+            }
+
             if (userUpn) {
-                const messageId = await pubsub.topic(topicName).publishMessage({ json: { upn: userUpn } });
-                console.log(`Published message ${messageId} for UPN: ${userUpn}`);
+                const messageId = await pubsub.topic(topicName).publishMessage({
+                    json: { upn: userUpn, source: 'webhook', correlationId: req.correlationId },
+                });
+                log.info('webhook.notification.published', { messageId, userUpn });
+                webhookNotificationsTotal.inc({ result: 'accepted' });
             } else {
-                console.warn('Could not extract UPN from Graph notification resource:', resource);
+                log.warn('webhook.notification.unroutable', { resource });
+                webhookNotificationsTotal.inc({ result: 'unroutable' });
             }
         }
+        webhookRequestsTotal.inc({ result: 'accepted' });
         res.status(202).send(); // Accepted for processing
     } catch (error) {
-        console.error('Error processing Graph webhook notification:', error);
+        webhookRequestsTotal.inc({ result: 'error' });
+        log.error('webhook.failed', error);
         res.status(500).send('Internal Server Error');
     }
 });
@@ -74,7 +140,7 @@ app.post('/graph/notifications', async (req, res) => {
 // Worker endpoint triggered by Pub/Sub push subscription
 app.post('/sync/user', requireOidcAuth, async (req, res) => {
     if (config.maintenanceMode) {
-        console.warn('maintenance_mode: ignoring /sync/user');
+        log.warn('pubsub.sync_user.ignored.maintenance_mode');
         res.status(204).send();
         return;
     }
@@ -82,7 +148,7 @@ app.post('/sync/user', requireOidcAuth, async (req, res) => {
     // Pub/Sub push messages arrive in the request body as a JSON object
     // containing a 'message' field which has the base64 encoded data.
     if (!req.body || !req.body.message || !req.body.message.data) {
-        console.error('Invalid Pub/Sub message format received.');
+        log.error('pubsub.sync_user.invalid_message');
         res.status(400).send('Bad Request: Invalid message format.');
         return;
     }
@@ -101,6 +167,23 @@ app.post('/sync/user', requireOidcAuth, async (req, res) => {
             }
         }
 
+        if (message && typeof message === 'object' && message.lifecycleEvent) {
+            const correlationId = message.correlationId || req.correlationId;
+            await log.runWithLogContext({ correlationId }, async () => {
+                log.info('pubsub.lifecycle.received', { lifecycleEvent: message.lifecycleEvent, subscriptionId: message.subscriptionId || null });
+                const result = await subscriptionsService.handleLifecycleEvent({
+                    lifecycleEvent: message.lifecycleEvent,
+                    subscriptionId: message.subscriptionId || null,
+                    upn: message.upn || null,
+                });
+                if (result.syncNeeded) {
+                    await syncService.runDeltaSyncForUser(result.userUpn, null, { trigger: `lifecycle:${message.lifecycleEvent}` });
+                }
+            });
+            res.status(204).send();
+            return;
+        }
+
         let userUpn = typeof message === 'string' ? message : message.upn;
 
         // Additional tolerance: sometimes test publishes (or badly formatted payloads) arrive as `{upn:someone@...}`
@@ -114,18 +197,24 @@ app.post('/sync/user', requireOidcAuth, async (req, res) => {
         }
 
         if (!userUpn) {
-            console.error('Received Pub/Sub message with missing UPN:', message);
+            log.error('pubsub.sync_user.missing_upn', { message });
             // Ack the message to avoid endless retries on bad payloads.
             res.status(204).send();
             return;
         }
         
-        console.log(`Received Pub/Sub message to sync user: ${userUpn}`);
-        await syncService.runDeltaSyncForUser(userUpn); // Call the core sync logic
+        // `source` is set by our publishers (webhook, /sync/all); recorded as the run's trigger.
+        const trigger = (message && typeof message === 'object' && message.source) || 'pubsub';
+        // Continue the publisher's correlation id (the webhook request or /sync/all call).
+        const correlationId = (message && typeof message === 'object' && message.correlationId) || req.correlationId;
+        await log.runWithLogContext({ correlationId }, () => {
+            log.info('pubsub.sync_user.received', { userUpn, messageId: req.body.message.messageId || null, trigger });
+            return syncService.runDeltaSyncForUser(userUpn, null, { trigger });
+        });
         
         res.status(204).send(); // Success, no content. Pub/Sub will acknowledge the message.
     } catch (error) {
-  console.error('Error syncing user:', error);
+  log.error('pubsub.sync_user.failed', error);
   await notifyFailure('ST Calendar Sync: /sync/user failed', {
     message: error.message,
   });
@@ -137,38 +226,69 @@ app.post('/sync/user', requireOidcAuth, async (req, res) => {
 // Endpoint for full nightly sync (Cloud Scheduler)
 app.post('/sync/all', requireOidcAuth, async (req, res) => {
     try {
-        console.log('Initiating full sync for all enabled users.');
+        log.info('sync_all.start');
         // This endpoint will iterate through TechMap and publish messages to Pub/Sub
         // for each enabled user, similar to the webhook, but for a full delta sync.
         await syncService.runFullSyncForAllUsers();
         res.status(202).send('Full sync initiated.');
     } catch (error) {
-        console.error('Error initiating full sync:', error);
+        log.error('sync_all.failed', error);
         res.status(500).send('Internal Server Error');
     }
 });
 
-// Endpoint for renewing Microsoft Graph subscriptions (Cloud Scheduler)
+// Endpoint for renewing Microsoft Graph subscriptions (Cloud Scheduler). Only subscriptions close to expiry are
+// renewed, so it can run often. Body `{ "rescan": true }` also adopts/deletes subscriptions missing from the store.
 app.post('/graph/subscriptions/renew', requireOidcAuth, async (req, res) => {
     try {
-        console.log('Attempting to renew Microsoft Graph subscriptions.');
-        // This endpoint will retrieve existing subscriptions and renew them.
-        await syncService.renewGraphSubscriptions();
-        res.status(200).send('Subscription renewal process started.');
+        log.info('subscriptions.renew.requested');
+        const body = req.body || {};
+        const summary = await subscriptionsService.renewSubscriptions({ rescan: body.rescan === true });
+        res.status(200).json(summary);
     } catch (error) {
-        console.error('Error renewing Graph subscriptions:', error);
+        log.error('subscriptions.renew.failed', error);
         res.status(500).send('Internal Server Error');
     }
 });
 
+// Per-user subscription status from the store; `?verify=true` also checks each one still exists in Graph.
+app.get('/graph/subscriptions', requireOidcAuth, async (req, res) => {
+    try {
+        const status = await subscriptionsService.listSubscriptionStatus({ verify: req.query.verify === 'true' });
+        res.status(200).json(status);
+    } catch (error) {
+        log.error('subscriptions.list.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).send('ok');
 });
 
+// Deep readiness check: calls Graph, ServiceTitan, the state store and Pub/Sub. 503 when a check fails.
+app.get('/health/deep', requireOidcAuth, async (req, res) => {
+    try {
+        const result = await healthService.runDeepHealthCheck();
+        res.status(result.status === 'error' ? 503 : 200).json(result);
+    } catch (error) {
+        log.error('health.deep.error', error);
+        res.status(500).json({ error: 'Internal Server Error', message: error.message });
+    }
+});
+
+// Prometheus scrape endpoint. See the README for the metric names.
+app.get('/metrics', requireMetricsAuth, (req, res) => {
+    res.set('Content-Type', metrics.CONTENT_TYPE);
+    res.status(200).send(metrics.renderMetrics());
+});
+
+// Body `{ "dryRun": true }` returns the per-user plan without writing to ServiceTitan or DeltaState.
 app.post('/run-sync', requireOidcAuth, async (req, res) => {
     try {
-        const summary = await syncService.runSyncCycle();
+        const body = req.body || {};
+        const summary = await syncService.runSyncCycle({ dryRun: body.dryRun === true, trigger: 'POST /run-sync' });
         if (summary.errors && summary.errors.length > 0) {
             await notifyFailure('ST Calendar Sync: /run-sync completed with errors', {
                 errorCount: summary.errors.length,
@@ -177,77 +297,288 @@ app.post('/run-sync', requireOidcAuth, async (req, res) => {
         }
         res.status(200).json(summary);
     } catch (error) {
-        console.error('Run sync failed:', error);
+        log.error('run_sync.failed', error);
         await notifyFailure('ST Calendar Sync: /run-sync failed', {
             message: error.message,
         });
-        res.status(500).json({
-            startedAt: new Date().toISOString(),
-            finishedAt: new Date().toISOString(),
-            calendarsProcessed: 0,
-            eventsFetched: 0,
-            eventsUpserted: 0,
-            eventsSkipped: 0,
-            errors: [{ message: error.message }],
-        });
+        res.status(500).json(buildFailedSyncSummary(error));
     }
 });
 
-// One-time backfill: pull last 30 days of calendarView for all enabled users and upsert only busy/OOF.
-// Does not modify Outlook; it only creates/updates/deletes ServiceTitan non-job appointments + sheet mappings.
-app.post('/backfill/last-30-days', requireOidcAuth, async (req, res) => {
+async function handleBackfill(req, res, routeLabel, options) {
     try {
-        const summary = await syncService.runBackfillLast30DaysAllUsers();
+        const summary = await syncService.runBackfill({ ...options, trigger: `POST ${routeLabel}` });
         if (summary.errors && summary.errors.length > 0) {
-            await notifyFailure('ST Calendar Sync: /backfill/last-30-days completed with errors', {
+            await notifyFailure(`ST Calendar Sync: ${routeLabel} completed with errors`, {
                 errorCount: summary.errors.length,
                 sample: summary.errors.slice(0, 5),
             });
         }
         res.status(200).json(summary);
     } catch (error) {
-        console.error('Backfill last 30 days failed:', error);
-        await notifyFailure('ST Calendar Sync: /backfill/last-30-days failed', {
+        if (error.statusCode === 400) {
+            res.status(400).json(buildFailedSyncSummary(error));
+            return;
+        }
+        log.error('backfill.failed', { route: routeLabel, error });
+        await notifyFailure(`ST Calendar Sync: ${routeLabel} failed`, {
             message: error.message,
         });
-        res.status(500).json({
-            startedAt: new Date().toISOString(),
-            finishedAt: new Date().toISOString(),
-            calendarsProcessed: 0,
-            eventsFetched: 0,
-            eventsUpserted: 0,
-            eventsSkipped: 0,
-            errors: [{ message: error.message }],
+        res.status(500).json(buildFailedSyncSummary(error));
+    }
+}
+
+// `"async": true` on /backfill and /cleanup/reset: answer 202 with a job (see GET /jobs/:id) and run the
+// work in the background instead of inside the request.
+async function startBackgroundJob(res, routeLabel, type, options) {
+    try {
+        const job = await jobsService.startJob(type, options);
+        res.status(202).json(job);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            res.status(400).json({ error: error.message });
+            return;
+        }
+        log.error('jobs.start.failed', { route: routeLabel, error });
+        await notifyFailure(`ST Calendar Sync: ${routeLabel} job failed to start`, {
+            message: error.message,
         });
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Backfill: pull calendarView for a window and upsert only busy/OOF.
+// Body: { start, end } (ISO dates or date-times) or { pastDays, futureDays }, optional `upns` to
+// restrict to specific technicians, and `dryRun` to return the per-user plan without writing.
+// `async: true` runs it as a background job.
+// Does not modify Outlook; it only creates/updates/deletes ServiceTitan non-job appointments + mappings.
+app.post('/backfill', requireOidcAuth, async (req, res) => {
+    const body = req.body || {};
+    const options = {
+        start: body.start || null,
+        end: body.end || null,
+        pastDays: body.pastDays ?? null,
+        futureDays: body.futureDays ?? null,
+        upns: body.upns ?? null,
+        dryRun: body.dryRun === true,
+    };
+    if (body.async === true) {
+        await startBackgroundJob(res, '/backfill', 'backfill', options);
+        return;
     }
+    await handleBackfill(req, res, '/backfill', options);
+});
+
+// Shortcuts kept for existing Scheduler jobs and runbooks.
+app.post('/backfill/last-30-days', requireOidcAuth, async (req, res) => {
+    await handleBackfill(req, res, '/backfill/last-30-days', { pastDays: 30, futureDays: 0 });
 });
 
-// One-time forward-looking backfill: pull next 90 days of calendarView for all enabled users and upsert only busy/OOF.
-// Does not modify Outlook; it only creates/updates/deletes ServiceTitan non-job appointments + sheet mappings.
 app.post('/backfill/next-90-days', requireOidcAuth, async (req, res) => {
+    await handleBackfill(req, res, '/backfill/next-90-days', { pastDays: 0, futureDays: 90 });
+});
+
+// Shows the mapping settings each technician effectively gets (and where each value comes from).
+// Optional `?upn=` limits the response to one technician.
+app.get('/technicians/effective-settings', requireOidcAuth, async (req, res) => {
     try {
-        const summary = await syncService.runBackfillNext90DaysAllUsers();
-        if (summary.errors && summary.errors.length > 0) {
-            await notifyFailure('ST Calendar Sync: /backfill/next-90-days completed with errors', {
-                errorCount: summary.errors.length,
-                sample: summary.errors.slice(0, 5),
+        const upn = String(req.query.upn || '').trim().toLowerCase();
+        const techMap = await store.getTechMap();
+        const technicians = techMap
+            .filter((userConfig) => !upn || userConfig.outlook_upn.toLowerCase() === upn)
+            .map((userConfig) => {
+                const entry = {
+                    outlook_upn: userConfig.outlook_upn,
+                    st_technician_id: userConfig.st_technician_id,
+                    enabled: userConfig.enabled,
+                };
+                try {
+                    return {
+                        ...entry,
+                        ...getEffectiveSettings(userConfig),
+                        filterRules: getFilterRulesForUser(userConfig).map((rule) => `${rule.action}:${rule.name}`),
+                    };
+                } catch (error) {
+                    // Invalid TechMap/env configuration; the sync fails this user the same way.
+                    return { ...entry, error: error.message };
+                }
             });
+        res.status(200).json({ technicians });
+    } catch (error) {
+        log.error('effective_settings.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Explains why one Outlook event is (or is not) in ServiceTitan. Query: upn plus one of graphId, iCalUId or
+// eventKey (the EventMap stable key). Read-only.
+app.get('/debug/event', requireOidcAuth, async (req, res) => {
+    try {
+        const result = await eventDebugService.explainEvent({
+            upn: req.query.upn || null,
+            graphId: req.query.graphId || null,
+            iCalUId: req.query.iCalUId || null,
+            eventKey: req.query.eventKey || null,
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            res.status(error.statusCode).json({ error: error.message });
+            return;
         }
-        res.status(200).json(summary);
+        log.error('debug.event.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Targeted rebuild: re-apply the current payload policy (names, flags, timesheet codes) to appointments
+// already in ServiceTitan, updating only the ones that differ.
+// Body: same window/`upns` fields as /backfill; `dryRun` defaults to true. Pass `rebuildId` to resume an
+// incomplete rebuild from its checkpoint.
+app.post('/rebuild', requireOidcAuth, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const rebuild = await reconcileService.rebuildPayloads({
+            rebuildId: body.rebuildId || null,
+            start: body.start || null,
+            end: body.end || null,
+            pastDays: body.pastDays ?? null,
+            futureDays: body.futureDays ?? null,
+            upns: body.upns ?? null,
+            dryRun: body.dryRun !== false,
+        });
+        if (rebuild.errors.length > 0) {
+            await notifyFailure('ST Calendar Sync: /rebuild completed with errors', {
+                rebuildId: rebuild.id,
+                errorCount: rebuild.errors.length,
+                sample: rebuild.errors.slice(0, 5),
+            });
+        }
+        res.status(200).json(rebuild);
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            res.status(error.statusCode).json({ error: error.message });
+            return;
+        }
+        log.error('rebuild.failed', error);
+        await notifyFailure('ST Calendar Sync: /rebuild failed', {
+            message: error.message,
+        });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/rebuild/:id', requireOidcAuth, async (req, res) => {
+    try {
+        const rebuild = await reconcileService.getRebuild(req.params.id);
+        if (!rebuild) {
+            res.status(404).json({ error: `Rebuild ${req.params.id} not found` });
+            return;
+        }
+        res.status(200).json(rebuild);
+    } catch (error) {
+        log.error('rebuild.lookup.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Drift reconciliation (Cloud Scheduler): compare EventMap with the non-job appointments in ServiceTitan and
+// repair blocks that were deleted, edited or orphaned there, per DRIFT_REPAIR_POLICY.
+// Body (all optional): window/`upns` fields as for /backfill (default: the sync window), `policy` overrides,
+// `dryRun` to only report.
+app.post('/reconcile/drift', requireOidcAuth, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const report = await reconcileService.reconcileDrift({
+            start: body.start || null,
+            end: body.end || null,
+            pastDays: body.pastDays ?? null,
+            futureDays: body.futureDays ?? null,
+            upns: body.upns ?? null,
+            policy: body.policy ?? null,
+            dryRun: body.dryRun === true,
+        });
+        const { missing, edited, unreferenced } = report.counts;
+        if (report.errors.length > 0 || missing + edited + unreferenced > 0) {
+            await notifyFailure('ST Calendar Sync: drift detected in ServiceTitan', {
+                reportId: report.id,
+                counts: report.counts,
+                errorCount: report.errors.length,
+                sample: report.drift.slice(0, 5),
+            });
+        }
+        res.status(200).json(report);
     } catch (error) {
-        console.error('Backfill next 90 days failed:', error);
-        await notifyFailure('ST Calendar Sync: /backfill/next-90-days failed', {
+        if (error.statusCode === 400) {
+            res.status(400).json({ error: error.message });
+            return;
+        }
+        log.error('reconcile.drift.failed', error);
+        await notifyFailure('ST Calendar Sync: /reconcile/drift failed', {
             message: error.message,
         });
-        res.status(500).json({
-            startedAt: new Date().toISOString(),
-            finishedAt: new Date().toISOString(),
-            calendarsProcessed: 0,
-            eventsFetched: 0,
-            eventsUpserted: 0,
-            eventsSkipped: 0,
-            errors: [{ message: error.message }],
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/reconcile/drift/:id', requireOidcAuth, async (req, res) => {
+    try {
+        const report = await reconcileService.getDriftReport(req.params.id);
+        if (!report) {
+            res.status(404).json({ error: `Drift report ${req.params.id} not found` });
+            return;
+        }
+        res.status(200).json(report);
+    } catch (error) {
+        log.error('reconcile.drift.lookup.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Read-only orphan report: ServiceTitan appointments we own that no EventMap row references, and EventMap rows
+// whose ServiceTitan appointments no longer exist, grouped by technician.
+// Query (optional): startsOnOrAfter, startsOnOrBefore, upn.
+app.get('/reports/orphans', requireOidcAuth, async (req, res) => {
+    try {
+        const upn = String(req.query.upn || '').trim();
+        const report = await cleanupService.findOrphans({
+            startsOnOrAfter: req.query.startsOnOrAfter || null,
+            startsOnOrBefore: req.query.startsOnOrBefore || null,
+            upns: upn ? [upn] : null,
         });
+        res.status(200).json(report);
+    } catch (error) {
+        log.error('reports.orphans.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Follow-up to /reports/orphans. Body: { action: "delete" | "relink", appointmentIds?, eventKeys?, upns?,
+// startsOnOrAfter?, startsOnOrBefore?, dryRun? } (dryRun defaults to true).
+app.post('/reports/orphans/resolve', requireOidcAuth, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const summary = await cleanupService.resolveOrphans({
+            action: body.action || null,
+            appointmentIds: Array.isArray(body.appointmentIds) ? body.appointmentIds : null,
+            eventKeys: Array.isArray(body.eventKeys) ? body.eventKeys : null,
+            upns: Array.isArray(body.upns) ? body.upns : null,
+            startsOnOrAfter: body.startsOnOrAfter || null,
+            startsOnOrBefore: body.startsOnOrBefore || null,
+            dryRun: body.dryRun !== false,
+            trigger: 'POST /reports/orphans/resolve',
+        });
+        res.status(200).json(summary);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            res.status(400).json({ error: error.message });
+            return;
+        }
+        log.error('reports.orphans.resolve.failed', error);
+        await notifyFailure('ST Calendar Sync: /reports/orphans/resolve failed', {
+            message: error.message,
+        });
+        res.status(500).json({ error: error.message });
     }
 });
 
@@ -261,11 +592,12 @@ app.post('/cleanup/deduplicate', requireOidcAuth, async (req, res) => {
             startsOnOrAfter: body.startsOnOrAfter || null,
             startsOnOrBefore: body.startsOnOrBefore || null,
             dryRun,
+            trigger: 'POST /cleanup/deduplicate',
         });
-        console.log('cleanup.dedupe.complete', summary);
+        log.info('cleanup.dedupe.complete', summary);
         res.status(200).json(summary);
     } catch (error) {
-        console.error('Deduplicate failed:', error);
+        log.error('cleanup.dedupe.failed', error);
         await notifyFailure('ST Calendar Sync: /cleanup/deduplicate failed', {
             message: error.message,
         });
@@ -275,23 +607,30 @@ app.post('/cleanup/deduplicate', requireOidcAuth, async (req, res) => {
 
 // Nuclear option: delete ALL ServiceTitan non-job appointments in the sync window for all enabled technicians,
 // then clear EventMap + DeltaState so the next sync rebuilds from Graph.
+// `ownedOnly: true` limits the purge to appointments carrying our ownership marker.
+// `async: true` (with `dryRun: false`) runs it as a background job, one step per technician.
 // Never touches Outlook.
 app.post('/cleanup/reset', requireOidcAuth, async (req, res) => {
+    const body = req.body || {};
+    const options = {
+        startsOnOrAfter: body.startsOnOrAfter || null,
+        startsOnOrBefore: body.startsOnOrBefore || null,
+        dryRun: body.dryRun !== false,
+        skipSheetsClear: body.skipSheetsClear === true,
+        includeDisabled: body.includeDisabled !== false,
+        allTechnicians: body.allTechnicians === true,
+        ownedOnly: body.ownedOnly === true,
+    };
+    if (body.async === true) {
+        await startBackgroundJob(res, '/cleanup/reset', 'reset', options);
+        return;
+    }
     try {
-        const body = req.body || {};
-        const dryRun = body.dryRun !== false;
-        const summary = await cleanupService.resetSyncState({
-            startsOnOrAfter: body.startsOnOrAfter || null,
-            startsOnOrBefore: body.startsOnOrBefore || null,
-            dryRun,
-            skipSheetsClear: body.skipSheetsClear === true,
-            includeDisabled: body.includeDisabled !== false,
-            allTechnicians: body.allTechnicians === true,
-        });
-        console.log('cleanup.reset.complete', summary);
+        const summary = await cleanupService.resetSyncState({ ...options, trigger: 'POST /cleanup/reset' });
+        log.info('cleanup.reset.complete', summary);
         res.status(200).json(summary);
     } catch (error) {
-        console.error('Reset failed:', error);
+        log.error('cleanup.reset.failed', error);
         await notifyFailure('ST Calendar Sync: /cleanup/reset failed', {
             message: error.message,
         });
@@ -302,11 +641,11 @@ app.post('/cleanup/reset', requireOidcAuth, async (req, res) => {
 // Clears EventMap + DeltaState (keeps headers). Useful after a purge where the request timed out.
 app.post('/cleanup/clear-sheets', requireOidcAuth, async (req, res) => {
     try {
-        const summary = await cleanupService.clearSyncSheets();
-        console.log('cleanup.clear_sheets.complete', summary);
+        const summary = await cleanupService.clearSyncSheets({ trigger: 'POST /cleanup/clear-sheets' });
+        log.info('cleanup.clear_sheets.complete', summary);
         res.status(200).json(summary);
     } catch (error) {
-        console.error('Clear sheets failed:', error);
+        log.error('cleanup.clear_sheets.failed', error);
         await notifyFailure('ST Calendar Sync: /cleanup/clear-sheets failed', {
             message: error.message,
         });
@@ -314,4 +653,98 @@ app.post('/cleanup/clear-sheets', requireOidcAuth, async (req, res) => {
     }
 });
 
+// Undo a destructive cleanup: recreate the appointments saved in a snapshot (taken by non-dry-run purge, reset,
+// dedupe and clear-sheets) and rewrite its EventMap rows. Body: { snapshotId, dryRun? } (dryRun defaults to true).
+app.post('/cleanup/restore', requireOidcAuth, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const summary = await cleanupService.restoreSnapshot({
+            snapshotId: body.snapshotId || null,
+            dryRun: body.dryRun !== false,
+            trigger: 'POST /cleanup/restore',
+        });
+        log.info('cleanup.restore.summary', summary);
+        res.status(200).json(summary);
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            res.status(error.statusCode).json({ error: error.message });
+            return;
+        }
+        log.error('cleanup.restore.failed', error);
+        await notifyFailure('ST Calendar Sync: /cleanup/restore failed', {
+            message: error.message,
+        });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Background jobs started with `"async": true`: progress (steps done/failed/pending), partial summary and
+// errors. `interrupted` means the instance running it went away; resume it with POST /jobs/:id/resume.
+app.get('/jobs/:id', requireOidcAuth, async (req, res) => {
+    try {
+        const job = await jobsService.getJob(req.params.id);
+        if (!job) {
+            res.status(404).json({ error: `Job ${req.params.id} not found` });
+            return;
+        }
+        res.status(200).json(job);
+    } catch (error) {
+        log.error('jobs.lookup.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/jobs/:id/resume', requireOidcAuth, async (req, res) => {
+    try {
+        const job = await jobsService.resumeJob(req.params.id);
+        res.status(job.status === 'completed' ? 200 : 202).json(job);
+    } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 409) {
+            res.status(error.statusCode).json({ error: error.message });
+            return;
+        }
+        log.error('jobs.resume.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Run history: live sync, backfill and cleanup runs with their trigger, summary and ServiceTitan writes.
+// Query (all optional): type, upn, since, until, appointmentId, eventKey (substring of the Outlook stable
+// key, e.g. a date), limit. `appointmentId`/`eventKey` also return the matching actions.
+app.get('/runs', requireOidcAuth, async (req, res) => {
+    try {
+        const result = await runsService.listRuns({
+            type: req.query.type || null,
+            upn: req.query.upn || null,
+            since: req.query.since || null,
+            until: req.query.until || null,
+            appointmentId: req.query.appointmentId || null,
+            eventKey: req.query.eventKey || null,
+            limit: req.query.limit || null,
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            res.status(400).json({ error: error.message });
+            return;
+        }
+        log.error('runs.list.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/runs/:id', requireOidcAuth, async (req, res) => {
+    try {
+        const run = await runsService.getRun(req.params.id);
+        if (!run) {
+            res.status(404).json({ error: `Run ${req.params.id} not found` });
+            return;
+        }
+        res.status(200).json(run);
+    } catch (error) {
+        log.error('runs.lookup.failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 module.exports = app;
@@ -1,3 +1,6 @@
+const { IANAZone } = require('luxon');
+const { OWNERSHIP_MARKER_FIELDS } = require('./utils/ownership');
+
 function parsePositiveInt(value, defaultValue, keyName) {
   if (value === undefined || value === null || value === '') {
     return defaultValue;
@@ -20,11 +23,40 @@ function splitCsv(value) {
     .filter(Boolean);
 }
 
+const STATE_BACKENDS = ['sheets', 'firestore', 'file'];
+
+function parseStateBackend(value) {
+  const backend = String(value || 'sheets').trim().toLowerCase() || 'sheets';
+  if (!STATE_BACKENDS.includes(backend)) {
+    throw new Error(`Invalid STATE_BACKEND: expected one of ${STATE_BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+function parseOwnershipMarkerField(value) {
+  const field = String(value || '').trim().toLowerCase() || 'summary';
+  if (!OWNERSHIP_MARKER_FIELDS.includes(field)) {
+    throw new Error(`Invalid ST_OWNERSHIP_MARKER_FIELD: expected one of ${OWNERSHIP_MARKER_FIELDS.join(', ')}`);
+  }
+  return field;
+}
+
+function validateTimezone(value, keyName) {
+  const zone = String(value || '').trim();
+  if (zone && !IANAZone.isValidZone(zone)) {
+    throw new Error(`Invalid ${keyName}: expected an IANA timezone such as America/Chicago`);
+  }
+  return zone;
+}
+
 function loadConfig() {
   const config = {
     port: Number.parseInt(process.env.PORT || '8080', 10),
     syncWindowPastDays: parsePositiveInt(process.env.SYNC_WINDOW_PAST_DAYS, 30, 'SYNC_WINDOW_PAST_DAYS'),
     syncWindowFutureDays: parsePositiveInt(process.env.SYNC_WINDOW_FUTURE_DAYS, 90, 'SYNC_WINDOW_FUTURE_DAYS'),
+    // Number of technicians synced in parallel; Graph/ServiceTitan/Sheets calls are additionally capped
+    // per API (GRAPH_MAX_CONCURRENCY, ST_MAX_CONCURRENCY, SHEETS_MAX_CONCURRENCY).
+    syncUserConcurrency: Math.max(1, parsePositiveInt(process.env.SYNC_USER_CONCURRENCY, 4, 'SYNC_USER_CONCURRENCY')),
     runSyncAudience: process.env.RUN_SYNC_AUDIENCE || '',
     pubsubTopic: (process.env.PUBSUB_TOPIC || 'outlook-change-notifications').trim() || 'outlook-change-notifications',
     maintenanceMode: (String(process.env.MAINTENANCE_MODE || '').trim().toLowerCase() === 'true'),
@@ -34,6 +66,9 @@ function loadConfig() {
     serviceTitanClientId: process.env.SERVICETITAN_CLIENT_ID || '',
     serviceTitanClientSecret: process.env.SERVICETITAN_CLIENT_SECRET || '',
     serviceTitanTenantId: process.env.SERVICETITAN_TENANT_ID || '',
+    defaultTimezone: validateTimezone(process.env.DEFAULT_TIMEZONE, 'DEFAULT_TIMEZONE') || 'America/Chicago',
+    stateBackend: parseStateBackend(process.env.STATE_BACKEND),
+    ownershipMarkerField: parseOwnershipMarkerField(process.env.ST_OWNERSHIP_MARKER_FIELD),
     googleSpreadsheetId: process.env.GOOGLE_SPREADSHEET_ID || '',
     outlookUserUpns: splitCsv(process.env.OUTLOOK_USER_UPNS),
     graphWebhookUrl: process.env.GRAPH_WEBHOOK_URL || '',
@@ -48,9 +83,13 @@ function loadConfig() {
     ['SERVICETITAN_CLIENT_ID', config.serviceTitanClientId],
     ['SERVICETITAN_CLIENT_SECRET', config.serviceTitanClientSecret],
     ['SERVICETITAN_TENANT_ID', config.serviceTitanTenantId],
-    ['GOOGLE_SPREADSHEET_ID', config.googleSpreadsheetId],
   ];
 
+  // The spreadsheet is only needed when it backs the state store.
+  if (config.stateBackend === 'sheets') {
+    requiredKeys.push(['GOOGLE_SPREADSHEET_ID', config.googleSpreadsheetId]);
+  }
+
   const missing = requiredKeys
     .filter(([, value]) => !value)
     .map(([key]) => key);
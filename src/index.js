@@ -1,6 +1,7 @@
 const http = require('http');
 const app = require('./app');
 const { loadConfig } = require('./config');
+const log = require('./utils/logger');
 
 const config = loadConfig();
 const PORT = config.port || 8080;
@@ -15,5 +16,5 @@ const server = http.createServer((req, res) => {
 });
 
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server listening on port ${PORT}`);
+  log.info('server.listening', { port: PORT });
 });
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
 const { loadConfig } = require('../config');
+const log = require('../utils/logger');
 
 const config = loadConfig();
 const client = new OAuth2Client();
@@ -23,7 +25,7 @@ async function requireOidcAuth(req, res, next) {
     });
     next();
   } catch (error) {
-    console.error('OIDC token verification failed', {
+    log.error('auth.oidc.invalid_token', {
       message: error.message,
     });
     res.status(401).json({
@@ -33,6 +35,27 @@ async function requireOidcAuth(req, res, next) {
   }
 }
 
+// Prometheus scrapers usually cannot mint Google identity tokens, so when METRICS_AUTH_TOKEN is set /metrics
+// takes that static bearer token instead. Without it, /metrics needs OIDC like the other endpoints.
+function requireMetricsAuth(req, res, next) {
+  const expected = Buffer.from((process.env.METRICS_AUTH_TOKEN || '').trim());
+  if (expected.length === 0) {
+    requireOidcAuth(req, res, next);
+    return;
+  }
+  const authHeader = req.headers.authorization || '';
+  const token = Buffer.from(authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '');
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid metrics token',
+    });
+    return;
+  }
+  next();
+}
+
 module.exports = {
   requireOidcAuth,
+  requireMetricsAuth,
 };
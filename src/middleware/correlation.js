@@ -0,0 +1,32 @@
+const { createCorrelationId, runWithLogContext } = require('../utils/logger');
+
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Cloud Run adds `X-Cloud-Trace-Context: TRACE_ID/SPAN_ID;o=1`; with the project id, entries are grouped
+// under the request in the Logs Explorer.
+function getTrace(req) {
+  const traceId = String(req.get('x-cloud-trace-context') || '').split('/')[0];
+  if (!/^[0-9a-f]{32}$/i.test(traceId)) {
+    return { traceId: null, trace: null };
+  }
+  const projectId = (process.env.GOOGLE_CLOUD_PROJECT || '').trim();
+  return { traceId, trace: projectId ? `projects/${projectId}/traces/${traceId}` : null };
+}
+
+/**
+ * Gives every request a correlation id (the caller's `X-Correlation-Id`, else the Cloud Trace id, else a new
+ * UUID), echoes it in the response and runs the rest of the request in that log context. Register it after
+ * the body parser: handlers run inside the context only if it calls them.
+ */
+function correlationMiddleware(req, res, next) {
+  const requested = String(req.get('x-correlation-id') || '').trim();
+  const { traceId, trace } = getTrace(req);
+  const correlationId = CORRELATION_ID_PATTERN.test(requested) ? requested : (traceId || createCorrelationId());
+  res.set('X-Correlation-Id', correlationId);
+  req.correlationId = correlationId;
+  runWithLogContext({ correlationId, trace }, next);
+}
+
+module.exports = {
+  correlationMiddleware,
+};
@@ -1,3 +1,8 @@
+const metrics = require('../utils/metrics');
+const log = require('../utils/logger');
+
+const alertsTotal = metrics.createCounter('alerts_total', 'Failure alerts by channel and result (sent, failed, or suppressed by the cooldown).', ['channel', 'result']);
+
 let lastAlertAtMs = 0;
 
 function parsePositiveInt(value, fallback) {
@@ -74,6 +79,7 @@ async function notifyFailure(title, details) {
   }
 
   if (!canSendAlert(cfg.cooldownSeconds)) {
+    alertsTotal.inc({ channel: 'all', result: 'suppressed' });
     return;
   }
 
@@ -82,8 +88,11 @@ async function notifyFailure(title, details) {
 
   if (hasSlack) {
     tasks.push(
-      sendSlackAlert(cfg.slackWebhookUrl, text).catch((error) => {
-        console.error('alerts.slack.error', { message: error.message });
+      sendSlackAlert(cfg.slackWebhookUrl, text).then(() => {
+        alertsTotal.inc({ channel: 'slack', result: 'sent' });
+      }, (error) => {
+        alertsTotal.inc({ channel: 'slack', result: 'failed' });
+        log.error('alerts.slack.error', { message: error.message });
       }),
     );
   }
@@ -96,8 +105,11 @@ async function notifyFailure(title, details) {
         cfg.alertEmailFrom,
         title,
         text,
-      ).catch((error) => {
-        console.error('alerts.email.error', { message: error.message });
+      ).then(() => {
+        alertsTotal.inc({ channel: 'email', result: 'sent' });
+      }, (error) => {
+        alertsTotal.inc({ channel: 'email', result: 'failed' });
+        log.error('alerts.email.error', { message: error.message });
       }),
     );
   }
@@ -1,7 +1,17 @@
 const { DateTime } = require('luxon');
-const sheets = require('./sheets');
+const store = require('./store');
 const servicetitan = require('../api/servicetitan');
-const { TIMEZONE } = require('../utils/time');
+const { getDefaultTimezone, resolveTimezone } = require('../utils/time');
+const { parseStableEventKey } = require('../utils/normalize');
+const { isOwnedAppointment } = require('../utils/ownership');
+const snapshots = require('./snapshots');
+const runs = require('./runs');
+const { withUserLock } = require('./sync');
+const log = require('../utils/logger');
+const { createHttpError } = require('../utils/errors');
+
+const ORPHAN_ACTIONS = ['delete', 'relink'];
+const RESTORE_COLLECTION = 'snapshotRestores';
 
 function parseJsonArray(value) {
   if (!value) return [];
@@ -13,20 +23,6 @@ function parseJsonArray(value) {
   }
 }
 
-function isOurSyncLikeAppointment(appt) {
-  const name = String(appt?.name || '').trim();
-  if (!(name === 'Busy' || name === 'Out of Office')) return false;
-
-  // These are the defaults our sync uses. If fields are absent, don't treat as ours.
-  if (appt?.showOnTechnicianSchedule !== true) return false;
-  if (appt?.clearDispatchBoard !== true) return false;
-  if (appt?.clearTechnicianView !== false) return false;
-  if (appt?.removeTechnicianFromCapacityPlanning !== true) return false;
-  if (appt?.active !== true) return false;
-
-  return true;
-}
-
 function makeSignature(appt) {
   return [
     appt?.technicianId ?? '',
@@ -42,12 +38,41 @@ function makeSignature(appt) {
   ].join('|');
 }
 
+// EventMap rows that reference any of the given appointment ids. A purge snapshots them even when EventMap is
+// kept, so a restore can point them at the recreated appointments.
+function listMappingsReferencing(mappings, appointmentIds) {
+  const ids = new Set(appointmentIds.map(String));
+  return mappings.filter((mapping) => parseJsonArray(mapping.st_nonjob_ids_json).some((id) => ids.has(String(id))));
+}
+
+// EventMap row of each referenced appointment id, so run history entries can name the Outlook event.
+function indexMappingsByAppointmentId(mappings) {
+  const index = new Map();
+  for (const mapping of mappings) {
+    for (const id of parseJsonArray(mapping.st_nonjob_ids_json)) {
+      index.set(String(id), mapping);
+    }
+  }
+  return index;
+}
+
+function createAction(action, appointmentId, reason, { technicianId = null, mapping = null } = {}) {
+  return {
+    at: new Date().toISOString(),
+    action,
+    appointmentId: String(appointmentId),
+    technicianId: technicianId === null ? null : String(technicianId),
+    userUpn: mapping ? mapping.outlook_upn : null,
+    eventKey: mapping ? mapping.outlook_event_id : null,
+    reason,
+  };
+}
+
 async function getReferencedNonJobIdsSet() {
-  // EventMap columns: outlook_upn, outlook_event_id, st_nonjob_ids_json, last_hash, last_synced_utc, status
-  const rows = await sheets.readSheetRows('EventMap!A2:F');
+  const mappings = await store.listEventMappings();
   const referenced = new Set();
-  for (const row of rows) {
-    const ids = parseJsonArray(row[2] || '');
+  for (const mapping of mappings) {
+    const ids = parseJsonArray(mapping.st_nonjob_ids_json || '');
     for (const id of ids) {
       if (id) referenced.add(String(id));
     }
@@ -63,9 +88,11 @@ function toIsoAtTzDayEnd(date, zone) {
   return DateTime.fromISO(date, { zone }).endOf('day').toUTC().toISO();
 }
 
-function getDefaultStartAndEnd() {
-  const now = DateTime.now().setZone(TIMEZONE);
-  const start = now.startOf('week'); // Monday in Luxon by default locale; TIMEZONE is consistent.
+function getDefaultStartAndEnd(zone = getDefaultTimezone()) {
+  // Week and day boundaries follow the technician's timezone so e.g. Eastern techs' Mondays start
+  // at their local midnight.
+  const now = DateTime.now().setZone(zone);
+  const start = now.startOf('week'); // Monday in Luxon by default locale.
   const end = now.plus({ days: 90 }).endOf('day');
   return {
     startsOnOrAfter: start.toUTC().toISO(),
@@ -73,35 +100,66 @@ function getDefaultStartAndEnd() {
   };
 }
 
+// All non-job appointments for one technician in a window, de-duplicated across pages.
+async function listNonJobsInWindow(techId, startIso, endIso) {
+  const pageSize = 500;
+  const seenIds = new Set();
+  const appts = [];
+  for (let page = 1; page <= 200; page += 1) { // safety cap
+    const batch = await servicetitan.listNonJobs({
+      technicianId: techId,
+      startsOnOrAfter: startIso,
+      startsOnOrBefore: endIso,
+      page,
+      pageSize,
+    });
+    for (const appt of batch || []) {
+      const id = appt && appt.id !== undefined && appt.id !== null ? String(appt.id) : null;
+      if (!id || seenIds.has(id)) continue;
+      seenIds.add(id);
+      appts.push(appt);
+    }
+    if (!batch || batch.length < pageSize) break;
+  }
+  return appts;
+}
+
 async function dedupeNonJobsThisWeekForward(options = {}) {
   const {
     startsOnOrAfter = null,
     startsOnOrBefore = null,
     dryRun = true,
+    trigger = 'api',
   } = options;
 
+  const startedAt = new Date().toISOString();
   const defaults = getDefaultStartAndEnd();
-  const startIso = startsOnOrAfter || defaults.startsOnOrAfter;
-  const endIso = startsOnOrBefore || defaults.startsOnOrBefore;
 
   const referenced = await getReferencedNonJobIdsSet();
-  const techMap = await sheets.getTechMap();
+  const techMap = await store.getTechMap();
   const enabledUsers = techMap.filter((u) => u.enabled && u.st_technician_id);
 
   const summary = {
-    startsOnOrAfter: startIso,
-    startsOnOrBefore: endIso,
+    // Defaults shown here are in the tenant timezone; each technician's default window uses their own.
+    startsOnOrAfter: startsOnOrAfter || defaults.startsOnOrAfter,
+    startsOnOrBefore: startsOnOrBefore || defaults.startsOnOrBefore,
     techniciansProcessed: 0,
     appointmentsScanned: 0,
     duplicateGroupsFound: 0,
     appointmentsToDelete: 0,
     deleted: 0,
+    snapshot: null,
     errors: [],
   };
 
+  // Deletes run after every technician is scanned so one snapshot covers the whole run.
+  const pendingDeletes = [];
   for (const user of enabledUsers) {
     summary.techniciansProcessed += 1;
     const techId = String(user.st_technician_id);
+    const userDefaults = getDefaultStartAndEnd(resolveTimezone(user));
+    const startIso = startsOnOrAfter || userDefaults.startsOnOrAfter;
+    const endIso = startsOnOrBefore || userDefaults.startsOnOrBefore;
     try {
       const appts = await servicetitan.listNonJobs({
         technicianId: techId,
@@ -111,7 +169,7 @@ async function dedupeNonJobsThisWeekForward(options = {}) {
         pageSize: 500,
       });
 
-      const ours = appts.filter(isOurSyncLikeAppointment);
+      const ours = appts.filter(isOwnedAppointment);
       summary.appointmentsScanned += ours.length;
 
       const groups = new Map();
@@ -134,12 +192,7 @@ async function dedupeNonJobsThisWeekForward(options = {}) {
           if (unref.length === 0) continue;
           summary.duplicateGroupsFound += 1;
           summary.appointmentsToDelete += unref.length;
-          if (!dryRun) {
-            for (const e of unref) {
-              await servicetitan.deleteNonJob(e.id);
-              summary.deleted += 1;
-            }
-          }
+          pendingDeletes.push(...unref.map((e) => ({ techId, ...e })));
           continue;
         }
 
@@ -149,12 +202,7 @@ async function dedupeNonJobsThisWeekForward(options = {}) {
         if (toDelete.length === 0) continue;
         summary.duplicateGroupsFound += 1;
         summary.appointmentsToDelete += toDelete.length;
-        if (!dryRun) {
-          for (const e of toDelete) {
-            await servicetitan.deleteNonJob(e.id);
-            summary.deleted += 1;
-          }
-        }
+        pendingDeletes.push(...toDelete.map((e) => ({ techId, ...e })));
       }
     } catch (error) {
       summary.errors.push({
@@ -165,22 +213,38 @@ async function dedupeNonJobsThisWeekForward(options = {}) {
     }
   }
 
+  if (!dryRun && pendingDeletes.length > 0) {
+    summary.snapshot = await snapshots.createSnapshot({
+      reason: 'dedupe',
+      options: { startsOnOrAfter: summary.startsOnOrAfter, startsOnOrBefore: summary.startsOnOrBefore },
+      appointments: pendingDeletes.map((e) => e.appt),
+    });
+    const actions = [];
+    for (const e of pendingDeletes) {
+      try {
+        await servicetitan.deleteNonJob(e.id);
+        summary.deleted += 1;
+        actions.push(createAction('deleted', e.id, 'duplicate', { technicianId: e.techId }));
+      } catch (error) {
+        summary.errors.push({ technicianId: e.techId, appointmentId: e.id, message: error.message });
+      }
+    }
+    await runs.recordRun({ type: 'dedupe', trigger, summary, actions, startedAt, skipNoop: true });
+  }
+
   return summary;
 }
 
-async function purgeNonJobsInWindow(options = {}) {
-  const {
-    startsOnOrAfter = null,
-    startsOnOrBefore = null,
-    dryRun = true,
-    includeDisabled = true,
-    allTechnicians = false,
-  } = options;
-
-  const defaults = getDefaultStartAndEnd();
-  const startIso = startsOnOrAfter || defaults.startsOnOrAfter;
-  const endIso = startsOnOrBefore || defaults.startsOnOrBefore;
+function getTimezoneByTechId(techMap) {
+  return new Map(
+    techMap
+      .filter((u) => u.st_technician_id)
+      .map((u) => [String(u.st_technician_id), resolveTimezone(u)]),
+  );
+}
 
+// Technicians a purge targets: TechMap technicians, or every ServiceTitan technician with `allTechnicians`.
+async function listPurgeTechnicianIds(techMap, { includeDisabled = true, allTechnicians = false } = {}) {
   let techIds = [];
 
   if (allTechnicians) {
@@ -201,77 +265,452 @@ async function purgeNonJobsInWindow(options = {}) {
       .filter((id) => id !== undefined && id !== null && String(id).trim() !== '')
       .map((id) => String(id));
   } else {
-    const techMap = await sheets.getTechMap();
     techIds = techMap
       .filter((u) => u.st_technician_id && (includeDisabled ? true : Boolean(u.enabled)))
       .map((u) => String(u.st_technician_id));
   }
 
-  techIds = [...new Set(techIds)];
+  return [...new Set(techIds)];
+}
+
+async function purgeNonJobsInWindow(options = {}) {
+  const {
+    startsOnOrAfter = null,
+    startsOnOrBefore = null,
+    dryRun = true,
+    includeDisabled = true,
+    allTechnicians = false,
+    ownedOnly = false,
+    // Set by resetSyncState, which clears EventMap afterwards: the snapshot then includes every mapping row,
+    // not only the rows that reference deleted appointments.
+    snapshotMappings = false,
+    // Collects the deletes for the caller's run history entry.
+    actions = [],
+  } = options;
+
+  const defaults = getDefaultStartAndEnd();
+  const techMap = await store.getTechMap();
+  const timezoneByTechId = getTimezoneByTechId(techMap);
+  const techIds = await listPurgeTechnicianIds(techMap, { includeDisabled, allTechnicians });
 
   const summary = {
-    startsOnOrAfter: startIso,
-    startsOnOrBefore: endIso,
+    // Defaults shown here are in the tenant timezone; each technician's default window uses their own.
+    startsOnOrAfter: startsOnOrAfter || defaults.startsOnOrAfter,
+    startsOnOrBefore: startsOnOrBefore || defaults.startsOnOrBefore,
     techniciansProcessed: 0,
     techniciansTargeted: techIds.length,
+    ownedOnly,
     appointmentsFound: 0,
+    appointmentsNotOwned: 0,
     appointmentsToDelete: 0,
     deleted: 0,
+    snapshot: null,
     errors: [],
   };
 
+  // Everything is listed before anything is deleted: the snapshot has to be complete, and deleting while
+  // paging would shift later pages.
+  const pendingDeletes = [];
   for (const techId of techIds) {
     summary.techniciansProcessed += 1;
+    // Technicians missing from TechMap (allTechnicians) fall back to the tenant timezone.
+    const techDefaults = getDefaultStartAndEnd(timezoneByTechId.get(techId) || getDefaultTimezone());
+    const startIso = startsOnOrAfter || techDefaults.startsOnOrAfter;
+    const endIso = startsOnOrBefore || techDefaults.startsOnOrBefore;
 
     try {
-      const pageSize = 500;
-      let page = 1;
-      let totalForTech = 0;
-      const seenIds = new Set();
-
-      while (true) {
-        const appts = await servicetitan.listNonJobs({
-          technicianId: techId,
-          startsOnOrAfter: startIso,
-          startsOnOrBefore: endIso,
-          page,
-          pageSize,
-        });
+      const appts = await listNonJobsInWindow(techId, startIso, endIso);
+      for (const appt of appts) {
+        summary.appointmentsFound += 1;
+        // Hand-made appointments (and ours from before the marker existed) survive an owned-only purge.
+        if (ownedOnly && !isOwnedAppointment(appt)) {
+          summary.appointmentsNotOwned += 1;
+          continue;
+        }
+        summary.appointmentsToDelete += 1;
+        pendingDeletes.push({ techId, appt });
+      }
+      log.info('cleanup.purge.tech.listed', { techId, totalForTech: appts.length });
+    } catch (error) {
+      summary.errors.push({
+        technicianId: techId,
+        message: error.message,
+      });
+    }
+  }
 
-        if (!appts || appts.length === 0) break;
+  if (dryRun) {
+    return summary;
+  }
+
+  const allMappings = await store.listEventMappings();
+  const mappings = snapshotMappings
+    ? allMappings
+    : listMappingsReferencing(allMappings, pendingDeletes.map((entry) => entry.appt.id));
+  if (pendingDeletes.length > 0 || mappings.length > 0) {
+    summary.snapshot = await snapshots.createSnapshot({
+      reason: snapshotMappings ? 'reset' : 'purge',
+      options: { startsOnOrAfter, startsOnOrBefore, includeDisabled, allTechnicians, ownedOnly },
+      appointments: pendingDeletes.map((entry) => entry.appt),
+      mappings,
+    });
+  }
 
-        for (const appt of appts) {
-          const id = appt && appt.id !== undefined ? String(appt.id) : null;
-          if (!id || seenIds.has(id)) continue;
-          seenIds.add(id);
-          totalForTech += 1;
+  const mappingIndex = indexMappingsByAppointmentId(allMappings);
+  for (const { techId, appt } of pendingDeletes) {
+    try {
+      await servicetitan.deleteNonJob(String(appt.id));
+      summary.deleted += 1;
+      actions.push(createAction('deleted', appt.id, 'purge', {
+        technicianId: techId,
+        mapping: mappingIndex.get(String(appt.id)),
+      }));
+    } catch (error) {
+      summary.errors.push({
+        technicianId: techId,
+        appointmentId: String(appt.id),
+        message: error.message,
+      });
+    }
+  }
 
-          summary.appointmentsFound += 1;
-          summary.appointmentsToDelete += 1;
+  return summary;
+}
 
-          if (!dryRun) {
-            await servicetitan.deleteNonJob(id);
-            summary.deleted += 1;
-          }
-        }
+const PURGE_PROGRESS_EVERY = 25;
+
+/**
+ * One technician's share of a purge, run as a step of a background job (jobs.js): lists the technician's
+ * appointments, snapshots them (with `mappingUpns`' EventMap rows), then deletes them.
+ * @param {string} techId
+ * @param {object} [options]
+ * @param {string} [options.startsOnOrAfter] - Default: start of this week in `timezone`.
+ * @param {string} [options.startsOnOrBefore] - Default: 90 days ahead in `timezone`.
+ * @param {string} [options.timezone]
+ * @param {boolean} [options.ownedOnly]
+ * @param {Array<string>} [options.mappingUpns] - Users whose EventMap rows go into the snapshot.
+ * @param {object} [options.previous] - Last progress of an interrupted attempt of this step.
+ * @param {function(object): Promise<void>} [options.onProgress] - Called with the running totals after the
+ *        snapshot, every few deletes and after the last one.
+ * @returns {Promise<object>} Counts, snapshots and per-appointment errors.
+ */
+async function purgeTechnicianNonJobs(techId, options = {}) {
+  const {
+    startsOnOrAfter = null,
+    startsOnOrBefore = null,
+    timezone = getDefaultTimezone(),
+    ownedOnly = false,
+    mappingUpns = [],
+    previous = null,
+    onProgress = async () => {},
+    trigger = 'api',
+  } = options;
+
+  const startedAt = new Date().toISOString();
+  const defaults = getDefaultStartAndEnd(timezone);
+  const appts = await listNonJobsInWindow(
+    techId,
+    startsOnOrAfter || defaults.startsOnOrAfter,
+    startsOnOrBefore || defaults.startsOnOrBefore,
+  );
+  const toDelete = ownedOnly ? appts.filter(isOwnedAppointment) : appts;
+  const result = {
+    technicianId: techId,
+    appointmentsFound: appts.length,
+    appointmentsNotOwned: appts.length - toDelete.length,
+    appointmentsToDelete: toDelete.length,
+    deleted: previous?.deleted || 0,
+    snapshots: previous?.snapshots || [],
+    errors: [],
+  };
+
+  // A retry only snapshots what the interrupted attempt's snapshot does not already hold. That first
+  // snapshot also holds the users' mapping rows (a reset), so restoring it remaps them; a plain purge
+  // snapshots the rows that reference the appointments it adds.
+  let unsaved = toDelete;
+  for (const saved of result.snapshots) {
+    const snapshot = await snapshots.readSnapshot(saved.id);
+    const savedIds = new Set(((snapshot && snapshot.appointments) || []).map((appt) => String(appt.id)));
+    unsaved = unsaved.filter((appt) => !savedIds.has(String(appt.id)));
+  }
+  const allMappings = await store.listEventMappings();
+  let mappings = listMappingsReferencing(allMappings, unsaved.map((appt) => appt.id));
+  if (result.snapshots.length === 0 && mappingUpns.length > 0) {
+    const upns = new Set(mappingUpns.map((upn) => upn.toLowerCase()));
+    mappings = allMappings.filter((m) => upns.has(String(m.outlook_upn).toLowerCase()));
+  }
+  if (unsaved.length > 0 || mappings.length > 0) {
+    const snapshot = await snapshots.createSnapshot({
+      reason: mappingUpns.length > 0 ? 'reset' : 'purge',
+      options: { technicianId: techId, startsOnOrAfter, startsOnOrBefore, ownedOnly },
+      appointments: unsaved,
+      mappings,
+    });
+    result.snapshots = [...result.snapshots, snapshot];
+    await onProgress({ deleted: result.deleted, snapshots: result.snapshots });
+  }
+
+  const mappingIndex = indexMappingsByAppointmentId(allMappings);
+  const actions = [];
+  for (let index = 0; index < toDelete.length; index += 1) {
+    const appt = toDelete[index];
+    try {
+      await servicetitan.deleteNonJob(String(appt.id));
+      result.deleted += 1;
+      actions.push(createAction('deleted', appt.id, 'purge', {
+        technicianId: techId,
+        mapping: mappingIndex.get(String(appt.id)),
+      }));
+    } catch (error) {
+      result.errors.push({ technicianId: techId, appointmentId: String(appt.id), message: error.message });
+    }
+    if ((index + 1) % PURGE_PROGRESS_EVERY === 0 || index === toDelete.length - 1) {
+      await onProgress({ deleted: result.deleted, snapshots: result.snapshots });
+    }
+  }
+
+  log.info('cleanup.purge.tech.complete', {
+    techId,
+    deleted: result.deleted,
+    errors: result.errors.length,
+  });
+  await runs.recordRun({ type: 'purge', trigger, summary: result, actions, startedAt, skipNoop: true });
+  return result;
+}
+
+function isMappingInRange(mapping, startIso, endIso) {
+  const times = parseStableEventKey(mapping.outlook_event_id);
+  if (!times) return false;
+  return Date.parse(times.start) < Date.parse(endIso) && Date.parse(times.end) > Date.parse(startIso);
+}
+
+// Orphans we could point a broken mapping at: same technician, starting inside the event's time range.
+function findRelinkCandidates(mapping, orphanAppts) {
+  const times = parseStableEventKey(mapping.outlook_event_id);
+  if (!times) return [];
+  const startMs = Date.parse(times.start);
+  const endMs = Date.parse(times.end);
+  return orphanAppts
+    .filter((appt) => {
+      const apptStartMs = Date.parse(appt.start);
+      return apptStartMs >= startMs && apptStartMs < endMs;
+    })
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+    .map((appt) => String(appt.id));
+}
+
+function listOrphanScanUsers(techMap, upns) {
+  const wantedUpns = upns && upns.length > 0 ? upns.map((upn) => String(upn).trim().toLowerCase()) : null;
+  return techMap
+    .filter((u) => u.enabled && u.st_technician_id)
+    .filter((u) => !wantedUpns || wantedUpns.includes(u.outlook_upn.toLowerCase()));
+}
 
-        if (appts.length < pageSize) break;
-        page += 1;
-        if (page > 200) break; // safety cap
+// Read-only: appointments we own that no EventMap row references, and EventMap rows whose ST
+// appointments no longer exist, grouped by technician.
+async function findOrphans(options = {}) {
+  const {
+    startsOnOrAfter = null,
+    startsOnOrBefore = null,
+    upns = null,
+  } = options;
+
+  const defaults = getDefaultStartAndEnd();
+  const mappings = await store.listEventMappings();
+  const referenced = await getReferencedNonJobIdsSet();
+  const users = listOrphanScanUsers(await store.getTechMap(), upns);
+
+  const report = {
+    // Defaults shown here are in the tenant timezone; each technician's default window uses their own.
+    startsOnOrAfter: startsOnOrAfter || defaults.startsOnOrAfter,
+    startsOnOrBefore: startsOnOrBefore || defaults.startsOnOrBefore,
+    techniciansScanned: 0,
+    appointmentsScanned: 0,
+    orphanAppointments: 0,
+    deadMappings: 0,
+    technicians: [],
+    errors: [],
+  };
+
+  for (const user of users) {
+    const techId = String(user.st_technician_id);
+    const userDefaults = getDefaultStartAndEnd(resolveTimezone(user));
+    const startIso = startsOnOrAfter || userDefaults.startsOnOrAfter;
+    const endIso = startsOnOrBefore || userDefaults.startsOnOrBefore;
+    try {
+      const appts = await listNonJobsInWindow(techId, startIso, endIso);
+      const listedIds = new Set(appts.map((appt) => String(appt.id)));
+      report.techniciansScanned += 1;
+      report.appointmentsScanned += appts.length;
+
+      const orphanAppts = appts.filter((appt) => isOwnedAppointment(appt) && !referenced.has(String(appt.id)));
+
+      const deadMappings = [];
+      const userMappings = mappings.filter((m) => m.outlook_upn === user.outlook_upn
+        && m.status !== 'DELETED'
+        && isMappingInRange(m, startIso, endIso));
+      for (const mapping of userMappings) {
+        const ids = parseJsonArray(mapping.st_nonjob_ids_json).map(String);
+        const missing = [];
+        for (const id of ids) {
+          // Blocks of multi-day events can start before the listed window.
+          if (listedIds.has(id)) continue;
+          if (!(await servicetitan.getNonJob(id))) missing.push(id);
+        }
+        if (missing.length === 0) continue;
+        deadMappings.push({
+          eventKey: mapping.outlook_event_id,
+          // Sheets row of the mapping, so a relink rewrites it instead of appending a duplicate.
+          rowIndex: mapping.rowIndex,
+          status: mapping.status,
+          appointmentIds: ids,
+          missingAppointmentIds: missing,
+          relinkCandidates: findRelinkCandidates(mapping, orphanAppts),
+        });
       }
 
-      console.log('cleanup.purge.tech.complete', { techId, totalForTech });
+      if (orphanAppts.length === 0 && deadMappings.length === 0) continue;
+      report.orphanAppointments += orphanAppts.length;
+      report.deadMappings += deadMappings.length;
+      report.technicians.push({
+        userUpn: user.outlook_upn,
+        technicianId: techId,
+        orphanAppointments: orphanAppts.map((appt) => ({
+          id: String(appt.id),
+          name: appt.name || '',
+          start: appt.start || null,
+          duration: appt.duration || null,
+        })),
+        deadMappings,
+      });
     } catch (error) {
-      summary.errors.push({
+      report.errors.push({
         technicianId: techId,
+        userUpn: user.outlook_upn,
         message: error.message,
       });
     }
   }
 
+  return report;
+}
+
+// Follow-up to findOrphans. Re-runs the report per technician (holding the user's sync lease unless it is a
+// dry run), so only records that are still orphaned are touched and a concurrent sync cannot race the fix.
+// - delete: deletes orphan appointments from ServiceTitan and marks EventMap rows whose appointments are all
+//   gone as DELETED (the next sync of the event creates new ones).
+// - relink: points each missing id of a dead EventMap row at an orphan appointment in the event's time range.
+// `appointmentIds` / `eventKeys` restrict the action to specific records.
+async function resolveOrphans(options = {}) {
+  const {
+    action = null,
+    appointmentIds = null,
+    eventKeys = null,
+    upns = null,
+    dryRun = true,
+    trigger = 'api',
+  } = options;
+
+  if (!ORPHAN_ACTIONS.includes(action)) {
+    throw createHttpError(`action must be one of ${ORPHAN_ACTIONS.join(', ')}`, 400);
+  }
+
+  const startedAt = new Date().toISOString();
+  const wanted = {
+    appointments: appointmentIds ? new Set(appointmentIds.map(String)) : null,
+    keys: eventKeys ? new Set(eventKeys.map(String)) : null,
+  };
+  const summary = {
+    action,
+    dryRun,
+    appointmentsDeleted: [],
+    mappingsDeleted: [],
+    mappingsRelinked: [],
+    skippedLocked: [],
+    errors: [],
+  };
+
+  for (const user of listOrphanScanUsers(await store.getTechMap(), upns)) {
+    const resolveUser = async () => {
+      const report = await findOrphans({ ...options, upns: [user.outlook_upn] });
+      summary.errors.push(...report.errors);
+      for (const tech of report.technicians) {
+        await resolveTechnicianOrphans(tech, action, wanted, dryRun, summary);
+      }
+    };
+    if (dryRun) {
+      await resolveUser();
+    } else {
+      await withUserLock(user.outlook_upn, summary, { coalesce: false }, resolveUser);
+    }
+  }
+
+  log.info('cleanup.orphans.resolve.complete', {
+    action,
+    dryRun,
+    appointmentsDeleted: summary.appointmentsDeleted.length,
+    mappingsDeleted: summary.mappingsDeleted.length,
+    mappingsRelinked: summary.mappingsRelinked.length,
+    skippedLocked: summary.skippedLocked.length,
+  });
+  if (!dryRun) {
+    await runs.recordRun({
+      type: 'orphans-resolve',
+      trigger,
+      summary,
+      actions: summary.appointmentsDeleted.map((entry) => ({
+        ...createAction('deleted', entry.appointmentId, 'orphan'),
+        userUpn: entry.userUpn,
+      })),
+      users: summary.mappingsRelinked.map((entry) => entry.userUpn),
+      startedAt,
+    });
+  }
   return summary;
 }
 
+async function resolveTechnicianOrphans(tech, action, wanted, dryRun, summary) {
+  const orphans = tech.orphanAppointments.filter((appt) => !wanted.appointments || wanted.appointments.has(appt.id));
+  const deadMappings = tech.deadMappings.filter((m) => !wanted.keys || wanted.keys.has(m.eventKey));
+
+  if (action === 'delete') {
+    for (const appt of orphans) {
+      try {
+        if (!dryRun) await servicetitan.deleteNonJob(appt.id);
+        summary.appointmentsDeleted.push({ userUpn: tech.userUpn, appointmentId: appt.id });
+      } catch (error) {
+        summary.errors.push({ userUpn: tech.userUpn, appointmentId: appt.id, message: error.message });
+      }
+    }
+    for (const mapping of deadMappings) {
+      // Rows that still have live appointments are left for the sync, which recreates missing blocks.
+      if (mapping.missingAppointmentIds.length !== mapping.appointmentIds.length) continue;
+      if (!dryRun) await store.deleteEventMapping(tech.userUpn, mapping.eventKey);
+      summary.mappingsDeleted.push({ userUpn: tech.userUpn, eventKey: mapping.eventKey });
+    }
+    return;
+  }
+
+  const available = new Set(orphans.map((appt) => appt.id));
+  for (const mapping of deadMappings) {
+    const nextIds = [...mapping.appointmentIds];
+    const relinked = [];
+    for (const missingId of mapping.missingAppointmentIds) {
+      const candidate = mapping.relinkCandidates.find((id) => available.has(id));
+      if (!candidate) break;
+      available.delete(candidate);
+      nextIds[nextIds.indexOf(missingId)] = candidate;
+      relinked.push({ from: missingId, to: candidate });
+    }
+    if (relinked.length === 0) continue;
+    if (!dryRun) {
+      // An empty hash makes the next sync of the event push the expected payload to the relinked records.
+      await store.updateEventMapping(tech.userUpn, mapping.eventKey, nextIds, '', mapping.status, mapping.rowIndex);
+    }
+    summary.mappingsRelinked.push({ userUpn: tech.userUpn, eventKey: mapping.eventKey, relinked });
+  }
+}
+
 async function resetSyncState(options = {}) {
   const {
     startsOnOrAfter = null,
@@ -280,49 +719,225 @@ async function resetSyncState(options = {}) {
     skipSheetsClear = false,
     includeDisabled = true,
     allTechnicians = false,
+    ownedOnly = false,
+    trigger = 'api',
   } = options;
 
+  const startedAt = new Date().toISOString();
+  const actions = [];
   const purgeSummary = await purgeNonJobsInWindow({
     startsOnOrAfter,
     startsOnOrBefore,
     dryRun,
     includeDisabled,
     allTechnicians,
+    ownedOnly,
+    snapshotMappings: !skipSheetsClear,
+    actions,
   });
 
   let sheetsCleared = false;
   const errors = [];
   if (!dryRun && !skipSheetsClear) {
     try {
-      // Clear mappings but keep headers.
-      await sheets.clearSheetRange('EventMap!A2:F');
-      await sheets.clearSheetRange('DeltaState!A2:E');
+      await store.clearEventMappings();
+      await store.clearDeltaStates();
       sheetsCleared = true;
     } catch (error) {
       errors.push({ message: error.message });
     }
   }
 
-  return {
+  const summary = {
     dryRun,
     purge: purgeSummary,
+    // Restore with POST /cleanup/restore { snapshotId }.
+    snapshot: purgeSummary.snapshot,
     sheetsCleared,
     errors,
   };
+  if (!dryRun) {
+    await runs.recordRun({
+      type: 'reset',
+      trigger,
+      summary: { ...summary, errors: [...purgeSummary.errors, ...errors] },
+      actions,
+      startedAt,
+    });
+  }
+  return summary;
+}
+
+async function clearSyncSheets(options = {}) {
+  const { trigger = 'api' } = options;
+  const startedAt = new Date().toISOString();
+  // Clears EventMap + DeltaState in whichever state backend is configured (Sheets keep their headers).
+  const mappings = await store.listEventMappings();
+  const snapshot = await snapshots.createSnapshot({
+    reason: 'clear-sheets',
+    mappings,
+  });
+  await store.clearEventMappings();
+  await store.clearDeltaStates();
+  await runs.recordRun({
+    type: 'clear-sheets',
+    trigger,
+    summary: { cleared: true, mappingsCleared: mappings.length, snapshot },
+    users: mappings.map((mapping) => mapping.outlook_upn),
+    startedAt,
+  });
+  return { cleared: true, snapshot };
+}
+
+function pointsAtSnapshotIds(current, mapping, newIds) {
+  const currentIds = parseJsonArray(current.st_nonjob_ids_json).map(String);
+  const snapshotIds = parseJsonArray(mapping.st_nonjob_ids_json).map(String);
+  return currentIds.length === snapshotIds.length
+    && currentIds.every((id, index) => id === snapshotIds[index] || id === newIds.get(snapshotIds[index]));
 }
 
-async function clearSyncSheets() {
-  // Clear mappings but keep headers.
-  await sheets.clearSheetRange('EventMap!A2:F');
-  await sheets.clearSheetRange('DeltaState!A2:E');
-  return { cleared: true };
+// Puts a snapshot back: recreates its appointments that no longer exist in ServiceTitan and rewrites its
+// EventMap rows with the new ids, in place when the row still exists (a purge, or a reset that kept EventMap).
+// DeltaState is not restored; the next sync starts a fresh delta and skips events whose restored hash still
+// matches.
+async function restoreSnapshot(options = {}) {
+  const { snapshotId = null, dryRun = true, trigger = 'api' } = options;
+  const startedAt = new Date().toISOString();
+  if (!snapshotId) {
+    throw createHttpError('snapshotId is required', 400);
+  }
+  const snapshot = await snapshots.readSnapshot(snapshotId);
+  if (!snapshot) {
+    throw createHttpError(`Snapshot ${snapshotId} not found`, 404);
+  }
+
+  // Ids recreated by earlier restores of this snapshot, so restoring twice does not duplicate appointments.
+  const previous = await store.getRecord(RESTORE_COLLECTION, snapshot.id);
+  const newIds = new Map(Object.entries((previous && previous.recreatedIds) || {}));
+
+  // Rows the sync has recreated since the snapshot win; restoring their old appointments would duplicate them.
+  // A live row that still points at the snapshot's appointments (or at their restored copies) is remapped.
+  const currentMappings = new Map(
+    (await store.listEventMappings()).map((m) => [`${m.outlook_upn}|${m.outlook_event_id}`, m]),
+  );
+  const mappingsToRestore = [];
+  const supersededIds = new Set();
+  for (const mapping of snapshot.mappings || []) {
+    const current = currentMappings.get(`${mapping.outlook_upn}|${mapping.outlook_event_id}`) || null;
+    if (current && current.status !== 'DELETED' && !pointsAtSnapshotIds(current, mapping, newIds)) {
+      parseJsonArray(mapping.st_nonjob_ids_json).forEach((id) => supersededIds.add(String(id)));
+      continue;
+    }
+    mappingsToRestore.push({ mapping, current });
+  }
+
+  const summary = {
+    snapshotId: snapshot.id,
+    reason: snapshot.reason,
+    createdAt: snapshot.createdAt,
+    dryRun,
+    appointmentsInSnapshot: (snapshot.appointments || []).length,
+    appointmentsRecreated: 0,
+    appointmentsStillPresent: 0,
+    appointmentsSuperseded: 0,
+    mappingsRestored: 0,
+    mappingsSuperseded: (snapshot.mappings || []).length - mappingsToRestore.length,
+    errors: [],
+  };
+
+  const createdIds = {};
+  const mappingIndex = indexMappingsByAppointmentId(snapshot.mappings || []);
+  const actions = [];
+  try {
+    for (const appt of snapshot.appointments || []) {
+      const id = String(appt.id);
+      if (supersededIds.has(id)) {
+        summary.appointmentsSuperseded += 1;
+        continue;
+      }
+      try {
+        // Partial purges (or a failed delete) leave some appointments in place.
+        if (await servicetitan.getNonJob(newIds.get(id) || id)) {
+          summary.appointmentsStillPresent += 1;
+          continue;
+        }
+        if (!dryRun) {
+          const newId = String(await servicetitan.createNonJob(appt));
+          newIds.set(id, newId);
+          createdIds[id] = newId;
+          actions.push(createAction('created', newId, `restore:${id}`, {
+            technicianId: appt.technicianId ?? null,
+            mapping: mappingIndex.get(id),
+          }));
+        }
+        summary.appointmentsRecreated += 1;
+      } catch (error) {
+        summary.errors.push({ appointmentId: id, message: error.message });
+      }
+    }
+  } finally {
+    if (Object.keys(createdIds).length > 0) {
+      await store.updateRecord(RESTORE_COLLECTION, snapshot.id, (current) => ({
+        snapshotId: snapshot.id,
+        recreatedIds: { ...((current && current.recreatedIds) || {}), ...createdIds },
+        updatedAt: new Date().toISOString(),
+      }));
+    }
+  }
+
+  for (const { mapping, current } of mappingsToRestore) {
+    const ids = parseJsonArray(mapping.st_nonjob_ids_json).map((id) => newIds.get(String(id)) || String(id));
+    try {
+      if (!dryRun) {
+        await store.updateEventMapping(
+          mapping.outlook_upn,
+          mapping.outlook_event_id,
+          ids,
+          mapping.last_hash,
+          mapping.status,
+          current ? current.rowIndex : undefined,
+        );
+      }
+      summary.mappingsRestored += 1;
+    } catch (error) {
+      summary.errors.push({ userUpn: mapping.outlook_upn, eventKey: mapping.outlook_event_id, message: error.message });
+    }
+  }
+
+  log.info('cleanup.restore.complete', {
+    snapshotId: summary.snapshotId,
+    dryRun,
+    appointmentsRecreated: summary.appointmentsRecreated,
+    mappingsRestored: summary.mappingsRestored,
+    errors: summary.errors.length,
+  });
+  if (!dryRun) {
+    await runs.recordRun({
+      type: 'restore',
+      trigger,
+      summary,
+      actions,
+      users: mappingsToRestore.map(({ mapping }) => mapping.outlook_upn),
+      startedAt,
+    });
+  }
+  return summary;
 }
 
 module.exports = {
   dedupeNonJobsThisWeekForward,
   purgeNonJobsInWindow,
+  purgeTechnicianNonJobs,
+  listPurgeTechnicianIds,
+  getTimezoneByTechId,
   resetSyncState,
   clearSyncSheets,
+  restoreSnapshot,
+  findOrphans,
+  resolveOrphans,
+  findRelinkCandidates,
+  isMappingInRange,
+  listNonJobsInWindow,
   toIsoAtTzDayStart,
   toIsoAtTzDayEnd,
 };
@@ -0,0 +1,62 @@
+// What drift reconciliation does with each kind of drift it finds in ServiceTitan. Configured globally with
+// DRIFT_REPAIR_POLICY and overridable per run; `report` only lists the drift.
+const DRIFT_REPAIR_ACTIONS = {
+  missing: ['recreate', 'report'],
+  edited: ['revert', 'report'],
+  unreferenced: ['delete', 'report'],
+};
+
+// Recreating and reverting is what the sync itself does when an event changes; deleting blocks nobody
+// references is opt-in.
+const DEFAULT_DRIFT_REPAIR_POLICY = {
+  missing: 'recreate',
+  edited: 'revert',
+  unreferenced: 'report',
+};
+
+/**
+ * Parses a drift repair policy (`{ missing, edited, unreferenced }`); types it omits keep the `base` action.
+ * @param {(string|object|null)} value - JSON text or an already-parsed object.
+ * @param {string} source - Where the policy came from, used in error messages.
+ * @param {object} [base] - Policy to fill in omitted types from (defaults to the built-in policy).
+ * @returns {{missing: string, edited: string, unreferenced: string}}
+ */
+function parseDriftRepairPolicy(value, source, base = DEFAULT_DRIFT_REPAIR_POLICY) {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    return { ...base };
+  }
+  let policy = value;
+  if (typeof value === 'string') {
+    try {
+      policy = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid ${source}: expected a JSON object (${error.message})`);
+    }
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`Invalid ${source}: expected a JSON object`);
+  }
+
+  const parsed = { ...base };
+  for (const [type, action] of Object.entries(policy)) {
+    if (!DRIFT_REPAIR_ACTIONS[type]) {
+      throw new Error(`Invalid ${source}: unknown drift type "${type}" (expected ${Object.keys(DRIFT_REPAIR_ACTIONS).join(', ')})`);
+    }
+    const normalized = String(action || '').trim().toLowerCase();
+    if (!DRIFT_REPAIR_ACTIONS[type].includes(normalized)) {
+      throw new Error(`Invalid ${source}: ${type} must be one of ${DRIFT_REPAIR_ACTIONS[type].join(', ')}`);
+    }
+    parsed[type] = normalized;
+  }
+  return parsed;
+}
+
+function getDriftRepairPolicy() {
+  return parseDriftRepairPolicy(process.env.DRIFT_REPAIR_POLICY, 'DRIFT_REPAIR_POLICY');
+}
+
+module.exports = {
+  DEFAULT_DRIFT_REPAIR_POLICY,
+  parseDriftRepairPolicy,
+  getDriftRepairPolicy,
+};
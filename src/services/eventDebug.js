@@ -0,0 +1,289 @@
+const { DateTime } = require('luxon');
+const graph = require('../api/graph');
+const servicetitan = require('../api/servicetitan');
+const store = require('./store');
+const {
+  normalizeGraphEvent,
+  getStableEventKey,
+  parseStableEventKey,
+} = require('../utils/normalize');
+const {
+  mapEventToServiceTitanPayloads,
+  diffPayload,
+  getShowAsPolicy,
+  getSyncHash,
+  getEventSyncDecision,
+  isMappingUpToDate,
+  validateMappingConfig,
+} = require('./mapping');
+const { getFilterRulesForUser, evaluateFilterRules } = require('./filters');
+const { isOwnedAppointment } = require('../utils/ownership');
+const { createHttpError } = require('../utils/errors');
+const { loadConfig } = require('../config');
+
+const config = loadConfig();
+
+// Read-only "why is (or isn't) this Outlook event in ServiceTitan?" lookup. Runs one event through the same
+// steps as the sync (normalize, filter rules, showAs policy, payload mapping, sync hash) and shows the EventMap
+// row and the ServiceTitan appointments it points at. Nothing is written.
+
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function getMappingGraphId(mapping) {
+  const match = String(mapping?.status || '').match(/gid=([^|]+)/);
+  return match ? match[1] : null;
+}
+
+function isActiveMapping(mapping) {
+  return Boolean(mapping) && mapping.status !== 'DELETED';
+}
+
+async function resolveByGraphId(userUpn, graphId) {
+  const rawEvent = await graph.getEvent(userUpn, graphId);
+  const event = rawEvent ? normalizeGraphEvent(rawEvent) : null;
+  let mapping = null;
+  if (event && event.start && event.end) {
+    mapping = await store.findEventMapping(userUpn, getStableEventKey(event));
+  }
+  return {
+    event,
+    mapping: mapping || await store.findEventMappingByGraphId(userUpn, graphId),
+  };
+}
+
+async function resolveByEventKey(userUpn, eventKey) {
+  const times = parseStableEventKey(eventKey);
+  if (!times) {
+    throw createHttpError('eventKey must be a stable key (<iCalUId>:<start>:<end>)', 400);
+  }
+  const mapping = await store.findEventMapping(userUpn, eventKey);
+  const events = await graph.getCalendarViewEvents(userUpn, times.start, times.end);
+  let event = events.map(normalizeGraphEvent).find((candidate) => getStableEventKey(candidate) === eventKey) || null;
+  const mappedGraphId = getMappingGraphId(mapping);
+  if (!event && mappedGraphId) {
+    // Moved in Outlook: the event now has a different stable key than the row.
+    const rawEvent = await graph.getEvent(userUpn, mappedGraphId);
+    event = rawEvent ? normalizeGraphEvent(rawEvent) : null;
+  }
+  return { event, mapping };
+}
+
+async function resolveByICalUId(userUpn, iCalUId) {
+  const events = (await graph.findEventsByICalUId(userUpn, iCalUId)).map(normalizeGraphEvent);
+  const mappings = (await store.listEventMappings())
+    .filter((mapping) => mapping.outlook_upn === userUpn && mapping.outlook_event_id.startsWith(`${iCalUId}:`));
+  const keys = new Set([
+    ...events.filter((event) => event.start && event.end).map(getStableEventKey),
+    ...mappings.map((mapping) => mapping.outlook_event_id),
+  ]);
+  if (keys.size > 1) {
+    throw createHttpError(`iCalUId ${iCalUId} matches ${keys.size} events; pass eventKey, one of: ${[...keys].join(', ')}`, 400);
+  }
+  if (keys.size === 0) {
+    return { event: events[0] || null, mapping: null };
+  }
+  const [key] = keys;
+  return {
+    event: events.find((event) => getStableEventKey(event) === key) || null,
+    mapping: mappings.find((mapping) => mapping.outlook_event_id === key) || null,
+  };
+}
+
+function isInSyncWindow(event, nowMs) {
+  const now = DateTime.fromMillis(nowMs, { zone: 'utc' });
+  return Date.parse(event.start) < now.plus({ days: config.syncWindowFutureDays }).toMillis()
+    && Date.parse(event.end) > now.minus({ days: config.syncWindowPastDays }).toMillis();
+}
+
+// Free text is masked for private events, as in the payload names.
+function describeEvent(event) {
+  if (!event || !event.isPrivate) {
+    return event;
+  }
+  return {
+    ...event,
+    subject: '[private]',
+    location: '[private]',
+    bodyPreview: '[private]',
+    attendees: `${event.attendees.length} attendee(s)`,
+  };
+}
+
+async function describeAppointments(mapping, payloads) {
+  const appointmentIds = isActiveMapping(mapping) ? parseJsonArray(mapping.st_nonjob_ids_json) : [];
+  const appointments = [];
+  for (let index = 0; index < appointmentIds.length; index += 1) {
+    const appointmentId = appointmentIds[index];
+    const appointment = await servicetitan.getNonJob(appointmentId);
+    appointments.push({
+      appointmentId,
+      found: Boolean(appointment),
+      owned: appointment ? isOwnedAppointment(appointment) : null,
+      // Fields the next update would change; null when this block is no longer in the payloads.
+      changes: appointment && payloads && payloads[index] ? diffPayload(appointment, payloads[index]) : null,
+      appointment,
+    });
+  }
+  return appointments;
+}
+
+// The sync's own decision (getEventSyncDecision, isMappingUpToDate), explained.
+function getDecision({ userConfig, event, mapping, syncDecision, syncHash }) {
+  const mapped = isActiveMapping(mapping);
+  if (!event) {
+    return mapped
+      ? { code: 'event_not_found', explanation: 'Not found in Outlook, but EventMap still points at ServiceTitan appointments. The delta sync deletes them when Graph reports the deletion; otherwise drift reconciliation or the orphan report picks them up.' }
+      : { code: 'event_not_found', explanation: 'Not found in Outlook (deleted, or not in this mailbox).' };
+  }
+  if (!userConfig.enabled) {
+    return { code: 'user_disabled', explanation: 'The technician is disabled in TechMap, so their calendar is not synced.' };
+  }
+  const deletes = mapped ? ' The next sync deletes its ServiceTitan appointments.' : '';
+  if (syncDecision.reason === 'missing_times') {
+    return { code: 'skipped_missing_times', explanation: 'The event has no usable start/end and is skipped.' };
+  }
+  if (syncDecision.reason === 'excluded_by_filter') {
+    return { code: 'excluded_by_filter', explanation: `Excluded by filter rule "${syncDecision.rule}".${deletes}` };
+  }
+  if (!syncDecision.sync) {
+    return {
+      code: 'skipped_show_as',
+      explanation: `Skipped: showAs is "${event.showAs}" and its policy is "${getShowAsPolicy(event.showAs).action}".${deletes}`,
+    };
+  }
+  const reason = syncDecision.reason === 'included_by_filter'
+    ? `included by filter rule "${syncDecision.rule}"`
+    : `showAs "${event.showAs}" is synced`;
+  if (!mapped) {
+    return { code: 'pending_create', explanation: `Should be synced (${reason}) but has no EventMap row yet; the next sync that sees it creates the appointments.` };
+  }
+  if (!isMappingUpToDate(mapping, syncHash)) {
+    return { code: 'pending_update', explanation: `Synced (${reason}), but the event or payload policy changed since; the next sync that sees it updates the appointments.` };
+  }
+  return { code: 'synced', explanation: `Synced (${reason}) and up to date.` };
+}
+
+/**
+ * Explains how the sync handles one Outlook event.
+ * @param {object} query
+ * @param {string} query.upn - Technician's Outlook UPN.
+ * @param {string} [query.graphId] - Graph event id.
+ * @param {string} [query.iCalUId] - Ignored when `graphId` is given.
+ * @param {string} [query.eventKey] - EventMap stable key (`<iCalUId>:<start>:<end>`); ignored when `graphId` or
+ *        `iCalUId` is given.
+ * @returns {Promise<object>}
+ */
+async function explainEvent({ upn, graphId = null, iCalUId = null, eventKey = null }) {
+  const userUpn = String(upn || '').trim().toLowerCase();
+  if (!userUpn) {
+    throw createHttpError('upn is required', 400);
+  }
+  if (!graphId && !iCalUId && !eventKey) {
+    throw createHttpError('one of graphId, iCalUId or eventKey is required', 400);
+  }
+  const userConfig = (await store.getTechMap()).find((user) => user.outlook_upn.toLowerCase() === userUpn);
+  if (!userConfig) {
+    throw createHttpError(`${userUpn} is not in TechMap`, 404);
+  }
+
+  let lookup;
+  let resolved;
+  if (graphId) {
+    lookup = { graphId };
+    resolved = await resolveByGraphId(userConfig.outlook_upn, graphId);
+  } else if (iCalUId) {
+    lookup = { iCalUId };
+    resolved = await resolveByICalUId(userConfig.outlook_upn, iCalUId);
+  } else {
+    lookup = { eventKey };
+    resolved = await resolveByEventKey(userConfig.outlook_upn, eventKey);
+  }
+  const { event } = resolved;
+  const stableKey = event && event.start && event.end ? getStableEventKey(event) : null;
+  // A row found through an older key or the gid marker belongs to the event's previous times; the sync
+  // looks the event up by its current key only.
+  let mapping = resolved.mapping;
+  let previousMapping = null;
+  if (mapping && stableKey && mapping.outlook_event_id !== stableKey) {
+    previousMapping = mapping;
+    mapping = await store.findEventMapping(userConfig.outlook_upn, stableKey);
+  }
+
+  const result = {
+    upn: userConfig.outlook_upn,
+    technicianId: userConfig.st_technician_id,
+    lookup,
+    decision: null,
+    notes: [],
+    event: describeEvent(event),
+    stableKey,
+    filter: null,
+    showAsPolicy: null,
+    payloads: null,
+    syncHash: null,
+    mapping,
+    previousMapping,
+    appointments: [],
+  };
+
+  let syncDecision = { sync: false, reason: 'missing_times' };
+  if (event && event.start && event.end) {
+    try {
+      validateMappingConfig(userConfig);
+    } catch (error) {
+      // The sync fails every event of this user the same way.
+      result.decision = { code: 'invalid_config', explanation: error.message };
+      result.appointments = await describeAppointments(mapping, null);
+      return result;
+    }
+    result.filter = evaluateFilterRules(getFilterRulesForUser(userConfig), event);
+    result.showAsPolicy = { showAs: event.showAs, ...getShowAsPolicy(event.showAs) };
+    result.payloads = mapEventToServiceTitanPayloads(event, userConfig);
+    result.syncHash = getSyncHash(event, result.payloads);
+    syncDecision = getEventSyncDecision(event, result.filter);
+  }
+
+  result.decision = getDecision({
+    userConfig,
+    event,
+    mapping,
+    syncDecision,
+    syncHash: result.syncHash,
+  });
+  result.appointments = mapping || !previousMapping
+    ? await describeAppointments(mapping, result.payloads)
+    : await describeAppointments(previousMapping, null);
+
+  if (event && event.isPrivate) {
+    result.notes.push('Private event: ServiceTitan names use ST_PRIVATE_NAME_TEMPLATE and never the subject, location or organizer.');
+  }
+  if (event && event.start && event.end && !isInSyncWindow(event, Date.now())) {
+    result.notes.push(`Outside the delta sync window (${config.syncWindowPastDays} days back, ${config.syncWindowFutureDays} ahead); only a backfill covering its dates syncs it.`);
+  }
+  if (previousMapping) {
+    result.notes.push(`The event moved since it was mapped: EventMap has ${previousMapping.outlook_event_id}, the event is now ${stableKey}.`);
+  }
+  if (mapping && mapping.status === 'DELETED') {
+    result.notes.push('The EventMap row is marked DELETED: its appointments were removed by an earlier sync.');
+  }
+  const missing = result.appointments.filter((entry) => !entry.found);
+  if (missing.length > 0) {
+    result.notes.push(`${missing.length} mapped appointment(s) no longer exist in ServiceTitan (deleted by a dispatcher?); drift reconciliation repairs this.`);
+  }
+  if (result.appointments.some((entry) => entry.changes && entry.changes.length > 0)) {
+    result.notes.push('Some appointments differ from what the sync would send (edited in ServiceTitan, or a policy changed); see `changes`.');
+  }
+  return result;
+}
+
+module.exports = {
+  explainEvent,
+  getDecision,
+};
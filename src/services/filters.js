@@ -0,0 +1,187 @@
+// Include/exclude rules evaluated before the showAs policy. Rules come from EVENT_FILTER_RULES (all
+// technicians) and the TechMap `filter_rules` column (one technician); a technician's rules are
+// checked first, then the global ones, and the first matching rule decides.
+const FILTER_ACTIONS = ['include', 'exclude'];
+
+const CONDITION_KEYS = [
+  'showAs',
+  'categories',
+  'subject',
+  'subjectRegex',
+  'organizer',
+  'minAttendees',
+  'maxAttendees',
+  'minDurationMinutes',
+  'maxDurationMinutes',
+  'isAllDay',
+  'sensitivity',
+];
+
+function createFilterError(message, source) {
+  return new Error(`Invalid ${source}: ${message}`);
+}
+
+function toLowerList(value, key, source) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw createFilterError(`${key} must be a string or an array of strings`, source);
+  }
+  return list.map((item) => item.trim().toLowerCase());
+}
+
+function toNonNegativeNumber(value, key, source) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw createFilterError(`${key} must be a non-negative number`, source);
+  }
+  return value;
+}
+
+function compileRule(rule, index, source) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw createFilterError(`rule ${index} must be an object`, source);
+  }
+  const action = String(rule.action || '').trim().toLowerCase();
+  if (!FILTER_ACTIONS.includes(action)) {
+    throw createFilterError(`rule ${index} action must be one of ${FILTER_ACTIONS.join(', ')}`, source);
+  }
+  const unknownKeys = Object.keys(rule).filter((key) => key !== 'action' && key !== 'name' && !CONDITION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw createFilterError(`rule ${index} has unknown condition(s) ${unknownKeys.join(', ')}`, source);
+  }
+
+  const compiled = {
+    name: rule.name ? String(rule.name) : `${source}[${index}]`,
+    action,
+  };
+  if (rule.showAs !== undefined) compiled.showAs = toLowerList(rule.showAs, 'showAs', source);
+  if (rule.categories !== undefined) compiled.categories = toLowerList(rule.categories, 'categories', source);
+  if (rule.subject !== undefined) compiled.subject = toLowerList(rule.subject, 'subject', source);
+  if (rule.organizer !== undefined) compiled.organizer = toLowerList(rule.organizer, 'organizer', source);
+  if (rule.sensitivity !== undefined) compiled.sensitivity = toLowerList(rule.sensitivity, 'sensitivity', source);
+  if (rule.subjectRegex !== undefined) {
+    try {
+      compiled.subjectRegex = new RegExp(String(rule.subjectRegex), 'i');
+    } catch (error) {
+      throw createFilterError(`rule ${index} subjectRegex: ${error.message}`, source);
+    }
+  }
+  for (const key of ['minAttendees', 'maxAttendees', 'minDurationMinutes', 'maxDurationMinutes']) {
+    if (rule[key] !== undefined) compiled[key] = toNonNegativeNumber(rule[key], key, source);
+  }
+  if (rule.isAllDay !== undefined) {
+    if (typeof rule.isAllDay !== 'boolean') {
+      throw createFilterError(`rule ${index} isAllDay must be true or false`, source);
+    }
+    compiled.isAllDay = rule.isAllDay;
+  }
+  return compiled;
+}
+
+/**
+ * Parses and validates a JSON array of filter rules.
+ * @param {(string|Array<object>|null)} value - JSON text or an already-parsed array.
+ * @param {string} source - Where the rules came from, used in error messages and default rule names.
+ * @returns {Array<object>} Compiled rules (empty when `value` is blank).
+ */
+function parseFilterRules(value, source) {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    return [];
+  }
+  let rules = value;
+  if (typeof value === 'string') {
+    try {
+      rules = JSON.parse(value);
+    } catch (error) {
+      throw createFilterError(`expected a JSON array of rules (${error.message})`, source);
+    }
+  }
+  if (!Array.isArray(rules)) {
+    throw createFilterError('expected a JSON array of rules', source);
+  }
+  return rules.map((rule, index) => compileRule(rule, index, source));
+}
+
+let globalRulesCache = { raw: null, rules: [] };
+
+function getGlobalFilterRules() {
+  const raw = process.env.EVENT_FILTER_RULES || '';
+  if (globalRulesCache.raw !== raw) {
+    globalRulesCache = { raw, rules: parseFilterRules(raw, 'EVENT_FILTER_RULES') };
+  }
+  return globalRulesCache.rules;
+}
+
+/**
+ * Effective rules for one technician: TechMap `filter_rules` first, then EVENT_FILTER_RULES.
+ * Throws on invalid rules so a typo never deletes appointments.
+ * @param {object} userConfig - TechMap row.
+ * @returns {Array<object>} Compiled rules.
+ */
+function getFilterRulesForUser(userConfig) {
+  const userRules = parseFilterRules(userConfig.filter_rules, `TechMap filter_rules for ${userConfig.outlook_upn}`);
+  return [...userRules, ...getGlobalFilterRules()];
+}
+
+function getDurationMinutes(event) {
+  const startMs = Date.parse(event.start);
+  const endMs = Date.parse(event.end);
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) {
+    return null;
+  }
+  return (endMs - startMs) / 60_000;
+}
+
+function matchesOrganizer(patterns, organizer) {
+  const address = String(organizer || '').toLowerCase();
+  if (!address) {
+    return false;
+  }
+  // `@example.com` matches a whole domain; anything else is an exact address.
+  return patterns.some((pattern) => (pattern.startsWith('@') ? address.endsWith(pattern) : address === pattern));
+}
+
+function matchesRule(rule, event) {
+  if (rule.showAs && !rule.showAs.includes(String(event.showAs || '').toLowerCase())) return false;
+  if (rule.categories) {
+    const categories = (event.categories || []).map((category) => String(category).toLowerCase());
+    if (!rule.categories.some((category) => categories.includes(category))) return false;
+  }
+  if (rule.subject) {
+    const subject = String(event.subject || '').toLowerCase();
+    if (!rule.subject.some((needle) => subject.includes(needle))) return false;
+  }
+  if (rule.subjectRegex && !rule.subjectRegex.test(String(event.subject || ''))) return false;
+  if (rule.organizer && !matchesOrganizer(rule.organizer, event.organizer)) return false;
+
+  const attendeeCount = (event.attendees || []).length;
+  if (rule.minAttendees !== undefined && attendeeCount < rule.minAttendees) return false;
+  if (rule.maxAttendees !== undefined && attendeeCount > rule.maxAttendees) return false;
+
+  if (rule.minDurationMinutes !== undefined || rule.maxDurationMinutes !== undefined) {
+    const minutes = getDurationMinutes(event);
+    if (minutes === null) return false;
+    if (rule.minDurationMinutes !== undefined && minutes < rule.minDurationMinutes) return false;
+    if (rule.maxDurationMinutes !== undefined && minutes > rule.maxDurationMinutes) return false;
+  }
+
+  if (rule.isAllDay !== undefined && Boolean(event.isAllDay) !== rule.isAllDay) return false;
+  if (rule.sensitivity && !rule.sensitivity.includes(String(event.sensitivity || 'normal').toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Finds the first rule matching a normalized event.
+ * @param {Array<object>} rules - Compiled rules from parseFilterRules/getFilterRulesForUser.
+ * @param {object} event - Normalized event.
+ * @returns {({action: string, rule: string}|null)} The decision, or null to fall back to the showAs policy.
+ */
+function evaluateFilterRules(rules, event) {
+  const rule = rules.find((candidate) => matchesRule(candidate, event));
+  return rule ? { action: rule.action, rule: rule.name } : null;
+}
+
+module.exports = {
+  parseFilterRules,
+  getFilterRulesForUser,
+  evaluateFilterRules,
+};
@@ -0,0 +1,136 @@
+const { PubSub } = require('@google-cloud/pubsub');
+const graph = require('../api/graph');
+const servicetitan = require('../api/servicetitan');
+const store = require('./store');
+const subscriptions = require('./subscriptions');
+const { loadConfig } = require('../config');
+const log = require('../utils/logger');
+
+const config = loadConfig();
+
+// Deep readiness check behind GET /health/deep. Unlike GET /health (answered in src/index.js before Express),
+// every check talks to the dependency it names, so revoked credentials or a missing topic show up here before
+// the next sync fails on them.
+const CHECK_TIMEOUT_MS = 10_000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A check resolves to optional details (with `status: 'warn'` for a degraded result) or throws.
+async function runCheck(name, check) {
+  const startMs = Date.now();
+  try {
+    const { status = 'ok', ...details } = (await withTimeout(check(), CHECK_TIMEOUT_MS)) || {};
+    return { name, status, latencyMs: Date.now() - startMs, ...details };
+  } catch (error) {
+    return { name, status: 'error', latencyMs: Date.now() - startMs, error: error.message };
+  }
+}
+
+async function checkGraphToken() {
+  await graph.getGraphAccessToken({ skipCache: true });
+}
+
+async function checkServiceTitanToken() {
+  await servicetitan.refreshAccessToken();
+}
+
+async function checkServiceTitanApi() {
+  const technicians = await servicetitan.listTechnicians({ pageSize: 1 });
+  return { sample: technicians.length };
+}
+
+async function checkStore() {
+  if (config.stateBackend !== 'sheets') {
+    const techMap = await store.getTechMap();
+    return { backend: config.stateBackend, technicians: techMap.length };
+  }
+  // The store is the Sheets module itself on this backend.
+  const problems = await store.validateSheetHeaders();
+  if (problems.length > 0) {
+    throw new Error(`Sheet headers do not match: ${problems.join('; ')}`);
+  }
+  return { backend: 'sheets' };
+}
+
+async function checkPubSubTopic() {
+  const [exists] = await new PubSub().topic(config.pubsubTopic).exists();
+  if (!exists) {
+    throw new Error(`Topic ${config.pubsubTopic} does not exist`);
+  }
+  return { topic: config.pubsubTopic };
+}
+
+// Works from the subscription records, like the renewal. A subscription is due for renewal within
+// SUBSCRIPTION_RENEW_BEFORE_HOURS of its expiry; less than half of that left means renewal has stopped working.
+async function checkGraphSubscriptions() {
+  const { users: statuses, renewBeforeHours } = await subscriptions.listSubscriptionStatus();
+  const users = statuses.filter((user) => user.enabled).map((user) => {
+    let { status } = user;
+    if (status === 'expiring' && user.hoursLeft < renewBeforeHours / 2) {
+      status = 'overdue';
+    }
+    return {
+      upn: user.upn,
+      status,
+      subscriptionId: user.subscriptionId,
+      expiresAt: user.expiresAt,
+      hoursLeft: user.hoursLeft,
+    };
+  });
+  const broken = users.filter((user) => user.status === 'missing' || user.status === 'expired');
+  if (broken.length > 0) {
+    return { status: 'error', error: `No active subscription for ${broken.map((user) => user.upn).join(', ')}`, users };
+  }
+  return { status: users.some((user) => user.status === 'overdue') ? 'warn' : 'ok', users };
+}
+
+const CHECKS = {
+  graph_token: checkGraphToken,
+  servicetitan_token: checkServiceTitanToken,
+  servicetitan_api: checkServiceTitanApi,
+  state_store: checkStore,
+  pubsub_topic: checkPubSubTopic,
+  graph_subscriptions: checkGraphSubscriptions,
+};
+
+/**
+ * Runs every dependency check in parallel.
+ * @returns {Promise<{status: string, checkedAt: string, durationMs: number, checks: Array<object>}>}
+ *          `status` is `ok`, `degraded` (a check warned) or `error` (a check failed). Each check has `name`,
+ *          `status` (`ok`, `warn` or `error`), `latencyMs`, `error` when it failed, and check-specific details.
+ */
+async function runDeepHealthCheck() {
+  const startMs = Date.now();
+  const checks = await Promise.all(Object.entries(CHECKS).map(([name, check]) => runCheck(name, check)));
+  let status = 'ok';
+  if (checks.some((check) => check.status === 'error')) {
+    status = 'error';
+  } else if (checks.some((check) => check.status === 'warn')) {
+    status = 'degraded';
+  }
+  const result = {
+    status,
+    checkedAt: new Date(startMs).toISOString(),
+    durationMs: Date.now() - startMs,
+    checks,
+  };
+  const failed = checks.filter((check) => check.status !== 'ok').map((check) => check.name);
+  if (failed.length > 0) {
+    log.warn('health.deep.failed', { status, failed });
+  } else {
+    log.info('health.deep.ok', { durationMs: result.durationMs });
+  }
+  return result;
+}
+
+module.exports = {
+  runDeepHealthCheck,
+  runCheck,
+  withTimeout,
+};
@@ -0,0 +1,175 @@
+// Record transitions for background jobs (see jobs.js). Every function returns a new record computed only
+// from its inputs, so they are safe inside store.updateRecord mutators that Firestore may retry.
+//
+// A job is a list of steps (one technician, one user, ...). Finished steps are never re-run; a resumed job
+// retries failed steps and continues with pending ones. Steps can save `state` while they run so a retry
+// after a crash can pick up where the previous attempt stopped.
+const MAX_JOB_ERRORS = 100;
+
+/**
+ * @param {object} fields
+ * @param {string} fields.id
+ * @param {string} fields.type - Job type (e.g. `backfill`).
+ * @param {object} fields.options - Resolved options; a resumed job reuses them unchanged.
+ * @param {Array<string>} fields.stepKeys - Step keys in execution order.
+ * @param {object} fields.summary - Initial (empty) summary for the job type.
+ * @param {Array<object>} [fields.errors] - Errors found while planning (e.g. unknown users).
+ * @param {string} nowIso
+ * @returns {object}
+ */
+function createJobRecord({ id, type, options, stepKeys, summary, errors = [] }, nowIso) {
+  return {
+    id,
+    type,
+    status: 'queued',
+    options,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+    startedAt: null,
+    finishedAt: null,
+    attempts: 0,
+    lease: null,
+    steps: stepKeys.map((key) => ({ key, status: 'pending', attempts: 0, error: null, state: null })),
+    summary,
+    errors: errors.slice(0, MAX_JOB_ERRORS),
+    errorCount: errors.length,
+  };
+}
+
+function isLeaseLive(job, nowMs) {
+  return Boolean(job.lease) && Date.parse(job.lease.expiresAt) > nowMs;
+}
+
+function isOwner(job, owner) {
+  return Boolean(job.lease) && job.lease.owner === owner;
+}
+
+function renewLease(job, owner, nowMs, leaseMs) {
+  return {
+    ...job,
+    lease: { owner, expiresAt: new Date(nowMs + leaseMs).toISOString() },
+    updatedAt: new Date(nowMs).toISOString(),
+  };
+}
+
+/**
+ * Takes over a job for `owner`. Returns undefined (no change) if the job is finished or another runner
+ * still holds a live lease. Failed steps go back to pending so they are retried.
+ */
+function claimJob(job, owner, nowMs, leaseMs) {
+  if (!job || job.status === 'completed' || isLeaseLive(job, nowMs)) {
+    return undefined;
+  }
+  const claimed = renewLease(job, owner, nowMs, leaseMs);
+  return {
+    ...claimed,
+    status: 'running',
+    startedAt: job.startedAt || claimed.updatedAt,
+    finishedAt: null,
+    attempts: job.attempts + 1,
+    steps: job.steps.map((step) => (step.status === 'failed' ? { ...step, status: 'pending' } : step)),
+  };
+}
+
+function updateStep(job, stepKey, update) {
+  return {
+    ...job,
+    steps: job.steps.map((step) => (step.key === stepKey ? { ...step, ...update } : step)),
+  };
+}
+
+// The remaining transitions return undefined when `owner` lost the lease, so a runner whose lease expired
+// cannot overwrite the progress of the runner that took over.
+
+function heartbeat(job, owner, nowMs, leaseMs) {
+  if (!job || !isOwner(job, owner)) return undefined;
+  return renewLease(job, owner, nowMs, leaseMs);
+}
+
+function startStep(job, owner, stepKey, nowMs, leaseMs) {
+  if (!job || !isOwner(job, owner)) return undefined;
+  const step = job.steps.find((entry) => entry.key === stepKey);
+  return updateStep(renewLease(job, owner, nowMs, leaseMs), stepKey, { attempts: step.attempts + 1 });
+}
+
+function saveStepState(job, owner, stepKey, state, nowMs, leaseMs) {
+  if (!job || !isOwner(job, owner)) return undefined;
+  return updateStep(renewLease(job, owner, nowMs, leaseMs), stepKey, { state });
+}
+
+/**
+ * Marks a step done and folds its result into the job summary with the job type's `merge(summary, result)`.
+ * `result.errors` (non-fatal errors inside the step) are appended to the job errors.
+ */
+function completeStep(job, owner, stepKey, result, merge, nowMs, leaseMs) {
+  if (!job || !isOwner(job, owner)) return undefined;
+  const step = job.steps.find((entry) => entry.key === stepKey);
+  if (!step || step.status === 'done') return undefined;
+  const next = updateStep(renewLease(job, owner, nowMs, leaseMs), stepKey, { status: 'done', error: null });
+  return addErrors({ ...next, summary: merge(job.summary, result) }, result.errors || []);
+}
+
+function failStep(job, owner, stepKey, message, nowMs, leaseMs) {
+  if (!job || !isOwner(job, owner)) return undefined;
+  const next = updateStep(renewLease(job, owner, nowMs, leaseMs), stepKey, { status: 'failed', error: message });
+  return addErrors(next, [{ step: stepKey, message }]);
+}
+
+function addErrors(job, errors) {
+  if (errors.length === 0) return job;
+  return {
+    ...job,
+    errors: [...job.errors, ...errors].slice(0, MAX_JOB_ERRORS),
+    errorCount: job.errorCount + errors.length,
+  };
+}
+
+/**
+ * Releases the lease. The job is `completed` when every step is done, otherwise `incomplete` (resumable).
+ */
+function finishJob(job, owner, nowMs) {
+  if (!job || !isOwner(job, owner)) return undefined;
+  const nowIso = new Date(nowMs).toISOString();
+  return {
+    ...job,
+    status: job.steps.every((step) => step.status === 'done') ? 'completed' : 'incomplete',
+    lease: null,
+    updatedAt: nowIso,
+    finishedAt: nowIso,
+  };
+}
+
+/**
+ * Public view of a job: progress counts, and `interrupted` instead of `running` when the runner's lease
+ * expired (the instance crashed or was shut down), which means it can be resumed.
+ */
+function describeJob(job, nowMs) {
+  const count = (status) => job.steps.filter((step) => step.status === status).length;
+  const interrupted = job.status === 'running' && !isLeaseLive(job, nowMs);
+  return {
+    ...job,
+    status: interrupted ? 'interrupted' : job.status,
+    // A queued job whose runner never claimed it (the instance stopped right after accepting it) can be
+    // resumed as well.
+    resumable: interrupted || job.status === 'incomplete' || (job.status === 'queued' && !job.lease),
+    progress: {
+      stepsTotal: job.steps.length,
+      stepsDone: count('done'),
+      stepsFailed: count('failed'),
+      stepsPending: count('pending'),
+    },
+  };
+}
+
+module.exports = {
+  MAX_JOB_ERRORS,
+  createJobRecord,
+  claimJob,
+  heartbeat,
+  startStep,
+  saveStepState,
+  completeStep,
+  failStep,
+  finishJob,
+  describeJob,
+};
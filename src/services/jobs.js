@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const os = require('os');
+const store = require('./store');
+const jobState = require('./jobState');
+const syncService = require('./sync');
+const cleanupService = require('./cleanup');
+const { notifyFailure } = require('./alerts');
+const { loadConfig } = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { getDefaultTimezone } = require('../utils/time');
+const log = require('../utils/logger');
+const { createHttpError } = require('../utils/errors');
+
+const config = loadConfig();
+
+// Background jobs for work that can outlive a Cloud Run request (backfills, purges/resets). The endpoint
+// stores the job in the `jobs` record collection and returns its id; the accepting instance then runs the
+// steps (one per user or technician) and checkpoints each one. The runner holds a lease that it renews
+// while it works: if the instance dies, the lease expires, GET /jobs/:id reports the job as interrupted and
+// POST /jobs/:id/resume continues with the steps that are not done yet.
+const JOB_COLLECTION = 'jobs';
+const JOB_LEASE_MS = 5 * 60_000;
+const JOB_HEARTBEAT_MS = 60_000;
+
+function createOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+}
+
+function rejectDryRun(options) {
+  if (options.dryRun) {
+    // Dry runs only read, and their per-user plans are too large for a job record.
+    throw createHttpError('Background jobs do not support dryRun; pass "dryRun": false or drop "async"', 400);
+  }
+}
+
+const backfillJob = {
+  concurrency: () => config.syncUserConcurrency,
+
+  async plan(options) {
+    rejectDryRun(options);
+    const { upns = null } = options;
+    // Resolved once, so a resumed job covers the same window even if it resumes days later.
+    const window = syncService.resolveBackfillWindow(options);
+    if (upns !== null && !Array.isArray(upns)) {
+      throw createHttpError('upns must be an array of user principal names', 400);
+    }
+    const { users, errors } = await syncService.listBackfillUsers(upns);
+    return {
+      options: { window, upns },
+      stepKeys: users.map((user) => user.outlook_upn),
+      summary: {
+        window,
+        calendarsProcessed: 0,
+        eventsFetched: 0,
+        eventsUpserted: 0,
+        eventsSkipped: 0,
+        resyncs: 0,
+      },
+      errors,
+    };
+  },
+
+  async runStep(job, step) {
+    const techMap = await store.getTechMap();
+    const userConfig = techMap.find((user) => user.enabled && user.outlook_upn === step.key);
+    if (!userConfig) {
+      throw new Error('User is not enabled in TechMap');
+    }
+    const userSummary = await syncService.runBackfillForUser(userConfig, job.options.window, {
+      trigger: `job:${job.id}`,
+      record: true,
+    });
+    if (userSummary.skippedLocked.length > 0) {
+      // A delta sync holds the user's lease; leave the step for a resume instead of reporting it done.
+      throw new Error('User is locked by another sync run');
+    }
+    return userSummary;
+  },
+
+  merge(summary, userSummary) {
+    return {
+      ...summary,
+      calendarsProcessed: summary.calendarsProcessed + userSummary.calendarsProcessed,
+      eventsFetched: summary.eventsFetched + userSummary.eventsFetched,
+      eventsUpserted: summary.eventsUpserted + userSummary.eventsUpserted,
+      eventsSkipped: summary.eventsSkipped + userSummary.eventsSkipped,
+      resyncs: summary.resyncs + userSummary.resyncs.length,
+    };
+  },
+};
+
+const CLEAR_STATE_STEP = 'clear-state';
+
+// Same as POST /cleanup/reset: purge each technician, then clear EventMap + DeltaState. Each technician
+// step takes its own snapshot (appointments plus that technician's EventMap rows), so every snapshot can be
+// restored on its own.
+const resetJob = {
+  concurrency: () => 1,
+
+  async plan(options) {
+    rejectDryRun(options);
+    const {
+      startsOnOrAfter = null,
+      startsOnOrBefore = null,
+      includeDisabled = true,
+      allTechnicians = false,
+      ownedOnly = false,
+      skipSheetsClear = false,
+    } = options;
+    const techMap = await store.getTechMap();
+    const techIds = await cleanupService.listPurgeTechnicianIds(techMap, { includeDisabled, allTechnicians });
+    return {
+      options: { startsOnOrAfter, startsOnOrBefore, includeDisabled, allTechnicians, ownedOnly, skipSheetsClear },
+      stepKeys: [
+        ...techIds.map((techId) => `technician:${techId}`),
+        ...(skipSheetsClear ? [] : [CLEAR_STATE_STEP]),
+      ],
+      summary: {
+        techniciansTargeted: techIds.length,
+        techniciansProcessed: 0,
+        appointmentsFound: 0,
+        appointmentsNotOwned: 0,
+        appointmentsToDelete: 0,
+        deleted: 0,
+        snapshots: [],
+        sheetsCleared: false,
+      },
+    };
+  },
+
+  async runStep(job, step, context) {
+    if (step.key === CLEAR_STATE_STEP) {
+      const unfinished = job.steps.filter((entry) => entry.key !== CLEAR_STATE_STEP && entry.status !== 'done');
+      if (unfinished.length > 0) {
+        // Clearing EventMap while appointments are left would make the next sync create duplicates.
+        throw new Error(`${unfinished.length} technician(s) not purged yet; EventMap and DeltaState were kept`);
+      }
+      const { snapshot } = await cleanupService.clearSyncSheets({ trigger: `job:${job.id}` });
+      return { sheetsCleared: true, snapshots: [snapshot] };
+    }
+
+    const techId = step.key.slice('technician:'.length);
+    const techMap = await store.getTechMap();
+    const { options } = job;
+    const result = await cleanupService.purgeTechnicianNonJobs(techId, {
+      startsOnOrAfter: options.startsOnOrAfter,
+      startsOnOrBefore: options.startsOnOrBefore,
+      // Technicians missing from TechMap (allTechnicians) fall back to the tenant timezone.
+      timezone: cleanupService.getTimezoneByTechId(techMap).get(techId) || getDefaultTimezone(),
+      ownedOnly: options.ownedOnly,
+      mappingUpns: options.skipSheetsClear
+        ? []
+        : techMap.filter((user) => String(user.st_technician_id) === techId).map((user) => user.outlook_upn),
+      previous: step.state,
+      onProgress: context.saveState,
+      trigger: `job:${job.id}`,
+    });
+    if (result.errors.length > 0) {
+      // Failing the step keeps EventMap until a resume has deleted the rest.
+      throw new Error(`${result.errors.length} delete(s) failed, e.g. ${result.errors[0].message}`);
+    }
+    return { ...result, techniciansProcessed: 1 };
+  },
+
+  merge(summary, result) {
+    return {
+      ...summary,
+      techniciansProcessed: summary.techniciansProcessed + (result.techniciansProcessed || 0),
+      appointmentsFound: summary.appointmentsFound + (result.appointmentsFound || 0),
+      appointmentsNotOwned: summary.appointmentsNotOwned + (result.appointmentsNotOwned || 0),
+      appointmentsToDelete: summary.appointmentsToDelete + (result.appointmentsToDelete || 0),
+      deleted: summary.deleted + (result.deleted || 0),
+      snapshots: [
+        ...summary.snapshots,
+        ...result.snapshots.map((snapshot) => ({ technicianId: result.technicianId || null, ...snapshot })),
+      ],
+      sheetsCleared: summary.sheetsCleared || Boolean(result.sheetsCleared),
+    };
+  },
+};
+
+const JOB_TYPES = {
+  backfill: backfillJob,
+  reset: resetJob,
+};
+
+// Applies a jobState transition; returns the updated job, or null if the transition declined (lease lost).
+async function applyTransition(jobId, transition) {
+  let applied = false;
+  const job = await store.updateRecord(JOB_COLLECTION, jobId, (current) => {
+    const next = transition(current);
+    applied = next !== undefined;
+    return next;
+  });
+  return applied ? job : null;
+}
+
+async function claim(jobId, owner) {
+  return applyTransition(jobId, (current) => jobState.claimJob(current, owner, Date.now(), JOB_LEASE_MS));
+}
+
+async function executeJob(job, owner) {
+  const definition = JOB_TYPES[job.type];
+  const pending = job.steps.filter((step) => step.status === 'pending');
+  log.info('jobs.run.start', { jobId: job.id, type: job.type, attempt: job.attempts, steps: pending.length });
+
+  let leaseLost = false;
+  const heartbeat = setInterval(() => {
+    applyTransition(job.id, (current) => jobState.heartbeat(current, owner, Date.now(), JOB_LEASE_MS))
+      .then((renewed) => {
+        if (!renewed) leaseLost = true;
+      })
+      .catch((error) => log.warn('jobs.heartbeat.error', { jobId: job.id, message: error.message }));
+  }, JOB_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    await mapWithConcurrency(pending, definition.concurrency(), async (pendingStep) => {
+      if (leaseLost) return;
+      const started = await applyTransition(job.id, (current) => (
+        jobState.startStep(current, owner, pendingStep.key, Date.now(), JOB_LEASE_MS)
+      ));
+      if (!started) {
+        leaseLost = true;
+        return;
+      }
+      const step = started.steps.find((entry) => entry.key === pendingStep.key);
+      const context = {
+        saveState: async (state) => {
+          const saved = await applyTransition(job.id, (current) => (
+            jobState.saveStepState(current, owner, step.key, state, Date.now(), JOB_LEASE_MS)
+          ));
+          if (!saved) leaseLost = true;
+        },
+      };
+
+      let transition;
+      try {
+        const result = await definition.runStep(started, step, context);
+        transition = (current) => jobState.completeStep(
+          current, owner, step.key, result, definition.merge, Date.now(), JOB_LEASE_MS,
+        );
+      } catch (error) {
+        log.error('jobs.step.error', { jobId: job.id, step: step.key, message: error.message });
+        transition = (current) => jobState.failStep(current, owner, step.key, error.message, Date.now(), JOB_LEASE_MS);
+      }
+      if (!await applyTransition(job.id, transition)) {
+        leaseLost = true;
+      }
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  if (leaseLost) {
+    // Another runner resumed the job after our lease expired; it owns the record now.
+    log.warn('jobs.run.lease_lost', { jobId: job.id });
+    return null;
+  }
+
+  const finished = await applyTransition(job.id, (current) => jobState.finishJob(current, owner, Date.now()));
+  if (!finished) {
+    log.warn('jobs.run.lease_lost', { jobId: job.id });
+    return null;
+  }
+  log.info('jobs.run.complete', {
+    jobId: finished.id,
+    type: finished.type,
+    status: finished.status,
+    errorCount: finished.errorCount,
+  });
+  if (finished.errorCount > 0) {
+    await notifyFailure(`ST Calendar Sync: ${finished.type} job finished with errors`, {
+      jobId: finished.id,
+      status: finished.status,
+      errorCount: finished.errorCount,
+      sample: finished.errors.slice(0, 5),
+    });
+  }
+  return finished;
+}
+
+function runInBackground(job, owner) {
+  // Keeps the starting request's correlation id and labels every entry of the run with the job.
+  log.runWithLogContext({ jobId: job.id }, () => executeJob(job, owner)).catch((error) => {
+    // The lease expires on its own and the job shows up as interrupted.
+    log.error('jobs.run.error', { jobId: job.id, message: error.message });
+  });
+}
+
+/**
+ * Plans a job, stores it and starts it in the background on this instance.
+ * @param {string} type - `backfill` or `reset`.
+ * @param {object} options - Same options as the synchronous endpoint (`dryRun` is not supported).
+ * @returns {Promise<object>} The job as returned by GET /jobs/:id.
+ */
+async function startJob(type, options = {}) {
+  const definition = JOB_TYPES[type];
+  if (!definition) {
+    throw createHttpError(`Unknown job type "${type}"`, 400);
+  }
+  const plan = await definition.plan(options);
+  const record = jobState.createJobRecord({ id: crypto.randomUUID(), type, ...plan }, new Date().toISOString());
+  await store.putRecord(JOB_COLLECTION, record.id, record);
+
+  const owner = createOwnerId();
+  const job = await claim(record.id, owner);
+  runInBackground(job, owner);
+  return jobState.describeJob(job, Date.now());
+}
+
+/**
+ * Continues an interrupted or incomplete job: failed steps are retried, finished steps are kept.
+ * @param {string} jobId
+ * @returns {Promise<object>} The job as returned by GET /jobs/:id.
+ */
+async function resumeJob(jobId) {
+  const current = await store.getRecord(JOB_COLLECTION, String(jobId));
+  if (!current) {
+    throw createHttpError(`Job ${jobId} not found`, 404);
+  }
+  if (current.status === 'completed') {
+    return jobState.describeJob(current, Date.now());
+  }
+
+  const owner = createOwnerId();
+  const job = await claim(current.id, owner);
+  if (!job) {
+    throw createHttpError(`Job ${jobId} is still running`, 409);
+  }
+  log.info('jobs.resume', { jobId: job.id, type: job.type, attempt: job.attempts });
+  runInBackground(job, owner);
+  return jobState.describeJob(job, Date.now());
+}
+
+async function getJob(jobId) {
+  const job = await store.getRecord(JOB_COLLECTION, String(jobId));
+  return job ? jobState.describeJob(job, Date.now()) : null;
+}
+
+module.exports = {
+  startJob,
+  resumeJob,
+  getJob,
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const os = require('os');
+const store = require('./store');
+const log = require('../utils/logger');
+
+// Per-key leases stored in the state backend (`locks` collection). A lease expires on its own, so a
+// crashed instance cannot block a technician forever.
+//
+// Firestore and the file backend update leases atomically. The Sheets backend can only serialize
+// within one instance, so acquisition re-reads the lease to catch a cross-instance overwrite. When two
+// instances both append the key, both confirm against the first row, so only one holds the lease; the
+// other row is removed by the holder's next renewal or release (Sheets collapses duplicate keys on write).
+const LOCK_COLLECTION = 'locks';
+const DEFAULT_LOCK_TTL_MS = 30 * 60_000;
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value || '', 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return parsed;
+}
+
+function getLockTtlMs() {
+  return parsePositiveInt(process.env.SYNC_LOCK_TTL_SECONDS, DEFAULT_LOCK_TTL_MS / 1000) * 1000;
+}
+
+function createOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+}
+
+function isLive(lease, nowMs) {
+  return Boolean(lease) && Date.parse(lease.expiresAt) > nowMs;
+}
+
+/**
+ * Tries to take the lease for `key`.
+ * @param {string} key - Lock key (e.g. `sync:tech@example.com`).
+ * @param {object} [options]
+ * @param {boolean} [options.coalesce] - When the lease is held, ask the holder to run once more
+ *        instead of dropping this request.
+ * @returns {Promise<{acquired: boolean, key: string, owner: string, heldBy: (string|null)}>}
+ */
+async function acquireLock(key, options = {}) {
+  const { coalesce = false } = options;
+  const owner = createOwnerId();
+  const nowMs = Date.now();
+
+  const lease = await store.updateRecord(LOCK_COLLECTION, key, (current) => {
+    if (isLive(current, nowMs) && current.owner !== owner) {
+      return coalesce && !current.rerunRequested ? { ...current, rerunRequested: true } : undefined;
+    }
+    return {
+      key,
+      owner,
+      acquiredAt: new Date(nowMs).toISOString(),
+      expiresAt: new Date(nowMs + getLockTtlMs()).toISOString(),
+      rerunRequested: false,
+    };
+  });
+
+  let acquired = Boolean(lease) && lease.owner === owner;
+  let holder = lease;
+  if (acquired) {
+    holder = await store.getRecord(LOCK_COLLECTION, key);
+    acquired = Boolean(holder) && holder.owner === owner;
+  }
+
+  return {
+    acquired,
+    key,
+    owner,
+    heldBy: acquired ? null : (holder?.owner || null),
+  };
+}
+
+/**
+ * Clears a pending coalesced rerun request if this caller still holds the lease.
+ * @param {{key: string, owner: string}} lock - Result of acquireLock.
+ * @returns {Promise<boolean>} True if another trigger asked for a rerun.
+ */
+async function consumeRerunRequest(lock) {
+  let requested = false;
+  await store.updateRecord(LOCK_COLLECTION, lock.key, (current) => {
+    // Mutators can run more than once (Firestore transaction retries); recompute from scratch.
+    requested = false;
+    if (!current || current.owner !== lock.owner || !current.rerunRequested) {
+      return undefined;
+    }
+    requested = true;
+    return { ...current, rerunRequested: false };
+  });
+  return requested;
+}
+
+/**
+ * Extends the lease by a full TTL if this caller still holds it.
+ * @param {{key: string, owner: string}} lock - Result of acquireLock.
+ * @returns {Promise<boolean>} False if the lease was lost (released, or expired and taken over).
+ */
+async function renewLock(lock) {
+  let held = false;
+  await store.updateRecord(LOCK_COLLECTION, lock.key, (current) => {
+    held = false;
+    if (!current || current.owner !== lock.owner) {
+      return undefined;
+    }
+    held = true;
+    return { ...current, expiresAt: new Date(Date.now() + getLockTtlMs()).toISOString() };
+  });
+  return held;
+}
+
+/**
+ * Renews the lease every third of its TTL until the returned function is called, so a pass that runs
+ * longer than the TTL does not lose it to another instance.
+ * @param {{key: string, owner: string}} lock - Result of acquireLock.
+ * @returns {function(): void} Stops renewing.
+ */
+function keepLockAlive(lock) {
+  const timer = setInterval(async () => {
+    try {
+      if (!await renewLock(lock)) {
+        log.warn('locks.renew.lost', { key: lock.key });
+      }
+    } catch (error) {
+      log.warn('locks.renew_failed', { key: lock.key, message: error.message });
+    }
+  }, Math.floor(getLockTtlMs() / 3));
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Releases the lease if this caller still holds it.
+ * @param {{key: string, owner: string}} lock - Result of acquireLock.
+ * @returns {Promise<void>}
+ */
+async function releaseLock(lock) {
+  await store.updateRecord(LOCK_COLLECTION, lock.key, (current) => {
+    if (!current || current.owner !== lock.owner) {
+      return undefined;
+    }
+    if (current.rerunRequested) {
+      log.warn('locks.release.rerun_dropped', { key: lock.key });
+    }
+    return null;
+  });
+}
+
+module.exports = {
+  acquireLock,
+  consumeRerunRequest,
+  renewLock,
+  keepLockAlive,
+  releaseLock,
+};
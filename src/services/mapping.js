@@ -1,45 +1,212 @@
+const crypto = require('crypto');
 const { DateTime, Interval } = require('luxon');
-const { splitMultiDayEvent, TIMEZONE } = require('../utils/time');
+const { splitMultiDayEvent, resolveTimezone } = require('../utils/time');
+const { parseNameTemplate, renderNameTemplate } = require('../utils/nameTemplate');
+const { getEventDedupeKey } = require('../utils/normalize');
+const { getOwnershipMarker } = require('../utils/ownership');
+const log = require('../utils/logger');
 
-function getMaskedSubject(event) {
-  const showAs = String(event.showAs || 'busy').toLowerCase();
-  // Policy: never copy Outlook subjects for PRIVATE events.
-  if (event.isPrivate) {
-    return 'Busy';
+// What to do with each Outlook showAs value. `skip` removes/never creates ST blocks; `sync` creates them,
+// optionally with a `name` template and its own payload flags (unset flags fall back to the ST_* env vars).
+// SHOW_AS_POLICIES (JSON object keyed by showAs) overrides individual entries; unknown values are skipped.
+const DEFAULT_SHOW_AS_POLICIES = {
+  busy: { action: 'sync' },
+  oof: { action: 'sync' },
+  free: { action: 'skip' },
+  available: { action: 'skip' },
+  tentative: { action: 'skip' },
+  workingelsewhere: { action: 'skip' },
+  unknown: { action: 'skip' },
+};
+
+const SHOW_AS_POLICY_ACTIONS = ['sync', 'skip'];
+const SHOW_AS_POLICY_FLAGS = ['clearDispatchBoard', 'clearTechnicianView', 'removeTechnicianFromCapacityPlanning'];
+
+function parseShowAsPolicy(showAs, policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`Invalid SHOW_AS_POLICIES: policy for "${showAs}" must be an object`);
+  }
+  const action = String(policy.action || '').trim().toLowerCase();
+  if (!SHOW_AS_POLICY_ACTIONS.includes(action)) {
+    throw new Error(`Invalid SHOW_AS_POLICIES: "${showAs}" action must be one of ${SHOW_AS_POLICY_ACTIONS.join(', ')}`);
   }
+  const parsed = { action };
+  if (policy.name !== undefined) {
+    if (typeof policy.name !== 'string' || !policy.name.trim()) {
+      throw new Error(`Invalid SHOW_AS_POLICIES: "${showAs}" name must be a non-empty string`);
+    }
+    parsed.name = policy.name.trim();
+    parseNameTemplate(parsed.name, `SHOW_AS_POLICIES name for "${showAs}"`);
+  }
+  for (const flag of SHOW_AS_POLICY_FLAGS) {
+    if (policy[flag] === undefined) continue;
+    if (typeof policy[flag] !== 'boolean') {
+      throw new Error(`Invalid SHOW_AS_POLICIES: "${showAs}" ${flag} must be true or false`);
+    }
+    parsed[flag] = policy[flag];
+  }
+  return parsed;
+}
+
+let showAsPoliciesCache = { raw: null, policies: DEFAULT_SHOW_AS_POLICIES };
 
-  // For non-private events, keep the Outlook subject (this is what the user wants to see in ST).
-  const subject = String(event.subject || '').trim();
-  if (subject) {
-    return subject;
+function getShowAsPolicies() {
+  const raw = process.env.SHOW_AS_POLICIES || '';
+  if (showAsPoliciesCache.raw === raw) {
+    return showAsPoliciesCache.policies;
   }
 
-  // Fallbacks when Outlook subject is empty.
-  if (showAs === 'oof') return 'Out of Office';
-  return 'Busy';
+  const policies = { ...DEFAULT_SHOW_AS_POLICIES };
+  if (raw.trim()) {
+    let overrides;
+    try {
+      overrides = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid SHOW_AS_POLICIES: expected a JSON object (${error.message})`);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Invalid SHOW_AS_POLICIES: expected a JSON object keyed by showAs value');
+    }
+    for (const [showAs, policy] of Object.entries(overrides)) {
+      const key = showAs.trim().toLowerCase();
+      policies[key] = parseShowAsPolicy(key, policy);
+    }
+  }
+  showAsPoliciesCache = { raw, policies };
+  return policies;
 }
 
-function mapEventToServiceTitanPayloads(event, userConfig) {
-  const subject = getMaskedSubject(event);
-  const eventBlocks = splitMultiDayEvent(event.start, event.end);
+function getShowAsPolicy(showAs) {
+  const key = String(showAs || 'busy').toLowerCase();
+  return getShowAsPolicies()[key] || { action: 'skip' };
+}
 
-  // Policy: Outlook is the source of truth; these blocks are always non-timesheet and always visible
-  // on the technician mobile schedule.
-  const showOnTechnicianSchedule = true;
-  // NOTE: Some ServiceTitan tenants reject a numeric 0 timesheet code. To keep "Needs a Timesheet?"
-  // unchecked, we omit `timesheetCodeId` entirely.
+function getEnvFlag(name, defaultValue) {
+  const value = String(process.env[name] || '').trim().toLowerCase();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return defaultValue;
+}
+
+// Name templates (see utils/nameTemplate). Precedence for regular events: showAs policy `name`, then the
+// TechMap `name_template`, then ST_NAME_TEMPLATE. Private events never see their subject, location,
+// organizer or categories: they render the policy name or ST_PRIVATE_NAME_TEMPLATE with only showAs.
+const DEFAULT_NAME_TEMPLATE = '{subject}';
+const DEFAULT_PRIVATE_NAME_TEMPLATE = 'Busy';
+const DEFAULT_NAME_MAX_LENGTH = 100;
+
+function getNameMaxLength() {
+  const parsed = Number.parseInt(process.env.ST_NAME_MAX_LENGTH || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_NAME_MAX_LENGTH;
+}
 
-  // Keep these as configuration knobs; they affect where the blocks show up in ST.
-  const clearDispatchBoard = (String(process.env.ST_CLEAR_DISPATCH_BOARD || '').trim().toLowerCase() === 'false') ? false : true;
-  const clearTechnicianView = (String(process.env.ST_CLEAR_TECHNICIAN_VIEW || '').trim().toLowerCase() === 'true') ? true : false;
-  const removeFromCapacity = (String(process.env.ST_REMOVE_FROM_CAPACITY || '').trim().toLowerCase() === 'false') ? false : true;
+// Returns `{ value, source }` for the template text that applies, before parsing.
+function resolveNameTemplate(userConfig, policy, isPrivate) {
+  if (policy.name) {
+    return { value: policy.name, source: 'SHOW_AS_POLICIES' };
+  }
+  const envName = isPrivate ? 'ST_PRIVATE_NAME_TEMPLATE' : 'ST_NAME_TEMPLATE';
+  const techTemplate = String(userConfig.name_template || '').trim();
+  if (!isPrivate && techTemplate) {
+    return { value: techTemplate, source: 'techmap' };
+  }
+  const envTemplate = String(process.env[envName] || '').trim();
+  if (envTemplate) {
+    return { value: envTemplate, source: 'env' };
+  }
+  return { value: isPrivate ? DEFAULT_PRIVATE_NAME_TEMPLATE : DEFAULT_NAME_TEMPLATE, source: 'default' };
+}
+
+function getNameTemplate(userConfig, policy, isPrivate) {
+  const { value, source } = resolveNameTemplate(userConfig, policy, isPrivate);
+  const labels = {
+    SHOW_AS_POLICIES: 'SHOW_AS_POLICIES name',
+    techmap: `TechMap name_template for ${userConfig.outlook_upn}`,
+  };
+  return parseNameTemplate(value, labels[source] || (isPrivate ? 'ST_PRIVATE_NAME_TEMPLATE' : 'ST_NAME_TEMPLATE'));
+}
+
+// Payload flags resolve as: built-in default < env var < TechMap column < showAs policy. TechMap cells
+// are tri-state (blank inherits).
+const TECHNICIAN_FLAG_SETTINGS = [
+  { field: 'clearDispatchBoard', column: 'clear_dispatch_board', env: 'ST_CLEAR_DISPATCH_BOARD', defaultValue: true },
+  { field: 'clearTechnicianView', column: 'clear_technician_view', env: 'ST_CLEAR_TECHNICIAN_VIEW', defaultValue: false },
+  { field: 'removeTechnicianFromCapacityPlanning', column: 'remove_from_capacity', env: 'ST_REMOVE_FROM_CAPACITY', defaultValue: true },
+  // Always visible on the technician mobile schedule unless a TechMap row says otherwise.
+  { field: 'showOnTechnicianSchedule', column: 'show_on_technician_schedule', env: null, defaultValue: true },
+];
+
+function resolveTechnicianFlags(userConfig) {
+  const flags = {};
+  for (const setting of TECHNICIAN_FLAG_SETTINGS) {
+    const techValue = userConfig[setting.column];
+    if (typeof techValue === 'boolean') {
+      flags[setting.field] = { value: techValue, source: 'techmap' };
+      continue;
+    }
+    const envValue = setting.env ? getEnvFlag(setting.env, null) : null;
+    flags[setting.field] = envValue === null
+      ? { value: setting.defaultValue, source: 'default' }
+      : { value: envValue, source: 'env' };
+  }
+  return flags;
+}
+
+// NOTE: Some ServiceTitan tenants reject a numeric 0 timesheet code. To keep "Needs a Timesheet?"
+// unchecked, `timesheetCodeId` is omitted unless the TechMap row opts in with `require_timesheet`.
+function resolveTimesheetCode(userConfig) {
+  if (userConfig.require_timesheet !== true) {
+    return { value: null, source: 'default' };
+  }
+  const code = Number.parseInt(String(userConfig.st_timesheet_code_id || ''), 10);
+  if (!Number.isFinite(code) || code <= 0) {
+    log.warn('mapping.timesheet.missing_code', { userUpn: userConfig.outlook_upn });
+    return { value: null, source: 'techmap' };
+  }
+  return { value: code, source: 'techmap' };
+}
+
+function getAppointmentName(event, userConfig, policy, maxLength) {
+  const template = getNameTemplate(userConfig, policy, event.isPrivate);
+  // Policy: never copy Outlook subjects (or other free text) for PRIVATE events.
+  const values = event.isPrivate
+    ? { showAs: event.showAs }
+    : {
+      subject: event.subject,
+      location: event.location,
+      showAs: event.showAs,
+      organizer: event.organizerName,
+      categories: event.categories,
+    };
+  return renderNameTemplate(template, values, maxLength);
+}
+
+function mapEventToServiceTitanPayloads(event, userConfig) {
+  const policy = getShowAsPolicy(event.showAs);
+  // The ownership marker goes in `summary`, or at the end of the name within ST_NAME_MAX_LENGTH.
+  const ownership = getOwnershipMarker();
+  const nameSuffix = ownership.field === 'name' ? ` ${ownership.marker}` : '';
+  const nameLength = Math.max(1, getNameMaxLength() - nameSuffix.length);
+  const subject = `${getAppointmentName(event, userConfig, policy, nameLength)}${nameSuffix}`;
+  // Split at the technician's local midnights, not the tenant's.
+  const timezone = resolveTimezone(userConfig);
+  const eventBlocks = splitMultiDayEvent(event.start, event.end, timezone);
+
+  // These affect where the blocks show up in ST. The showAs policy can override the technician's
+  // settings (e.g. tentative blocks that keep the tech in capacity planning).
+  const flags = resolveTechnicianFlags(userConfig);
+  const showOnTechnicianSchedule = flags.showOnTechnicianSchedule.value;
+  const clearDispatchBoard = policy.clearDispatchBoard ?? flags.clearDispatchBoard.value;
+  const clearTechnicianView = policy.clearTechnicianView ?? flags.clearTechnicianView.value;
+  const removeFromCapacity = policy.removeTechnicianFromCapacityPlanning ?? flags.removeTechnicianFromCapacityPlanning.value;
+  const timesheetCodeId = resolveTimesheetCode(userConfig).value;
 
   return eventBlocks.map((block) => {
-    const startDateTime = DateTime.fromISO(block.start, { zone: TIMEZONE });
-    const endDateTime = DateTime.fromISO(block.end, { zone: TIMEZONE });
+    const startDateTime = DateTime.fromISO(block.start, { zone: timezone });
+    const endDateTime = DateTime.fromISO(block.end, { zone: timezone });
     const duration = Interval.fromDateTimes(startDateTime, endDateTime).toDuration().toFormat('hh:mm:ss');
 
-    return {
+    const payload = {
       technicianId: userConfig.st_technician_id,
       start: startDateTime.toISO(),
       duration,
@@ -51,9 +218,134 @@ function mapEventToServiceTitanPayloads(event, userConfig) {
       removeTechnicianFromCapacityPlanning: removeFromCapacity,
       active: true,
     };
+    if (ownership.field === 'summary') {
+      payload.summary = ownership.marker;
+    }
+    if (timesheetCodeId) {
+      payload.timesheetCodeId = timesheetCodeId;
+    }
+    return payload;
   });
 }
 
+/**
+ * Describes the mapping settings a technician gets and where each value comes from
+ * (`default`, `env`, `techmap` or `SHOW_AS_POLICIES`). Per-showAs overrides are listed separately
+ * because they only apply to events with that showAs value.
+ * @param {object} userConfig - TechMap row.
+ * @returns {object}
+ */
+function getEffectiveSettings(userConfig) {
+  const flags = resolveTechnicianFlags(userConfig);
+  const showAsOverrides = {};
+  for (const [showAs, policy] of Object.entries(getShowAsPolicies())) {
+    if (policy.action !== 'sync') continue;
+    const overrides = {};
+    if (policy.name) overrides.name = policy.name;
+    for (const flag of SHOW_AS_POLICY_FLAGS) {
+      if (policy[flag] !== undefined) overrides[flag] = policy[flag];
+    }
+    showAsOverrides[showAs] = overrides;
+  }
+
+  return {
+    timezone: resolveTimezone(userConfig),
+    payload: {
+      ...flags,
+      timesheetCodeId: resolveTimesheetCode(userConfig),
+    },
+    nameTemplate: resolveNameTemplate(userConfig, {}, false),
+    privateNameTemplate: resolveNameTemplate(userConfig, {}, true),
+    syncedShowAs: showAsOverrides,
+  };
+}
+
+// Parses the global policies and this technician's name templates so configuration errors fail the
+// user's sync up front instead of event by event.
+function validateMappingConfig(userConfig) {
+  getShowAsPolicies();
+  getNameTemplate(userConfig, {}, false);
+  getNameTemplate(userConfig, {}, true);
+}
+
+// Fields the sync sends to ServiceTitan, with how to compare a planned value against the stored one.
+const PAYLOAD_FIELD_COMPARATORS = {
+  technicianId: (a, b) => String(a) === String(b),
+  start: (a, b) => Date.parse(a) === Date.parse(b),
+  duration: (a, b) => String(a) === String(b),
+  name: (a, b) => String(a || '') === String(b || ''),
+  allDay: (a, b) => Boolean(a) === Boolean(b),
+  showOnTechnicianSchedule: (a, b) => Boolean(a) === Boolean(b),
+  clearDispatchBoard: (a, b) => Boolean(a) === Boolean(b),
+  clearTechnicianView: (a, b) => Boolean(a) === Boolean(b),
+  removeTechnicianFromCapacityPlanning: (a, b) => Boolean(a) === Boolean(b),
+  active: (a, b) => (a !== false) === (b !== false),
+  timesheetCodeId: (a, b) => String(a || '') === String(b || ''),
+  summary: (a, b) => String(a || '') === String(b || ''),
+};
+
+// Lists the fields a planned payload would change on an existing ServiceTitan appointment, as
+// `{ field, from, to }`. Fields the payload omits (e.g. `timesheetCodeId`) are not compared.
+function diffPayload(current, planned) {
+  const changes = [];
+  for (const [field, isEqual] of Object.entries(PAYLOAD_FIELD_COMPARATORS)) {
+    if (planned[field] === undefined) continue;
+    const from = current ? current[field] : undefined;
+    if (!isEqual(from, planned[field])) {
+      changes.push({ field, from: from === undefined ? null : from, to: planned[field] });
+    }
+  }
+  return changes;
+}
+
+// Short hash of the payloads last sent to ServiceTitan. Stored with the event's dedupe key so policy or
+// configuration changes are pushed to ST the next time the event is seen, even if Outlook did not change.
+function getPayloadFingerprint(payloads) {
+  return crypto.createHash('sha256').update(JSON.stringify(payloads)).digest('hex').slice(0, 16);
+}
+
+// Value stored in EventMap `last_hash`: an unchanged hash means ST already has these payloads.
+function getSyncHash(event, payloads) {
+  return `${getEventDedupeKey(event)}|${getPayloadFingerprint(payloads)}`;
+}
+
+/**
+ * Whether the sync writes an event to ServiceTitan. Filter rules take precedence over the showAs policy:
+ * excluded events are removed from ST like skipped showAs values; included events are synced whatever
+ * their showAs. The sync and the event debug endpoint both decide through this.
+ * @param {object} event - Normalized event.
+ * @param {({action: string, rule: string}|null)} filterDecision - From evaluateFilterRules.
+ * @returns {{sync: boolean, reason: string, rule?: string}} `reason` is `missing_times`, `excluded_by_filter`,
+ *          `included_by_filter` or `show_as_policy`; `rule` names the matching filter rule.
+ */
+function getEventSyncDecision(event, filterDecision) {
+  if (!event.start || !event.end) {
+    return { sync: false, reason: 'missing_times' };
+  }
+  if (filterDecision && filterDecision.action === 'exclude') {
+    return { sync: false, reason: 'excluded_by_filter', rule: filterDecision.rule };
+  }
+  if (filterDecision && filterDecision.action === 'include') {
+    return { sync: true, reason: 'included_by_filter', rule: filterDecision.rule };
+  }
+  return { sync: getShowAsPolicy(event.showAs).action === 'sync', reason: 'show_as_policy' };
+}
+
+// DELETED mappings keep their last hash, so an event that was excluded and is now included again must not
+// be treated as unchanged.
+function isMappingUpToDate(mapping, syncHash) {
+  return Boolean(mapping) && mapping.status !== 'DELETED' && mapping.last_hash === syncHash;
+}
+
 module.exports = {
   mapEventToServiceTitanPayloads,
+  diffPayload,
+  getShowAsPolicies,
+  getShowAsPolicy,
+  getPayloadFingerprint,
+  getSyncHash,
+  getEventSyncDecision,
+  isMappingUpToDate,
+  validateMappingConfig,
+  getEffectiveSettings,
 };
@@ -0,0 +1,607 @@
+const crypto = require('crypto');
+const graph = require('../api/graph');
+const servicetitan = require('../api/servicetitan');
+const store = require('./store');
+const {
+  normalizeGraphEvent,
+  getStableEventKey,
+  parseStableEventKey,
+} = require('../utils/normalize');
+const {
+  mapEventToServiceTitanPayloads,
+  diffPayload,
+  getShowAsPolicy,
+  getSyncHash,
+  validateMappingConfig,
+} = require('./mapping');
+const { getFilterRulesForUser, evaluateFilterRules } = require('./filters');
+const { resolveBackfillWindow, withUserLock } = require('./sync');
+const { loadConfig } = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { listNonJobsInWindow } = require('./cleanup');
+const { isOwnedAppointment } = require('../utils/ownership');
+const { getDriftRepairPolicy, parseDriftRepairPolicy } = require('./driftPolicy');
+const log = require('../utils/logger');
+const { createHttpError } = require('../utils/errors');
+
+const config = loadConfig();
+
+// Maintenance passes that compare EventMap with what is actually in ServiceTitan:
+// - targeted rebuild: re-applies the current payload policy (flags, names, timesheet codes) to appointments
+//   that are already in ServiceTitan, without waiting for the Outlook events to change. Progress is
+//   checkpointed in the `rebuilds` record collection so an interrupted run can be resumed by id.
+// - drift reconciliation: finds appointments that dispatchers deleted, edited or that are no longer referenced,
+//   repairs them according to the drift repair policy and stores a report in `driftReports`, with its entries
+//   in `driftReportEntries` chunks (edited entries carry field values, and a Sheets cell holds 50k characters).
+const REBUILD_COLLECTION = 'rebuilds';
+const DRIFT_REPORT_COLLECTION = 'driftReports';
+const DRIFT_ENTRY_COLLECTION = 'driftReportEntries';
+const MAX_DRIFT_CHUNK_CHARS = 40_000;
+const CHECKPOINT_EVERY = 25;
+const MAX_SAMPLE_CHANGES = 50;
+const MAX_DRIFT_ENTRIES = 200;
+
+function createRebuildCounts() {
+  return {
+    mappingsChecked: 0,
+    appointmentsChecked: 0,
+    appointmentsUpdated: 0,
+    changedFields: {},
+    skipped: {
+      eventNotFound: 0,
+      notSynced: 0,
+      blockCountChanged: 0,
+      appointmentMissing: 0,
+    },
+  };
+}
+
+function addCounts(total, delta) {
+  const next = {
+    ...total,
+    changedFields: { ...total.changedFields },
+    skipped: { ...total.skipped },
+  };
+  next.mappingsChecked += delta.mappingsChecked;
+  next.appointmentsChecked += delta.appointmentsChecked;
+  next.appointmentsUpdated += delta.appointmentsUpdated;
+  for (const [field, count] of Object.entries(delta.changedFields)) {
+    next.changedFields[field] = (next.changedFields[field] || 0) + count;
+  }
+  for (const [reason, count] of Object.entries(delta.skipped)) {
+    next.skipped[reason] = (next.skipped[reason] || 0) + count;
+  }
+  return next;
+}
+
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function isKeyInWindow(key, window) {
+  const times = parseStableEventKey(key);
+  if (!times) {
+    return false;
+  }
+  return Date.parse(times.start) < Date.parse(window.endDateTime)
+    && Date.parse(times.end) > Date.parse(window.startDateTime);
+}
+
+function listUserMappingsInWindow(mappings, userUpn, window) {
+  return mappings
+    .filter((mapping) => mapping.outlook_upn === userUpn && mapping.status !== 'DELETED')
+    .filter((mapping) => isKeyInWindow(mapping.outlook_event_id, window))
+    .sort((a, b) => (a.outlook_event_id < b.outlook_event_id ? -1 : 1));
+}
+
+// Applies one checkpoint to the stored rebuild. Recomputed from `current` on every call because
+// Firestore may retry the mutator. Without `lastKey` the user's cursor stays where it was.
+async function saveCheckpoint(rebuildId, userUpn, { lastKey, counts, samples = [], error = null, done = false }) {
+  return store.updateRecord(REBUILD_COLLECTION, rebuildId, (current) => {
+    if (!current) {
+      return undefined;
+    }
+    const next = {
+      ...current,
+      counts: addCounts(current.counts, counts),
+      cursors: lastKey === undefined ? current.cursors : { ...current.cursors, [userUpn]: lastKey },
+      samples: [...current.samples, ...samples].slice(0, MAX_SAMPLE_CHANGES),
+      updatedAt: new Date().toISOString(),
+    };
+    if (error) {
+      next.errors = [...current.errors, { userUpn, message: error }];
+    }
+    if (done && !current.completedUsers.includes(userUpn)) {
+      next.completedUsers = [...current.completedUsers, userUpn];
+    }
+    return next;
+  });
+}
+
+async function rebuildUser(rebuild, userConfig, startAfterKey) {
+  const userUpn = userConfig.outlook_upn;
+  const { window, dryRun } = rebuild;
+  validateMappingConfig(userConfig);
+  const filterRules = getFilterRulesForUser(userConfig);
+
+  const mappings = listUserMappingsInWindow(await store.listEventMappings(), userUpn, window)
+    .filter((mapping) => !startAfterKey || mapping.outlook_event_id > startAfterKey);
+  if (mappings.length === 0) {
+    await saveCheckpoint(rebuild.id, userUpn, { lastKey: startAfterKey, counts: createRebuildCounts(), done: true });
+    return;
+  }
+
+  const eventsByKey = await getEventsByKey(userUpn, window);
+
+  let counts = createRebuildCounts();
+  let samples = [];
+  let lastKey = startAfterKey;
+  for (let index = 0; index < mappings.length; index += 1) {
+    const mapping = mappings[index];
+    const key = mapping.outlook_event_id;
+    counts.mappingsChecked += 1;
+
+    const event = eventsByKey.get(key);
+    if (!event) {
+      // Deleted or moved in Outlook; the regular sync (or drift reconciliation) handles it.
+      counts.skipped.eventNotFound += 1;
+    } else if (!isStillSynced(event, filterRules)) {
+      counts.skipped.notSynced += 1;
+    } else {
+      await rebuildMapping(userConfig, mapping, event, { dryRun, counts, samples });
+    }
+    lastKey = key;
+
+    if ((index + 1) % CHECKPOINT_EVERY === 0) {
+      await saveCheckpoint(rebuild.id, userUpn, { lastKey, counts, samples });
+      counts = createRebuildCounts();
+      samples = [];
+    }
+  }
+  await saveCheckpoint(rebuild.id, userUpn, { lastKey, counts, samples, done: true });
+}
+
+async function getEventsByKey(userUpn, window) {
+  const events = await graph.getCalendarViewEvents(userUpn, window.startDateTime, window.endDateTime);
+  const eventsByKey = new Map();
+  for (const event of events.map(normalizeGraphEvent)) {
+    if (event.id && event.start && event.end && !event.isRemoved) {
+      eventsByKey.set(getStableEventKey(event), event);
+    }
+  }
+  return eventsByKey;
+}
+
+function isStillSynced(event, filterRules) {
+  const decision = evaluateFilterRules(filterRules, event);
+  if (decision) {
+    return decision.action === 'include';
+  }
+  return getShowAsPolicy(event.showAs).action === 'sync';
+}
+
+async function rebuildMapping(userConfig, mapping, event, { dryRun, counts, samples }) {
+  const key = mapping.outlook_event_id;
+  const payloads = mapEventToServiceTitanPayloads(event, userConfig);
+  const appointmentIds = parseJsonArray(mapping.st_nonjob_ids_json);
+  if (payloads.length !== appointmentIds.length) {
+    // The event now splits into a different number of blocks; creating/deleting is left to the sync.
+    counts.skipped.blockCountChanged += 1;
+    return;
+  }
+
+  let updated = false;
+  for (let index = 0; index < payloads.length; index += 1) {
+    const appointmentId = appointmentIds[index];
+    counts.appointmentsChecked += 1;
+    const current = await servicetitan.getNonJob(appointmentId);
+    if (!current) {
+      counts.skipped.appointmentMissing += 1;
+      continue;
+    }
+
+    const changes = diffPayload(current, payloads[index]);
+    if (changes.length === 0) {
+      continue;
+    }
+    for (const change of changes) {
+      counts.changedFields[change.field] = (counts.changedFields[change.field] || 0) + 1;
+    }
+    samples.push({ userUpn: userConfig.outlook_upn, eventKey: key, appointmentId, changes });
+    counts.appointmentsUpdated += 1;
+    if (!dryRun) {
+      await servicetitan.updateNonJob(appointmentId, payloads[index]);
+      updated = true;
+    }
+  }
+
+  if (updated) {
+    // Record the new payload fingerprint so the next delta sync does not push the same update again.
+    await store.updateEventMapping(
+      userConfig.outlook_upn,
+      key,
+      appointmentIds,
+      getSyncHash(event, payloads),
+      mapping.status,
+      mapping.rowIndex,
+    );
+  }
+}
+
+async function createRebuild(options) {
+  const { upns = null, dryRun = true } = options;
+  const window = resolveBackfillWindow(options);
+  if (upns !== null && !Array.isArray(upns)) {
+    throw createHttpError('upns must be an array of user principal names', 400);
+  }
+
+  const rebuild = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    dryRun: Boolean(dryRun),
+    window,
+    upns: upns && upns.length > 0 ? upns.map((upn) => String(upn).trim().toLowerCase()) : null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null,
+    completedUsers: [],
+    cursors: {},
+    counts: createRebuildCounts(),
+    samples: [],
+    skippedLocked: [],
+    errors: [],
+  };
+  await store.putRecord(REBUILD_COLLECTION, rebuild.id, rebuild);
+  return rebuild;
+}
+
+/**
+ * Re-applies the current payload policy to mapped ServiceTitan appointments, updating only the
+ * appointments whose fields differ. Pass `rebuildId` to resume an interrupted run with its original
+ * options.
+ * @param {object} options
+ * @param {string} [options.rebuildId] - Resume this rebuild instead of starting a new one.
+ * @param {string} [options.start] - Window start (with `end`), or use `pastDays`/`futureDays`.
+ * @param {string} [options.end] - Window end.
+ * @param {Array<string>} [options.upns] - Restrict to these users (default: all enabled users).
+ * @param {boolean} [options.dryRun] - Report differences without updating ServiceTitan (default true).
+ * @returns {Promise<object>} The rebuild record (counts, changed fields, sample changes, errors).
+ */
+async function rebuildPayloads(options = {}) {
+  let rebuild;
+  if (options.rebuildId) {
+    rebuild = await store.getRecord(REBUILD_COLLECTION, String(options.rebuildId));
+    if (!rebuild) {
+      throw createHttpError(`Rebuild ${options.rebuildId} not found`, 404);
+    }
+    if (rebuild.status === 'completed') {
+      return rebuild;
+    }
+  } else {
+    rebuild = await createRebuild(options);
+  }
+  log.info('reconcile.rebuild.start', { rebuildId: rebuild.id, dryRun: rebuild.dryRun, window: rebuild.window });
+
+  const techMap = await store.getTechMap();
+  let users = techMap.filter((user) => user.enabled);
+  if (rebuild.upns) {
+    users = users.filter((user) => rebuild.upns.includes(user.outlook_upn.toLowerCase()));
+  }
+  users = users.filter((user) => !rebuild.completedUsers.includes(user.outlook_upn));
+
+  const skippedLocked = [];
+  await mapWithConcurrency(users, config.syncUserConcurrency, async (userConfig) => {
+    const userUpn = userConfig.outlook_upn;
+    const startAfterKey = rebuild.cursors[userUpn] || null;
+    try {
+      if (rebuild.dryRun) {
+        await rebuildUser(rebuild, userConfig, startAfterKey);
+        return;
+      }
+      // Hold the user's sync lease so a concurrent delta sync does not update the same appointments.
+      const lockSummary = { skippedLocked };
+      await withUserLock(userUpn, lockSummary, { coalesce: false }, () => rebuildUser(rebuild, userConfig, startAfterKey));
+    } catch (error) {
+      log.error('reconcile.rebuild.user.error', { rebuildId: rebuild.id, userUpn, message: error.message });
+      // Keep the last checkpoint so resuming starts after the mappings already done.
+      await saveCheckpoint(rebuild.id, userUpn, { counts: createRebuildCounts(), error: error.message });
+    }
+  });
+
+  const finished = await store.updateRecord(REBUILD_COLLECTION, rebuild.id, (current) => {
+    const failedUsers = users.filter((user) => !current.completedUsers.includes(user.outlook_upn));
+    return {
+      ...current,
+      // Locked or failed users leave the rebuild resumable.
+      status: failedUsers.length === 0 ? 'completed' : 'incomplete',
+      skippedLocked,
+      finishedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  log.info('reconcile.rebuild.complete', {
+    rebuildId: finished.id,
+    status: finished.status,
+    appointmentsUpdated: finished.counts.appointmentsUpdated,
+    errors: finished.errors.length,
+  });
+  return finished;
+}
+
+async function getRebuild(rebuildId) {
+  return store.getRecord(REBUILD_COLLECTION, String(rebuildId));
+}
+
+function resolveRunPolicy(overrides) {
+  const policy = getDriftRepairPolicy();
+  try {
+    return parseDriftRepairPolicy(overrides, 'policy', policy);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+}
+
+async function listTechnicianNonJobs(technicianId, window) {
+  const appointments = await listNonJobsInWindow(technicianId, window.startDateTime, window.endDateTime);
+  return new Map(appointments.map((appointment) => [String(appointment.id), appointment]));
+}
+
+function createDriftCounts() {
+  return {
+    techniciansChecked: 0,
+    mappingsChecked: 0,
+    appointmentsListed: 0,
+    missing: 0,
+    edited: 0,
+    unreferenced: 0,
+    repaired: 0,
+  };
+}
+
+function recordDrift(report, entry) {
+  report.counts[entry.type] += 1;
+  if (entry.repaired) {
+    report.counts.repaired += 1;
+  }
+  if (report.drift.length < MAX_DRIFT_ENTRIES) {
+    report.drift.push(entry);
+  } else {
+    report.driftTruncated = true;
+  }
+}
+
+function chunkDriftEntries(entries) {
+  const chunks = [];
+  let chunk = [];
+  let chunkChars = 0;
+  for (const entry of entries) {
+    const entryChars = JSON.stringify(entry).length + 1;
+    if (chunk.length > 0 && chunkChars + entryChars > MAX_DRIFT_CHUNK_CHARS) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkChars = 0;
+    }
+    chunk.push(entry);
+    chunkChars += entryChars;
+  }
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+function getDriftEntryKey(reportId, index) {
+  return `${reportId}#${String(index).padStart(4, '0')}`;
+}
+
+async function saveDriftReport(report) {
+  const { drift, ...stored } = report;
+  const chunks = chunkDriftEntries(drift);
+  await store.putRecords(DRIFT_ENTRY_COLLECTION, chunks.map((drift, index) => ({
+    key: getDriftEntryKey(report.id, index),
+    value: { reportId: report.id, index, drift },
+  })));
+  // Written after its entries, so a stored report always has them.
+  await store.putRecord(DRIFT_REPORT_COLLECTION, report.id, { ...stored, driftChunks: chunks.length });
+}
+
+async function reconcileUserDrift(report, userConfig) {
+  const userUpn = userConfig.outlook_upn;
+  const technicianId = String(userConfig.st_technician_id);
+  const { window, policy, dryRun } = report;
+  validateMappingConfig(userConfig);
+  const filterRules = getFilterRulesForUser(userConfig);
+
+  const eventsByKey = await getEventsByKey(userUpn, window);
+  // Read under the user lock right before listing, so blocks a sync created earlier in the run are referenced.
+  const allMappings = await store.listEventMappings();
+  const referencedIds = new Set();
+  for (const mapping of allMappings) {
+    for (const id of parseJsonArray(mapping.st_nonjob_ids_json)) {
+      referencedIds.add(String(id));
+    }
+  }
+  const appointments = await listTechnicianNonJobs(technicianId, window);
+  const mappings = listUserMappingsInWindow(allMappings, userUpn, window);
+  report.counts.techniciansChecked += 1;
+  report.counts.appointmentsListed += appointments.size;
+
+  for (const mapping of mappings) {
+    const key = mapping.outlook_event_id;
+    report.counts.mappingsChecked += 1;
+    const event = eventsByKey.get(key);
+    // Events that were deleted, moved or are no longer synced are the regular sync's job, not drift.
+    if (!event || !isStillSynced(event, filterRules)) {
+      continue;
+    }
+    const payloads = mapEventToServiceTitanPayloads(event, userConfig);
+    const appointmentIds = parseJsonArray(mapping.st_nonjob_ids_json);
+    if (payloads.length !== appointmentIds.length) {
+      continue;
+    }
+
+    const nextIds = [...appointmentIds];
+    let failure = null;
+    try {
+      for (let index = 0; index < payloads.length; index += 1) {
+        const appointmentId = String(appointmentIds[index]);
+        // Multi-day blocks can start before the listed window, so confirm with a GET before calling it missing.
+        const current = appointments.get(appointmentId) || await servicetitan.getNonJob(appointmentId);
+        const entry = { userUpn, technicianId, eventKey: key, appointmentId };
+
+        if (!current) {
+          const repair = policy.missing === 'recreate' && !dryRun;
+          if (repair) {
+            nextIds[index] = await servicetitan.createNonJob(payloads[index]);
+          }
+          recordDrift(report, {
+            ...entry,
+            type: 'missing',
+            action: policy.missing,
+            repaired: repair,
+            ...(repair ? { newAppointmentId: nextIds[index] } : {}),
+          });
+          continue;
+        }
+
+        const changes = diffPayload(current, payloads[index]);
+        if (changes.length > 0) {
+          const repair = policy.edited === 'revert' && !dryRun;
+          if (repair) {
+            await servicetitan.updateNonJob(appointmentId, payloads[index]);
+          }
+          recordDrift(report, { ...entry, type: 'edited', action: policy.edited, repaired: repair, changes });
+        }
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    // Appointments recreated before a failure must still be recorded, or the next run recreates them again.
+    try {
+      if (nextIds.some((id, index) => String(id) !== String(appointmentIds[index]))) {
+        await store.updateEventMapping(userUpn, key, nextIds, getSyncHash(event, payloads), mapping.status, mapping.rowIndex);
+      }
+    } catch (error) {
+      failure = failure || error;
+    }
+    if (failure) {
+      log.error('reconcile.drift.mapping.error', { reportId: report.id, userUpn, eventKey: key, message: failure.message });
+      report.errors.push({ userUpn, eventKey: key, message: failure.message });
+    }
+  }
+
+  for (const [appointmentId, appointment] of appointments) {
+    if (referencedIds.has(appointmentId) || !isOwnedAppointment(appointment)) {
+      continue;
+    }
+    const repair = policy.unreferenced === 'delete' && !dryRun;
+    if (repair) {
+      await servicetitan.deleteNonJob(appointmentId);
+    }
+    recordDrift(report, {
+      userUpn,
+      technicianId,
+      eventKey: null,
+      appointmentId,
+      type: 'unreferenced',
+      action: policy.unreferenced,
+      repaired: repair,
+      appointment: { name: appointment.name || '', start: appointment.start || null, duration: appointment.duration || null },
+    });
+  }
+}
+
+/**
+ * Compares EventMap and the expected payloads with the non-job appointments listed in ServiceTitan for
+ * each mapped technician, and repairs drift according to the policy:
+ * - `missing`: a mapped appointment no longer exists (`recreate` | `report`).
+ * - `edited`: an appointment differs from the expected payload (`revert` | `report`).
+ * - `unreferenced`: an appointment we own that no EventMap row points to (`delete` | `report`).
+ * @param {object} options
+ * @param {string} [options.start] - Window start (with `end`); defaults to the sync window.
+ * @param {string} [options.end] - Window end.
+ * @param {Array<string>} [options.upns] - Restrict to these users (default: all enabled users).
+ * @param {object} [options.policy] - Overrides DRIFT_REPAIR_POLICY for this run.
+ * @param {boolean} [options.dryRun] - Report drift without repairing it.
+ * @returns {Promise<object>} The stored drift report.
+ */
+async function reconcileDrift(options = {}) {
+  const { upns = null, dryRun = false } = options;
+  const hasWindow = options.start || options.end || options.pastDays || options.futureDays;
+  const window = resolveBackfillWindow(hasWindow ? options : {
+    pastDays: config.syncWindowPastDays,
+    futureDays: config.syncWindowFutureDays,
+  });
+  if (upns !== null && !Array.isArray(upns)) {
+    throw createHttpError('upns must be an array of user principal names', 400);
+  }
+  const policy = resolveRunPolicy(options.policy);
+
+  const report = {
+    id: crypto.randomUUID(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    dryRun: Boolean(dryRun),
+    window,
+    policy,
+    counts: createDriftCounts(),
+    drift: [],
+    driftTruncated: false,
+    skippedLocked: [],
+    errors: [],
+  };
+  log.info('reconcile.drift.start', { reportId: report.id, dryRun: report.dryRun, window, policy });
+
+  const techMap = await store.getTechMap();
+  let users = techMap.filter((user) => user.enabled && user.st_technician_id);
+  if (upns && upns.length > 0) {
+    const wanted = upns.map((upn) => String(upn).trim().toLowerCase());
+    users = users.filter((user) => wanted.includes(user.outlook_upn.toLowerCase()));
+  }
+
+  await mapWithConcurrency(users, config.syncUserConcurrency, async (userConfig) => {
+    const userUpn = userConfig.outlook_upn;
+    try {
+      if (report.dryRun) {
+        await reconcileUserDrift(report, userConfig);
+        return;
+      }
+      await withUserLock(userUpn, report, { coalesce: false }, () => reconcileUserDrift(report, userConfig));
+    } catch (error) {
+      log.error('reconcile.drift.user.error', { reportId: report.id, userUpn, message: error.message });
+      report.errors.push({ userUpn, message: error.message });
+    }
+  });
+
+  report.finishedAt = new Date().toISOString();
+  await saveDriftReport(report);
+  log.info('reconcile.drift.complete', { reportId: report.id, ...report.counts, errors: report.errors.length });
+  return report;
+}
+
+async function getDriftReport(reportId) {
+  const stored = await store.getRecord(DRIFT_REPORT_COLLECTION, String(reportId));
+  if (!stored) {
+    return null;
+  }
+  const { driftChunks = 0, ...report } = stored;
+  const drift = [];
+  for (let index = 0; index < driftChunks; index += 1) {
+    const chunk = await store.getRecord(DRIFT_ENTRY_COLLECTION, getDriftEntryKey(report.id, index));
+    if (chunk) drift.push(...chunk.drift);
+  }
+  return { ...report, drift };
+}
+
+module.exports = {
+  rebuildPayloads,
+  getRebuild,
+  reconcileDrift,
+  getDriftReport,
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const store = require('./store');
+const log = require('../utils/logger');
+const { createHttpError } = require('../utils/errors');
+
+// Run history / audit log. Every live (non-dry-run) sync, backfill and cleanup run is stored in the `runs`
+// record collection with its summary, duration and trigger (sync, purge and dedupe runs only if they wrote or
+// failed something), and the ServiceTitan writes it made (created, updated and deleted appointment ids with the
+// Outlook stable key) go to `runActions` in chunks, so a record stays small enough for every state backend (a
+// Sheets cell holds 50k characters).
+const RUN_COLLECTION = 'runs';
+const RUN_ACTION_COLLECTION = 'runActions';
+const ACTIONS_PER_RECORD = 100;
+const MAX_RUN_ERRORS = 50;
+const DEFAULT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60_000;
+
+let lastPrunedAtMs = 0;
+
+/**
+ * @returns {number} Days runs are kept (RUN_HISTORY_RETENTION_DAYS); 0 turns run history off.
+ */
+function getRetentionDays() {
+  const value = String(process.env.RUN_HISTORY_RETENTION_DAYS ?? '').trim();
+  if (!value) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error('Invalid RUN_HISTORY_RETENTION_DAYS: expected a non-negative integer');
+  }
+  return parsed;
+}
+
+// Start time first, so ids sort roughly by start (to the second) and are readable in the store.
+function createRunId(startedAt) {
+  const started = DateTime.fromISO(startedAt, { zone: 'utc' });
+  return `${started.toFormat("yyyyLLdd'T'HHmmss'Z'")}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function getActionKey(runId, index) {
+  return `${runId}#${String(index).padStart(4, '0')}`;
+}
+
+function countActions(actions) {
+  const counts = { created: 0, updated: 0, deleted: 0 };
+  for (const entry of actions) {
+    counts[entry.action] = (counts[entry.action] || 0) + 1;
+  }
+  return counts;
+}
+
+function compactSummary(summary) {
+  const compact = { ...summary };
+  // Dry runs are not recorded, but drop plans in case a caller passes one.
+  delete compact.plans;
+  if (Array.isArray(compact.errors)) {
+    compact.errors = compact.errors.slice(0, MAX_RUN_ERRORS);
+  }
+  return compact;
+}
+
+/**
+ * @returns {boolean} Whether runs that wrote nothing and failed nothing are kept (RUN_HISTORY_RECORD_NOOP).
+ */
+function shouldRecordNoopRuns() {
+  return String(process.env.RUN_HISTORY_RECORD_NOOP || '').trim().toLowerCase() === 'true';
+}
+
+function isNoopRun(actions, summary) {
+  return actions.length === 0 && !(Array.isArray(summary.errors) && summary.errors.length > 0);
+}
+
+/**
+ * Stores one run. Never throws: losing a history entry must not fail the run it describes.
+ * @param {object} run
+ * @param {string} run.type - What ran (`delta`, `sync-cycle`, `backfill`, `reset`, `dedupe`, ...).
+ * @param {string} run.trigger - Who asked (`webhook`, `POST /run-sync`, `job:<id>`, ...).
+ * @param {object} run.summary - The run's summary as returned to the caller.
+ * @param {Array<object>} [run.actions] - ServiceTitan writes: { at, action, appointmentId, eventKey?,
+ *        userUpn?, technicianId?, reason? }.
+ * @param {Array<string>} [run.users] - Users the run covered, in addition to those in `actions` and errors.
+ * @param {string} [run.startedAt] - Default: `summary.startedAt`.
+ * @param {boolean} [run.skipNoop] - Drop the run if it made no ServiceTitan writes and has no errors, unless
+ *        RUN_HISTORY_RECORD_NOOP is set. For frequent runs (webhook deltas, sync cycles) that mostly find nothing.
+ * @returns {Promise<object|null>} The stored run, or null if history is off, the run was skipped or the
+ *          write failed.
+ */
+async function recordRun({ type, trigger, summary, actions = [], users = [], startedAt = null, skipNoop = false }) {
+  try {
+    if (getRetentionDays() === 0) {
+      return null;
+    }
+    if (skipNoop && isNoopRun(actions, summary) && !shouldRecordNoopRuns()) {
+      log.debug('runs.skipped_noop', { type, trigger });
+      return null;
+    }
+    const finishedAt = summary.finishedAt || new Date().toISOString();
+    const start = startedAt || summary.startedAt || finishedAt;
+    const id = createRunId(start);
+    const userSet = new Set(users.map((upn) => String(upn).toLowerCase()));
+    for (const entry of [...actions, ...(summary.errors || [])]) {
+      if (entry.userUpn) userSet.add(String(entry.userUpn).toLowerCase());
+    }
+
+    const chunkCount = Math.ceil(actions.length / ACTIONS_PER_RECORD);
+    // One write for all chunks: on Sheets each putRecord would read the whole tab.
+    await store.putRecords(RUN_ACTION_COLLECTION, Array.from({ length: chunkCount }, (unused, index) => ({
+      key: getActionKey(id, index),
+      value: { runId: id, index, actions: actions.slice(index * ACTIONS_PER_RECORD, (index + 1) * ACTIONS_PER_RECORD) },
+    })));
+
+    // Written after its actions, so a listed run always has them.
+    const run = {
+      id,
+      type,
+      trigger: trigger || 'api',
+      startedAt: start,
+      finishedAt,
+      durationMs: Math.max(0, Date.parse(finishedAt) - Date.parse(start)),
+      users: [...userSet].sort(),
+      actionCounts: countActions(actions),
+      actionChunks: chunkCount,
+      errorCount: Array.isArray(summary.errors) ? summary.errors.length : 0,
+      summary: compactSummary(summary),
+    };
+    await store.putRecord(RUN_COLLECTION, id, run);
+    log.info('runs.recorded', { runId: id, type, trigger: run.trigger, actions: actions.length });
+
+    await pruneRunsIfDue();
+    return run;
+  } catch (error) {
+    log.warn('runs.record.failed', { type, trigger, message: error.message });
+    return null;
+  }
+}
+
+async function getRunActions(run) {
+  const actions = [];
+  for (let index = 0; index < (run.actionChunks || 0); index += 1) {
+    const chunk = await store.getRecord(RUN_ACTION_COLLECTION, getActionKey(run.id, index));
+    if (chunk) actions.push(...chunk.actions);
+  }
+  return actions;
+}
+
+/**
+ * A stored run with all of its actions.
+ * @param {string} runId
+ * @returns {Promise<object|null>}
+ */
+async function getRun(runId) {
+  const run = await store.getRecord(RUN_COLLECTION, String(runId));
+  return run ? { ...run, actions: await getRunActions(run) } : null;
+}
+
+function matchesAction(entry, { appointmentId, eventKey }) {
+  if (appointmentId && String(entry.appointmentId) !== String(appointmentId)) return false;
+  if (eventKey && !String(entry.eventKey || '').includes(eventKey)) return false;
+  return true;
+}
+
+/**
+ * Lists runs, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.type]
+ * @param {string} [filters.upn] - Runs that covered this user.
+ * @param {string} [filters.since] - ISO date/date-time; runs started at or after it.
+ * @param {string} [filters.until] - ISO date/date-time; runs started before it.
+ * @param {string} [filters.appointmentId] - Runs that wrote this ServiceTitan appointment.
+ * @param {string} [filters.eventKey] - Runs that wrote appointments of events whose stable key contains this
+ *        (e.g. a date such as `2025-03-04`).
+ * @param {number} [filters.limit] - Default 50.
+ * @returns {Promise<{runs: Array<object>, total: number}>} Runs without their actions, except the actions
+ *          matching `appointmentId`/`eventKey` (`matchingActions`).
+ */
+async function listRuns(filters = {}) {
+  const { type = null, upn = null, since = null, until = null, appointmentId = null, eventKey = null } = filters;
+  const limit = Math.max(1, Number.parseInt(filters.limit, 10) || 50);
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) {
+    throw createHttpError('since and until must be ISO dates or date-times', 400);
+  }
+
+  let runs = (await store.listRecords(RUN_COLLECTION))
+    .filter((run) => !type || run.type === type)
+    .filter((run) => !upn || run.users.includes(String(upn).toLowerCase()))
+    .filter((run) => sinceMs === null || Date.parse(run.startedAt) >= sinceMs)
+    .filter((run) => untilMs === null || Date.parse(run.startedAt) < untilMs);
+
+  if (appointmentId || eventKey) {
+    const matching = new Map();
+    for (const chunk of await store.listRecords(RUN_ACTION_COLLECTION)) {
+      const found = chunk.actions.filter((entry) => matchesAction(entry, { appointmentId, eventKey }));
+      if (found.length > 0) {
+        matching.set(chunk.runId, [...(matching.get(chunk.runId) || []), ...found]);
+      }
+    }
+    runs = runs
+      .filter((run) => matching.has(run.id))
+      .map((run) => ({ ...run, matchingActions: matching.get(run.id) }));
+  }
+
+  runs.sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt) || (a.id < b.id ? 1 : -1));
+  return { runs: runs.slice(0, limit), total: runs.length };
+}
+
+/**
+ * Deletes runs (and their actions) older than the retention period.
+ * @returns {Promise<number>} Number of runs deleted.
+ */
+async function pruneRuns() {
+  const retentionDays = getRetentionDays();
+  if (retentionDays === 0) {
+    return 0;
+  }
+  const cutoffMs = Date.now() - retentionDays * 86_400_000;
+  const expired = (await store.listRecords(RUN_COLLECTION)).filter((run) => Date.parse(run.startedAt) < cutoffMs);
+  if (expired.length === 0) {
+    return 0;
+  }
+  // Actions first, like recordRun writes them, so a run still listed never lost its actions.
+  const actionKeys = expired.flatMap((run) => Array.from(
+    { length: run.actionChunks || 0 },
+    (unused, index) => getActionKey(run.id, index),
+  ));
+  await store.deleteRecords(RUN_ACTION_COLLECTION, actionKeys);
+  await store.deleteRecords(RUN_COLLECTION, expired.map((run) => run.id));
+  log.info('runs.pruned', { deleted: expired.length, retentionDays });
+  return expired.length;
+}
+
+// Pruning lists the whole collection, so each instance does it at most hourly.
+async function pruneRunsIfDue() {
+  if (Date.now() - lastPrunedAtMs < PRUNE_INTERVAL_MS) {
+    return;
+  }
+  lastPrunedAtMs = Date.now();
+  await pruneRuns();
+}
+
+module.exports = {
+  getRetentionDays,
+  recordRun,
+  getRun,
+  listRuns,
+  pruneRuns,
+};
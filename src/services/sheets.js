@@ -1,6 +1,10 @@
 const { google } = require('googleapis');
 const { getSecrets } = require('../utils/secrets');
+const { createLimiter, parseConcurrency } = require('../utils/concurrency');
+const metrics = require('../utils/metrics');
 const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { TECH_MAP_COLUMNS, normalizeTechMapRow, techMapRowFromCells } = require('./store/techMap');
 
 let sheetsService;
 let spreadsheetId;
@@ -14,6 +18,12 @@ let eventMapCache = {
     rows: null,
 };
 
+// Sheets quota is per project, so parallel user syncs share one cap on in-flight requests.
+const sheetsLimiter = createLimiter(parseConcurrency(process.env.SHEETS_MAX_CONCURRENCY, 2));
+// Cache reloads and EventMap appends must not interleave: cached row indexes assume appended rows
+// land at the end of the sheet in the same order they were pushed into the cache.
+const eventMapMutex = createLimiter(1);
+
 // --- Initialization ---
 async function initializeSheets() {
     if (sheetsService) return; // Already initialized
@@ -28,7 +38,7 @@ async function initializeSheets() {
     });
     const authClient = await auth.getClient();
     sheetsService = google.sheets({ version: 'v4', auth: authClient });
-    console.log('Google Sheets API client initialized.');
+    log.info('store.sheets.initialized');
 }
 
 function invalidateEventMapCache() {
@@ -62,6 +72,16 @@ async function readSheetRows(range) {
  * @returns {Promise<void>}
  */
 async function appendSheetRow(range, rowData) {
+    await appendSheetRows(range, [rowData]);
+}
+
+/**
+ * Appends several rows to a specified sheet in one request.
+ * @param {string} range - The A1 notation of the sheet to append to.
+ * @param {Array<Array<string>>} rows - The rows to append, in order.
+ * @returns {Promise<void>}
+ */
+async function appendSheetRows(range, rows) {
     await initializeSheets();
     return withRetry(async () => {
         await sheetsService.spreadsheets.values.append({
@@ -69,7 +89,7 @@ async function appendSheetRow(range, rowData) {
             range,
             valueInputOption: 'RAW',
             resource: {
-                values: [rowData],
+                values: rows,
             },
         });
     }, `append ${range}`);
@@ -105,43 +125,47 @@ async function clearSheetRange(range) {
     }, `clear ${range}`);
 }
 
+async function getSheetId(sheetName) {
+    const metadata = await sheetsService.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties',
+    });
+    const sheet = metadata.data.sheets.find(s => s.properties.title === sheetName);
+    if (!sheet) {
+        throw new Error(`Sheet "${sheetName}" not found.`);
+    }
+    return sheet.properties.sheetId;
+}
+
 /**
- * Deletes rows from a specified sheet.
- * @param {string} sheetName - The name of the sheet (e.g., 'EventMap').
- * @param {number} startRowIndex - The 1-based index of the first row to delete.
- * @param {number} endRowIndex - The 1-based index of the last row to delete (exclusive).
+ * Deletes rows from a sheet in one batchUpdate.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {Array<number>} rowNumbers - 1-based row numbers.
  * @returns {Promise<void>}
  */
-async function deleteSheetRows(sheetName, startRowIndex, endRowIndex) {
+async function deleteSheetRowNumbers(sheetName, rowNumbers) {
+    if (rowNumbers.length === 0) return;
     await initializeSheets();
     return withRetry(async () => {
-        // Need to get the sheetId first
-        const metadata = await sheetsService.spreadsheets.get({
-            spreadsheetId,
-            fields: 'sheets.properties',
-        });
-        const sheet = metadata.data.sheets.find(s => s.properties.title === sheetName);
-        if (!sheet) {
-            throw new Error(`Sheet "${sheetName}" not found.`);
-        }
-        const sheetId = sheet.properties.sheetId;
-
+        const sheetId = await getSheetId(sheetName);
+        // Bottom-up, so each deletion leaves the rows still to delete where they were.
+        const requests = [...rowNumbers]
+            .sort((a, b) => b - a)
+            .map((rowNumber) => ({
+                deleteDimension: {
+                    range: {
+                        sheetId: sheetId,
+                        dimension: 'ROWS',
+                        startIndex: rowNumber - 1, // API is 0-indexed
+                        endIndex: rowNumber,
+                    },
+                },
+            }));
         await sheetsService.spreadsheets.batchUpdate({
             spreadsheetId,
-            resource: {
-                requests: [{
-                    deleteDimension: {
-                        range: {
-                            sheetId: sheetId,
-                            dimension: 'ROWS',
-                            startIndex: startRowIndex - 1, // API is 0-indexed
-                            endIndex: endRowIndex - 1,
-                        },
-                    },
-                }],
-            },
+            resource: { requests },
         });
-    }, `delete rows ${sheetName} ${startRowIndex}-${endRowIndex}`);
+    }, `delete ${rowNumbers.length} rows ${sheetName}`);
 }
 
 function sleep(ms) {
@@ -167,17 +191,41 @@ function isRetryableSheetsError(error) {
     return false;
 }
 
+// Labels carry the A1 range (`update EventMap!A12:E12`); metrics keep only the operation to bound cardinality.
+const sheetsRequestsTotal = metrics.createCounter('sheets_requests_total', 'Google Sheets API calls (each attempt) by operation and result.', ['operation', 'result']);
+const sheetsRequestDuration = metrics.createHistogram('sheets_request_duration_seconds', 'Google Sheets API call latency (each attempt).', ['operation']);
+const sheetsRetriesTotal = metrics.createCounter('sheets_retries_total', 'Google Sheets API calls retried after a quota, rate limit or 5xx error.', ['operation']);
+const sheetsThrottledTotal = metrics.createCounter('sheets_throttled_total', 'Google Sheets API calls rejected with 429 or a quota error.');
+
+function isSheetsThrottleError(error) {
+    return getRetryableCode(error) === 429 || String(error?.message || '').toLowerCase().includes('quota');
+}
+
 async function withRetry(fn, label) {
     const maxAttempts = 6;
+    const operation = String(label).split(' ')[0];
     let lastErr = null;
 
     for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
         try {
-            return await fn();
+            const result = await sheetsLimiter(async () => {
+                const startMs = Date.now();
+                try {
+                    return await fn();
+                } finally {
+                    sheetsRequestDuration.observe({ operation }, metrics.secondsSince(startMs));
+                }
+            });
+            sheetsRequestsTotal.inc({ operation, result: 'ok' });
+            return result;
         } catch (error) {
             lastErr = error;
             const retryable = isRetryableSheetsError(error);
             const code = getRetryableCode(error);
+            sheetsRequestsTotal.inc({ operation, result: code ? String(code) : 'error' });
+            if (isSheetsThrottleError(error)) {
+                sheetsThrottledTotal.inc();
+            }
             if (!retryable || attempt === maxAttempts) {
                 const details = code ? `code=${code}` : 'code=unknown';
                 throw new Error(`Google Sheets ${label} failed (${details}): ${error.message}`);
@@ -187,7 +235,8 @@ async function withRetry(fn, label) {
             const base = Math.min(10_000, 500 * (2 ** (attempt - 1)));
             const jitter = Math.floor(Math.random() * 250);
             const waitMs = base + jitter;
-            console.warn('sheets.retry', { label, attempt, waitMs, code });
+            sheetsRetriesTotal.inc({ operation });
+            log.warn('sheets.retry', { label, attempt, waitMs, code });
             await sleep(waitMs);
         }
     }
@@ -202,13 +251,12 @@ async function withRetry(fn, label) {
  * @returns {Promise<Array<object>>} Array of technician mappings.
  */
 async function getTechMap() {
-    const rows = await readSheetRows('TechMap!A2:D'); // Assuming headers are in A1:D1
-    return rows.map(row => ({
-        outlook_upn: row[0] || '',
-        st_technician_id: row[1] || '',
-        st_timesheet_code_id: row[2] || '',
-        enabled: (row[3] || 'FALSE').toUpperCase() === 'TRUE',
-    }));
+    // Columns: outlook_upn, st_technician_id, st_timesheet_code_id, enabled, timezone (optional),
+    // filter_rules (optional JSON), name_template (optional), then optional TRUE/FALSE payload flags:
+    // clear_dispatch_board, clear_technician_view, remove_from_capacity, show_on_technician_schedule,
+    // require_timesheet.
+    const rows = await readSheetRows('TechMap!A2:L'); // Assuming headers are in A1:L1
+    return rows.map((cells) => normalizeTechMapRow(techMapRowFromCells(cells)));
 }
 
 function getRequiredHeaderIndex(headerRowValues, headerName, sheetName) {
@@ -224,6 +272,58 @@ function getRequiredHeaderIndex(headerRowValues, headerName, sheetName) {
     return index;
 }
 
+// Header rows the positional readers above and below depend on. TechMap columns after `enabled` are optional,
+// but a header that is present must be in its column.
+const SHEET_HEADERS = {
+    TechMap: {
+        range: 'TechMap!A1:L1',
+        headers: TECH_MAP_COLUMNS,
+        required: 4,
+    },
+    EventMap: {
+        range: 'EventMap!A1:F1',
+        headers: ['outlook_upn', 'outlook_event_id', 'st_nonjob_ids_json', 'last_hash', 'last_synced_utc', 'status'],
+        required: 6,
+    },
+    DeltaState: {
+        range: 'DeltaState!A1:D1',
+        headers: ['outlook_upn', 'delta_link', 'window_end', 'last_run_utc'],
+        required: 4,
+    },
+};
+
+/**
+ * Compares header rows with the layout the readers expect.
+ * @param {Object<string, Array<string>>} headerRows - First row of each sheet in SHEET_HEADERS, by sheet name.
+ * @returns {Array<string>} One message per problem; empty when every header is in place.
+ */
+function getSheetHeaderProblems(headerRows) {
+    const problems = [];
+    for (const [name, { headers, required }] of Object.entries(SHEET_HEADERS)) {
+        const actual = (headerRows[name] || []).map((value) => String(value || '').trim());
+        headers.forEach((header, index) => {
+            const column = String.fromCharCode(65 + index);
+            if (!actual[index] && index >= required) {
+                return;
+            }
+            if (actual[index] !== header) {
+                problems.push(`${name}!${column}1 should be "${header}" but is "${actual[index] || ''}"`);
+            }
+        });
+    }
+    return problems;
+}
+
+/**
+ * Checks the TechMap, EventMap and DeltaState header rows.
+ * @returns {Promise<Array<string>>} One message per problem; empty when every header is in place.
+ */
+async function validateSheetHeaders() {
+    const sheetNames = Object.keys(SHEET_HEADERS);
+    const headerRows = await Promise.all(sheetNames.map((name) => readSheetRows(SHEET_HEADERS[name].range)));
+    return getSheetHeaderProblems(Object.fromEntries(sheetNames.map((name, index) => [name, headerRows[index][0]])));
+}
+
 /**
  * Retrieves delta state for a specific UPN.
  * @param {string} outlookUpn - The UPN to retrieve delta state for.
@@ -287,9 +387,57 @@ async function updateDeltaState(outlookUpn, newDeltaLink, existingRowIndex) {
         // Append new row
         await appendSheetRow('DeltaState!A:D', rowData);
     }
-    console.log(`Delta state updated for ${outlookUpn}.`);
+    log.debug('store.delta_state.updated', { userUpn: outlookUpn });
 }
 
+/**
+ * Discards the delta state for a specific UPN so the next run starts a fresh delta round.
+ * @param {string} outlookUpn - The UPN whose delta state should be discarded.
+ * @returns {Promise<void>}
+ */
+async function deleteDeltaState(outlookUpn) {
+    const existing = await getDeltaState(outlookUpn);
+    if (!existing.rowIndex) {
+        return;
+    }
+    // Blank the row rather than deleting it so other row indexes stay valid.
+    await clearSheetRange(`DeltaState!A${existing.rowIndex}:E${existing.rowIndex}`);
+    log.info('store.delta_state.discarded', { userUpn: outlookUpn });
+}
+
+
+async function loadEventMapCache() {
+    const isFresh = () => eventMapCache.rows && Date.now() - eventMapCache.loadedAtMs <= CACHE_TTL_MS;
+    if (isFresh()) {
+        return eventMapCache;
+    }
+
+    return eventMapMutex(async () => {
+        // Another caller may have reloaded while we waited for the mutex.
+        if (!isFresh()) {
+            const [rows, header] = await Promise.all([
+                readSheetRows('EventMap!A2:F'),
+                readSheetRows('EventMap!A1:F1'),
+            ]);
+            eventMapCache.rows = rows;
+            eventMapCache.headerRow = header[0];
+            eventMapCache.loadedAtMs = Date.now();
+        }
+        return eventMapCache;
+    });
+}
+
+function toEventMapping(row, rowIndex) {
+    return {
+        rowIndex: rowIndex,
+        outlook_upn: row[0],
+        outlook_event_id: row[1],
+        st_nonjob_ids_json: row[2],
+        last_hash: row[3],
+        last_synced_utc: row[4],
+        status: row[5],
+    };
+}
 
 /**
  * Finds an event mapping entry.
@@ -298,84 +446,32 @@ async function updateDeltaState(outlookUpn, newDeltaLink, existingRowIndex) {
  * @returns {Promise<object | null>} The event mapping object with its row index, or null if not found.
  */
 async function findEventMapping(outlookUpn, outlookEventId) {
-    const nowMs = Date.now();
-    if (!eventMapCache.rows || nowMs - eventMapCache.loadedAtMs > CACHE_TTL_MS) {
-        const [rows, header] = await Promise.all([
-            readSheetRows('EventMap!A2:F'),
-            readSheetRows('EventMap!A1:F1'),
-        ]);
-        eventMapCache.rows = rows;
-        eventMapCache.headerRow = header[0];
-        eventMapCache.loadedAtMs = nowMs;
-    }
-
-    const rows = eventMapCache.rows;
-    const headerRowValues = eventMapCache.headerRow;
+    const { rows, headerRow: headerRowValues } = await loadEventMapCache();
     const upnIndex = getRequiredHeaderIndex(headerRowValues, 'outlook_upn', 'EventMap');
     const eventIdIndex = getRequiredHeaderIndex(headerRowValues, 'outlook_event_id', 'EventMap');
 
-    let rowIndex = -1;
-    const existingEntry = rows.find((row, idx) => {
-        if (row[upnIndex] === outlookUpn && row[eventIdIndex] === outlookEventId) {
-            rowIndex = idx + 2; // +2 for header row and 0-index adjustment
-            return true;
-        }
-        return false;
-    });
-
-    if (existingEntry) {
-        return {
-            rowIndex: rowIndex,
-            outlook_upn: existingEntry[0],
-            outlook_event_id: existingEntry[1],
-            st_nonjob_ids_json: existingEntry[2],
-            last_hash: existingEntry[3],
-            last_synced_utc: existingEntry[4],
-            status: existingEntry[5],
-        };
-    }
-    return null;
+    const idx = rows.findIndex((row) => row[upnIndex] === outlookUpn && row[eventIdIndex] === outlookEventId);
+    // +2 for header row and 0-index adjustment
+    return idx === -1 ? null : toEventMapping(rows[idx], idx + 2);
 }
 
 async function findEventMappingByGraphId(outlookUpn, graphEventId) {
-    const nowMs = Date.now();
-    if (!eventMapCache.rows || nowMs - eventMapCache.loadedAtMs > CACHE_TTL_MS) {
-        const [rows, header] = await Promise.all([
-            readSheetRows('EventMap!A2:F'),
-            readSheetRows('EventMap!A1:F1'),
-        ]);
-        eventMapCache.rows = rows;
-        eventMapCache.headerRow = header[0];
-        eventMapCache.loadedAtMs = nowMs;
-    }
-
-    const rows = eventMapCache.rows;
-    const headerRowValues = eventMapCache.headerRow;
+    const { rows, headerRow: headerRowValues } = await loadEventMapCache();
     const upnIndex = getRequiredHeaderIndex(headerRowValues, 'outlook_upn', 'EventMap');
     const statusIndex = getRequiredHeaderIndex(headerRowValues, 'status', 'EventMap');
 
     const needle = `gid=${graphEventId}`;
-    let rowIndex = -1;
-    const existingEntry = rows.find((row, idx) => {
-        if (row[upnIndex] === outlookUpn && String(row[statusIndex] || '').includes(needle)) {
-            rowIndex = idx + 2;
-            return true;
-        }
-        return false;
-    });
+    const idx = rows.findIndex((row) => row[upnIndex] === outlookUpn && String(row[statusIndex] || '').includes(needle));
+    return idx === -1 ? null : toEventMapping(rows[idx], idx + 2);
+}
 
-    if (existingEntry) {
-        return {
-            rowIndex: rowIndex,
-            outlook_upn: existingEntry[0],
-            outlook_event_id: existingEntry[1],
-            st_nonjob_ids_json: existingEntry[2],
-            last_hash: existingEntry[3],
-            last_synced_utc: existingEntry[4],
-            status: existingEntry[5],
-        };
-    }
-    return null;
+/**
+ * Lists every EventMap entry (including DELETED ones).
+ * @returns {Promise<Array<object>>} Event mapping objects with their row indexes.
+ */
+async function listEventMappings() {
+    const rows = await readSheetRows('EventMap!A2:F');
+    return rows.map((row, idx) => toEventMapping(row, idx + 2));
 }
 
 /**
@@ -399,25 +495,24 @@ async function updateEventMapping(outlookUpn, outlookEventId, stNonJobIds, lastH
         status,
     ];
 
+    // Keep cache warm to avoid read-quota bursts during backfills.
     if (existingRowIndex) {
         await updateSheetRange(`EventMap!A${existingRowIndex}`, [rowData]);
+        const idx = existingRowIndex - 2;
+        if (eventMapCache.rows && idx >= 0 && idx < eventMapCache.rows.length) {
+            eventMapCache.rows[idx] = rowData;
+            eventMapCache.loadedAtMs = Date.now();
+        }
     } else {
-        await appendSheetRow('EventMap!A:F', rowData);
-    }
-
-    // Keep cache warm to avoid read-quota bursts during backfills.
-    if (eventMapCache.rows) {
-        if (existingRowIndex) {
-            const idx = existingRowIndex - 2;
-            if (idx >= 0 && idx < eventMapCache.rows.length) {
-                eventMapCache.rows[idx] = rowData;
+        await eventMapMutex(async () => {
+            await appendSheetRow('EventMap!A:F', rowData);
+            if (eventMapCache.rows) {
+                eventMapCache.rows.push(rowData);
+                eventMapCache.loadedAtMs = Date.now();
             }
-        } else {
-            eventMapCache.rows.push(rowData);
-        }
-        eventMapCache.loadedAtMs = Date.now();
+        });
     }
-    console.log(`Event mapping updated for ${outlookUpn}:${outlookEventId}.`);
+    log.debug('store.event_mapping.updated', { userUpn: outlookUpn, eventKey: outlookEventId });
 }
 
 /**
@@ -439,26 +534,247 @@ async function deleteEventMapping(outlookUpn, outlookEventId) {
             'DELETED',
             existingMapping.rowIndex
         );
-        console.log(`Event mapping for ${outlookUpn}:${outlookEventId} marked as DELETED.`);
+        log.debug('store.event_mapping.deleted', { userUpn: outlookUpn, eventKey: outlookEventId });
         
         // Option 2: Physically delete the row (use with caution)
-        // await deleteSheetRows('EventMap', existingMapping.rowIndex, existingMapping.rowIndex + 1);
-        // console.log(`Event mapping for ${outlookUpn}:${outlookEventId} physically deleted.`);
+        // await deleteSheetRowNumbers('EventMap', [existingMapping.rowIndex]);
+        // log.debug('store.event_mapping.removed', { userUpn: outlookUpn, eventKey: outlookEventId });
 
     } else {
-        console.warn(`Attempted to delete non-existent event mapping for ${outlookUpn}:${outlookEventId}.`);
+        log.warn('store.event_mapping.delete_missing', { userUpn: outlookUpn, eventKey: outlookEventId });
     }
 }
 
+/**
+ * Clears all EventMap rows, keeping the header row.
+ * @returns {Promise<void>}
+ */
+async function clearEventMappings() {
+    await clearSheetRange('EventMap!A2:F');
+    invalidateEventMapCache();
+}
+
+/**
+ * Clears all DeltaState rows, keeping the header row.
+ * @returns {Promise<void>}
+ */
+async function clearDeltaStates() {
+    await clearSheetRange('DeltaState!A2:E');
+}
+
+// --- Keyed Records ---
+// Small auxiliary collections (locks, jobs, ...) live in their own tab, one row per key:
+// key | value_json | updated_utc. Tabs are created on first use.
+
+const RECORD_HEADERS = ['key', 'value_json', 'updated_utc'];
+const ensuredRecordSheets = new Set();
+// Sheets has no transactions; serialize read-modify-write per tab within this process.
+const recordMutexes = new Map();
+
+function getRecordSheetTitle(collection) {
+    return collection.charAt(0).toUpperCase() + collection.slice(1);
+}
+
+function getRecordMutex(title) {
+    if (!recordMutexes.has(title)) {
+        recordMutexes.set(title, createLimiter(1));
+    }
+    return recordMutexes.get(title);
+}
+
+async function ensureRecordSheet(title) {
+    if (ensuredRecordSheets.has(title)) return;
+    await initializeSheets();
+
+    const metadata = await withRetry(() => sheetsService.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties',
+    }), 'get metadata');
+    const exists = metadata.data.sheets.some((sheet) => sheet.properties.title === title);
+    if (!exists) {
+        await withRetry(() => sheetsService.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{ addSheet: { properties: { title } } }],
+            },
+        }), `add sheet ${title}`);
+        await updateSheetRange(`${title}!A1:C1`, [RECORD_HEADERS]);
+        log.info('store.sheets.sheet_created', { title });
+    }
+    ensuredRecordSheets.add(title);
+}
+
+async function readRecordRows(title) {
+    await ensureRecordSheet(title);
+    return readSheetRows(`${title}!A2:C`);
+}
+
+function parseRecordValue(row) {
+    try {
+        return JSON.parse(row[1] || 'null');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads a keyed record.
+ * @param {string} collection - Record collection (e.g. 'locks').
+ * @param {string} key - Record key.
+ * @returns {Promise<object | null>} The stored value, or null if missing.
+ */
+async function getRecord(collection, key) {
+    const rows = await readRecordRows(getRecordSheetTitle(collection));
+    const row = rows.find((candidate) => candidate[0] === key);
+    return row ? parseRecordValue(row) : null;
+}
+
+/**
+ * Lists all values in a record collection.
+ * @param {string} collection - Record collection.
+ * @returns {Promise<Array<object>>} Stored values (rows with unreadable JSON are skipped).
+ */
+async function listRecords(collection) {
+    const rows = await readRecordRows(getRecordSheetTitle(collection));
+    // Like getRecord, the first row of a duplicated key wins.
+    const seen = new Set();
+    return rows
+        .filter((row) => row[0] && !seen.has(row[0]) && seen.add(row[0]))
+        .map(parseRecordValue)
+        .filter((value) => value !== null);
+}
+
+// Another instance can delete a row between our read and our write, shifting every row below it; locate the
+// key again right before writing so a stale index never hits a neighbouring record.
+async function findRecordRowNumbers(title, key) {
+    const keys = await readSheetRows(`${title}!A2:A`);
+    return keys
+        .map((candidate, idx) => (candidate[0] === key ? idx + 2 : null))
+        .filter((rowNumber) => rowNumber !== null);
+}
+
+// Two instances can both miss a key and both append it. Readers use the first row; every write or delete
+// collapses the key back to one row, so a lease appended by an instance that lost the race (see locks.js)
+// cannot outlive the holder's next renewal or release.
+async function writeRecordUnlocked(title, key, value) {
+    const [rowNumber = null, ...duplicates] = await findRecordRowNumbers(title, key);
+    if (value === null) {
+        await deleteSheetRowNumbers(title, rowNumber === null ? [] : [rowNumber, ...duplicates]);
+        return;
+    }
+
+    const rowData = [key, JSON.stringify(value), DateTime.utc().toISO()];
+    if (rowNumber === null) {
+        await appendSheetRow(`${title}!A:C`, rowData);
+    } else {
+        await updateSheetRange(`${title}!A${rowNumber}`, [rowData]);
+        if (duplicates.length > 0) {
+            log.warn('store.sheets.record_duplicates_removed', { title, key, count: duplicates.length });
+            await deleteSheetRowNumbers(title, duplicates);
+        }
+    }
+}
+
+/**
+ * Atomically (within this process) reads, transforms and writes a keyed record.
+ * @param {string} collection - Record collection.
+ * @param {string} key - Record key.
+ * @param {function(object | null): (object | null | undefined)} mutator - Returns the new value,
+ *        null to delete the record, or undefined to leave it unchanged.
+ * @returns {Promise<object | null>} The value stored after the update.
+ */
+async function updateRecord(collection, key, mutator) {
+    const title = getRecordSheetTitle(collection);
+    return getRecordMutex(title)(async () => {
+        const rows = await readRecordRows(title);
+        const row = rows.find((candidate) => candidate[0] === key);
+        const current = row ? parseRecordValue(row) : null;
+        const next = await mutator(current);
+        if (next === undefined) {
+            return current;
+        }
+        await writeRecordUnlocked(title, key, next);
+        return next;
+    });
+}
+
+async function putRecord(collection, key, value) {
+    await updateRecord(collection, key, () => value);
+}
+
+async function deleteRecord(collection, key) {
+    await updateRecord(collection, key, () => null);
+}
+
+/**
+ * Writes several keyed records with one read: existing keys are rewritten in place and new keys are
+ * appended in a single request.
+ * @param {string} collection - Record collection.
+ * @param {Array<{key: string, value: object}>} records - Records to write; a repeated key keeps the last value.
+ * @returns {Promise<void>}
+ */
+async function putRecords(collection, records) {
+    const title = getRecordSheetTitle(collection);
+    const values = new Map(records.map(({ key, value }) => [key, value]));
+    return getRecordMutex(title)(async () => {
+        await ensureRecordSheet(title);
+        const keys = (await readSheetRows(`${title}!A2:A`)).map((row) => row[0]);
+        const updatedUtc = DateTime.utc().toISO();
+        const appended = [];
+        for (const [key, value] of values) {
+            const rowData = [key, JSON.stringify(value), updatedUtc];
+            const idx = keys.indexOf(key);
+            if (idx === -1) {
+                appended.push(rowData);
+            } else {
+                await updateSheetRange(`${title}!A${idx + 2}`, [rowData]);
+            }
+        }
+        if (appended.length > 0) {
+            await appendSheetRows(`${title}!A:C`, appended);
+        }
+    });
+}
+
+/**
+ * Deletes several keyed records with one read and one write.
+ * @param {string} collection - Record collection.
+ * @param {Array<string>} keys - Record keys; missing ones are ignored.
+ * @returns {Promise<void>}
+ */
+async function deleteRecords(collection, keys) {
+    const title = getRecordSheetTitle(collection);
+    const wanted = new Set(keys);
+    return getRecordMutex(title)(async () => {
+        await ensureRecordSheet(title);
+        const rowNumbers = (await readSheetRows(`${title}!A2:A`))
+            .map((row, idx) => (wanted.has(row[0]) ? idx + 2 : null))
+            .filter((rowNumber) => rowNumber !== null);
+        await deleteSheetRowNumbers(title, rowNumbers);
+    });
+}
 
 module.exports = {
     getTechMap,
     getDeltaState,
     updateDeltaState,
+    deleteDeltaState,
     findEventMapping,
     findEventMappingByGraphId,
     updateEventMapping,
     deleteEventMapping,
+    listEventMappings,
+    clearEventMappings,
+    clearDeltaStates,
+    getRecord,
+    putRecord,
+    putRecords,
+    deleteRecord,
+    deleteRecords,
+    updateRecord,
+    listRecords,
+    validateSheetHeaders,
+    getSheetHeaderProblems,
     readSheetRows, // Exposed for runFullSyncForAllUsers might need it
     clearSheetRange,
 };
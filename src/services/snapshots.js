@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { createHttpError } = require('../utils/errors');
+
+// Snapshots taken before destructive cleanup (purge, reset, dedupe, clearing EventMap/DeltaState): the full
+// ServiceTitan appointments about to be deleted plus the EventMap rows, so `/cleanup/restore` can put them
+// back. Stored as JSON in SNAPSHOT_BUCKET (GCS) when set, otherwise under SNAPSHOT_DIR on local disk, which
+// does not survive a Cloud Run instance restart.
+const DEFAULT_SNAPSHOT_DIR = '.state/snapshots';
+const BUCKET_PREFIX = 'snapshots/';
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{8}$/;
+
+let storageService = null;
+
+async function getStorage() {
+  if (storageService) return storageService;
+  // Required lazily so runs that keep snapshots on local disk never load googleapis. Credentials come from
+  // the Cloud Run service account, as for Sheets.
+  const { google } = require('googleapis');
+  const auth = new google.auth.GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/devstorage.read_write'],
+  });
+  storageService = google.storage({ version: 'v1', auth: await auth.getClient() });
+  return storageService;
+}
+
+function getSnapshotBucket() {
+  return String(process.env.SNAPSHOT_BUCKET || '').trim().replace(/^gs:\/\//, '').replace(/\/+$/, '');
+}
+
+function getSnapshotDir() {
+  return path.resolve(String(process.env.SNAPSHOT_DIR || '').trim() || DEFAULT_SNAPSHOT_DIR);
+}
+
+function createSnapshotId() {
+  return `${DateTime.utc().toFormat("yyyyLLdd'T'HHmmss'Z'")}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function getLocation(snapshotId) {
+  const bucket = getSnapshotBucket();
+  return bucket
+    ? `gs://${bucket}/${BUCKET_PREFIX}${snapshotId}.json`
+    : path.join(getSnapshotDir(), `${snapshotId}.json`);
+}
+
+/**
+ * Writes a snapshot and returns where it went. Callers must not start deleting if this throws.
+ * @param {object} contents
+ * @param {string} contents.reason - Operation that took the snapshot (e.g. `reset`).
+ * @param {object} [contents.options] - Options of that operation, for reference.
+ * @param {Array<object>} [contents.appointments] - ServiceTitan appointments as returned by the API.
+ * @param {Array<object>} [contents.mappings] - EventMap rows.
+ * @returns {Promise<{id: string, location: string}>}
+ */
+async function createSnapshot({ reason, options = {}, appointments = [], mappings = [] }) {
+  const id = createSnapshotId();
+  const snapshot = {
+    id,
+    createdAt: new Date().toISOString(),
+    reason,
+    options,
+    appointments,
+    mappings: mappings.map((mapping) => ({
+      outlook_upn: mapping.outlook_upn,
+      outlook_event_id: mapping.outlook_event_id,
+      st_nonjob_ids_json: mapping.st_nonjob_ids_json,
+      last_hash: mapping.last_hash,
+      status: mapping.status,
+    })),
+  };
+  const text = JSON.stringify(snapshot);
+
+  const bucket = getSnapshotBucket();
+  if (bucket) {
+    const storage = await getStorage();
+    await storage.objects.insert({
+      bucket,
+      name: `${BUCKET_PREFIX}${id}.json`,
+      media: { mimeType: 'application/json', body: text },
+    });
+  } else {
+    await fs.mkdir(getSnapshotDir(), { recursive: true });
+    await fs.writeFile(getLocation(id), text, 'utf8');
+  }
+
+  const location = getLocation(id);
+  log.info('cleanup.snapshot.created', {
+    snapshotId: id,
+    reason,
+    location,
+    appointments: appointments.length,
+    mappings: mappings.length,
+  });
+  return { id, location };
+}
+
+/**
+ * Reads a snapshot by id.
+ * @param {string} snapshotId
+ * @returns {Promise<object|null>} The snapshot, or null if it does not exist.
+ */
+async function readSnapshot(snapshotId) {
+  const id = String(snapshotId || '');
+  if (!SNAPSHOT_ID_PATTERN.test(id)) {
+    throw createHttpError(`Invalid snapshot id "${id}"`, 400);
+  }
+
+  const bucket = getSnapshotBucket();
+  if (bucket) {
+    const storage = await getStorage();
+    try {
+      const response = await storage.objects.get(
+        { bucket, object: `${BUCKET_PREFIX}${id}.json`, alt: 'media' },
+        { responseType: 'text' },
+      );
+      return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(getLocation(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  createSnapshot,
+  readSnapshot,
+};
@@ -0,0 +1,258 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { DateTime } = require('luxon');
+const log = require('../../utils/logger');
+const { normalizeTechMapRow } = require('./techMap');
+
+// Local JSON-file state backend. Intended for laptop runs and tests: a single process is the only
+// writer, so mutations are serialized through an in-process queue and written atomically.
+const DEFAULT_STATE_FILE_PATH = '.state/state.json';
+
+let writeQueue = Promise.resolve();
+
+function getStateFilePath() {
+  return path.resolve((process.env.STATE_FILE_PATH || '').trim() || DEFAULT_STATE_FILE_PATH);
+}
+
+function emptyState() {
+  return {
+    techMap: [],
+    eventMap: [],
+    deltaState: [],
+    records: {},
+  };
+}
+
+async function readState() {
+  let text;
+  try {
+    text = await fs.readFile(getStateFilePath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return emptyState();
+    }
+    throw error;
+  }
+
+  const parsed = text.trim() ? JSON.parse(text) : {};
+  return { ...emptyState(), ...parsed };
+}
+
+async function writeState(state) {
+  const filePath = getStateFilePath();
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+function mutateState(mutator) {
+  const run = writeQueue.then(async () => {
+    const state = await readState();
+    const result = await mutator(state);
+    await writeState(state);
+    return result;
+  });
+  // Keep the queue alive even if one mutation fails.
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+async function getTechMap() {
+  const state = await readState();
+  return state.techMap.map(normalizeTechMapRow);
+}
+
+async function getDeltaState(outlookUpn) {
+  const state = await readState();
+  const existingEntry = state.deltaState.find((row) => row.outlook_upn === outlookUpn);
+  return {
+    outlook_upn: outlookUpn,
+    delta_link: existingEntry ? existingEntry.delta_link || null : null,
+    window_end: existingEntry ? existingEntry.window_end || null : null,
+    last_run_utc: existingEntry ? existingEntry.last_run_utc || null : null,
+  };
+}
+
+async function updateDeltaState(outlookUpn, newDeltaLink) {
+  const row = {
+    outlook_upn: outlookUpn,
+    delta_link: newDeltaLink,
+    window_end: '',
+    last_run_utc: DateTime.utc().toISO(),
+  };
+
+  await mutateState((state) => {
+    const idx = state.deltaState.findIndex((entry) => entry.outlook_upn === outlookUpn);
+    if (idx === -1) {
+      state.deltaState.push(row);
+    } else {
+      state.deltaState[idx] = row;
+    }
+  });
+  log.debug('store.delta_state.updated', { userUpn: outlookUpn });
+}
+
+async function deleteDeltaState(outlookUpn) {
+  await mutateState((state) => {
+    state.deltaState = state.deltaState.filter((entry) => entry.outlook_upn !== outlookUpn);
+  });
+  log.info('store.delta_state.discarded', { userUpn: outlookUpn });
+}
+
+function toEventMapping(row) {
+  return {
+    outlook_upn: row.outlook_upn,
+    outlook_event_id: row.outlook_event_id,
+    st_nonjob_ids_json: row.st_nonjob_ids_json,
+    last_hash: row.last_hash,
+    last_synced_utc: row.last_synced_utc,
+    status: row.status,
+  };
+}
+
+async function findEventMapping(outlookUpn, outlookEventId) {
+  const state = await readState();
+  const row = state.eventMap.find((entry) => entry.outlook_upn === outlookUpn && entry.outlook_event_id === outlookEventId);
+  return row ? toEventMapping(row) : null;
+}
+
+async function findEventMappingByGraphId(outlookUpn, graphEventId) {
+  const state = await readState();
+  const needle = `gid=${graphEventId}`;
+  const row = state.eventMap.find((entry) => entry.outlook_upn === outlookUpn && String(entry.status || '').includes(needle));
+  return row ? toEventMapping(row) : null;
+}
+
+async function listEventMappings() {
+  const state = await readState();
+  return state.eventMap.map(toEventMapping);
+}
+
+async function updateEventMapping(outlookUpn, outlookEventId, stNonJobIds, lastHash, status = 'SYNCED') {
+  const row = {
+    outlook_upn: outlookUpn,
+    outlook_event_id: outlookEventId,
+    st_nonjob_ids_json: JSON.stringify(stNonJobIds),
+    last_hash: lastHash,
+    last_synced_utc: DateTime.utc().toISO(),
+    status,
+  };
+
+  await mutateState((state) => {
+    const idx = state.eventMap.findIndex((entry) => entry.outlook_upn === outlookUpn && entry.outlook_event_id === outlookEventId);
+    if (idx === -1) {
+      state.eventMap.push(row);
+    } else {
+      state.eventMap[idx] = row;
+    }
+  });
+  log.debug('store.event_mapping.updated', { userUpn: outlookUpn, eventKey: outlookEventId });
+}
+
+async function deleteEventMapping(outlookUpn, outlookEventId, existingMapping = null) {
+  const mapping = existingMapping || await findEventMapping(outlookUpn, outlookEventId);
+  if (!mapping) {
+    log.warn('store.event_mapping.delete_missing', { userUpn: outlookUpn, eventKey: outlookEventId });
+    return;
+  }
+
+  // Mark as DELETED rather than removing the entry, matching the Sheets backend.
+  await updateEventMapping(outlookUpn, outlookEventId, [], mapping.last_hash, 'DELETED');
+  log.debug('store.event_mapping.deleted', { userUpn: outlookUpn, eventKey: outlookEventId });
+}
+
+async function clearEventMappings() {
+  await mutateState((state) => {
+    state.eventMap = [];
+  });
+}
+
+async function clearDeltaStates() {
+  await mutateState((state) => {
+    state.deltaState = [];
+  });
+}
+
+// Keyed records (locks, jobs, ...) live under `records.<collection>.<key>`.
+function getCollection(state, collection) {
+  if (!state.records[collection]) {
+    state.records[collection] = {};
+  }
+  return state.records[collection];
+}
+
+async function getRecord(collection, key) {
+  const state = await readState();
+  const value = state.records[collection]?.[key];
+  return value === undefined ? null : value;
+}
+
+async function listRecords(collection) {
+  const state = await readState();
+  return Object.values(state.records[collection] || {});
+}
+
+async function updateRecord(collection, key, mutator) {
+  return mutateState(async (state) => {
+    const records = getCollection(state, collection);
+    const current = records[key] === undefined ? null : records[key];
+    const next = await mutator(current);
+    if (next === undefined) {
+      return current;
+    }
+    if (next === null) {
+      delete records[key];
+    } else {
+      records[key] = next;
+    }
+    return next;
+  });
+}
+
+async function putRecord(collection, key, value) {
+  await updateRecord(collection, key, () => value);
+}
+
+async function putRecords(collection, records) {
+  await mutateState((state) => {
+    const stored = getCollection(state, collection);
+    for (const { key, value } of records) {
+      stored[key] = value;
+    }
+  });
+}
+
+async function deleteRecord(collection, key) {
+  await updateRecord(collection, key, () => null);
+}
+
+async function deleteRecords(collection, keys) {
+  await mutateState((state) => {
+    const records = getCollection(state, collection);
+    for (const key of keys) {
+      delete records[key];
+    }
+  });
+}
+
+module.exports = {
+  getTechMap,
+  getDeltaState,
+  updateDeltaState,
+  deleteDeltaState,
+  findEventMapping,
+  findEventMappingByGraphId,
+  updateEventMapping,
+  deleteEventMapping,
+  listEventMappings,
+  clearEventMappings,
+  clearDeltaStates,
+  getRecord,
+  putRecord,
+  putRecords,
+  deleteRecord,
+  deleteRecords,
+  updateRecord,
+  listRecords,
+};
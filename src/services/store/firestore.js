@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { Firestore } = require('@google-cloud/firestore');
+const { DateTime } = require('luxon');
+const log = require('../../utils/logger');
+const { normalizeTechMapRow } = require('./techMap');
+
+// Firestore state backend. Uses Application Default Credentials and the project of the
+// Cloud Run service account, like the Sheets and Pub/Sub clients.
+const COLLECTIONS = {
+  techMap: 'techMap',
+  eventMap: 'eventMap',
+  deltaState: 'deltaState',
+};
+// A write batch holds at most 500 operations.
+const MAX_BATCH_WRITES = 500;
+
+let db;
+
+function getDb() {
+  if (!db) {
+    db = new Firestore();
+    log.info('store.firestore.initialized');
+  }
+  return db;
+}
+
+// Firestore document ids cannot contain '/', and stable event keys can be long, so hash them.
+function getEventMapDocId(outlookUpn, outlookEventId) {
+  return crypto.createHash('sha256').update(`${outlookUpn}\n${outlookEventId}`).digest('hex');
+}
+
+function getDeltaStateDocId(outlookUpn) {
+  return encodeURIComponent(outlookUpn);
+}
+
+function getGraphIdFromStatus(status) {
+  const match = String(status || '').match(/gid=([^|]+)/);
+  return match ? match[1] : '';
+}
+
+async function getTechMap() {
+  const snapshot = await getDb().collection(COLLECTIONS.techMap).get();
+  return snapshot.docs.map((doc) => normalizeTechMapRow(doc.data()));
+}
+
+async function getDeltaState(outlookUpn) {
+  const doc = await getDb().collection(COLLECTIONS.deltaState).doc(getDeltaStateDocId(outlookUpn)).get();
+  const row = doc.exists ? doc.data() : {};
+  return {
+    outlook_upn: outlookUpn,
+    delta_link: row.delta_link || null,
+    window_end: row.window_end || null,
+    last_run_utc: row.last_run_utc || null,
+  };
+}
+
+async function updateDeltaState(outlookUpn, newDeltaLink) {
+  await getDb().collection(COLLECTIONS.deltaState).doc(getDeltaStateDocId(outlookUpn)).set({
+    outlook_upn: outlookUpn,
+    delta_link: newDeltaLink,
+    window_end: '',
+    last_run_utc: DateTime.utc().toISO(),
+  });
+  log.debug('store.delta_state.updated', { userUpn: outlookUpn });
+}
+
+async function deleteDeltaState(outlookUpn) {
+  await getDb().collection(COLLECTIONS.deltaState).doc(getDeltaStateDocId(outlookUpn)).delete();
+  log.info('store.delta_state.discarded', { userUpn: outlookUpn });
+}
+
+function toEventMapping(row) {
+  return {
+    outlook_upn: row.outlook_upn,
+    outlook_event_id: row.outlook_event_id,
+    st_nonjob_ids_json: row.st_nonjob_ids_json,
+    last_hash: row.last_hash,
+    last_synced_utc: row.last_synced_utc,
+    status: row.status,
+  };
+}
+
+async function findEventMapping(outlookUpn, outlookEventId) {
+  const doc = await getDb().collection(COLLECTIONS.eventMap).doc(getEventMapDocId(outlookUpn, outlookEventId)).get();
+  return doc.exists ? toEventMapping(doc.data()) : null;
+}
+
+async function findEventMappingByGraphId(outlookUpn, graphEventId) {
+  const snapshot = await getDb().collection(COLLECTIONS.eventMap)
+    .where('outlook_upn', '==', outlookUpn)
+    .where('graph_event_id', '==', graphEventId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : toEventMapping(snapshot.docs[0].data());
+}
+
+async function listEventMappings() {
+  const snapshot = await getDb().collection(COLLECTIONS.eventMap).get();
+  return snapshot.docs.map((doc) => toEventMapping(doc.data()));
+}
+
+async function updateEventMapping(outlookUpn, outlookEventId, stNonJobIds, lastHash, status = 'SYNCED') {
+  await getDb().collection(COLLECTIONS.eventMap).doc(getEventMapDocId(outlookUpn, outlookEventId)).set({
+    outlook_upn: outlookUpn,
+    outlook_event_id: outlookEventId,
+    st_nonjob_ids_json: JSON.stringify(stNonJobIds),
+    last_hash: lastHash,
+    last_synced_utc: DateTime.utc().toISO(),
+    status,
+    // Indexed copy of the gid=... status marker so tombstone lookups are a single query.
+    graph_event_id: getGraphIdFromStatus(status),
+  });
+  log.debug('store.event_mapping.updated', { userUpn: outlookUpn, eventKey: outlookEventId });
+}
+
+async function deleteEventMapping(outlookUpn, outlookEventId, existingMapping = null) {
+  const mapping = existingMapping || await findEventMapping(outlookUpn, outlookEventId);
+  if (!mapping) {
+    log.warn('store.event_mapping.delete_missing', { userUpn: outlookUpn, eventKey: outlookEventId });
+    return;
+  }
+
+  // Mark as DELETED rather than removing the document, matching the Sheets backend.
+  await updateEventMapping(outlookUpn, outlookEventId, [], mapping.last_hash, 'DELETED');
+  log.debug('store.event_mapping.deleted', { userUpn: outlookUpn, eventKey: outlookEventId });
+}
+
+async function clearEventMappings() {
+  const firestore = getDb();
+  await firestore.recursiveDelete(firestore.collection(COLLECTIONS.eventMap));
+}
+
+async function clearDeltaStates() {
+  const firestore = getDb();
+  await firestore.recursiveDelete(firestore.collection(COLLECTIONS.deltaState));
+}
+
+// Keyed records (locks, jobs, ...) use one collection per record type, keyed by the encoded key.
+function getRecordRef(collection, key) {
+  return getDb().collection(collection).doc(encodeURIComponent(key));
+}
+
+async function getRecord(collection, key) {
+  const doc = await getRecordRef(collection, key).get();
+  return doc.exists ? doc.data() : null;
+}
+
+async function listRecords(collection) {
+  const snapshot = await getDb().collection(collection).get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+async function updateRecord(collection, key, mutator) {
+  const ref = getRecordRef(collection, key);
+  return getDb().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const current = doc.exists ? doc.data() : null;
+    const next = await mutator(current);
+    if (next === undefined) {
+      return current;
+    }
+    if (next === null) {
+      transaction.delete(ref);
+    } else {
+      transaction.set(ref, next);
+    }
+    return next;
+  });
+}
+
+async function putRecord(collection, key, value) {
+  await getRecordRef(collection, key).set(value);
+}
+
+async function putRecords(collection, records) {
+  for (let start = 0; start < records.length; start += MAX_BATCH_WRITES) {
+    const batch = getDb().batch();
+    for (const { key, value } of records.slice(start, start + MAX_BATCH_WRITES)) {
+      batch.set(getRecordRef(collection, key), value);
+    }
+    await batch.commit();
+  }
+}
+
+async function deleteRecord(collection, key) {
+  await getRecordRef(collection, key).delete();
+}
+
+async function deleteRecords(collection, keys) {
+  for (let start = 0; start < keys.length; start += MAX_BATCH_WRITES) {
+    const batch = getDb().batch();
+    for (const key of keys.slice(start, start + MAX_BATCH_WRITES)) {
+      batch.delete(getRecordRef(collection, key));
+    }
+    await batch.commit();
+  }
+}
+
+module.exports = {
+  getTechMap,
+  getDeltaState,
+  updateDeltaState,
+  deleteDeltaState,
+  findEventMapping,
+  findEventMappingByGraphId,
+  updateEventMapping,
+  deleteEventMapping,
+  listEventMappings,
+  clearEventMappings,
+  clearDeltaStates,
+  getRecord,
+  putRecord,
+  putRecords,
+  deleteRecord,
+  deleteRecords,
+  updateRecord,
+  listRecords,
+};
@@ -0,0 +1,54 @@
+const { loadConfig } = require('../../config');
+const log = require('../../utils/logger');
+
+// State store facade. Every backend keeps the same EventMap / DeltaState / TechMap shapes as the
+// original Sheets layout, so callers never need to know where mappings live.
+//
+// Backends are required lazily so e.g. the file backend never loads the Firestore client.
+const BACKENDS = {
+  sheets: () => require('../sheets'),
+  firestore: () => require('./firestore'),
+  file: () => require('./file'),
+};
+
+const STORE_METHODS = [
+  'getTechMap',
+  'getDeltaState',
+  'updateDeltaState',
+  'deleteDeltaState',
+  'findEventMapping',
+  'findEventMappingByGraphId',
+  'updateEventMapping',
+  'deleteEventMapping',
+  'listEventMappings',
+  'clearEventMappings',
+  'clearDeltaStates',
+  // Keyed records for auxiliary state (locks, ...).
+  'getRecord',
+  'putRecord',
+  'putRecords',
+  'deleteRecord',
+  'deleteRecords',
+  'updateRecord',
+  'listRecords',
+];
+
+function loadStateStore(backendName) {
+  const load = BACKENDS[backendName];
+  if (!load) {
+    throw new Error(`Unknown state backend "${backendName}"`);
+  }
+
+  const backend = load();
+  const missing = STORE_METHODS.filter((method) => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`State backend "${backendName}" is missing: ${missing.join(', ')}`);
+  }
+
+  log.info('store.initialized', { backend: backendName });
+  return backend;
+}
+
+const config = loadConfig();
+
+module.exports = loadStateStore(config.stateBackend);
@@ -0,0 +1,71 @@
+// TechMap row normalization shared by every backend. Sheets cells are always text; Firestore documents
+// and the state file may also hold booleans and the filter rules array itself.
+const TECH_MAP_COLUMNS = [
+  'outlook_upn',
+  'st_technician_id',
+  'st_timesheet_code_id',
+  'enabled',
+  'timezone',
+  'filter_rules',
+  'name_template',
+  'clear_dispatch_board',
+  'clear_technician_view',
+  'remove_from_capacity',
+  'show_on_technician_schedule',
+  'require_timesheet',
+];
+
+function normalizeFilterRules(value) {
+  if (!value) {
+    return '';
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+// Optional flags: true/false (or "TRUE"/"FALSE") override the env default; anything else inherits it.
+function parseOptionalFlag(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value || '').trim().toUpperCase();
+  if (text === 'TRUE') return true;
+  if (text === 'FALSE') return false;
+  return null;
+}
+
+function parseEnabled(value) {
+  return value === true || String(value || '').trim().toUpperCase() === 'TRUE';
+}
+
+/**
+ * Normalizes one TechMap row.
+ * @param {object} row - Values keyed by TECH_MAP_COLUMNS; missing columns are treated as blank.
+ * @returns {object} The technician mapping callers see, whatever the backend.
+ */
+function normalizeTechMapRow(row) {
+  return {
+    outlook_upn: row.outlook_upn || '',
+    st_technician_id: row.st_technician_id ? String(row.st_technician_id) : '',
+    st_timesheet_code_id: row.st_timesheet_code_id ? String(row.st_timesheet_code_id) : '',
+    enabled: parseEnabled(row.enabled),
+    timezone: String(row.timezone || '').trim(),
+    filter_rules: normalizeFilterRules(row.filter_rules),
+    name_template: String(row.name_template || '').trim(),
+    clear_dispatch_board: parseOptionalFlag(row.clear_dispatch_board),
+    clear_technician_view: parseOptionalFlag(row.clear_technician_view),
+    remove_from_capacity: parseOptionalFlag(row.remove_from_capacity),
+    show_on_technician_schedule: parseOptionalFlag(row.show_on_technician_schedule),
+    require_timesheet: parseOptionalFlag(row.require_timesheet) === true,
+  };
+}
+
+// Sheets returns TechMap rows as arrays in TECH_MAP_COLUMNS order, with trailing blank cells omitted.
+function techMapRowFromCells(cells) {
+  return Object.fromEntries(TECH_MAP_COLUMNS.map((column, index) => [column, cells[index]]));
+}
+
+module.exports = {
+  TECH_MAP_COLUMNS,
+  normalizeTechMapRow,
+  techMapRowFromCells,
+};
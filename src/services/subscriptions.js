@@ -0,0 +1,461 @@
+const graph = require('../api/graph');
+const store = require('./store');
+const { getSecrets } = require('../utils/secrets');
+const { notifyFailure } = require('./alerts');
+const log = require('../utils/logger');
+
+// Graph change-notification subscriptions, one per enabled technician. Each is recorded in the
+// `graphSubscriptions` record collection (keyed by lower-cased UPN) with its id and expiry, so renewal only
+// touches subscriptions close to expiring. `/subscriptions` is listed only to adopt subscriptions created
+// before they were recorded, or when a caller asks for a rescan.
+const SUBSCRIPTION_COLLECTION = 'graphSubscriptions';
+const DEFAULT_RENEW_BEFORE_HOURS = 24;
+
+/**
+ * @returns {number} Hours before expiry a subscription is renewed (SUBSCRIPTION_RENEW_BEFORE_HOURS).
+ */
+function getRenewBeforeHours() {
+  const value = String(process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS ?? '').trim();
+  if (!value) {
+    return DEFAULT_RENEW_BEFORE_HOURS;
+  }
+  const parsed = Number.parseInt(value, 10);
+  // Subscriptions are created for 48 hours; renewing earlier than that would renew on every run.
+  if (!Number.isFinite(parsed) || parsed <= 0 || parsed >= 48) {
+    throw new Error('Invalid SUBSCRIPTION_RENEW_BEFORE_HOURS: expected an integer from 1 to 47');
+  }
+  return parsed;
+}
+
+function getSubscriptionKey(userUpn) {
+  return String(userUpn || '').trim().toLowerCase();
+}
+
+function getResourceKey(resource) {
+  return String(resource || '').trim().toLowerCase();
+}
+
+/**
+ * @param {(object|null)} record - A `graphSubscriptions` record.
+ * @param {number} nowMs
+ * @returns {string} `missing`, `expired`, `expiring` (due for renewal) or `live`.
+ */
+function getSubscriptionState(record, nowMs) {
+  if (!record || !record.subscriptionId) {
+    return 'missing';
+  }
+  const expiresMs = Date.parse(record.expirationDateTime);
+  if (!(expiresMs > nowMs)) {
+    return 'expired';
+  }
+  return expiresMs - nowMs < getRenewBeforeHours() * 3_600_000 ? 'expiring' : 'live';
+}
+
+async function saveSubscription(userUpn, subscription) {
+  const nowIso = new Date().toISOString();
+  return store.updateRecord(SUBSCRIPTION_COLLECTION, getSubscriptionKey(userUpn), (current) => ({
+    ...current,
+    upn: userUpn,
+    subscriptionId: subscription.id,
+    resource: subscription.resource || graph.getSubscriptionResource(userUpn),
+    expirationDateTime: subscription.expirationDateTime,
+    lifecycleNotificationUrl: subscription.lifecycleNotificationUrl || null,
+    // Lifecycle notifications can still arrive for the subscription this one replaced.
+    previousSubscriptionId: current && current.subscriptionId !== subscription.id
+      ? current.subscriptionId
+      : (current?.previousSubscriptionId || null),
+    createdAt: current && current.subscriptionId === subscription.id ? current.createdAt : nowIso,
+    renewedAt: nowIso,
+    lastError: null,
+    lastErrorAt: null,
+  }));
+}
+
+async function saveSubscriptionError(userUpn, message) {
+  await store.updateRecord(SUBSCRIPTION_COLLECTION, getSubscriptionKey(userUpn), (current) => ({
+    upn: userUpn,
+    subscriptionId: null,
+    expirationDateTime: null,
+    ...current,
+    lastError: message,
+    lastErrorAt: new Date().toISOString(),
+  }));
+}
+
+// Graph removes expired subscriptions itself, so a 404 means there is nothing left to delete.
+async function deleteGraphSubscription(subscriptionId) {
+  try {
+    await graph.deleteSubscription(subscriptionId);
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Renews the user's subscription, or creates one when there is none to renew. A subscription without a
+ * lifecycle notification URL cannot get one, so it is replaced (created anew, then the old one deleted).
+ * @param {string} userUpn
+ * @param {object} [options]
+ * @param {(object|null)} [options.record] - The user's `graphSubscriptions` record.
+ * @param {(object|null)} [options.existing] - An unrecorded subscription found in Graph for the user.
+ * @param {boolean} [options.force] - Renew even if the subscription is not due.
+ * @returns {Promise<{action: string, subscriptionId: string, expirationDateTime: string, replacedIds: Array<string>}>}
+ *          `action` is `unchanged`, `renewed`, `adopted`, `replaced` or `created`; `replacedIds` are the
+ *          subscriptions deleted after a replacement.
+ */
+async function ensureUserSubscription(userUpn, options = {}) {
+  const { record = null, existing = null, force = false } = options;
+  const nowMs = Date.now();
+  const state = getSubscriptionState(record, nowMs);
+  const recordIsCurrent = state !== 'missing' && state !== 'expired';
+  if (state === 'live' && record.lifecycleNotificationUrl && !force) {
+    return { action: 'unchanged', subscriptionId: record.subscriptionId, expirationDateTime: record.expirationDateTime, replacedIds: [] };
+  }
+
+  const candidates = [];
+  const outdated = [];
+  if (recordIsCurrent) {
+    (record.lifecycleNotificationUrl ? candidates : outdated).push(['renewed', record.subscriptionId]);
+  }
+  if (existing && existing.id !== record?.subscriptionId) {
+    (existing.lifecycleNotificationUrl ? candidates : outdated).push(['adopted', existing.id]);
+  }
+  for (const [action, subscriptionId] of candidates) {
+    try {
+      const renewed = await graph.renewSubscription(subscriptionId);
+      await saveSubscription(userUpn, renewed);
+      return { action, subscriptionId: renewed.id, expirationDateTime: renewed.expirationDateTime, replacedIds: [] };
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      log.warn('subscriptions.renew.not_found', { userUpn, subscriptionId });
+    }
+  }
+
+  const secrets = await getSecrets(['GRAPH_WEBHOOK_URL', 'GRAPH_CLIENT_STATE']);
+  const created = await graph.createSubscription(secrets.GRAPH_WEBHOOK_URL, secrets.GRAPH_CLIENT_STATE, userUpn);
+  await saveSubscription(userUpn, created);
+  log.info('subscriptions.created', { userUpn, subscriptionId: created.id, replaced: outdated.length });
+  // Deleted only now, so the user is never left without a subscription.
+  for (const [, subscriptionId] of outdated) {
+    try {
+      await deleteGraphSubscription(subscriptionId);
+    } catch (error) {
+      log.warn('subscriptions.replace.delete_failed', { userUpn, subscriptionId, message: error.message });
+    }
+  }
+  return {
+    action: outdated.length > 0 ? 'replaced' : 'created',
+    subscriptionId: created.id,
+    expirationDateTime: created.expirationDateTime,
+    replacedIds: outdated.map(([, subscriptionId]) => subscriptionId),
+  };
+}
+
+// This deployment's subscriptions (same notification URL), grouped by resource.
+async function scanGraphSubscriptions() {
+  const secrets = await getSecrets(['GRAPH_WEBHOOK_URL']);
+  const byResource = new Map();
+  for (const subscription of await graph.listSubscriptions()) {
+    if (subscription.notificationUrl !== secrets.GRAPH_WEBHOOK_URL) {
+      continue;
+    }
+    const key = getResourceKey(subscription.resource);
+    byResource.set(key, [...(byResource.get(key) || []), subscription]);
+  }
+  return byResource;
+}
+
+/**
+ * Renews subscriptions that are due, creates missing ones, and deletes subscriptions of users who are
+ * disabled or no longer in TechMap. Alerts when an enabled user is left without a live subscription.
+ * @param {object} [options]
+ * @param {boolean} [options.rescan] - List Graph subscriptions even if every user has a record, to adopt
+ *        or delete subscriptions the records do not know about.
+ * @returns {Promise<object>} Summary: `unchanged`, `renewed`, `adopted`, `replaced`, `created` (UPNs), `deleted`
+ *          ({ upn, subscriptionId }), `errors` ({ userUpn, message }) and `withoutSubscription` (UPNs).
+ */
+async function renewSubscriptions(options = {}) {
+  const { rescan = false } = options;
+  log.info('subscriptions.renew.start', { rescan });
+  const summary = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    scanned: false,
+    unchanged: [],
+    renewed: [],
+    adopted: [],
+    replaced: [],
+    created: [],
+    deleted: [],
+    errors: [],
+    withoutSubscription: [],
+  };
+
+  const techMap = await store.getTechMap();
+  const enabledUsers = new Map();
+  for (const user of techMap) {
+    if (user.enabled && user.outlook_upn) {
+      enabledUsers.set(getSubscriptionKey(user.outlook_upn), user.outlook_upn);
+    }
+  }
+  const records = new Map();
+  for (const record of await store.listRecords(SUBSCRIPTION_COLLECTION)) {
+    records.set(getSubscriptionKey(record.upn), record);
+  }
+
+  const nowMs = Date.now();
+  const needsScan = rescan || [...enabledUsers.keys()].some((key) => {
+    const state = getSubscriptionState(records.get(key), nowMs);
+    return state === 'missing' || state === 'expired';
+  });
+  let scanned = new Map();
+  if (needsScan) {
+    scanned = await scanGraphSubscriptions();
+    summary.scanned = true;
+  }
+
+  const deleteStale = async (userUpn, subscriptionId) => {
+    try {
+      await deleteGraphSubscription(subscriptionId);
+      summary.deleted.push({ upn: userUpn, subscriptionId });
+      log.info('subscriptions.deleted', { userUpn, subscriptionId });
+    } catch (error) {
+      summary.errors.push({ userUpn, message: `Deleting subscription ${subscriptionId} failed: ${error.message}` });
+      log.error('subscriptions.delete.error', { userUpn, subscriptionId, message: error.message });
+    }
+  };
+
+  for (const [key, userUpn] of enabledUsers) {
+    const record = records.get(key) || null;
+    const resourceKey = getResourceKey(graph.getSubscriptionResource(userUpn));
+    const found = scanned.get(resourceKey) || [];
+    scanned.delete(resourceKey);
+    // Keep the recorded subscription, else the one that lives longest; older code could leave duplicates.
+    const sorted = [...found].sort((a, b) => Date.parse(b.expirationDateTime) - Date.parse(a.expirationDateTime));
+    const existing = sorted.find((subscription) => subscription.id === record?.subscriptionId) || sorted[0] || null;
+    try {
+      const result = await ensureUserSubscription(userUpn, { record, existing });
+      summary[result.action].push(userUpn);
+      const kept = [result.subscriptionId, ...result.replacedIds];
+      for (const duplicate of found.filter((subscription) => !kept.includes(subscription.id))) {
+        await deleteStale(userUpn, duplicate.id);
+      }
+    } catch (error) {
+      summary.errors.push({ userUpn, message: error.message });
+      log.error('subscriptions.renew.error', { userUpn, message: error.message });
+      await saveSubscriptionError(userUpn, error.message);
+    }
+  }
+
+  for (const [key, record] of records) {
+    if (enabledUsers.has(key)) {
+      continue;
+    }
+    if (record.subscriptionId) {
+      await deleteStale(record.upn, record.subscriptionId);
+    }
+    scanned.delete(getResourceKey(graph.getSubscriptionResource(record.upn)));
+    await store.deleteRecord(SUBSCRIPTION_COLLECTION, key);
+  }
+  // Left over: subscriptions for mailboxes with no enabled TechMap row and no record.
+  for (const [resourceKey, subscriptions] of scanned) {
+    for (const subscription of subscriptions) {
+      await deleteStale(resourceKey.replace(/^\/users\//, '').replace(/\/events$/, ''), subscription.id);
+    }
+  }
+
+  const finalRecords = new Map();
+  for (const record of await store.listRecords(SUBSCRIPTION_COLLECTION)) {
+    finalRecords.set(getSubscriptionKey(record.upn), record);
+  }
+  const checkedMs = Date.now();
+  summary.withoutSubscription = [...enabledUsers]
+    .filter(([key]) => ['missing', 'expired'].includes(getSubscriptionState(finalRecords.get(key), checkedMs)))
+    .map(([, userUpn]) => userUpn);
+  summary.finishedAt = new Date().toISOString();
+
+  if (summary.withoutSubscription.length > 0 || summary.errors.length > 0) {
+    await notifyFailure('ST Calendar Sync: Graph subscription problems', {
+      withoutSubscription: summary.withoutSubscription,
+      errorCount: summary.errors.length,
+      sample: summary.errors.slice(0, 5),
+    });
+  }
+  log.info('subscriptions.renew.complete', {
+    unchanged: summary.unchanged.length,
+    renewed: summary.renewed.length,
+    adopted: summary.adopted.length,
+    replaced: summary.replaced.length,
+    created: summary.created.length,
+    deleted: summary.deleted.length,
+    errors: summary.errors.length,
+    withoutSubscription: summary.withoutSubscription.length,
+  });
+  return summary;
+}
+
+/**
+ * Per-user subscription status from the recorded subscriptions.
+ * @param {object} [options]
+ * @param {boolean} [options.verify] - Also check that Graph still has each recorded subscription.
+ * @returns {Promise<{checkedAt: string, renewBeforeHours: number, counts: object, users: Array<object>}>}
+ *          Each user has `status`: `live`, `expiring` (due for renewal), `expired`, `missing`, `not_found`
+ *          (recorded but gone from Graph; only with `verify`), `disabled` (no subscription, as expected) or
+ *          `stale` (a subscription for a disabled or removed user, deleted on the next renewal).
+ */
+async function listSubscriptionStatus(options = {}) {
+  const { verify = false } = options;
+  const techMap = await store.getTechMap();
+  const records = new Map();
+  for (const record of await store.listRecords(SUBSCRIPTION_COLLECTION)) {
+    records.set(getSubscriptionKey(record.upn), record);
+  }
+  const graphIds = verify ? new Set((await graph.listSubscriptions()).map((subscription) => subscription.id)) : null;
+  const nowMs = Date.now();
+
+  const describe = (userUpn, enabled, record) => {
+    let status = getSubscriptionState(record, nowMs);
+    if (!enabled) {
+      status = record && record.subscriptionId ? 'stale' : 'disabled';
+    } else if (graphIds && (status === 'live' || status === 'expiring') && !graphIds.has(record.subscriptionId)) {
+      status = 'not_found';
+    }
+    const expiresMs = record ? Date.parse(record.expirationDateTime) : NaN;
+    return {
+      upn: userUpn,
+      enabled,
+      status,
+      subscriptionId: record?.subscriptionId || null,
+      expiresAt: record?.expirationDateTime || null,
+      hoursLeft: Number.isFinite(expiresMs) ? Math.round(((expiresMs - nowMs) / 3_600_000) * 10) / 10 : null,
+      createdAt: record?.createdAt || null,
+      renewedAt: record?.renewedAt || null,
+      lifecycleNotifications: Boolean(record?.lifecycleNotificationUrl),
+      lastLifecycleEvent: record?.lastLifecycleEvent || null,
+      lastLifecycleEventAt: record?.lastLifecycleEventAt || null,
+      lastError: record?.lastError || null,
+      lastErrorAt: record?.lastErrorAt || null,
+    };
+  };
+
+  const users = [];
+  const seen = new Set();
+  for (const user of techMap) {
+    const key = getSubscriptionKey(user.outlook_upn);
+    if (!key || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    users.push(describe(user.outlook_upn, user.enabled, records.get(key) || null));
+  }
+  for (const [key, record] of records) {
+    if (!seen.has(key)) {
+      users.push(describe(record.upn, false, record));
+    }
+  }
+
+  const counts = {};
+  for (const user of users) {
+    counts[user.status] = (counts[user.status] || 0) + 1;
+  }
+  return {
+    checkedAt: new Date(nowMs).toISOString(),
+    renewBeforeHours: getRenewBeforeHours(),
+    counts,
+    users,
+  };
+}
+
+async function findRecordBySubscriptionId(subscriptionId) {
+  const records = await store.listRecords(SUBSCRIPTION_COLLECTION);
+  return records.find((record) => record.subscriptionId === subscriptionId)
+    || records.find((record) => record.previousSubscriptionId === subscriptionId)
+    || null;
+}
+
+/**
+ * Acts on a Graph lifecycle notification (delivered through Pub/Sub by the webhook):
+ * - `reauthorizationRequired`: reauthorizes the subscription (recreates it if Graph no longer has it).
+ * - `subscriptionRemoved`: creates a new subscription; changes made meanwhile need a delta sync.
+ * - `missed`: Graph dropped change notifications; the user needs a delta sync.
+ * @param {object} notification
+ * @param {string} notification.lifecycleEvent
+ * @param {string} notification.subscriptionId
+ * @param {string} [notification.upn] - From the notification's resource, when Graph sends one.
+ * @returns {Promise<{userUpn: (string|null), action: string, syncNeeded: boolean}>} `action` is
+ *          `reauthorized`, `recreated`, `resync`, `deleted` (the user is no longer enabled) or `ignored`.
+ */
+async function handleLifecycleEvent({ lifecycleEvent, subscriptionId, upn = null }) {
+  const record = await findRecordBySubscriptionId(subscriptionId);
+  const userUpn = record?.upn || upn;
+  if (!userUpn) {
+    log.warn('subscriptions.lifecycle.unknown_subscription', { lifecycleEvent, subscriptionId });
+    return { userUpn: null, action: 'ignored', syncNeeded: false };
+  }
+
+  const techMap = await store.getTechMap();
+  const user = techMap.find((candidate) => getSubscriptionKey(candidate.outlook_upn) === getSubscriptionKey(userUpn));
+  if (!user || !user.enabled) {
+    if (lifecycleEvent !== 'subscriptionRemoved') {
+      await deleteGraphSubscription(subscriptionId);
+    }
+    if (record && record.subscriptionId && record.subscriptionId !== subscriptionId) {
+      await deleteGraphSubscription(record.subscriptionId);
+    }
+    if (record) {
+      await store.deleteRecord(SUBSCRIPTION_COLLECTION, getSubscriptionKey(userUpn));
+    }
+    log.info('subscriptions.lifecycle.user_not_enabled', { lifecycleEvent, userUpn, subscriptionId });
+    return { userUpn, action: 'deleted', syncNeeded: false };
+  }
+
+  // Notifications can still arrive for a subscription that was replaced since: reauthorizing it is pointless,
+  // but its removal or missed notifications may still have cost changes.
+  const replaced = Boolean(record) && record.subscriptionId !== subscriptionId;
+  let result;
+  if (lifecycleEvent === 'reauthorizationRequired' && replaced) {
+    result = { userUpn, action: 'ignored', syncNeeded: false };
+  } else if (lifecycleEvent === 'reauthorizationRequired') {
+    try {
+      await graph.reauthorizeSubscription(subscriptionId);
+      result = { userUpn, action: 'reauthorized', syncNeeded: false };
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      await ensureUserSubscription(user.outlook_upn, { record: null });
+      result = { userUpn, action: 'recreated', syncNeeded: true };
+    }
+  } else if (lifecycleEvent === 'subscriptionRemoved') {
+    // A replaced subscription's removal leaves the current one in place.
+    const ensured = await ensureUserSubscription(user.outlook_upn, { record: replaced ? record : null });
+    const recreated = ensured.action === 'created' || ensured.action === 'replaced';
+    result = { userUpn, action: recreated ? 'recreated' : 'resync', syncNeeded: true };
+  } else if (lifecycleEvent === 'missed') {
+    result = { userUpn, action: 'resync', syncNeeded: true };
+  } else {
+    log.warn('subscriptions.lifecycle.unknown_event', { lifecycleEvent, userUpn, subscriptionId });
+    return { userUpn, action: 'ignored', syncNeeded: false };
+  }
+
+  await store.updateRecord(SUBSCRIPTION_COLLECTION, getSubscriptionKey(userUpn), (current) => (current ? {
+    ...current,
+    lastLifecycleEvent: lifecycleEvent,
+    lastLifecycleEventAt: new Date().toISOString(),
+  } : undefined));
+  log.info('subscriptions.lifecycle.handled', { lifecycleEvent, userUpn, subscriptionId, action: result.action });
+  return result;
+}
+
+module.exports = {
+  getRenewBeforeHours,
+  getSubscriptionState,
+  ensureUserSubscription,
+  renewSubscriptions,
+  listSubscriptionStatus,
+  handleLifecycleEvent,
+};
@@ -1,25 +1,136 @@
 const { PubSub } = require('@google-cloud/pubsub');
+const { DateTime } = require('luxon');
 const graph = require('../api/graph');
 const servicetitan = require('../api/servicetitan');
-const sheets = require('./sheets');
-const { getSecrets } = require('../utils/secrets');
-const { normalizeGraphEvent, getEventDedupeKey, getStableEventKey } = require('../utils/normalize');
-const { mapEventToServiceTitanPayloads } = require('./mapping');
-const { notifyFailure } = require('./alerts');
+const store = require('./store');
+const {
+  normalizeGraphEvent,
+  getEventDedupeKey,
+  getStableEventKey,
+  parseStableEventKey,
+} = require('../utils/normalize');
+const {
+  mapEventToServiceTitanPayloads,
+  diffPayload,
+  getSyncHash,
+  getEventSyncDecision,
+  isMappingUpToDate,
+  validateMappingConfig,
+} = require('./mapping');
+const { getFilterRulesForUser, evaluateFilterRules } = require('./filters');
+const locks = require('./locks');
 const { loadConfig } = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { getDefaultTimezone } = require('../utils/time');
+const runs = require('./runs');
+const metrics = require('../utils/metrics');
+const log = require('../utils/logger');
+const { createHttpError } = require('../utils/errors');
 
 const config = loadConfig();
 
+// Graph throttle/retry counters of the per-user run a summary belongs to (see graph.withGraphStats).
+const summaryGraphStats = new WeakMap();
+// ServiceTitan writes of a live run, kept out of the summary (and so out of HTTP responses) and stored with
+// the run history.
+const summaryActions = new WeakMap();
+
+const eventsFetchedTotal = metrics.createCounter('sync_events_fetched_total', 'Outlook events fetched by live per-user syncs.', ['user', 'kind']);
+const eventsUpsertedTotal = metrics.createCounter('sync_events_upserted_total', 'Outlook events written to ServiceTitan by live per-user syncs.', ['user', 'kind']);
+const eventsSkippedTotal = metrics.createCounter('sync_events_skipped_total', 'Outlook events skipped (unchanged, filtered, duplicate, ...) by live per-user syncs.', ['user', 'kind']);
+const syncErrorsTotal = metrics.createCounter('sync_errors_total', 'Errors reported by live per-user syncs.', ['user', 'kind']);
+const syncUserDuration = metrics.createHistogram('sync_user_duration_seconds', 'Duration of live per-user syncs.', ['kind'], [1, 5, 15, 30, 60, 120, 300, 600]);
+const deltaResetsTotal = metrics.createCounter('sync_delta_resets_total', 'Delta links Graph rejected, followed by a full calendarView resync.', ['user', 'reason']);
+
+// `kind` is `delta` or `backfill`.
+function observeUserSync(kind, userUpn, summary) {
+  const labels = { user: userUpn, kind };
+  eventsFetchedTotal.inc(labels, summary.eventsFetched);
+  eventsUpsertedTotal.inc(labels, summary.eventsUpserted);
+  eventsSkippedTotal.inc(labels, summary.eventsSkipped);
+  syncErrorsTotal.inc(labels, summary.errors.length);
+  syncUserDuration.observe({ kind }, (Date.parse(summary.finishedAt) - Date.parse(summary.startedAt)) / 1000);
+}
+
 function createSummary() {
-  return {
+  const summary = {
     startedAt: new Date().toISOString(),
     finishedAt: null,
     calendarsProcessed: 0,
     eventsFetched: 0,
     eventsUpserted: 0,
     eventsSkipped: 0,
+    graphThrottled: 0,
+    graphRetries: 0,
+    resyncs: [],
+    skippedLocked: [],
     errors: [],
   };
+  const graphStats = graph.getRunGraphStats();
+  if (graphStats) {
+    summaryGraphStats.set(summary, graphStats);
+  }
+  summaryActions.set(summary, []);
+  return summary;
+}
+
+function finishSummary(summary) {
+  summary.finishedAt = new Date().toISOString();
+  const graphStats = summaryGraphStats.get(summary);
+  if (graphStats) {
+    summary.graphThrottled = graphStats.throttled;
+    summary.graphRetries = graphStats.retries;
+  }
+  return summary;
+}
+
+// Plan (dry-run) mode records what a run would do for one user instead of writing to ServiceTitan or
+// the state store.
+function createUserPlan(userUpn) {
+  return {
+    userUpn,
+    creates: [],
+    updates: [],
+    deletes: [],
+  };
+}
+
+function mergeUserSummary(summary, userSummary) {
+  summary.calendarsProcessed += userSummary.calendarsProcessed;
+  summary.eventsFetched += userSummary.eventsFetched;
+  summary.eventsUpserted += userSummary.eventsUpserted;
+  summary.eventsSkipped += userSummary.eventsSkipped;
+  summary.graphThrottled += userSummary.graphThrottled;
+  summary.graphRetries += userSummary.graphRetries;
+  summary.resyncs.push(...userSummary.resyncs);
+  summary.skippedLocked.push(...userSummary.skippedLocked);
+  summary.errors.push(...userSummary.errors);
+  summaryActions.get(summary).push(...summaryActions.get(userSummary));
+  if (summary.plans && userSummary.plans) {
+    summary.plans.push(...userSummary.plans);
+  }
+}
+
+// Returns a function that logs one ServiceTitan write for an event into the summary's actions.
+function createActionRecorder(summary, userUpn, eventKey) {
+  const actions = summaryActions.get(summary);
+  return (action, appointmentId, reason = null) => {
+    actions.push({
+      at: new Date().toISOString(),
+      userUpn,
+      eventKey,
+      action,
+      appointmentId: String(appointmentId),
+      reason,
+    });
+  };
+}
+
+async function recordSyncRun(type, summary, trigger, users = []) {
+  if (summary.dryRun) {
+    return;
+  }
+  await runs.recordRun({ type, trigger, summary, actions: summaryActions.get(summary), users, skipNoop: true });
 }
 
 function parseJsonArray(value) {
@@ -33,26 +144,23 @@ function parseJsonArray(value) {
   }
 }
 
-function isAvailabilityEvent(showAs) {
-  const value = (showAs || '').toLowerCase();
-  return value === 'free' || value === 'available';
-}
-
-function isSyncableBusyOrOof(showAs) {
-  const value = (showAs || '').toLowerCase();
-  return value === 'busy' || value === 'oof';
-}
-
-async function deleteMappedEvent(userUpn, outlookEventId, existingMapping) {
+async function deleteMappedEvent(userUpn, outlookEventId, existingMapping, plan, reason, summary) {
   const existingIds = parseJsonArray(existingMapping.st_nonjob_ids_json);
+  if (plan) {
+    for (const appointmentId of existingIds) {
+      plan.deletes.push({ eventKey: outlookEventId, appointmentId, reason });
+    }
+    return;
+  }
+  const recordAction = createActionRecorder(summary, userUpn, outlookEventId);
   for (const appointmentId of existingIds) {
     await servicetitan.deleteNonJob(appointmentId);
+    recordAction('deleted', appointmentId, reason);
   }
-  await sheets.deleteEventMapping(userUpn, outlookEventId, existingMapping);
+  await store.deleteEventMapping(userUpn, outlookEventId, existingMapping);
 }
 
-async function upsertServiceTitanAppointments(userConfig, event, existingMapping) {
-  const payloads = mapEventToServiceTitanPayloads(event, userConfig);
+async function upsertServiceTitanAppointments(payloads, existingMapping, recordAction) {
   const previousIds = existingMapping ? parseJsonArray(existingMapping.st_nonjob_ids_json) : [];
   const currentIds = [];
 
@@ -63,13 +171,16 @@ async function upsertServiceTitanAppointments(userConfig, event, existingMapping
     if (appointmentId) {
       try {
         await servicetitan.updateNonJob(appointmentId, payload);
+        recordAction('updated', appointmentId);
       } catch (error) {
         const previousId = appointmentId;
         appointmentId = await servicetitan.createNonJob(payload);
+        recordAction('created', appointmentId, 'update_failed');
         try {
           await servicetitan.deleteNonJob(previousId);
+          recordAction('deleted', previousId, 'replaced');
         } catch (deleteError) {
-          console.warn('sync.upsert.reconcile.delete_previous_failed', {
+          log.warn('sync.upsert.reconcile.delete_previous_failed', {
             appointmentId: previousId,
             message: deleteError.message,
           });
@@ -77,6 +188,7 @@ async function upsertServiceTitanAppointments(userConfig, event, existingMapping
       }
     } else {
       appointmentId = await servicetitan.createNonJob(payload);
+      recordAction('created', appointmentId);
     }
 
     currentIds.push(appointmentId);
@@ -84,63 +196,90 @@ async function upsertServiceTitanAppointments(userConfig, event, existingMapping
 
   for (let index = payloads.length; index < previousIds.length; index += 1) {
     await servicetitan.deleteNonJob(previousIds[index]);
+    recordAction('deleted', previousIds[index], 'fewer_blocks');
   }
 
   return currentIds;
 }
 
-async function processNormalizedEvent(userConfig, normalizedEvent, summary) {
+// Mirrors upsertServiceTitanAppointments without writing: existing appointments are read back from
+// ServiceTitan and diffed against the payloads the mapping would send.
+async function planServiceTitanAppointments(plan, payloads, stableKey, existingMapping) {
+  const previousIds = existingMapping ? parseJsonArray(existingMapping.st_nonjob_ids_json) : [];
+
+  for (let index = 0; index < payloads.length; index += 1) {
+    const payload = payloads[index];
+    const appointmentId = previousIds[index];
+    if (!appointmentId) {
+      plan.creates.push({ eventKey: stableKey, payload });
+      continue;
+    }
+
+    const current = await servicetitan.getNonJob(appointmentId);
+    if (!current) {
+      // The live sync would fail the update and recreate the appointment.
+      plan.creates.push({ eventKey: stableKey, payload, replacesAppointmentId: appointmentId });
+      continue;
+    }
+    const changes = diffPayload(current, payload);
+    if (changes.length > 0) {
+      plan.updates.push({ eventKey: stableKey, appointmentId, changes });
+    }
+  }
+
+  for (let index = payloads.length; index < previousIds.length; index += 1) {
+    plan.deletes.push({ eventKey: stableKey, appointmentId: previousIds[index], reason: 'fewer_blocks' });
+  }
+}
+
+// `context.plan` switches to plan mode; `context.filterRules` are the user's compiled filter rules.
+async function processNormalizedEvent(userConfig, normalizedEvent, summary, context = {}) {
+  const { plan = null, filterRules = [] } = context;
   const stableKey = getStableEventKey(normalizedEvent);
-  const existingMapping = await sheets.findEventMapping(userConfig.outlook_upn, stableKey);
-  const dedupeKey = getEventDedupeKey(normalizedEvent);
+  const existingMapping = await store.findEventMapping(userConfig.outlook_upn, stableKey);
 
   // Graph delta tombstones (`@removed`) must delete any mapped ST records.
   if (normalizedEvent.isRemoved) {
     // Tombstones usually only include Graph id; lookup via status gid=... marker.
-    const mappingByGid = await sheets.findEventMappingByGraphId(userConfig.outlook_upn, normalizedEvent.id);
+    const mappingByGid = await store.findEventMappingByGraphId(userConfig.outlook_upn, normalizedEvent.id);
     if (mappingByGid) {
-      await deleteMappedEvent(userConfig.outlook_upn, mappingByGid.outlook_event_id, mappingByGid);
+      await deleteMappedEvent(userConfig.outlook_upn, mappingByGid.outlook_event_id, mappingByGid, plan, 'removed', summary);
     }
     summary.eventsSkipped += 1;
     return;
   }
 
-  if (!normalizedEvent.start || !normalizedEvent.end) {
-    summary.eventsSkipped += 1;
-    return;
-  }
-
-  // Do not sync available/free events; remove existing ST mapping if present.
-  if (isAvailabilityEvent(normalizedEvent.showAs)) {
-    if (existingMapping) {
-      await deleteMappedEvent(userConfig.outlook_upn, stableKey, existingMapping);
+  const decision = getEventSyncDecision(normalizedEvent, evaluateFilterRules(filterRules, normalizedEvent));
+  if (!decision.sync) {
+    // A mapped event that no longer passes its filter rules or showAs policy is removed from ST.
+    if (decision.reason !== 'missing_times' && existingMapping && existingMapping.status !== 'DELETED') {
+      await deleteMappedEvent(userConfig.outlook_upn, stableKey, existingMapping, plan, decision.reason, summary);
     }
     summary.eventsSkipped += 1;
     return;
   }
 
-  // Only sync events that are explicitly Busy or Out of Office. If we previously created an ST
-  // appointment for an event that no longer matches this policy, remove it.
-  if (!isSyncableBusyOrOof(normalizedEvent.showAs)) {
-    if (existingMapping) {
-      await deleteMappedEvent(userConfig.outlook_upn, stableKey, existingMapping);
-    }
+  const payloads = mapEventToServiceTitanPayloads(normalizedEvent, userConfig);
+  const syncHash = getSyncHash(normalizedEvent, payloads);
+  if (isMappingUpToDate(existingMapping, syncHash)) {
     summary.eventsSkipped += 1;
     return;
   }
 
-  if (existingMapping && existingMapping.last_hash === dedupeKey) {
-    summary.eventsSkipped += 1;
+  if (plan) {
+    await planServiceTitanAppointments(plan, payloads, stableKey, existingMapping);
+    summary.eventsUpserted += 1;
     return;
   }
 
-  const appointmentIds = await upsertServiceTitanAppointments(userConfig, normalizedEvent, existingMapping);
+  const recordAction = createActionRecorder(summary, userConfig.outlook_upn, stableKey);
+  const appointmentIds = await upsertServiceTitanAppointments(payloads, existingMapping, recordAction);
   try {
-    await sheets.updateEventMapping(
+    await store.updateEventMapping(
       userConfig.outlook_upn,
       stableKey,
       appointmentIds,
-      dedupeKey,
+      syncHash,
       `SYNCED|gid=${normalizedEvent.id}`,
       existingMapping ? existingMapping.rowIndex : null,
     );
@@ -151,8 +290,9 @@ async function processNormalizedEvent(userConfig, normalizedEvent, summary) {
       for (const appointmentId of appointmentIds) {
         try {
           await servicetitan.deleteNonJob(appointmentId);
+          recordAction('deleted', appointmentId, 'mapping_failed');
         } catch (deleteError) {
-          console.warn('sync.mapping_failed.rollback.delete_failed', {
+          log.warn('sync.mapping_failed.rollback.delete_failed', {
             appointmentId,
             message: deleteError.message,
           });
@@ -164,7 +304,10 @@ async function processNormalizedEvent(userConfig, normalizedEvent, summary) {
   summary.eventsUpserted += 1;
 }
 
-async function processUserEvents(userConfig, rawEvents, summary) {
+async function processUserEvents(userConfig, rawEvents, summary, plan = null) {
+  // Invalid rules or policies fail the whole user rather than deleting appointments based on a typo.
+  validateMappingConfig(userConfig);
+  const context = { plan, filterRules: getFilterRulesForUser(userConfig) };
   const seen = new Set();
   const normalizedEvents = rawEvents.map(normalizeGraphEvent).filter((event) => Boolean(event.id));
 
@@ -177,7 +320,7 @@ async function processUserEvents(userConfig, rawEvents, summary) {
     seen.add(dedupeKey);
 
     try {
-      await processNormalizedEvent(userConfig, event, summary);
+      await processNormalizedEvent(userConfig, event, summary, context);
     } catch (error) {
       summary.errors.push({
         userUpn: userConfig.outlook_upn,
@@ -188,271 +331,482 @@ async function processUserEvents(userConfig, rawEvents, summary) {
   }
 }
 
-async function runDeltaSyncForUser(userUpn, userConfigOverride = null) {
-  const summary = createSummary();
-  console.log('sync.delta.start', { userUpn });
+function isMappingInWindow(mapping, windowStartMs, windowEndMs) {
+  const times = parseStableEventKey(mapping.outlook_event_id);
+  if (!times) {
+    return false;
+  }
+  const startMs = Date.parse(times.start);
+  const endMs = Date.parse(times.end);
+  return startMs < windowEndMs && endMs > windowStartMs;
+}
 
-  let userConfig = userConfigOverride;
-  if (!userConfig) {
-    const techMap = await sheets.getTechMap();
-    userConfig = techMap.find((user) => user.outlook_upn === userUpn && user.enabled);
+// Full calendarView reconciliation used when Graph rejects a stored delta link. Upserts everything
+// currently in the window, removes ST records for mapped events that vanished from it, then seeds a
+// fresh delta link. In plan mode it only records the creates/updates/deletes and leaves DeltaState
+// alone.
+async function resyncUserFromCalendarView(userConfig, summary, reason, plan = null) {
+  const userUpn = userConfig.outlook_upn;
+  const pastDays = config.syncWindowPastDays;
+  const futureDays = config.syncWindowFutureDays;
+  log.warn('sync.delta.resync.start', { userUpn, reason });
+  if (!plan) {
+    deltaResetsTotal.inc({ user: userUpn, reason });
+    await store.deleteDeltaState(userUpn);
   }
 
-  if (!userConfig) {
-    console.log('sync.delta.skipped.user_not_enabled', { userUpn });
-    summary.finishedAt = new Date().toISOString();
-    return summary;
+  const nowMs = Date.now();
+  const windowStartMs = nowMs - pastDays * 86_400_000;
+  const windowEndMs = nowMs + futureDays * 86_400_000;
+  const events = await graph.getCalendarWindowEvents(userUpn, pastDays, futureDays);
+  summary.eventsFetched += events.length;
+  await processUserEvents(userConfig, events, summary, plan);
+
+  const liveKeys = new Set(
+    events
+      .map(normalizeGraphEvent)
+      .filter((event) => event.id && event.start && event.end)
+      .map(getStableEventKey),
+  );
+  const mappings = await store.listEventMappings();
+  let eventsRemoved = 0;
+  for (const mapping of mappings) {
+    if (mapping.outlook_upn !== userUpn || mapping.status === 'DELETED') continue;
+    if (liveKeys.has(mapping.outlook_event_id)) continue;
+    if (!isMappingInWindow(mapping, windowStartMs, windowEndMs)) continue;
+
+    try {
+      await deleteMappedEvent(userUpn, mapping.outlook_event_id, mapping, plan, 'vanished', summary);
+      eventsRemoved += 1;
+    } catch (error) {
+      summary.errors.push({
+        userUpn,
+        eventId: mapping.outlook_event_id,
+        message: error.message,
+      });
+    }
   }
 
-  const deltaState = await sheets.getDeltaState(userUpn);
-  const graphResponse = await graph.getDeltaEvents(userUpn, deltaState.delta_link, {
-    pastDays: config.syncWindowPastDays,
-    futureDays: config.syncWindowFutureDays,
-  });
-  const { events, nextDeltaLink } = graphResponse;
-  summary.calendarsProcessed = 1;
-  summary.eventsFetched = events.length;
+  if (plan) {
+    summary.resyncs.push({ userUpn, reason, eventsRemoved });
+    return;
+  }
 
-  await processUserEvents(userConfig, events, summary);
-  await sheets.updateDeltaState(userUpn, nextDeltaLink, deltaState.rowIndex);
-  summary.finishedAt = new Date().toISOString();
+  // The initial delta round returns the whole window again; anything already reconciled above is
+  // skipped by its dedupe key, so processing it only picks up changes made in the meantime.
+  const seed = await graph.getDeltaEvents(userUpn, null, { pastDays, futureDays });
+  summary.eventsFetched += seed.events.length;
+  await processUserEvents(userConfig, seed.events, summary);
+  await store.updateDeltaState(userUpn, seed.nextDeltaLink, null);
 
-  console.log('sync.delta.complete', summary);
-  return summary;
+  summary.resyncs.push({ userUpn, reason, eventsRemoved });
+  log.warn('sync.delta.resync.complete', { userUpn, eventsRemoved });
 }
 
-async function runBackfillLast30DaysForUser(userUpn, userConfigOverride = null) {
-  const summary = createSummary();
-  console.log('sync.backfill30.start', { userUpn });
+// A webhook-driven and a scheduled sync for the same technician would read the same delta link
+// and create duplicate ST records, so every per-user run holds a lease in the state store.
+const MAX_COALESCED_DELTA_PASSES = 3;
 
-  let userConfig = userConfigOverride;
-  if (!userConfig) {
-    const techMap = await sheets.getTechMap();
-    userConfig = techMap.find((user) => user.outlook_upn === userUpn && user.enabled);
+function getUserLockKey(userUpn) {
+  return `sync:${String(userUpn).toLowerCase()}`;
+}
+
+// Runs `fn` while holding the user's sync lease. If another run holds it, records the user in
+// `summary.skippedLocked` and returns false without running `fn`.
+async function withUserLock(userUpn, summary, options, fn) {
+  const lock = await locks.acquireLock(getUserLockKey(userUpn), options);
+  if (!lock.acquired) {
+    log.info('sync.user.skipped.locked', { userUpn, heldBy: lock.heldBy, coalesced: Boolean(options.coalesce) });
+    summary.skippedLocked.push(userUpn);
+    return false;
   }
 
-  if (!userConfig) {
-    console.log('sync.backfill30.skipped.user_not_enabled', { userUpn });
-    summary.finishedAt = new Date().toISOString();
-    return summary;
+  const stopRenewing = locks.keepLockAlive(lock);
+  try {
+    await fn(lock);
+  } finally {
+    stopRenewing();
+    try {
+      await locks.releaseLock(lock);
+    } catch (error) {
+      // The lease expires on its own; don't mask the sync result.
+      log.warn('sync.user.unlock_failed', { userUpn, message: error.message });
+    }
+  }
+  return true;
+}
+
+// Reading with the stored delta link does not advance it, so plan mode can reuse the same pass and
+// simply skip the DeltaState write.
+async function runDeltaPass(userConfig, summary, plan = null) {
+  const userUpn = userConfig.outlook_upn;
+  const deltaState = await store.getDeltaState(userUpn);
+  let graphResponse;
+  try {
+    graphResponse = await graph.getDeltaEvents(userUpn, deltaState.delta_link, {
+      pastDays: config.syncWindowPastDays,
+      futureDays: config.syncWindowFutureDays,
+    });
+  } catch (error) {
+    if (!deltaState.delta_link || !graph.isDeltaResyncRequiredError(error)) {
+      throw error;
+    }
+    await resyncUserFromCalendarView(userConfig, summary, error.graphErrorCode || `http_${error.statusCode}`, plan);
+    return;
   }
 
-  // Full pull (not delta): last 30 days only.
-  const events = await graph.getCalendarWindowEvents(userUpn, 30, 0);
-  summary.calendarsProcessed = 1;
-  summary.eventsFetched = events.length;
+  const { events, nextDeltaLink } = graphResponse;
+  summary.eventsFetched += events.length;
 
-  await processUserEvents(userConfig, events, summary);
-  summary.finishedAt = new Date().toISOString();
+  await processUserEvents(userConfig, events, summary, plan);
+  if (!plan) {
+    await store.updateDeltaState(userUpn, nextDeltaLink, deltaState.rowIndex);
+  }
+}
 
-  console.log('sync.backfill30.complete', summary);
-  return summary;
+/**
+ * Runs one delta pass for a user (webhook-driven via Pub/Sub, or as part of a sync cycle).
+ * @param {string} userUpn
+ * @param {object} [userConfigOverride] - TechMap row, when the caller already has it.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Plan only.
+ * @param {string} [options.trigger] - Recorded in the run history (e.g. `webhook`).
+ * @param {boolean} [options.record] - Store a run history entry (default true; a sync cycle records one
+ *        entry for all users instead).
+ * @returns {Promise<object>} The user's summary.
+ */
+async function runDeltaSyncForUser(userUpn, userConfigOverride = null, options = {}) {
+  // Every log entry of this run (down to single Graph/ServiceTitan calls) is labelled with the user, and its
+  // summary counts only its own Graph throttles and retries.
+  return log.runWithLogContext({ userUpn }, () => graph.withGraphStats(() => runUserDeltaSync(userUpn, userConfigOverride, options)));
 }
 
-async function runBackfillNext90DaysForUser(userUpn, userConfigOverride = null) {
+async function runUserDeltaSync(userUpn, userConfigOverride, options) {
+  const { dryRun = false, trigger = 'api', record = true } = options;
   const summary = createSummary();
-  console.log('sync.backfill90.start', { userUpn });
+  log.info('sync.delta.start', { userUpn, dryRun });
 
   let userConfig = userConfigOverride;
   if (!userConfig) {
-    const techMap = await sheets.getTechMap();
+    const techMap = await store.getTechMap();
     userConfig = techMap.find((user) => user.outlook_upn === userUpn && user.enabled);
   }
 
   if (!userConfig) {
-    console.log('sync.backfill90.skipped.user_not_enabled', { userUpn });
-    summary.finishedAt = new Date().toISOString();
+    log.info('sync.delta.skipped.user_not_enabled', { userUpn });
+    finishSummary(summary);
     return summary;
   }
 
-  // Full pull (not delta): next 90 days only.
-  const events = await graph.getCalendarWindowEvents(userUpn, 0, 90);
-  summary.calendarsProcessed = 1;
-  summary.eventsFetched = events.length;
+  if (dryRun) {
+    // Plan mode writes nothing, so it does not need (or contend for) the user's lease.
+    const plan = createUserPlan(userUpn);
+    summary.plans = [plan];
+    summary.calendarsProcessed = 1;
+    await runDeltaPass(userConfig, summary, plan);
+    finishSummary(summary);
+    log.info('sync.delta.plan.complete', {
+      userUpn,
+      creates: plan.creates.length,
+      updates: plan.updates.length,
+      deletes: plan.deletes.length,
+    });
+    return summary;
+  }
 
-  await processUserEvents(userConfig, events, summary);
-  summary.finishedAt = new Date().toISOString();
+  // If another run holds the lease, coalesce: ask it to run one more delta pass when it finishes
+  // rather than racing it on the same delta link.
+  try {
+    await withUserLock(userUpn, summary, { coalesce: true }, async (lock) => {
+      summary.calendarsProcessed = 1;
+      let passes = 0;
+      do {
+        passes += 1;
+        await runDeltaPass(userConfig, summary);
+      } while (passes < MAX_COALESCED_DELTA_PASSES && await locks.consumeRerunRequest(lock));
+    });
+  } catch (error) {
+    // Keep what the failed run already wrote in its history entry.
+    summary.errors.push({ userUpn, message: error.message });
+    throw error;
+  } finally {
+    finishSummary(summary);
+    observeUserSync('delta', userUpn, summary);
+    if (record) {
+      await recordSyncRun('delta', summary, trigger, [userUpn]);
+    }
+  }
 
-  console.log('sync.backfill90.complete', summary);
+  log.info('sync.delta.complete', summary);
   return summary;
 }
 
-async function runBackfillNext90DaysAllUsers() {
-  const summary = createSummary();
-  console.log('sync.backfill90.all.start');
+const MAX_BACKFILL_WINDOW_DAYS = 366;
 
-  const techMap = await sheets.getTechMap();
-  const enabledUsers = techMap.filter((user) => user.enabled);
+function parseWindowBoundary(value, name, edge) {
+  const text = String(value || '').trim();
+  // Plain dates cover the whole local day in the tenant timezone.
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const day = DateTime.fromISO(text, { zone: getDefaultTimezone() });
+    if (day.isValid) {
+      return edge === 'start' ? day.startOf('day') : day.endOf('day');
+    }
+  }
+  const dt = DateTime.fromISO(text, { setZone: true });
+  if (!dt.isValid) {
+    throw createHttpError(`Invalid ${name}: expected an ISO 8601 date or date-time`, 400);
+  }
+  return dt;
+}
 
-  for (const userConfig of enabledUsers) {
-    try {
-      const userSummary = await runBackfillNext90DaysForUser(userConfig.outlook_upn, userConfig);
-      summary.calendarsProcessed += userSummary.calendarsProcessed;
-      summary.eventsFetched += userSummary.eventsFetched;
-      summary.eventsUpserted += userSummary.eventsUpserted;
-      summary.eventsSkipped += userSummary.eventsSkipped;
-      summary.errors.push(...userSummary.errors);
-      console.log('sync.backfill90.user.complete', {
-        userUpn: userConfig.outlook_upn,
-        eventsFetched: userSummary.eventsFetched,
-        eventsUpserted: userSummary.eventsUpserted,
-        eventsSkipped: userSummary.eventsSkipped,
-      });
-    } catch (error) {
-      summary.errors.push({
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      });
-      console.error('sync.backfill90.user.error', {
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      });
+function parseDayCount(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw createHttpError(`Invalid ${name}: expected a non-negative integer`, 400);
+  }
+  return parsed;
+}
+
+/**
+ * Resolves a backfill window from either explicit `start`/`end` or `pastDays`/`futureDays`
+ * relative to now. Throws an error with `statusCode = 400` for invalid input.
+ * @returns {{startDateTime: string, endDateTime: string}} UTC ISO bounds.
+ */
+function resolveBackfillWindow(options = {}) {
+  const {
+    start = null,
+    end = null,
+    pastDays = null,
+    futureDays = null,
+  } = options;
+
+  let startDt;
+  let endDt;
+  if (start || end) {
+    if (!start || !end) {
+      throw createHttpError('start and end must be provided together', 400);
     }
+    startDt = parseWindowBoundary(start, 'start', 'start');
+    endDt = parseWindowBoundary(end, 'end', 'end');
+  } else {
+    const past = parseDayCount(pastDays, 'pastDays');
+    const future = parseDayCount(futureDays, 'futureDays');
+    if (past === 0 && future === 0) {
+      throw createHttpError('Provide start/end or a non-zero pastDays/futureDays', 400);
+    }
+    const now = DateTime.utc();
+    startDt = now.minus({ days: past });
+    endDt = now.plus({ days: future });
   }
 
-  summary.finishedAt = new Date().toISOString();
-  console.log('sync.backfill90.all.complete', summary);
-  return summary;
+  if (endDt <= startDt) {
+    throw createHttpError('end must be after start', 400);
+  }
+  if (endDt.diff(startDt, 'days').days > MAX_BACKFILL_WINDOW_DAYS) {
+    throw createHttpError(`Backfill window cannot exceed ${MAX_BACKFILL_WINDOW_DAYS} days`, 400);
+  }
+
+  return {
+    startDateTime: startDt.toUTC().toISO(),
+    endDateTime: endDt.toUTC().toISO(),
+  };
 }
 
-async function runBackfillLast30DaysAllUsers() {
+// Full calendarView pull (not delta) for one user over an arbitrary window. `record` stores a run history
+// entry for this user alone (background job steps); runBackfill records one entry for all users.
+async function runBackfillForUser(userConfig, window, options = {}) {
+  return log.runWithLogContext({ userUpn: userConfig.outlook_upn }, () => graph.withGraphStats(() => runUserBackfill(userConfig, window, options)));
+}
+
+async function runUserBackfill(userConfig, window, options) {
+  const { dryRun = false, trigger = 'api', record = false } = options;
+  const userUpn = userConfig.outlook_upn;
   const summary = createSummary();
-  console.log('sync.backfill30.all.start');
+  log.info('sync.backfill.start', { userUpn, ...window, dryRun });
+
+  if (dryRun) {
+    // Plan mode: nothing is written to ServiceTitan or the state store, so no lease is taken.
+    const plan = createUserPlan(userUpn);
+    summary.plans = [plan];
+    const events = await graph.getCalendarViewEvents(userUpn, window.startDateTime, window.endDateTime);
+    summary.calendarsProcessed = 1;
+    summary.eventsFetched = events.length;
+    await processUserEvents(userConfig, events, summary, plan);
+  } else {
+    await withUserLock(userUpn, summary, { coalesce: false }, async () => {
+      const events = await graph.getCalendarViewEvents(userUpn, window.startDateTime, window.endDateTime);
+      summary.calendarsProcessed = 1;
+      summary.eventsFetched = events.length;
+
+      await processUserEvents(userConfig, events, summary);
+    });
+  }
+  finishSummary(summary);
+  if (!dryRun) {
+    observeUserSync('backfill', userUpn, summary);
+  }
+  if (record && !dryRun) {
+    summary.window = window;
+    await recordSyncRun('backfill', summary, trigger, [userUpn]);
+  }
 
-  const techMap = await sheets.getTechMap();
-  const enabledUsers = techMap.filter((user) => user.enabled);
+  log.info('sync.backfill.complete', { userUpn, ...summary });
+  return summary;
+}
+
+// Runs `runUserSync` for each TechMap user on a bounded worker pool and aggregates the per-user
+// summaries (in TechMap order, so the result does not depend on completion order).
+async function runForUsers(logPrefix, users, runUserSync, summary = createSummary()) {
+  log.info(`${logPrefix}.start`, { users: users.length, concurrency: config.syncUserConcurrency });
 
-  for (const userConfig of enabledUsers) {
+  const results = await mapWithConcurrency(users, config.syncUserConcurrency, async (userConfig) => {
     try {
-      const userSummary = await runBackfillLast30DaysForUser(userConfig.outlook_upn, userConfig);
-      summary.calendarsProcessed += userSummary.calendarsProcessed;
-      summary.eventsFetched += userSummary.eventsFetched;
-      summary.eventsUpserted += userSummary.eventsUpserted;
-      summary.eventsSkipped += userSummary.eventsSkipped;
-      summary.errors.push(...userSummary.errors);
-      console.log('sync.backfill30.user.complete', {
+      const userSummary = await runUserSync(userConfig);
+      log.info(`${logPrefix}.user.complete`, {
         userUpn: userConfig.outlook_upn,
         eventsFetched: userSummary.eventsFetched,
         eventsUpserted: userSummary.eventsUpserted,
         eventsSkipped: userSummary.eventsSkipped,
       });
+      return { userSummary };
     } catch (error) {
-      summary.errors.push({
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      });
-      console.error('sync.backfill30.user.error', {
+      log.error(`${logPrefix}.user.error`, {
         userUpn: userConfig.outlook_upn,
         message: error.message,
       });
+      return { error: { userUpn: userConfig.outlook_upn, message: error.message } };
+    }
+  });
+
+  for (const result of results) {
+    if (result.userSummary) {
+      mergeUserSummary(summary, result.userSummary);
+    } else {
+      summary.errors.push(result.error);
     }
   }
 
-  summary.finishedAt = new Date().toISOString();
-  console.log('sync.backfill30.all.complete', summary);
+  finishSummary(summary);
+  // Plans carry appointment names; the count is enough here.
+  log.info(`${logPrefix}.complete`, { ...summary, plans: summary.plans ? summary.plans.length : undefined });
   return summary;
 }
 
-async function runFullSyncForAllUsers() {
-  console.log('sync.full.enqueue.start');
-  const techMap = await sheets.getTechMap();
-  const pubsub = new PubSub();
-  const topicName = config.pubsubTopic;
+async function runForEnabledUsers(logPrefix, runUserSync, summary = createSummary()) {
+  const techMap = await store.getTechMap();
+  return runForUsers(logPrefix, techMap.filter((user) => user.enabled), runUserSync, summary);
+}
 
-  for (const userConfig of techMap) {
-    if (!userConfig.enabled) {
-      continue;
+// Enabled TechMap users, optionally restricted to `upns`; requested users that are not enabled come back
+// as errors.
+async function listBackfillUsers(upns = null) {
+  const techMap = await store.getTechMap();
+  let users = techMap.filter((user) => user.enabled);
+  const errors = [];
+  if (upns && upns.length > 0) {
+    const requested = new Set(upns.map((upn) => String(upn).trim().toLowerCase()));
+    users = users.filter((user) => requested.has(user.outlook_upn.toLowerCase()));
+    const found = new Set(users.map((user) => user.outlook_upn.toLowerCase()));
+    for (const upn of requested) {
+      if (!found.has(upn)) {
+        errors.push({ userUpn: upn, message: 'User is not enabled in TechMap' });
+      }
     }
-    await pubsub.topic(topicName).publishMessage({ json: { upn: userConfig.outlook_upn } });
+  }
+  return { users, errors };
+}
+
+/**
+ * Backfills enabled users over an arbitrary window.
+ * @param {object} options
+ * @param {string} [options.start] - ISO date/date-time (with `end`).
+ * @param {string} [options.end] - ISO date/date-time (with `start`).
+ * @param {number} [options.pastDays] - Days before now (when no start/end).
+ * @param {number} [options.futureDays] - Days after now (when no start/end).
+ * @param {Array<string>} [options.upns] - Restrict to these users (default: all enabled users).
+ * @param {boolean} [options.dryRun] - Plan only: report creates/updates/deletes without writing.
+ * @param {string} [options.trigger] - Recorded in the run history.
+ * @returns {Promise<object>} Aggregated summary including the resolved window.
+ */
+async function runBackfill(options = {}) {
+  const { upns = null, dryRun = false, trigger = 'api' } = options;
+  const window = resolveBackfillWindow(options);
+  if (upns !== null && !Array.isArray(upns)) {
+    throw createHttpError('upns must be an array of user principal names', 400);
+  }
+
+  const summary = createSummary();
+  summary.window = window;
+  summary.dryRun = Boolean(dryRun);
+  if (dryRun) {
+    summary.plans = [];
   }
 
-  console.log('sync.full.enqueue.complete');
+  const { users, errors } = await listBackfillUsers(upns);
+  summary.errors.push(...errors);
+
+  await runForUsers(
+    'sync.backfill.all',
+    users,
+    (userConfig) => runBackfillForUser(userConfig, window, { dryRun }),
+    summary,
+  );
+  await recordSyncRun('backfill', summary, trigger, users.map((user) => user.outlook_upn));
+  return summary;
 }
 
-async function renewGraphSubscriptions() {
-  console.log('sync.subscriptions.renew.start');
-  const techMap = await sheets.getTechMap();
-  const secrets = await getSecrets(['GRAPH_WEBHOOK_URL', 'GRAPH_CLIENT_STATE']);
-  const errors = [];
+async function runFullSyncForAllUsers() {
+  log.info('sync.full.enqueue.start');
+  const techMap = await store.getTechMap();
+  const pubsub = new PubSub();
+  const topicName = config.pubsubTopic;
 
   for (const userConfig of techMap) {
     if (!userConfig.enabled) {
       continue;
     }
-    try {
-      await graph.createOrRenewSubscription(
-        userConfig.outlook_upn,
-        secrets.GRAPH_WEBHOOK_URL,
-        secrets.GRAPH_CLIENT_STATE,
-      );
-    } catch (error) {
-      errors.push({
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      });
-      console.error('sync.subscriptions.renew.error', JSON.stringify({
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      }));
-    }
-  }
-  if (errors.length > 0) {
-    await notifyFailure('ST Calendar Sync: subscription renewal errors', {
-      errorCount: errors.length,
-      sample: errors.slice(0, 5),
+    await pubsub.topic(topicName).publishMessage({
+      json: { upn: userConfig.outlook_upn, source: 'sync-all', correlationId: log.getLogContext().correlationId || null },
     });
   }
-  console.log('sync.subscriptions.renew.complete');
+
+  log.info('sync.full.enqueue.complete');
 }
 
-async function runSyncCycle() {
+/**
+ * Runs one delta sync pass for every enabled user.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Plan only: report per-user creates/updates/deletes without
+ *        writing to ServiceTitan or advancing DeltaState.
+ * @param {string} [options.trigger] - Recorded in the run history.
+ * @returns {Promise<object>} Aggregated summary (with `plans` in dry-run mode).
+ */
+async function runSyncCycle(options = {}) {
+  const { dryRun = false, trigger = 'api' } = options;
   const summary = createSummary();
-  console.log('sync.cycle.start', { mode: 'delta' });
-
-  const techMap = await sheets.getTechMap();
-  const enabledUsers = techMap.filter((user) => user.enabled);
-
-  for (const userConfig of enabledUsers) {
-    try {
-      const userSummary = await runDeltaSyncForUser(
-        userConfig.outlook_upn,
-        userConfig,
-      );
-      summary.calendarsProcessed += userSummary.calendarsProcessed;
-      summary.eventsFetched += userSummary.eventsFetched;
-      summary.eventsUpserted += userSummary.eventsUpserted;
-      summary.eventsSkipped += userSummary.eventsSkipped;
-      summary.errors.push(...userSummary.errors);
-      console.log('sync.cycle.user.complete', {
-        userUpn: userConfig.outlook_upn,
-        eventsFetched: userSummary.eventsFetched,
-        eventsUpserted: userSummary.eventsUpserted,
-        eventsSkipped: userSummary.eventsSkipped,
-      });
-    } catch (error) {
-      summary.errors.push({
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      });
-      console.error('sync.cycle.user.error', {
-        userUpn: userConfig.outlook_upn,
-        message: error.message,
-      });
-    }
+  if (dryRun) {
+    summary.dryRun = true;
+    summary.plans = [];
   }
-
-  summary.finishedAt = new Date().toISOString();
-  console.log('sync.cycle.complete', summary);
+  await runForEnabledUsers(
+    'sync.cycle',
+    (userConfig) => runDeltaSyncForUser(userConfig.outlook_upn, userConfig, { dryRun, record: false }),
+    summary,
+  );
+  await recordSyncRun('sync-cycle', summary, trigger);
   return summary;
 }
 
 module.exports = {
+  resolveBackfillWindow,
+  listBackfillUsers,
+  withUserLock,
   runDeltaSyncForUser,
-  runBackfillLast30DaysForUser,
-  runBackfillLast30DaysAllUsers,
-  runBackfillNext90DaysForUser,
-  runBackfillNext90DaysAllUsers,
+  runBackfill,
+  runBackfillForUser,
   runFullSyncForAllUsers,
-  renewGraphSubscriptions,
   runSyncCycle,
 };
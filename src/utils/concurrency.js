@@ -0,0 +1,58 @@
+/**
+ * Creates a limiter that runs at most `maxConcurrency` tasks at once; extra tasks wait in FIFO order.
+ * @param {number} maxConcurrency - Maximum number of tasks in flight (values < 1 are treated as 1).
+ * @returns {function(function(): Promise<*>): Promise<*>} Runs the given task when a slot is free.
+ */
+function createLimiter(maxConcurrency) {
+  const limit = Math.max(1, Number.parseInt(maxConcurrency, 10) || 1);
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= limit || queue.length === 0) {
+      return;
+    }
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  }
+
+  return function runLimited(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+/**
+ * Maps `items` through `fn` with at most `maxConcurrency` calls in flight.
+ * @param {Array<*>} items - Items to process.
+ * @param {number} maxConcurrency - Worker pool size.
+ * @param {function(*, number): Promise<*>} fn - Async mapper, called with (item, index).
+ * @returns {Promise<Array<*>>} Results in the same order as `items`.
+ */
+async function mapWithConcurrency(items, maxConcurrency, fn) {
+  const limit = createLimiter(maxConcurrency);
+  return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+function parseConcurrency(value, fallback) {
+  const parsed = Number.parseInt(value || '', 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return parsed;
+}
+
+module.exports = {
+  createLimiter,
+  mapWithConcurrency,
+  parseConcurrency,
+};
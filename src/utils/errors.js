@@ -0,0 +1,15 @@
+/**
+ * Creates an error the API handlers answer with the given HTTP status instead of 500.
+ * @param {string} message - Returned to the caller as `error`.
+ * @param {number} statusCode - HTTP status, e.g. 400 for invalid input or 404 for a missing resource.
+ * @returns {Error} The error, with `statusCode` set.
+ */
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = {
+  createHttpError,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging in the Cloud Logging JSON format: one line per entry with `severity`, `event` (the name
+// passed to the logger, e.g. `sync.delta.start`), `message`, the entry's fields, and the current log context
+// (correlation id, user, job) as `logging.googleapis.com/labels`. The context follows async calls (AsyncLocalStorage), so an entry written by a Graph or ServiceTitan call
+// carries the id of the HTTP request or Pub/Sub message that started it.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const CONTEXT_LABELS = ['correlationId', 'userUpn', 'jobId'];
+const MAX_DEPTH = 8;
+const REDACTED = '[redacted]';
+
+// Event subjects and previews are customer data; tokens, secrets and delta links are credentials.
+const REDACTED_KEY_PATTERN = /token|secret|password|authorization|apikey|api_key|clientstate|deltalink|subject|bodypreview/i;
+const REDACTED_VALUE_PATTERNS = [
+  [/Bearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`],
+  [/([?&]\$?(?:deltatoken|skiptoken|validationtoken)=)[^&\s"']+/gi, `$1${REDACTED}`],
+];
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * @returns {string} LOG_LEVEL (`debug`, `info`, `warn` or `error`); unknown values mean `info`.
+ */
+function getLogLevel() {
+  const level = String(process.env.LOG_LEVEL || '').trim().toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+function createCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Runs `fn` with `context` merged into the current log context.
+ * @param {object} context - e.g. { correlationId, trace, userUpn, jobId }.
+ * @param {function(): *} fn
+ * @returns {*} Whatever `fn` returns.
+ */
+function runWithLogContext(context, fn) {
+  return contextStorage.run({ ...getLogContext(), ...context }, fn);
+}
+
+function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+function redactString(value) {
+  return REDACTED_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: redactString(String(error.message)) };
+  if (error.statusCode !== undefined) serialized.statusCode = error.statusCode;
+  if (error.stack) serialized.stack = redactString(error.stack);
+  return serialized;
+}
+
+/**
+ * Copy of `value` with sensitive keys and credential-looking strings replaced by `[redacted]`.
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (depth >= MAX_DEPTH || seen.has(value)) return '[truncated]';
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACTED_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+/**
+ * Builds the log entry (exported for tests).
+ * @param {string} level
+ * @param {string} message - Event name such as `sync.delta.start`.
+ * @param {(object|Error)} [fields] - An Error is logged as `error`.
+ * @param {object} [context] - Default: the current log context.
+ * @returns {object}
+ */
+function buildEntry(level, message, fields = {}, context = getLogContext()) {
+  let data = fields || {};
+  if (fields instanceof Error) {
+    data = { error: fields };
+  } else if (typeof data !== 'object' || Array.isArray(data)) {
+    data = { value: data };
+  }
+  const labels = {};
+  for (const key of CONTEXT_LABELS) {
+    if (context[key]) labels[key] = String(context[key]);
+  }
+  const event = redactString(String(message));
+  const fieldsCopy = redact(data);
+  // Many entries carry an error text in `message` (or an `error`); it goes on the summary line.
+  const detail = typeof fieldsCopy.message === 'string' ? fieldsCopy.message : fieldsCopy.error?.message || null;
+  delete fieldsCopy.message;
+  const entry = {
+    ...fieldsCopy,
+    severity: SEVERITIES[level],
+    event,
+    message: detail ? `${event}: ${detail}` : event,
+    time: new Date().toISOString(),
+  };
+  if (Object.keys(labels).length > 0) {
+    entry['logging.googleapis.com/labels'] = labels;
+  }
+  if (context.trace) {
+    entry['logging.googleapis.com/trace'] = context.trace;
+  }
+  return entry;
+}
+
+// LOG_FORMAT=text prints a readable line for local runs instead of JSON.
+function formatEntry(entry) {
+  if (String(process.env.LOG_FORMAT || '').trim().toLowerCase() !== 'text') {
+    return JSON.stringify(entry);
+  }
+  const { severity, message, time, ...rest } = entry;
+  const correlationId = rest['logging.googleapis.com/labels']?.correlationId;
+  delete rest.event;
+  delete rest['logging.googleapis.com/labels'];
+  delete rest['logging.googleapis.com/trace'];
+  const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  return `${time} ${severity} ${correlationId ? `[${correlationId}] ` : ''}${message}${details}`;
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < LEVELS[getLogLevel()]) {
+    return;
+  }
+  let line;
+  try {
+    line = formatEntry(buildEntry(level, message, fields));
+  } catch (error) {
+    // Never let logging break the caller (e.g. a field with a throwing getter).
+    line = JSON.stringify({ severity: SEVERITIES[level], message: String(message), logError: error.message });
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  getLogLevel,
+  createCorrelationId,
+  runWithLogContext,
+  getLogContext,
+  redact,
+  buildEntry,
+};
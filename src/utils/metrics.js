@@ -0,0 +1,149 @@
+// In-process Prometheus metrics (text exposition format 0.0.4), served by GET /metrics. Values live in this
+// process only and reset when the instance restarts; Prometheus handles counter resets.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+// Labels not declared for the metric are ignored; missing ones are exported as "".
+function getSeries(metric, labels, createEntry) {
+  const values = metric.labelNames.map((name) => String(labels[name] ?? ''));
+  const key = JSON.stringify(values);
+  let entry = metric.series.get(key);
+  if (!entry) {
+    entry = { labels: metric.labelNames.map((name, index) => [name, values[index]]), ...createEntry() };
+    metric.series.set(key, entry);
+  }
+  return entry;
+}
+
+// Registering an existing name returns the existing metric, so a module can define its metrics at load time.
+function register(metric) {
+  if (!METRIC_NAME_PATTERN.test(metric.name)) {
+    throw new Error(`Invalid metric name "${metric.name}"`);
+  }
+  const existing = registry.get(metric.name);
+  if (existing) {
+    if (existing.type !== metric.type) {
+      throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+    }
+    return existing;
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * @param {string} name - Should end in `_total`.
+ * @param {string} help
+ * @param {Array<string>} [labelNames]
+ * @returns {{inc: function(object=, number=): void}}
+ */
+function createCounter(name, help, labelNames = []) {
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    labelNames,
+    series: new Map(),
+    inc(labels = {}, value = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    },
+    render() {
+      return [...metric.series.values()].map((entry) => `${name}${formatLabels(entry.labels)} ${formatNumber(entry.value)}`);
+    },
+  };
+  return register(metric);
+}
+
+/**
+ * @param {string} name - Should end in the unit (e.g. `_seconds`).
+ * @param {string} help
+ * @param {Array<string>} [labelNames]
+ * @param {Array<number>} [buckets] - Upper bounds, ascending; `+Inf` is added.
+ * @returns {{observe: function(object, number): void}}
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    labelNames,
+    series: new Map(),
+    observe(labels, value) {
+      const entry = getSeries(metric, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      const lines = [];
+      for (const entry of metric.series.values()) {
+        bounds.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels([...entry.labels, ['le', formatNumber(bound)]])} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels([...entry.labels, ['le', '+Inf']])} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatNumber(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines;
+    },
+  };
+  return register(metric);
+}
+
+/**
+ * Seconds elapsed since `startMs` (a Date.now() value), for histogram observations.
+ */
+function secondsSince(startMs) {
+  return (Date.now() - startMs) / 1000;
+}
+
+/**
+ * @returns {string} Every registered metric in the Prometheus text format.
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Clears recorded values but keeps the registered metrics (tests).
+function resetMetrics() {
+  for (const metric of registry.values()) {
+    metric.series.clear();
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createCounter,
+  createHistogram,
+  secondsSince,
+  renderMetrics,
+  resetMetrics,
+};
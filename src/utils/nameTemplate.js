@@ -0,0 +1,162 @@
+// Templates for ServiceTitan appointment names, e.g. `{showAs:label} – {subject|truncate:40}`.
+// Placeholders are `{field}`, `{field:label}` (showAs only) and optional `|truncate:N`, `|upper`, `|lower`
+// filters. Field values are scrubbed of URLs, email addresses and phone numbers before rendering because
+// names show up on the technician mobile schedule.
+const TEMPLATE_FIELDS = ['subject', 'location', 'showAs', 'organizer', 'categories'];
+const TEMPLATE_FILTERS = ['truncate', 'upper', 'lower'];
+
+const SHOW_AS_LABELS = {
+  busy: 'Busy',
+  oof: 'Out of Office',
+  tentative: 'Tentative',
+  workingelsewhere: 'Working Elsewhere',
+  free: 'Free',
+  available: 'Free',
+  unknown: 'Busy',
+};
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_CANDIDATE_PATTERN = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EDGE_SEPARATORS_PATTERN = /^[\s\-–—:|,/·]+|[\s\-–—:|,/·]+$/g;
+
+function getShowAsLabel(showAs) {
+  return SHOW_AS_LABELS[String(showAs || 'busy').toLowerCase()] || 'Busy';
+}
+
+function parsePlaceholder(body, template, source) {
+  const [fieldPart, ...filterParts] = body.split('|').map((part) => part.trim());
+  const [field, modifier] = fieldPart.split(':').map((part) => part.trim());
+  if (!TEMPLATE_FIELDS.includes(field)) {
+    throw new Error(`Invalid ${source}: unknown field "${field}" in "${template}" (expected ${TEMPLATE_FIELDS.join(', ')})`);
+  }
+  if (modifier !== undefined && !(modifier === 'label' && field === 'showAs')) {
+    throw new Error(`Invalid ${source}: unsupported modifier "${field}:${modifier}" in "${template}"`);
+  }
+
+  const filters = filterParts.map((part) => {
+    const [name, arg] = part.split(':').map((item) => item.trim());
+    if (!TEMPLATE_FILTERS.includes(name)) {
+      throw new Error(`Invalid ${source}: unknown filter "${name}" in "${template}"`);
+    }
+    if (name === 'truncate') {
+      const length = Number(arg);
+      if (!Number.isInteger(length) || length < 1) {
+        throw new Error(`Invalid ${source}: truncate needs a positive length in "${template}"`);
+      }
+      return { name, length };
+    }
+    return { name };
+  });
+
+  return { field, label: modifier === 'label', filters };
+}
+
+const compiledTemplates = new Map();
+
+/**
+ * Parses a name template into literal and placeholder parts. Results are cached per template text.
+ * @param {string} template - Template text.
+ * @param {string} source - Where the template came from, used in error messages.
+ * @returns {Array<(string|object)>} Compiled parts.
+ */
+function parseNameTemplate(template, source) {
+  const text = String(template || '');
+  if (compiledTemplates.has(text)) {
+    return compiledTemplates.get(text);
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push(text.slice(lastIndex, match.index));
+    }
+    parts.push(parsePlaceholder(match[1], text, source));
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    parts.push(text.slice(lastIndex));
+  }
+
+  compiledTemplates.set(text, parts);
+  return parts;
+}
+
+function stripPhoneNumbers(text) {
+  return text.replace(PHONE_CANDIDATE_PATTERN, (candidate) => {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15 || DATE_PATTERN.test(candidate.trim())) {
+      return candidate;
+    }
+    return ' ';
+  });
+}
+
+/**
+ * Removes URLs, email addresses, phone numbers and control characters, and collapses whitespace.
+ * @param {string} value - Raw text (e.g. an Outlook subject).
+ * @returns {string} Text safe to show on the mobile schedule.
+ */
+function sanitizeNameText(value) {
+  const text = String(value || '')
+    .replace(/\p{Cc}/gu, ' ')
+    .replace(URL_PATTERN, ' ')
+    .replace(EMAIL_PATTERN, ' ');
+  return stripPhoneNumbers(text).replace(/\s+/g, ' ').trim();
+}
+
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  if (maxLength <= 3) {
+    return text.slice(0, maxLength);
+  }
+  return `${text.slice(0, maxLength - 3).trimEnd()}...`;
+}
+
+function getFieldValue(part, values) {
+  if (part.field === 'showAs') {
+    return part.label ? getShowAsLabel(values.showAs) : String(values.showAs || '');
+  }
+  if (part.field === 'categories') {
+    return sanitizeNameText((values.categories || []).join(', '));
+  }
+  return sanitizeNameText(values[part.field]);
+}
+
+/**
+ * Renders a compiled template. Separators left dangling by empty fields are trimmed; an empty result
+ * falls back to the showAs label, and the name is cut to `maxLength`.
+ * @param {Array<(string|object)>} parts - Result of parseNameTemplate.
+ * @param {object} values - `{ subject, location, showAs, organizer, categories }`.
+ * @param {number} maxLength - Maximum name length.
+ * @returns {string}
+ */
+function renderNameTemplate(parts, values, maxLength) {
+  const rendered = parts.map((part) => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    let value = getFieldValue(part, values);
+    for (const filter of part.filters) {
+      if (filter.name === 'truncate') value = truncateText(value, filter.length);
+      if (filter.name === 'upper') value = value.toUpperCase();
+      if (filter.name === 'lower') value = value.toLowerCase();
+    }
+    return value;
+  }).join('');
+
+  const name = rendered.replace(/\s+/g, ' ').replace(EDGE_SEPARATORS_PATTERN, '');
+  return truncateText(name || getShowAsLabel(values.showAs), maxLength);
+}
+
+module.exports = {
+  parseNameTemplate,
+  renderNameTemplate,
+  sanitizeNameText,
+  getShowAsLabel,
+};
@@ -15,6 +15,10 @@ function normalizeGraphEvent(event) {
     isAllDay: Boolean(event.isAllDay),
     showAs: (event.showAs || 'busy').toLowerCase(),
     isPrivate: String(event.sensitivity || '').toLowerCase() === 'private',
+    sensitivity: String(event.sensitivity || 'normal').toLowerCase(),
+    categories: Array.isArray(event.categories) ? event.categories.map(String) : [],
+    organizer: event.organizer?.emailAddress?.address || '',
+    organizerName: event.organizer?.emailAddress?.name || '',
     location: event.location?.displayName || '',
     attendees: (event.attendees || []).map((attendee) => ({
       email: attendee?.emailAddress?.address || '',
@@ -83,8 +87,24 @@ function getStableEventKey(event) {
   return `${event.id || ''}:${start}:${end}`;
 }
 
+const STABLE_KEY_TIMES_PATTERN = /:(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z):(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)$/;
+
+function parseStableEventKey(key) {
+  // Recovers the UTC start/end embedded by getStableEventKey; returns null for keys without times.
+  const match = String(key || '').match(STABLE_KEY_TIMES_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    uid: String(key).slice(0, match.index),
+    start: match[1],
+    end: match[2],
+  };
+}
+
 module.exports = {
   normalizeGraphEvent,
   getEventDedupeKey,
   getStableEventKey,
+  parseStableEventKey,
 };
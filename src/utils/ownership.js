@@ -0,0 +1,35 @@
+// Every appointment the sync creates carries an ownership marker, so maintenance jobs (dedupe, purge, orphan
+// and drift reports) can tell our blocks from ones dispatchers created by hand. By default the marker is the
+// appointment `summary`, which does not show on the technician schedule; tenants that drop `summary` can use
+// a reserved name suffix instead (ST_OWNERSHIP_MARKER_FIELD=name).
+const OWNERSHIP_MARKER_FIELDS = ['summary', 'name'];
+const DEFAULT_OWNERSHIP_MARKER = '[st-calendar-sync]';
+
+/**
+ * Where the marker is stored and its text. ST_OWNERSHIP_MARKER_FIELD is validated once by loadConfig, so this
+ * runs per appointment without re-checking it.
+ * @returns {{field: string, marker: string}}
+ */
+function getOwnershipMarker() {
+  const configured = String(process.env.ST_OWNERSHIP_MARKER_FIELD || '').trim().toLowerCase();
+  const field = OWNERSHIP_MARKER_FIELDS.includes(configured) ? configured : 'summary';
+  const marker = String(process.env.ST_OWNERSHIP_MARKER || '').trim() || DEFAULT_OWNERSHIP_MARKER;
+  return { field, marker };
+}
+
+/**
+ * Whether a ServiceTitan non-job appointment was created by this sync.
+ * @param {object} appointment - Appointment as returned by the ServiceTitan API.
+ * @returns {boolean}
+ */
+function isOwnedAppointment(appointment) {
+  const { field, marker } = getOwnershipMarker();
+  const value = String(appointment?.[field] || '').trim();
+  return field === 'name' ? value.endsWith(marker) : value.includes(marker);
+}
+
+module.exports = {
+  OWNERSHIP_MARKER_FIELDS,
+  getOwnershipMarker,
+  isOwnedAppointment,
+};
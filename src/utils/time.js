@@ -1,6 +1,37 @@
-const { DateTime, Interval } = require('luxon');
+const { DateTime, IANAZone } = require('luxon');
+const log = require('./logger');
 
-const TIMEZONE = 'America/Chicago'; // As specified in the requirements
+const DEFAULT_TIMEZONE = 'America/Chicago'; // Tenant default unless DEFAULT_TIMEZONE overrides it
+
+function isValidTimezone(zone) {
+    return Boolean(zone) && IANAZone.isValidZone(zone);
+}
+
+/**
+ * Returns the tenant default timezone (`DEFAULT_TIMEZONE`, falling back to America/Chicago).
+ * @returns {string} IANA timezone name.
+ */
+function getDefaultTimezone() {
+    const configured = String(process.env.DEFAULT_TIMEZONE || '').trim();
+    return isValidTimezone(configured) ? configured : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Resolves the timezone used to split and schedule a technician's events: the TechMap `timezone`
+ * column when it is a valid IANA zone, otherwise the tenant default.
+ * @param {object} [userConfig] - TechMap entry.
+ * @returns {string} IANA timezone name.
+ */
+function resolveTimezone(userConfig) {
+    const zone = String(userConfig?.timezone || '').trim();
+    if (zone && isValidTimezone(zone)) {
+        return zone;
+    }
+    if (zone) {
+        log.warn('time.timezone.invalid', { userUpn: userConfig.outlook_upn, timezone: zone });
+    }
+    return getDefaultTimezone();
+}
 
 /**
  * Splits a multi-day Outlook event into single-day blocks in the target timezone.
@@ -8,12 +39,13 @@ const TIMEZONE = 'America/Chicago'; // As specified in the requirements
  *
  * @param {string} startISO - Start time of the Outlook event in ISO 8601 format (UTC).
  * @param {string} endISO - End time of the Outlook event in ISO 8601 format (UTC).
+ * @param {string} [zone] - IANA timezone whose local midnights delimit the blocks (tenant default if omitted).
  * @returns {Array<{start: string, end: string}>} Array of single-day blocks, where 'start' and 'end'
- *          are ISO 8601 strings in the specified TIMEZONE.
+ *          are ISO 8601 strings in the given timezone.
  */
-function splitMultiDayEvent(startISO, endISO) {
-    const start = DateTime.fromISO(startISO, { zone: 'utc' }).setZone(TIMEZONE);
-    const end = DateTime.fromISO(endISO, { zone: 'utc' }).setZone(TIMEZONE);
+function splitMultiDayEvent(startISO, endISO, zone = getDefaultTimezone()) {
+    const start = DateTime.fromISO(startISO, { zone: 'utc' }).setZone(zone);
+    const end = DateTime.fromISO(endISO, { zone: 'utc' }).setZone(zone);
 
     // If the event starts and ends on the same local day, no splitting is needed.
     if (start.hasSame(end, 'day')) {
@@ -53,4 +85,10 @@ function splitMultiDayEvent(startISO, endISO) {
     return blocks;
 }
 
-module.exports = { splitMultiDayEvent, TIMEZONE };
+module.exports = {
+    splitMultiDayEvent,
+    getDefaultTimezone,
+    resolveTimezone,
+    isValidTimezone,
+    DEFAULT_TIMEZONE,
+};
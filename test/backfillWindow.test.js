@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.LOG_LEVEL = 'error';
+
+const { resolveBackfillWindow } = require('../src/services/sync');
+
+const DAY_MS = 86_400_000;
+
+function assertInvalid(options, message) {
+  assert.throws(() => resolveBackfillWindow(options), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('date-only boundaries cover whole days in the tenant timezone', () => {
+  // America/Chicago is UTC-6 in winter.
+  assert.deepEqual(resolveBackfillWindow({ start: '2026-01-05', end: '2026-01-06' }), {
+    startDateTime: '2026-01-05T06:00:00.000Z',
+    endDateTime: '2026-01-07T05:59:59.999Z',
+  });
+  // A single day is a valid window.
+  assert.deepEqual(resolveBackfillWindow({ start: '2026-07-01', end: '2026-07-01' }), {
+    startDateTime: '2026-07-01T05:00:00.000Z',
+    endDateTime: '2026-07-02T04:59:59.999Z',
+  });
+});
+
+test('date-time boundaries keep their offset and are returned in UTC', () => {
+  assert.deepEqual(resolveBackfillWindow({ start: '2026-01-05T08:00:00-05:00', end: '2026-01-05T17:30:00Z' }), {
+    startDateTime: '2026-01-05T13:00:00.000Z',
+    endDateTime: '2026-01-05T17:30:00.000Z',
+  });
+});
+
+test('start/end take precedence over pastDays/futureDays', () => {
+  const window = resolveBackfillWindow({ start: '2026-01-05T00:00:00Z', end: '2026-01-06T00:00:00Z', pastDays: 30, futureDays: 30 });
+  assert.deepEqual(window, { startDateTime: '2026-01-05T00:00:00.000Z', endDateTime: '2026-01-06T00:00:00.000Z' });
+});
+
+test('pastDays/futureDays are relative to now and either may be omitted', () => {
+  const beforeMs = Date.now();
+  const window = resolveBackfillWindow({ pastDays: 7, futureDays: '3' });
+  const afterMs = Date.now();
+  const startMs = Date.parse(window.startDateTime);
+  const endMs = Date.parse(window.endDateTime);
+  assert.ok(startMs >= beforeMs - 7 * DAY_MS && startMs <= afterMs - 7 * DAY_MS);
+  assert.ok(endMs >= beforeMs + 3 * DAY_MS && endMs <= afterMs + 3 * DAY_MS);
+
+  const pastOnly = resolveBackfillWindow({ pastDays: 2 });
+  assert.ok(Date.parse(pastOnly.endDateTime) - Date.parse(pastOnly.startDateTime) === 2 * DAY_MS);
+});
+
+test('missing, partial and malformed input is rejected', () => {
+  assertInvalid({}, /non-zero pastDays\/futureDays/);
+  assertInvalid({ pastDays: 0, futureDays: '' }, /non-zero pastDays\/futureDays/);
+  assertInvalid({ start: '2026-01-05' }, /start and end must be provided together/);
+  assertInvalid({ end: '2026-01-05' }, /start and end must be provided together/);
+  assertInvalid({ start: '2026-13-45', end: '2026-01-06' }, /Invalid start/);
+  assertInvalid({ start: '2026-01-05', end: 'tomorrow' }, /Invalid end/);
+  assertInvalid({ pastDays: -1 }, /Invalid pastDays/);
+  assertInvalid({ futureDays: 1.5 }, /Invalid futureDays/);
+  assertInvalid({ pastDays: 'seven' }, /Invalid pastDays/);
+});
+
+test('inverted, empty and oversized windows are rejected', () => {
+  assertInvalid({ start: '2026-01-06', end: '2026-01-05' }, /end must be after start/);
+  assertInvalid({ start: '2026-01-05T10:00:00Z', end: '2026-01-05T10:00:00Z' }, /end must be after start/);
+  assertInvalid({ start: '2026-01-01', end: '2027-01-02' }, /cannot exceed 366 days/);
+  assertInvalid({ pastDays: 200, futureDays: 200 }, /cannot exceed 366 days/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLimiter, mapWithConcurrency, parseConcurrency } = require('../src/utils/concurrency');
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('createLimiter never runs more than the limit at once', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map((value) => limit(async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await delay(5);
+    active -= 1;
+    return value * 10;
+  })));
+
+  assert.deepEqual(results, [10, 20, 30, 40, 50]);
+  assert.equal(peak, 2);
+});
+
+test('createLimiter releases the slot when a task fails', async () => {
+  const limit = createLimiter(1);
+
+  await assert.rejects(limit(async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(await limit(async () => 'next'), 'next');
+});
+
+test('mapWithConcurrency keeps results in input order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+    await delay(ms);
+    return `${index}:${ms}`;
+  });
+
+  assert.deepEqual(results, ['0:30', '1:10', '2:20']);
+});
+
+test('parseConcurrency falls back for missing or invalid values', () => {
+  assert.equal(parseConcurrency('8', 4), 8);
+  assert.equal(parseConcurrency('', 4), 4);
+  assert.equal(parseConcurrency('0', 4), 4);
+  assert.equal(parseConcurrency('abc', 4), 4);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_DRIFT_REPAIR_POLICY,
+  parseDriftRepairPolicy,
+  getDriftRepairPolicy,
+} = require('../src/services/driftPolicy');
+
+test('parseDriftRepairPolicy fills omitted types from the base policy', () => {
+  assert.deepEqual(parseDriftRepairPolicy('', 'test'), DEFAULT_DRIFT_REPAIR_POLICY);
+  assert.deepEqual(parseDriftRepairPolicy('{"unreferenced":"DELETE"}', 'test'), {
+    missing: 'recreate',
+    edited: 'revert',
+    unreferenced: 'delete',
+  });
+
+  const base = { missing: 'report', edited: 'report', unreferenced: 'report' };
+  assert.deepEqual(parseDriftRepairPolicy({ edited: 'revert' }, 'test', base), {
+    missing: 'report',
+    edited: 'revert',
+    unreferenced: 'report',
+  });
+});
+
+test('parseDriftRepairPolicy rejects unknown types and actions', () => {
+  assert.throws(() => parseDriftRepairPolicy('{"moved":"report"}', 'test'), /unknown drift type "moved"/);
+  assert.throws(() => parseDriftRepairPolicy({ missing: 'delete' }, 'test'), /missing must be one of recreate, report/);
+  assert.throws(() => parseDriftRepairPolicy('[]', 'test'), /expected a JSON object/);
+  assert.throws(() => parseDriftRepairPolicy('{', 'test'), /Invalid test/);
+});
+
+test('getDriftRepairPolicy reads DRIFT_REPAIR_POLICY', () => {
+  process.env.DRIFT_REPAIR_POLICY = '{"missing":"report"}';
+  try {
+    assert.equal(getDriftRepairPolicy().missing, 'report');
+    assert.equal(getDriftRepairPolicy().edited, 'revert');
+  } finally {
+    delete process.env.DRIFT_REPAIR_POLICY;
+  }
+});
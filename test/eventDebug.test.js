@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-event-debug-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const { getDecision } = require('../src/services/eventDebug');
+const { getEventSyncDecision } = require('../src/services/mapping');
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const ENABLED = { outlook_upn: 'tech@example.com', enabled: true };
+const BUSY = { showAs: 'busy', start: '2026-02-10T16:00:00.000Z', end: '2026-02-10T17:00:00.000Z' };
+const SYNCED = { status: 'SYNCED|gid=1', last_hash: 'h', st_nonjob_ids_json: '["100"]' };
+
+function decide({ userConfig = ENABLED, event = BUSY, mapping = null, filterDecision = null, syncHash = 'h' }) {
+  const syncDecision = event && event.start && event.end
+    ? getEventSyncDecision(event, filterDecision)
+    : { sync: false, reason: 'missing_times' };
+  return getDecision({ userConfig, event, mapping, syncDecision, syncHash }).code;
+}
+
+test('getDecision explains each outcome of the sync decision', () => {
+  const table = [
+    [{ event: null }, 'event_not_found'],
+    [{ event: null, mapping: SYNCED }, 'event_not_found'],
+    [{ userConfig: { ...ENABLED, enabled: false }, mapping: SYNCED }, 'user_disabled'],
+    [{ event: { ...BUSY, start: null } }, 'skipped_missing_times'],
+    // Filter rules win over the showAs policy either way.
+    [{ filterDecision: { action: 'exclude', rule: 'lunch' } }, 'excluded_by_filter'],
+    [{ event: { ...BUSY, showAs: 'free' }, filterDecision: { action: 'include', rule: 'all' } }, 'pending_create'],
+    [{ event: { ...BUSY, showAs: 'free' }, mapping: SYNCED }, 'skipped_show_as'],
+    [{}, 'pending_create'],
+    [{ mapping: { ...SYNCED, status: 'DELETED' } }, 'pending_create'],
+    [{ mapping: SYNCED, syncHash: 'changed' }, 'pending_update'],
+    [{ mapping: SYNCED }, 'synced'],
+  ];
+
+  for (const [input, code] of table) {
+    assert.equal(decide(input), code, JSON.stringify(input));
+  }
+});
+
+test('getDecision says when the next sync deletes mapped appointments', () => {
+  const syncDecision = getEventSyncDecision(BUSY, { action: 'exclude', rule: 'lunch' });
+
+  const mapped = getDecision({ userConfig: ENABLED, event: BUSY, mapping: SYNCED, syncDecision, syncHash: 'h' });
+  const unmapped = getDecision({ userConfig: ENABLED, event: BUSY, mapping: null, syncDecision, syncHash: 'h' });
+
+  assert.match(mapped.explanation, /rule "lunch"\. The next sync deletes/);
+  assert.doesNotMatch(unmapped.explanation, /deletes/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-state-'));
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+
+const fileStore = require('../src/services/store/file');
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.STATE_FILE_PATH;
+});
+
+test('file store reads TechMap rows from the state file', async () => {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({
+    techMap: [
+      { outlook_upn: 'tech@example.com', st_technician_id: 100, enabled: 'TRUE' },
+      { outlook_upn: 'off@example.com', st_technician_id: '200', enabled: false },
+    ],
+  }));
+
+  const techMap = await fileStore.getTechMap();
+
+  assert.equal(techMap.length, 2);
+  assert.equal(techMap[0].st_technician_id, '100');
+  assert.equal(techMap[0].enabled, true);
+  assert.equal(techMap[1].enabled, false);
+});
+
+test('file store upserts and looks up event mappings', async () => {
+  await fileStore.updateEventMapping('tech@example.com', 'uid:1', ['11', '12'], 'hash-1', 'SYNCED|gid=graph-1');
+  await fileStore.updateEventMapping('tech@example.com', 'uid:1', ['13'], 'hash-2', 'SYNCED|gid=graph-1');
+
+  const mapping = await fileStore.findEventMapping('tech@example.com', 'uid:1');
+  assert.equal(mapping.st_nonjob_ids_json, '["13"]');
+  assert.equal(mapping.last_hash, 'hash-2');
+
+  const byGraphId = await fileStore.findEventMappingByGraphId('tech@example.com', 'graph-1');
+  assert.equal(byGraphId.outlook_event_id, 'uid:1');
+  assert.equal((await fileStore.listEventMappings()).length, 1);
+
+  await fileStore.deleteEventMapping('tech@example.com', 'uid:1');
+  const deleted = await fileStore.findEventMapping('tech@example.com', 'uid:1');
+  assert.equal(deleted.status, 'DELETED');
+  assert.equal(deleted.st_nonjob_ids_json, '[]');
+});
+
+test('file store keeps one DeltaState entry per user and clears state', async () => {
+  const initial = await fileStore.getDeltaState('tech@example.com');
+  assert.equal(initial.delta_link, null);
+
+  await Promise.all([
+    fileStore.updateDeltaState('tech@example.com', 'https://graph/delta-1'),
+    fileStore.updateDeltaState('tech@example.com', 'https://graph/delta-2'),
+  ]);
+  const state = await fileStore.getDeltaState('tech@example.com');
+  assert.equal(state.delta_link, 'https://graph/delta-2');
+
+  await fileStore.clearDeltaStates();
+  await fileStore.clearEventMappings();
+  assert.equal((await fileStore.getDeltaState('tech@example.com')).delta_link, null);
+  assert.equal((await fileStore.listEventMappings()).length, 0);
+});
+
+test('file store updates keyed records atomically', async () => {
+  await Promise.all([1, 2, 3].map(() => fileStore.updateRecord('counters', 'runs', (current) => ({
+    count: (current ? current.count : 0) + 1,
+  }))));
+  assert.deepEqual(await fileStore.getRecord('counters', 'runs'), { count: 3 });
+
+  const unchanged = await fileStore.updateRecord('counters', 'runs', () => undefined);
+  assert.deepEqual(unchanged, { count: 3 });
+
+  await fileStore.putRecord('counters', 'other', { count: 1 });
+  assert.equal((await fileStore.listRecords('counters')).length, 2);
+
+  await fileStore.deleteRecord('counters', 'runs');
+  assert.equal(await fileStore.getRecord('counters', 'runs'), null);
+});
+
+test('file store writes and deletes several keyed records at once', async () => {
+  await fileStore.putRecord('batch', 'a', { key: 'a' });
+  await fileStore.putRecords('batch', [{ key: 'b', value: { key: 'b' } }, { key: 'c', value: { key: 'c' } }]);
+  assert.deepEqual(await fileStore.listRecords('batch'), [{ key: 'a' }, { key: 'b' }, { key: 'c' }]);
+
+  await fileStore.deleteRecords('batch', ['a', 'c', 'missing']);
+
+  assert.deepEqual(await fileStore.listRecords('batch'), [{ key: 'b' }]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseFilterRules,
+  getFilterRulesForUser,
+  evaluateFilterRules,
+} = require('../src/services/filters');
+
+function makeEvent(overrides = {}) {
+  return {
+    subject: 'Team Lunch',
+    showAs: 'busy',
+    start: '2026-03-02T17:00:00.000Z',
+    end: '2026-03-02T18:00:00.000Z',
+    isAllDay: false,
+    sensitivity: 'normal',
+    categories: ['Personal'],
+    organizer: 'boss@contoso.com',
+    attendees: [{ email: 'a@contoso.com' }, { email: 'b@contoso.com' }],
+    ...overrides,
+  };
+}
+
+test('evaluateFilterRules returns the first matching rule', () => {
+  const rules = parseFilterRules(JSON.stringify([
+    { name: 'skip-lunch', action: 'exclude', subject: 'lunch' },
+    { action: 'include', showAs: ['busy', 'tentative'] },
+  ]), 'test');
+
+  assert.deepEqual(evaluateFilterRules(rules, makeEvent()), { action: 'exclude', rule: 'skip-lunch' });
+  assert.deepEqual(evaluateFilterRules(rules, makeEvent({ subject: 'Standup', showAs: 'tentative' })), {
+    action: 'include',
+    rule: 'test[1]',
+  });
+  assert.equal(evaluateFilterRules(rules, makeEvent({ subject: 'Standup', showAs: 'free' })), null);
+});
+
+test('evaluateFilterRules requires every condition in a rule to match', () => {
+  const rules = parseFilterRules([
+    {
+      action: 'exclude',
+      categories: ['personal'],
+      organizer: '@contoso.com',
+      minAttendees: 2,
+      maxDurationMinutes: 60,
+      isAllDay: false,
+      sensitivity: ['normal'],
+      subjectRegex: '^team\\b',
+    },
+  ], 'test');
+
+  assert.equal(evaluateFilterRules(rules, makeEvent()).action, 'exclude');
+  assert.equal(evaluateFilterRules(rules, makeEvent({ organizer: 'boss@other.com' })), null);
+  assert.equal(evaluateFilterRules(rules, makeEvent({ attendees: [] })), null);
+  assert.equal(evaluateFilterRules(rules, makeEvent({ end: '2026-03-02T19:00:00.000Z' })), null);
+  assert.equal(evaluateFilterRules(rules, makeEvent({ categories: [] })), null);
+});
+
+test('getFilterRulesForUser checks technician rules before global rules', () => {
+  process.env.EVENT_FILTER_RULES = JSON.stringify([{ action: 'exclude', subject: 'lunch' }]);
+  try {
+    const rules = getFilterRulesForUser({
+      outlook_upn: 'tech@example.com',
+      filter_rules: '[{"action":"include","subject":"team"}]',
+    });
+    assert.equal(rules.length, 2);
+    assert.equal(evaluateFilterRules(rules, makeEvent()).action, 'include');
+  } finally {
+    delete process.env.EVENT_FILTER_RULES;
+  }
+});
+
+test('parseFilterRules rejects invalid rules', () => {
+  assert.deepEqual(parseFilterRules('', 'test'), []);
+  assert.throws(() => parseFilterRules('{not json', 'test'), /Invalid test/);
+  assert.throws(() => parseFilterRules([{ action: 'maybe' }], 'test'), /action must be one of/);
+  assert.throws(() => parseFilterRules([{ action: 'exclude', subjet: 'x' }], 'test'), /unknown condition/);
+  assert.throws(() => parseFilterRules([{ action: 'exclude', subjectRegex: '(' }], 'test'), /subjectRegex/);
+});
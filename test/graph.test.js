@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfidentialClientApplication } = require('@azure/msal-node');
+
+for (const key of ['GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.LOG_LEVEL = 'error';
+
+const graph = require('../src/api/graph');
+
+ConfidentialClientApplication.prototype.acquireTokenByClientCredential = async () => ({ accessToken: 'token' });
+
+const originalFetch = global.fetch;
+test.after(() => {
+  global.fetch = originalFetch;
+});
+
+// Serves the given responses in order and records every request.
+function stubFetch(responses) {
+  const calls = [];
+  global.fetch = async (url, init) => {
+    calls.push({ url, method: init.method });
+    const next = responses[Math.min(calls.length, responses.length) - 1];
+    if (next instanceof Error) {
+      throw next;
+    }
+    const headers = new Map(Object.entries(next.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+      ok: next.status >= 200 && next.status < 300,
+      status: next.status,
+      headers: { get: (name) => headers.get(name.toLowerCase()) ?? null },
+      text: async () => (next.body === undefined ? '' : JSON.stringify(next.body)),
+    };
+  };
+  return calls;
+}
+
+function statsDelta(before) {
+  const after = graph.getGraphStats();
+  return { throttled: after.throttled - before.throttled, retries: after.retries - before.retries };
+}
+
+test('a 429 is retried after Retry-After and counted as throttled', async () => {
+  const calls = stubFetch([
+    { status: 429, headers: { 'Retry-After': '0' }, body: { error: { code: 'TooManyRequests' } } },
+    { status: 200, body: { id: 'event-1' } },
+  ]);
+  const before = graph.getGraphStats();
+
+  const event = await graph.getEvent('tech@example.com', 'event-1');
+
+  assert.deepEqual(event, { id: 'event-1' });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(statsDelta(before), { throttled: 1, retries: 1 });
+});
+
+test('a 503 with Retry-After counts as throttled; an HTTP-date Retry-After in the past retries at once', async () => {
+  const calls = stubFetch([
+    { status: 503, headers: { 'Retry-After': new Date(Date.now() - 60_000).toUTCString() } },
+    { status: 200, body: { id: 'event-1' } },
+  ]);
+  const before = graph.getGraphStats();
+  const startMs = Date.now();
+
+  await graph.getEvent('tech@example.com', 'event-1');
+
+  assert.equal(calls.length, 2);
+  assert.ok(Date.now() - startMs < 1000);
+  assert.deepEqual(statsDelta(before), { throttled: 1, retries: 1 });
+});
+
+test('a 503 without Retry-After is retried with backoff but not counted as throttled', async () => {
+  const calls = stubFetch([
+    { status: 503 },
+    { status: 200, body: { id: 'event-1' } },
+  ]);
+  const before = graph.getGraphStats();
+  const startMs = Date.now();
+
+  await graph.getEvent('tech@example.com', 'event-1');
+
+  assert.equal(calls.length, 2);
+  assert.ok(Date.now() - startMs >= 1000);
+  assert.deepEqual(statsDelta(before), { throttled: 0, retries: 1 });
+});
+
+test('client errors are not retried and carry the status and Graph error code', async () => {
+  const calls = stubFetch([{ status: 400, body: { error: { code: 'ErrorInvalidRequest' } } }]);
+  const before = graph.getGraphStats();
+
+  await assert.rejects(graph.getEvent('tech@example.com', 'event-1'), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.graphErrorCode, 'ErrorInvalidRequest');
+    return true;
+  });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(statsDelta(before), { throttled: 0, retries: 0 });
+});
+
+test('throttling is retried until the attempts run out', async () => {
+  const calls = stubFetch([{ status: 429, headers: { 'Retry-After': '0' } }]);
+  const before = graph.getGraphStats();
+
+  await assert.rejects(graph.getEvent('tech@example.com', 'event-1'), (error) => error.statusCode === 429);
+  assert.equal(calls.length, 6);
+  assert.deepEqual(statsDelta(before), { throttled: 6, retries: 5 });
+});
+
+test('withGraphStats counts only the requests of its own run', async () => {
+  stubFetch([
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 200, body: { value: [] } },
+  ]);
+  // Another run's throttle outside the scope must not show up in it.
+  await graph.listSubscriptions();
+  assert.equal(graph.getRunGraphStats(), null);
+
+  stubFetch([
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 200, body: { value: [] } },
+  ]);
+  const runStats = await graph.withGraphStats(async () => {
+    await graph.listSubscriptions();
+    return graph.getRunGraphStats();
+  });
+
+  assert.deepEqual(runStats, { throttled: 2, retries: 2 });
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-health-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const { PubSub } = require('@google-cloud/pubsub');
+const graph = require('../src/api/graph');
+const servicetitan = require('../src/api/servicetitan');
+const { getSheetHeaderProblems } = require('../src/services/sheets');
+const { runDeepHealthCheck, runCheck, withTimeout } = require('../src/services/health');
+const { TECH_MAP_COLUMNS } = require('../src/services/store/techMap');
+
+const USER = { outlook_upn: 'tech@example.com', st_technician_id: '7', enabled: true };
+const EVENT_MAP_HEADERS = ['outlook_upn', 'outlook_event_id', 'st_nonjob_ids_json', 'last_hash', 'last_synced_utc', 'status'];
+const DELTA_STATE_HEADERS = ['outlook_upn', 'delta_link', 'window_end', 'last_run_utc'];
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 3_600_000).toISOString();
+}
+
+function useSubscriptionRecord(record) {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({
+    techMap: [USER, { outlook_upn: 'gone@example.com', enabled: false }],
+    records: { graphSubscriptions: record ? { 'tech@example.com': { upn: USER.outlook_upn, ...record } } : {} },
+  }));
+}
+
+// Every dependency healthy; tests break one at a time.
+function useHealthyDependencies() {
+  useSubscriptionRecord({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(40) });
+  graph.getGraphAccessToken = async () => 'token';
+  graph.listSubscriptions = async () => {
+    throw new Error('the health check reads the subscription records');
+  };
+  servicetitan.refreshAccessToken = async () => 'token';
+  servicetitan.listTechnicians = async () => [{ id: 7 }];
+  PubSub.prototype.topic = () => ({ exists: async () => [true] });
+}
+
+function checkByName(result, name) {
+  return result.checks.find((check) => check.name === name);
+}
+
+test('withTimeout passes results and errors through and rejects slow promises', async () => {
+  assert.equal(await withTimeout(Promise.resolve('done'), 50), 'done');
+  await assert.rejects(withTimeout(Promise.reject(new Error('boom')), 50), /boom/);
+  await assert.rejects(withTimeout(new Promise(() => {}), 10), /Timed out after 10 ms/);
+});
+
+test('runCheck reports ok, warn and error with the check details', async () => {
+  assert.deepEqual(
+    { ...(await runCheck('a', async () => ({ sample: 1 }))), latencyMs: 0 },
+    { name: 'a', status: 'ok', latencyMs: 0, sample: 1 },
+  );
+  assert.equal((await runCheck('b', async () => undefined)).status, 'ok');
+  assert.deepEqual(
+    { ...(await runCheck('c', async () => ({ status: 'warn', users: [] }))), latencyMs: 0 },
+    { name: 'c', status: 'warn', latencyMs: 0, users: [] },
+  );
+  const failed = await runCheck('d', async () => {
+    throw new Error('invalid_client');
+  });
+  assert.equal(failed.status, 'error');
+  assert.equal(failed.error, 'invalid_client');
+});
+
+test('runDeepHealthCheck is ok when every check passes', async () => {
+  useHealthyDependencies();
+
+  const result = await runDeepHealthCheck();
+
+  assert.equal(result.status, 'ok');
+  assert.deepEqual(result.checks.map((check) => [check.name, check.status]), [
+    ['graph_token', 'ok'],
+    ['servicetitan_token', 'ok'],
+    ['servicetitan_api', 'ok'],
+    ['state_store', 'ok'],
+    ['pubsub_topic', 'ok'],
+    ['graph_subscriptions', 'ok'],
+  ]);
+  assert.equal(checkByName(result, 'state_store').technicians, 2);
+});
+
+test('runDeepHealthCheck is degraded when a check only warns', async () => {
+  useHealthyDependencies();
+  useSubscriptionRecord({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(2) });
+
+  const result = await runDeepHealthCheck();
+
+  assert.equal(result.status, 'degraded');
+  assert.deepEqual(checkByName(result, 'graph_subscriptions').users.map((user) => [user.upn, user.status]), [
+    ['tech@example.com', 'overdue'],
+  ]);
+});
+
+test('graph_subscriptions warns only once renewal is overdue and fails without a live subscription', async () => {
+  useHealthyDependencies();
+  const statusWith = async (record) => {
+    useSubscriptionRecord(record);
+    const check = checkByName(await runDeepHealthCheck(), 'graph_subscriptions');
+    return [check.status, check.users[0].status];
+  };
+
+  // Due for renewal (default: within 24 hours), but the renewal job still has time to catch it.
+  assert.deepEqual(await statusWith({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(20) }), ['ok', 'expiring']);
+  assert.deepEqual(await statusWith({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(11) }), ['warn', 'overdue']);
+  assert.deepEqual(await statusWith({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(-1) }), ['error', 'expired']);
+  assert.deepEqual(await statusWith(null), ['error', 'missing']);
+
+  process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS = '6';
+  try {
+    assert.deepEqual(await statusWith({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(11) }), ['ok', 'live']);
+    assert.deepEqual(await statusWith({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(2) }), ['warn', 'overdue']);
+  } finally {
+    delete process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS;
+  }
+});
+
+test('runDeepHealthCheck is error when any check fails, even if others warn', async () => {
+  useHealthyDependencies();
+  useSubscriptionRecord({ subscriptionId: 'sub-1', expirationDateTime: hoursFromNow(2) });
+  PubSub.prototype.topic = () => ({ exists: async () => [false] });
+
+  const result = await runDeepHealthCheck();
+
+  assert.equal(result.status, 'error');
+  assert.equal(checkByName(result, 'pubsub_topic').status, 'error');
+  assert.match(checkByName(result, 'pubsub_topic').error, /does not exist/);
+  assert.equal(checkByName(result, 'graph_subscriptions').status, 'warn');
+});
+
+test('getSheetHeaderProblems accepts the expected layout and names misplaced headers', () => {
+  const valid = { TechMap: TECH_MAP_COLUMNS, EventMap: EVENT_MAP_HEADERS, DeltaState: DELTA_STATE_HEADERS };
+  assert.deepEqual(getSheetHeaderProblems(valid), []);
+  // Optional TechMap columns may be missing, but not out of place.
+  assert.deepEqual(getSheetHeaderProblems({ ...valid, TechMap: TECH_MAP_COLUMNS.slice(0, 4) }), []);
+
+  const problems = getSheetHeaderProblems({
+    TechMap: [...TECH_MAP_COLUMNS.slice(0, 4), 'filter_rules'],
+    EventMap: [' outlook_upn ', 'outlook_event_id', 'st_nonjob_ids_json', 'last_hash', 'last_synced_utc'],
+  });
+  assert.deepEqual(problems, [
+    'TechMap!E1 should be "timezone" but is "filter_rules"',
+    'EventMap!F1 should be "status" but is ""',
+    'DeltaState!A1 should be "outlook_upn" but is ""',
+    'DeltaState!B1 should be "delta_link" but is ""',
+    'DeltaState!C1 should be "window_end" but is ""',
+    'DeltaState!D1 should be "last_run_utc" but is ""',
+  ]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createJobRecord,
+  claimJob,
+  startStep,
+  saveStepState,
+  completeStep,
+  failStep,
+  finishJob,
+  describeJob,
+} = require('../src/services/jobState');
+
+const LEASE_MS = 60_000;
+const T0 = Date.parse('2025-03-03T12:00:00Z');
+
+function sum(summary, result) {
+  return { deleted: summary.deleted + result.deleted };
+}
+
+function newJob() {
+  return createJobRecord({
+    id: 'job-1',
+    type: 'reset',
+    options: {},
+    stepKeys: ['technician:1', 'technician:2'],
+    summary: { deleted: 0 },
+  }, new Date(T0).toISOString());
+}
+
+test('a job completes once every step is done and merges step results into the summary', () => {
+  let job = claimJob(newJob(), 'a', T0, LEASE_MS);
+  assert.equal(job.status, 'running');
+  assert.equal(job.attempts, 1);
+
+  job = startStep(job, 'a', 'technician:1', T0, LEASE_MS);
+  job = completeStep(job, 'a', 'technician:1', { deleted: 3, errors: [] }, sum, T0, LEASE_MS);
+  job = startStep(job, 'a', 'technician:2', T0, LEASE_MS);
+  job = completeStep(job, 'a', 'technician:2', { deleted: 2 }, sum, T0, LEASE_MS);
+  job = finishJob(job, 'a', T0);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.lease, null);
+  assert.deepEqual(job.summary, { deleted: 5 });
+  assert.deepEqual(describeJob(job, T0).progress, { stepsTotal: 2, stepsDone: 2, stepsFailed: 0, stepsPending: 0 });
+  assert.equal(claimJob(job, 'b', T0, LEASE_MS), undefined);
+});
+
+test('failed steps leave the job incomplete and are retried on resume with their saved state', () => {
+  let job = claimJob(newJob(), 'a', T0, LEASE_MS);
+  job = completeStep(job, 'a', 'technician:1', { deleted: 1 }, sum, T0, LEASE_MS);
+  job = saveStepState(job, 'a', 'technician:2', { deleted: 4 }, T0, LEASE_MS);
+  job = failStep(job, 'a', 'technician:2', 'boom', T0, LEASE_MS);
+  job = finishJob(job, 'a', T0);
+
+  assert.equal(job.status, 'incomplete');
+  assert.deepEqual(job.errors, [{ step: 'technician:2', message: 'boom' }]);
+  assert.equal(describeJob(job, T0).resumable, true);
+
+  job = claimJob(job, 'b', T0 + 1000, LEASE_MS);
+  assert.equal(job.attempts, 2);
+  assert.deepEqual(job.steps.map((step) => step.status), ['done', 'pending']);
+  assert.deepEqual(job.steps[1].state, { deleted: 4 });
+});
+
+test('a running job whose lease expired is reported as interrupted and can be taken over', () => {
+  const job = claimJob(newJob(), 'a', T0, LEASE_MS);
+  assert.equal(describeJob(job, T0 + 1000).status, 'running');
+  assert.equal(claimJob(job, 'b', T0 + 1000, LEASE_MS), undefined);
+
+  const later = T0 + LEASE_MS + 1;
+  assert.equal(describeJob(job, later).status, 'interrupted');
+  assert.equal(describeJob(job, later).resumable, true);
+
+  const taken = claimJob(job, 'b', later, LEASE_MS);
+  assert.equal(taken.lease.owner, 'b');
+  // The previous runner can no longer write progress.
+  assert.equal(completeStep(taken, 'a', 'technician:1', { deleted: 1 }, sum, later, LEASE_MS), undefined);
+  assert.equal(finishJob(taken, 'a', later), undefined);
+});
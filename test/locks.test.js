@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-locks-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const store = require('../src/services/store');
+const locks = require('../src/services/locks');
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a held lease is not acquired again until it is released', async () => {
+  const first = await locks.acquireLock('sync:a');
+  assert.equal(first.acquired, true);
+  assert.equal(first.heldBy, null);
+
+  const second = await locks.acquireLock('sync:a');
+  assert.equal(second.acquired, false);
+  assert.equal(second.heldBy, first.owner);
+
+  await locks.releaseLock(first);
+  assert.equal(await store.getRecord('locks', 'sync:a'), null);
+  assert.equal((await locks.acquireLock('sync:a')).acquired, true);
+});
+
+test('releasing with a lock that no longer holds the lease leaves it alone', async () => {
+  const holder = await locks.acquireLock('sync:b');
+  await locks.releaseLock({ key: 'sync:b', owner: 'someone-else' });
+  assert.equal((await store.getRecord('locks', 'sync:b')).owner, holder.owner);
+});
+
+test('a coalesced request asks the holder for one rerun, consumed once', async () => {
+  const holder = await locks.acquireLock('sync:c');
+  const coalesced = await locks.acquireLock('sync:c', { coalesce: true });
+  assert.equal(coalesced.acquired, false);
+  assert.equal((await store.getRecord('locks', 'sync:c')).rerunRequested, true);
+
+  // Another caller cannot consume the holder's rerun.
+  assert.equal(await locks.consumeRerunRequest({ key: 'sync:c', owner: 'someone-else' }), false);
+  assert.equal(await locks.consumeRerunRequest(holder), true);
+  assert.equal(await locks.consumeRerunRequest(holder), false);
+
+  // Without coalesce the request is dropped.
+  await locks.acquireLock('sync:c');
+  assert.equal(await locks.consumeRerunRequest(holder), false);
+});
+
+test('an expired lease is taken over and its old holder can no longer renew or release it', async () => {
+  await store.putRecord('locks', 'sync:d', {
+    key: 'sync:d',
+    owner: 'crashed',
+    acquiredAt: '2025-01-01T00:00:00.000Z',
+    expiresAt: '2025-01-01T00:30:00.000Z',
+    rerunRequested: true,
+  });
+
+  const lock = await locks.acquireLock('sync:d');
+  assert.equal(lock.acquired, true);
+  const lease = await store.getRecord('locks', 'sync:d');
+  assert.equal(lease.rerunRequested, false);
+  assert.ok(Date.parse(lease.expiresAt) > Date.now());
+
+  assert.equal(await locks.renewLock({ key: 'sync:d', owner: 'crashed' }), false);
+  await locks.releaseLock({ key: 'sync:d', owner: 'crashed' });
+  assert.equal((await store.getRecord('locks', 'sync:d')).owner, lock.owner);
+});
+
+test('renewLock extends the lease and keeps a pending rerun request', async () => {
+  const lock = await locks.acquireLock('sync:e');
+  await locks.acquireLock('sync:e', { coalesce: true });
+  await store.updateRecord('locks', 'sync:e', (current) => ({ ...current, expiresAt: new Date(Date.now() + 1000).toISOString() }));
+
+  assert.equal(await locks.renewLock(lock), true);
+  const lease = await store.getRecord('locks', 'sync:e');
+  assert.ok(Date.parse(lease.expiresAt) > Date.now() + 60_000);
+  assert.equal(lease.rerunRequested, true);
+});
+
+test('keepLockAlive renews the lease until stopped', async () => {
+  process.env.SYNC_LOCK_TTL_SECONDS = '3';
+  try {
+    const lock = await locks.acquireLock('sync:f');
+    const acquiredUntil = Date.parse((await store.getRecord('locks', 'sync:f')).expiresAt);
+    const stop = locks.keepLockAlive(lock);
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    stop();
+    const renewedUntil = Date.parse((await store.getRecord('locks', 'sync:f')).expiresAt);
+    assert.ok(renewedUntil > acquiredUntil);
+  } finally {
+    delete process.env.SYNC_LOCK_TTL_SECONDS;
+  }
+});
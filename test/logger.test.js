@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEntry, redact, runWithLogContext, getLogContext, getLogLevel } = require('../src/utils/logger');
+
+test('entries use Cloud Logging fields and carry the log context as labels', async () => {
+  await runWithLogContext({ correlationId: 'req-1', trace: 'projects/p/traces/abc' }, async () => {
+    await Promise.resolve();
+    await runWithLogContext({ userUpn: 'tech@example.com' }, async () => {
+      const entry = buildEntry('warn', 'sync.delta.start', { dryRun: false });
+      assert.equal(entry.severity, 'WARNING');
+      assert.equal(entry.event, 'sync.delta.start');
+      assert.equal(entry.message, 'sync.delta.start');
+      assert.equal(entry.dryRun, false);
+      assert.deepEqual(entry['logging.googleapis.com/labels'], { correlationId: 'req-1', userUpn: 'tech@example.com' });
+      assert.equal(entry['logging.googleapis.com/trace'], 'projects/p/traces/abc');
+    });
+    assert.equal(getLogContext().userUpn, undefined);
+  });
+  assert.deepEqual(getLogContext(), {});
+});
+
+test('subjects, tokens and delta links are redacted', () => {
+  const redacted = redact({
+    subject: 'Dentist',
+    event: { bodyPreview: 'Call me', showAs: 'busy' },
+    nextDeltaLink: 'https://graph.microsoft.com/v1.0/users/a/calendarView/delta?$deltatoken=abc',
+    message: 'Graph GET failed: Bearer eyJ0eXAi.abc and https://x/delta?$skiptoken=xyz&a=1',
+    clientSecret: 'shh',
+    empty: '',
+  });
+  assert.deepEqual(redacted, {
+    subject: '[redacted]',
+    event: { bodyPreview: '[redacted]', showAs: 'busy' },
+    nextDeltaLink: '[redacted]',
+    message: 'Graph GET failed: Bearer [redacted] and https://x/delta?$skiptoken=[redacted]&a=1',
+    clientSecret: '[redacted]',
+    empty: '',
+  });
+});
+
+test('errors are serialized with their status code', () => {
+  const error = new Error('ServiceTitan API Error: 404');
+  error.statusCode = 404;
+  const entry = buildEntry('error', 'servicetitan.request.failed', error, {});
+  assert.equal(entry.message, 'servicetitan.request.failed: ServiceTitan API Error: 404');
+  assert.equal(entry.error.message, 'ServiceTitan API Error: 404');
+  assert.equal(entry.error.statusCode, 404);
+  assert.match(entry.error.stack, /logger\.test\.js/);
+  assert.equal(entry['logging.googleapis.com/labels'], undefined);
+});
+
+test('a `message` field is appended to the summary line', () => {
+  const entry = buildEntry('error', 'jobs.step.error', { jobId: 'j1', message: 'boom' }, {});
+  assert.equal(entry.message, 'jobs.step.error: boom');
+  assert.equal(entry.event, 'jobs.step.error');
+  assert.equal(entry.jobId, 'j1');
+});
+
+test('LOG_LEVEL falls back to info', () => {
+  const previous = process.env.LOG_LEVEL;
+  try {
+    process.env.LOG_LEVEL = 'DEBUG';
+    assert.equal(getLogLevel(), 'debug');
+    process.env.LOG_LEVEL = 'verbose';
+    assert.equal(getLogLevel(), 'info');
+  } finally {
+    if (previous === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = previous;
+  }
+});
@@ -1,6 +1,15 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { mapEventToServiceTitanPayloads } = require('../src/services/mapping');
+const {
+  mapEventToServiceTitanPayloads,
+  diffPayload,
+  getShowAsPolicy,
+  getPayloadFingerprint,
+  getSyncHash,
+  getEventSyncDecision,
+  isMappingUpToDate,
+  getEffectiveSettings,
+} = require('../src/services/mapping');
 
 test('mapEventToServiceTitanPayloads maps single block event', () => {
   const userConfig = {
@@ -25,6 +34,29 @@ test('mapEventToServiceTitanPayloads maps single block event', () => {
   assert.equal(payloads[0].showOnTechnicianSchedule, true);
   assert.equal(payloads[0].clearDispatchBoard, true);
   assert.equal(payloads[0].removeTechnicianFromCapacityPlanning, true);
+  assert.equal(payloads[0].summary, '[st-calendar-sync]');
+});
+
+test('mapEventToServiceTitanPayloads keeps name-suffix markers within the name limit', () => {
+  process.env.ST_OWNERSHIP_MARKER_FIELD = 'name';
+  process.env.ST_OWNERSHIP_MARKER = '(sync)';
+  process.env.ST_NAME_MAX_LENGTH = '20';
+  try {
+    const [payload] = mapEventToServiceTitanPayloads({
+      subject: 'Quarterly planning session',
+      isPrivate: false,
+      showAs: 'busy',
+      start: '2026-02-10T16:00:00.000Z',
+      end: '2026-02-10T17:00:00.000Z',
+    }, { st_technician_id: '100' });
+
+    assert.equal(payload.name, 'Quarterly... (sync)');
+    assert.ok(!('summary' in payload));
+  } finally {
+    delete process.env.ST_OWNERSHIP_MARKER_FIELD;
+    delete process.env.ST_OWNERSHIP_MARKER;
+    delete process.env.ST_NAME_MAX_LENGTH;
+  }
 });
 
 test('mapEventToServiceTitanPayloads always disables timesheet requirement', () => {
@@ -62,3 +94,234 @@ test('mapEventToServiceTitanPayloads masks private event subject', () => {
   const payloads = mapEventToServiceTitanPayloads(event, userConfig);
   assert.equal(payloads[0].name, 'Busy');
 });
+
+test('mapEventToServiceTitanPayloads splits at the technician timezone midnight', () => {
+  const event = {
+    subject: 'Training',
+    isPrivate: false,
+    showAs: 'busy',
+    // 2026-03-07 22:00 -> 2026-03-08 01:00 in New York, but 20:00 -> 23:00 on one day in Denver.
+    start: '2026-03-08T03:00:00.000Z',
+    end: '2026-03-08T06:00:00.000Z',
+  };
+
+  const eastern = mapEventToServiceTitanPayloads(event, { st_technician_id: '100', timezone: 'America/New_York' });
+  const mountain = mapEventToServiceTitanPayloads(event, { st_technician_id: '100', timezone: 'America/Denver' });
+
+  assert.equal(eastern.length, 2);
+  assert.equal(eastern[0].start, '2026-03-07T22:00:00.000-05:00');
+  assert.equal(mountain.length, 1);
+  assert.equal(mountain[0].start, '2026-03-07T20:00:00.000-07:00');
+  assert.equal(mountain[0].duration, '03:00:00');
+});
+
+test('mapEventToServiceTitanPayloads measures durations across a DST transition', () => {
+  const event = {
+    subject: 'Travel',
+    isPrivate: false,
+    showAs: 'oof',
+    // 2026-03-08 01:00 CST -> 04:00 CDT in Chicago is two elapsed hours.
+    start: '2026-03-08T07:00:00.000Z',
+    end: '2026-03-08T09:00:00.000Z',
+  };
+
+  const payloads = mapEventToServiceTitanPayloads(event, { st_technician_id: '100' });
+
+  assert.equal(payloads.length, 1);
+  assert.equal(payloads[0].start, '2026-03-08T01:00:00.000-06:00');
+  assert.equal(payloads[0].duration, '02:00:00');
+});
+
+test('diffPayload reports only fields that would change', () => {
+  const current = {
+    technicianId: 100,
+    start: '2026-02-10T16:00:00Z',
+    duration: '01:30:00',
+    name: 'Busy',
+    allDay: false,
+    showOnTechnicianSchedule: true,
+    clearDispatchBoard: true,
+    clearTechnicianView: false,
+    removeTechnicianFromCapacityPlanning: true,
+    active: true,
+    timesheetCodeId: 55,
+    summary: '[st-calendar-sync]',
+  };
+  const [planned] = mapEventToServiceTitanPayloads({
+    subject: 'Dentist',
+    isPrivate: false,
+    showAs: 'busy',
+    start: '2026-02-10T16:00:00.000Z',
+    end: '2026-02-10T17:30:00.000Z',
+  }, { st_technician_id: '100' });
+
+  assert.deepEqual(diffPayload(current, planned), [{ field: 'name', from: 'Busy', to: 'Dentist' }]);
+});
+
+test('showAs policies default to syncing busy/oof only', () => {
+  assert.equal(getShowAsPolicy('busy').action, 'sync');
+  assert.equal(getShowAsPolicy('oof').action, 'sync');
+  assert.equal(getShowAsPolicy('tentative').action, 'skip');
+  assert.equal(getShowAsPolicy('workingElsewhere').action, 'skip');
+  assert.equal(getShowAsPolicy('somethingNew').action, 'skip');
+});
+
+test('SHOW_AS_POLICIES sets the name and flags for a showAs value', () => {
+  process.env.SHOW_AS_POLICIES = JSON.stringify({
+    tentative: { action: 'sync', name: 'Tentative', removeTechnicianFromCapacityPlanning: false },
+  });
+  try {
+    assert.equal(getShowAsPolicy('tentative').action, 'sync');
+    assert.equal(getShowAsPolicy('busy').action, 'sync');
+
+    const [payload] = mapEventToServiceTitanPayloads({
+      subject: 'Maybe a site visit',
+      isPrivate: false,
+      showAs: 'tentative',
+      start: '2026-02-10T16:00:00.000Z',
+      end: '2026-02-10T17:00:00.000Z',
+    }, { st_technician_id: '100' });
+    assert.equal(payload.name, 'Tentative');
+    assert.equal(payload.removeTechnicianFromCapacityPlanning, false);
+    assert.equal(payload.clearDispatchBoard, true);
+  } finally {
+    delete process.env.SHOW_AS_POLICIES;
+  }
+});
+
+test('SHOW_AS_POLICIES rejects invalid policies', () => {
+  process.env.SHOW_AS_POLICIES = JSON.stringify({ tentative: { action: 'maybe' } });
+  try {
+    assert.throws(() => getShowAsPolicy('tentative'), /Invalid SHOW_AS_POLICIES/);
+  } finally {
+    delete process.env.SHOW_AS_POLICIES;
+  }
+});
+
+test('getPayloadFingerprint changes when the payload changes', () => {
+  const event = {
+    subject: 'Maintenance',
+    isPrivate: false,
+    showAs: 'busy',
+    start: '2026-02-10T16:00:00.000Z',
+    end: '2026-02-10T17:00:00.000Z',
+  };
+  const before = getPayloadFingerprint(mapEventToServiceTitanPayloads(event, { st_technician_id: '100' }));
+  const same = getPayloadFingerprint(mapEventToServiceTitanPayloads(event, { st_technician_id: '100' }));
+  const renamed = getPayloadFingerprint(mapEventToServiceTitanPayloads({ ...event, subject: 'Other' }, { st_technician_id: '100' }));
+
+  assert.equal(before, same);
+  assert.notEqual(before, renamed);
+});
+
+test('getSyncHash changes with the configuration even when the event does not', () => {
+  const event = {
+    id: 'evt-1',
+    iCalUId: 'uid-1',
+    subject: 'Maintenance',
+    isPrivate: false,
+    showAs: 'busy',
+    start: '2026-02-10T16:00:00.000Z',
+    end: '2026-02-10T17:00:00.000Z',
+  };
+  const before = getSyncHash(event, mapEventToServiceTitanPayloads(event, { st_technician_id: '100' }));
+  const templated = getSyncHash(event, mapEventToServiceTitanPayloads(event, {
+    st_technician_id: '100',
+    name_template: 'Blocked: {subject}',
+  }));
+
+  assert.equal(before.split('|')[0], templated.split('|')[0]);
+  assert.notEqual(before, templated);
+});
+
+test('mapEventToServiceTitanPayloads renders per-technician name templates', () => {
+  const event = {
+    subject: 'Dentist https://maps.example.com/x',
+    location: 'Main St Clinic',
+    isPrivate: false,
+    showAs: 'oof',
+    start: '2026-02-10T16:00:00.000Z',
+    end: '2026-02-10T17:00:00.000Z',
+  };
+
+  const [payload] = mapEventToServiceTitanPayloads(event, {
+    st_technician_id: '100',
+    name_template: '{showAs:label}: {subject}',
+  });
+  assert.equal(payload.name, 'Out of Office: Dentist');
+
+  const [privatePayload] = mapEventToServiceTitanPayloads({ ...event, isPrivate: true }, {
+    st_technician_id: '100',
+    name_template: '{subject} @ {location}',
+  });
+  assert.equal(privatePayload.name, 'Busy');
+});
+
+test('TechMap payload flags override env defaults and policies override TechMap', () => {
+  process.env.ST_CLEAR_DISPATCH_BOARD = 'false';
+  process.env.SHOW_AS_POLICIES = JSON.stringify({ oof: { action: 'sync', clearTechnicianView: false } });
+  try {
+    const userConfig = {
+      st_technician_id: '100',
+      st_timesheet_code_id: '200',
+      clear_technician_view: true,
+      show_on_technician_schedule: false,
+      require_timesheet: true,
+    };
+    const event = {
+      subject: 'Maintenance',
+      isPrivate: false,
+      showAs: 'busy',
+      start: '2026-02-10T16:00:00.000Z',
+      end: '2026-02-10T17:00:00.000Z',
+    };
+
+    const [busy] = mapEventToServiceTitanPayloads(event, userConfig);
+    assert.equal(busy.clearDispatchBoard, false);
+    assert.equal(busy.clearTechnicianView, true);
+    assert.equal(busy.showOnTechnicianSchedule, false);
+    assert.equal(busy.timesheetCodeId, 200);
+
+    const [oof] = mapEventToServiceTitanPayloads({ ...event, showAs: 'oof' }, userConfig);
+    assert.equal(oof.clearTechnicianView, false);
+
+    const settings = getEffectiveSettings(userConfig);
+    assert.deepEqual(settings.payload.clearDispatchBoard, { value: false, source: 'env' });
+    assert.deepEqual(settings.payload.clearTechnicianView, { value: true, source: 'techmap' });
+    assert.deepEqual(settings.payload.removeTechnicianFromCapacityPlanning, { value: true, source: 'default' });
+    assert.deepEqual(settings.payload.timesheetCodeId, { value: 200, source: 'techmap' });
+    assert.deepEqual(settings.syncedShowAs.oof, { clearTechnicianView: false });
+  } finally {
+    delete process.env.ST_CLEAR_DISPATCH_BOARD;
+    delete process.env.SHOW_AS_POLICIES;
+  }
+});
+
+test('getEventSyncDecision lets filter rules override the showAs policy', () => {
+  const busy = { showAs: 'busy', start: '2026-02-10T16:00:00.000Z', end: '2026-02-10T17:00:00.000Z' };
+  const free = { ...busy, showAs: 'free' };
+
+  assert.deepEqual(getEventSyncDecision({ ...busy, end: null }, { action: 'include', rule: 'all' }), {
+    sync: false,
+    reason: 'missing_times',
+  });
+  assert.deepEqual(getEventSyncDecision(busy, { action: 'exclude', rule: 'lunch' }), {
+    sync: false,
+    reason: 'excluded_by_filter',
+    rule: 'lunch',
+  });
+  assert.deepEqual(getEventSyncDecision(free, { action: 'include', rule: 'free-too' }), {
+    sync: true,
+    reason: 'included_by_filter',
+    rule: 'free-too',
+  });
+  assert.deepEqual(getEventSyncDecision(busy, null), { sync: true, reason: 'show_as_policy' });
+  assert.deepEqual(getEventSyncDecision(free, null), { sync: false, reason: 'show_as_policy' });
+});
+
+test('isMappingUpToDate ignores DELETED rows', () => {
+  assert.equal(isMappingUpToDate({ status: 'SYNCED|gid=1', last_hash: 'h' }, 'h'), true);
+  assert.equal(isMappingUpToDate({ status: 'SYNCED', last_hash: 'old' }, 'h'), false);
+  assert.equal(isMappingUpToDate({ status: 'DELETED', last_hash: 'h' }, 'h'), false);
+  assert.equal(isMappingUpToDate(null, 'h'), false);
+});
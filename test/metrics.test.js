@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCounter, createHistogram, renderMetrics, resetMetrics } = require('../src/utils/metrics');
+
+test('counters render one series per label set with escaped values', () => {
+  resetMetrics();
+  const counter = createCounter('test_requests_total', 'Requests.', ['method', 'status']);
+  counter.inc({ method: 'GET', status: 200 });
+  counter.inc({ method: 'GET', status: 200 }, 2);
+  counter.inc({ method: 'POST', status: 'a"b\\c' });
+
+  const text = renderMetrics();
+  assert.match(text, /# HELP test_requests_total Requests\.\n# TYPE test_requests_total counter\n/);
+  assert.match(text, /^test_requests_total\{method="GET",status="200"\} 3$/m);
+  assert.match(text, /^test_requests_total\{method="POST",status="a\\"b\\\\c"\} 1$/m);
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  resetMetrics();
+  const histogram = createHistogram('test_duration_seconds', 'Latency.', ['method'], [0.1, 1]);
+  histogram.observe({ method: 'GET' }, 0.05);
+  histogram.observe({ method: 'GET' }, 0.5);
+  histogram.observe({ method: 'GET' }, 3);
+
+  const text = renderMetrics();
+  assert.match(text, /^test_duration_seconds_bucket\{method="GET",le="0.1"\} 1$/m);
+  assert.match(text, /^test_duration_seconds_bucket\{method="GET",le="1"\} 2$/m);
+  assert.match(text, /^test_duration_seconds_bucket\{method="GET",le="\+Inf"\} 3$/m);
+  assert.match(text, /^test_duration_seconds_sum\{method="GET"\} 3.55$/m);
+  assert.match(text, /^test_duration_seconds_count\{method="GET"\} 3$/m);
+});
+
+test('registering a name again returns the same metric unless the type differs', () => {
+  resetMetrics();
+  const first = createCounter('test_shared_total', 'Shared.');
+  assert.equal(createCounter('test_shared_total', 'Shared.'), first);
+  assert.throws(() => createHistogram('test_shared_total', 'Shared.'), /already registered as a counter/);
+  assert.throws(() => createCounter('bad-name', 'Bad.'), /Invalid metric name/);
+});
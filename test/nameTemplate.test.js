@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseNameTemplate,
+  renderNameTemplate,
+  sanitizeNameText,
+} = require('../src/utils/nameTemplate');
+
+test('renderNameTemplate fills fields, labels and filters', () => {
+  const parts = parseNameTemplate('{showAs:label} – {subject|truncate:12}', 'test');
+  const name = renderNameTemplate(parts, { showAs: 'oof', subject: 'Family vacation in Denver' }, 100);
+  assert.equal(name, 'Out of Office – Family va...');
+
+  const upper = parseNameTemplate('OOO: {location|upper}', 'test');
+  assert.equal(renderNameTemplate(upper, { showAs: 'oof', location: 'Denver' }, 100), 'OOO: DENVER');
+});
+
+test('renderNameTemplate trims dangling separators and falls back to the showAs label', () => {
+  const parts = parseNameTemplate('{showAs:label} – {location}', 'test');
+  assert.equal(renderNameTemplate(parts, { showAs: 'busy', location: '' }, 100), 'Busy');
+
+  const subjectOnly = parseNameTemplate('{subject}', 'test');
+  assert.equal(renderNameTemplate(subjectOnly, { showAs: 'oof', subject: '' }, 100), 'Out of Office');
+});
+
+test('renderNameTemplate enforces the maximum length', () => {
+  const parts = parseNameTemplate('{subject}', 'test');
+  assert.equal(renderNameTemplate(parts, { showAs: 'busy', subject: 'a'.repeat(50) }, 10), 'aaaaaaa...');
+});
+
+test('sanitizeNameText strips links, email addresses and phone numbers', () => {
+  assert.equal(
+    sanitizeNameText('Call Bob at (555) 123-4567 or bob@example.com https://teams.microsoft.com/l/meetup-join/abc'),
+    'Call Bob at or',
+  );
+  assert.equal(sanitizeNameText('Review 2026-03-02 at 10:30'), 'Review 2026-03-02 at 10:30');
+});
+
+test('parseNameTemplate rejects unknown fields, modifiers and filters', () => {
+  assert.throws(() => parseNameTemplate('{body}', 'test'), /unknown field/);
+  assert.throws(() => parseNameTemplate('{subject:label}', 'test'), /unsupported modifier/);
+  assert.throws(() => parseNameTemplate('{subject|shout}', 'test'), /unknown filter/);
+  assert.throws(() => parseNameTemplate('{subject|truncate:0}', 'test'), /positive length/);
+});
@@ -1,6 +1,11 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { normalizeGraphEvent, getEventDedupeKey } = require('../src/utils/normalize');
+const {
+  normalizeGraphEvent,
+  getEventDedupeKey,
+  getStableEventKey,
+  parseStableEventKey,
+} = require('../src/utils/normalize');
 
 test('normalizeGraphEvent returns expected normalized shape', () => {
   const event = {
@@ -18,6 +23,8 @@ test('normalizeGraphEvent returns expected normalized shape', () => {
     bodyPreview: 'Agenda',
     lastModifiedDateTime: '2026-02-01T15:30:00Z',
     sensitivity: 'private',
+    categories: ['Personal'],
+    organizer: { emailAddress: { address: 'boss@example.com', name: 'Boss' } },
   };
 
   const normalized = normalizeGraphEvent(event);
@@ -28,6 +35,10 @@ test('normalizeGraphEvent returns expected normalized shape', () => {
   assert.equal(normalized.isAllDay, false);
   assert.equal(normalized.showAs, 'busy');
   assert.equal(normalized.isPrivate, true);
+  assert.equal(normalized.sensitivity, 'private');
+  assert.deepEqual(normalized.categories, ['Personal']);
+  assert.equal(normalized.organizer, 'boss@example.com');
+  assert.equal(normalized.organizerName, 'Boss');
   assert.equal(normalized.location, 'Conference Room A');
   assert.equal(normalized.attendees.length, 1);
   assert.equal(normalized.attendees[0].email, 'a@example.com');
@@ -68,3 +79,19 @@ test('normalizeGraphEvent marks tombstone events', () => {
   assert.equal(normalized.start, null);
   assert.equal(normalized.end, null);
 });
+
+test('parseStableEventKey recovers the times embedded in a stable key', () => {
+  const key = getStableEventKey({
+    id: 'event-id',
+    iCalUId: 'ical:with:colons',
+    start: '2026-02-01T10:00:00.000Z',
+    end: '2026-02-01T11:00:00.000Z',
+  });
+
+  assert.deepEqual(parseStableEventKey(key), {
+    uid: 'ical:with:colons',
+    start: '2026-02-01T10:00:00.000Z',
+    end: '2026-02-01T11:00:00.000Z',
+  });
+  assert.equal(parseStableEventKey('legacy-key-without-times'), null);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-orphans-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const servicetitan = require('../src/api/servicetitan');
+const store = require('../src/services/store');
+const locks = require('../src/services/locks');
+const {
+  findOrphans,
+  resolveOrphans,
+  findRelinkCandidates,
+  isMappingInRange,
+} = require('../src/services/cleanup');
+const { normalizeGraphEvent, getStableEventKey } = require('../src/utils/normalize');
+
+const USER = { outlook_upn: 'tech@example.com', st_technician_id: '7', st_timesheet_code_id: '', enabled: true };
+const WINDOW = { startsOnOrAfter: '2026-01-01T00:00:00Z', startsOnOrBefore: '2026-02-01T00:00:00Z' };
+const MARKER = '[st-calendar-sync]';
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({ techMap: [USER] }));
+});
+
+function eventKey(uid, start, end) {
+  return getStableEventKey(normalizeGraphEvent({
+    id: uid,
+    iCalUId: uid,
+    start: { dateTime: start, timeZone: 'UTC' },
+    end: { dateTime: end, timeZone: 'UTC' },
+  }));
+}
+
+function appointment(id, start, summary = MARKER) {
+  return { id, technicianId: 7, start, duration: '01:00:00', name: 'Busy', summary };
+}
+
+// EventMap with Sheets semantics: rows carry their row number and updateEventMapping appends a new row
+// when it is not given one, so a missing rowIndex shows up as a duplicate mapping.
+function useSheetsLikeEventMap(rows) {
+  store.listEventMappings = async () => rows.map((row, index) => ({ ...row, rowIndex: index + 2 }));
+  store.updateEventMapping = async (upn, key, ids, hash, status = 'SYNCED', rowIndex) => {
+    const row = { outlook_upn: upn, outlook_event_id: key, st_nonjob_ids_json: JSON.stringify(ids), last_hash: hash, status };
+    if (rowIndex) {
+      rows[rowIndex - 2] = row;
+    } else {
+      rows.push(row);
+    }
+  };
+  store.deleteEventMapping = async (upn, key) => {
+    const row = rows.find((candidate) => candidate.outlook_upn === upn && candidate.outlook_event_id === key);
+    row.status = 'DELETED';
+  };
+  return rows;
+}
+
+function useServiceTitanAppointments(appointments) {
+  const deleted = [];
+  servicetitan.listNonJobs = async () => appointments;
+  servicetitan.getNonJob = async (id) => appointments.find((appt) => String(appt.id) === String(id)) || null;
+  servicetitan.deleteNonJob = async (id) => {
+    deleted.push(String(id));
+  };
+  return deleted;
+}
+
+test('isMappingInRange checks the event times embedded in the stable key', () => {
+  const mapping = { outlook_event_id: eventKey('uid-1', '2026-01-10T15:00:00', '2026-01-10T16:00:00') };
+  assert.equal(isMappingInRange(mapping, '2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z'), true);
+  // Overlapping either edge counts; touching it does not.
+  assert.equal(isMappingInRange(mapping, '2026-01-10T15:30:00Z', '2026-01-11T00:00:00Z'), true);
+  assert.equal(isMappingInRange(mapping, '2026-01-10T00:00:00Z', '2026-01-10T15:30:00Z'), true);
+  assert.equal(isMappingInRange(mapping, '2026-01-10T16:00:00Z', '2026-01-11T00:00:00Z'), false);
+  assert.equal(isMappingInRange(mapping, '2026-01-09T00:00:00Z', '2026-01-10T15:00:00Z'), false);
+  assert.equal(isMappingInRange({ outlook_event_id: 'no-times' }, '2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z'), false);
+});
+
+test('findRelinkCandidates lists orphans starting inside the event, earliest first', () => {
+  const mapping = { outlook_event_id: eventKey('uid-1', '2026-01-10T15:00:00', '2026-01-10T18:00:00') };
+  const orphans = [
+    appointment(3, '2026-01-10T17:00:00Z'),
+    appointment(1, '2026-01-10T15:00:00Z'),
+    appointment(4, '2026-01-10T18:00:00Z'),
+    appointment(2, '2026-01-10T14:59:00Z'),
+  ];
+  assert.deepEqual(findRelinkCandidates(mapping, orphans), ['1', '3']);
+  assert.deepEqual(findRelinkCandidates({ outlook_event_id: 'no-times' }, orphans), []);
+});
+
+test('findOrphans keeps the EventMap row of dead mappings in the report', async () => {
+  const key = eventKey('uid-1', '2026-01-10T15:00:00', '2026-01-10T16:00:00');
+  useSheetsLikeEventMap([
+    { outlook_upn: USER.outlook_upn, outlook_event_id: 'other', st_nonjob_ids_json: '[]', status: 'SYNCED' },
+    { outlook_upn: USER.outlook_upn, outlook_event_id: key, st_nonjob_ids_json: '["100"]', status: 'SYNCED' },
+  ]);
+  useServiceTitanAppointments([appointment(900, '2026-01-10T15:00:00Z'), appointment(901, '2026-01-12T15:00:00Z', 'by hand')]);
+
+  const report = await findOrphans(WINDOW);
+
+  assert.equal(report.orphanAppointments, 1);
+  assert.deepEqual(report.technicians[0].deadMappings, [{
+    eventKey: key,
+    rowIndex: 3,
+    status: 'SYNCED',
+    appointmentIds: ['100'],
+    missingAppointmentIds: ['100'],
+    relinkCandidates: ['900'],
+  }]);
+});
+
+test('relink rewrites the dead mapping row in place under the user lock', async () => {
+  const key = eventKey('uid-1', '2026-01-10T15:00:00', '2026-01-10T17:00:00');
+  const rows = useSheetsLikeEventMap([
+    { outlook_upn: USER.outlook_upn, outlook_event_id: key, st_nonjob_ids_json: '["100","101"]', last_hash: 'h', status: 'SYNCED' },
+  ]);
+  useServiceTitanAppointments([appointment(101, '2026-01-10T16:00:00Z'), appointment(900, '2026-01-10T15:00:00Z')]);
+
+  const dryRun = await resolveOrphans({ ...WINDOW, action: 'relink' });
+  assert.deepEqual(dryRun.mappingsRelinked, [{ userUpn: USER.outlook_upn, eventKey: key, relinked: [{ from: '100', to: '900' }] }]);
+  assert.equal(rows[0].st_nonjob_ids_json, '["100","101"]');
+
+  const summary = await resolveOrphans({ ...WINDOW, action: 'relink', dryRun: false });
+
+  assert.deepEqual(summary.mappingsRelinked, dryRun.mappingsRelinked);
+  assert.deepEqual(summary.skippedLocked, []);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].st_nonjob_ids_json, '["900","101"]');
+  assert.equal(rows[0].last_hash, '');
+  assert.equal(await store.getRecord('locks', `sync:${USER.outlook_upn}`), null);
+});
+
+test('resolve skips a technician whose sync holds the lock', async () => {
+  const key = eventKey('uid-1', '2026-01-10T15:00:00', '2026-01-10T16:00:00');
+  const rows = useSheetsLikeEventMap([
+    { outlook_upn: USER.outlook_upn, outlook_event_id: key, st_nonjob_ids_json: '["100"]', last_hash: 'h', status: 'SYNCED' },
+  ]);
+  const deleted = useServiceTitanAppointments([appointment(900, '2026-01-10T15:00:00Z')]);
+  const lock = await locks.acquireLock(`sync:${USER.outlook_upn}`);
+
+  try {
+    const summary = await resolveOrphans({ ...WINDOW, action: 'delete', dryRun: false });
+    assert.deepEqual(summary.skippedLocked, [USER.outlook_upn]);
+    assert.deepEqual(summary.appointmentsDeleted, []);
+    assert.deepEqual(deleted, []);
+    assert.equal(rows[0].status, 'SYNCED');
+  } finally {
+    await locks.releaseLock(lock);
+  }
+});
+
+test('delete removes orphans and marks mappings with no live appointment as deleted', async () => {
+  const deadKey = eventKey('uid-1', '2026-01-10T15:00:00', '2026-01-10T16:00:00');
+  const partialKey = eventKey('uid-2', '2026-01-11T15:00:00', '2026-01-11T17:00:00');
+  const rows = useSheetsLikeEventMap([
+    { outlook_upn: USER.outlook_upn, outlook_event_id: deadKey, st_nonjob_ids_json: '["100"]', last_hash: 'h', status: 'SYNCED' },
+    { outlook_upn: USER.outlook_upn, outlook_event_id: partialKey, st_nonjob_ids_json: '["101","102"]', last_hash: 'h', status: 'SYNCED' },
+  ]);
+  const deleted = useServiceTitanAppointments([
+    appointment(102, '2026-01-11T16:00:00Z'),
+    appointment(900, '2026-01-20T15:00:00Z'),
+    appointment(901, '2026-01-21T15:00:00Z'),
+  ]);
+
+  const summary = await resolveOrphans({ ...WINDOW, action: 'delete', appointmentIds: ['900'], dryRun: false });
+
+  assert.deepEqual(deleted, ['900']);
+  assert.deepEqual(summary.mappingsDeleted, [{ userUpn: USER.outlook_upn, eventKey: deadKey }]);
+  assert.equal(rows[0].status, 'DELETED');
+  assert.equal(rows[1].status, 'SYNCED');
+});
+
+test('resolve rejects an unknown action', async () => {
+  await assert.rejects(resolveOrphans({ action: 'ignore' }), (error) => error.statusCode === 400);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getOwnershipMarker, isOwnedAppointment } = require('../src/utils/ownership');
+const { loadConfig } = require('../src/config');
+
+test('isOwnedAppointment checks the summary marker by default', () => {
+  assert.deepEqual(getOwnershipMarker(), { field: 'summary', marker: '[st-calendar-sync]' });
+  assert.equal(isOwnedAppointment({ name: 'Busy', summary: '[st-calendar-sync]' }), true);
+  assert.equal(isOwnedAppointment({ name: 'Busy', summary: null }), false);
+  assert.equal(isOwnedAppointment({ name: 'Busy [st-calendar-sync]' }), false);
+});
+
+test('isOwnedAppointment checks the name suffix when configured', () => {
+  process.env.ST_OWNERSHIP_MARKER_FIELD = 'name';
+  process.env.ST_OWNERSHIP_MARKER = '(sync)';
+  try {
+    assert.equal(isOwnedAppointment({ name: 'Dentist (sync)' }), true);
+    assert.equal(isOwnedAppointment({ name: '(sync) Dentist' }), false);
+    assert.equal(isOwnedAppointment({ name: 'Dentist', summary: '(sync)' }), false);
+  } finally {
+    delete process.env.ST_OWNERSHIP_MARKER_FIELD;
+    delete process.env.ST_OWNERSHIP_MARKER;
+  }
+});
+
+test('loadConfig rejects unsupported marker fields', () => {
+  for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+    'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+    process.env[key] = process.env[key] || 'test';
+  }
+  process.env.STATE_BACKEND = 'file';
+  process.env.ST_OWNERSHIP_MARKER_FIELD = 'tags';
+  try {
+    assert.throws(() => loadConfig(), /Invalid ST_OWNERSHIP_MARKER_FIELD/);
+    process.env.ST_OWNERSHIP_MARKER_FIELD = ' Name ';
+    assert.equal(loadConfig().ownershipMarkerField, 'name');
+  } finally {
+    delete process.env.ST_OWNERSHIP_MARKER_FIELD;
+  }
+  assert.equal(loadConfig().ownershipMarkerField, 'summary');
+});
@@ -0,0 +1,273 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-reconcile-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const graph = require('../src/api/graph');
+const servicetitan = require('../src/api/servicetitan');
+const store = require('../src/services/store');
+const { rebuildPayloads, reconcileDrift, getDriftReport } = require('../src/services/reconcile');
+const { mapEventToServiceTitanPayloads, getSyncHash } = require('../src/services/mapping');
+const { normalizeGraphEvent, getStableEventKey } = require('../src/utils/normalize');
+
+const USER = { outlook_upn: 'tech@example.com', st_technician_id: '7', st_timesheet_code_id: '', enabled: true };
+const WINDOW = { start: '2026-01-01T00:00:00Z', end: '2026-02-01T00:00:00Z' };
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({ techMap: [USER] }));
+});
+
+function graphEvent(number) {
+  const day = String(1 + (number % 28)).padStart(2, '0');
+  return {
+    id: `event-${number}`,
+    iCalUId: `uid-${String(number).padStart(3, '0')}`,
+    subject: `Event ${number}`,
+    start: { dateTime: `2026-01-${day}T15:00:00`, timeZone: 'UTC' },
+    end: { dateTime: `2026-01-${day}T16:00:00`, timeZone: 'UTC' },
+    showAs: 'busy',
+    lastModifiedDateTime: '2026-01-01T00:00:00Z',
+  };
+}
+
+function stableKey(event) {
+  return getStableEventKey(normalizeGraphEvent(event));
+}
+
+function expectedPayload(event) {
+  return mapEventToServiceTitanPayloads(normalizeGraphEvent(event), USER)[0];
+}
+
+// EventMap with Sheets semantics: rows carry their row number and updateEventMapping appends a new row
+// when it is not given one, so a missing rowIndex shows up as a duplicate mapping.
+function useSheetsLikeEventMap(events) {
+  const rows = events.map((event, index) => ({
+    outlook_upn: USER.outlook_upn,
+    outlook_event_id: stableKey(event),
+    st_nonjob_ids_json: JSON.stringify([String(100 + index)]),
+    last_hash: 'old',
+    status: 'SYNCED',
+  }));
+  store.listEventMappings = async () => rows.map((row, index) => ({ ...row, rowIndex: index + 2 }));
+  store.updateEventMapping = async (upn, key, ids, hash, status = 'SYNCED', rowIndex) => {
+    const row = { outlook_upn: upn, outlook_event_id: key, st_nonjob_ids_json: JSON.stringify(ids), last_hash: hash, status };
+    if (rowIndex) {
+      rows[rowIndex - 2] = row;
+    } else {
+      rows.push(row);
+    }
+  };
+  return rows;
+}
+
+test('rebuild updates only appointments whose fields differ and rewrites their mapping row in place', async () => {
+  const events = [graphEvent(1), graphEvent(2), graphEvent(3)];
+  const rows = useSheetsLikeEventMap(events);
+  graph.getCalendarViewEvents = async () => events;
+  const appointments = {
+    100: { id: 100, ...expectedPayload(events[0]) },
+    101: { id: 101, ...expectedPayload(events[1]), name: 'Renamed by dispatch' },
+  };
+  servicetitan.getNonJob = async (id) => appointments[id] || null;
+  const updated = [];
+  servicetitan.updateNonJob = async (id, payload) => {
+    updated.push({ id: String(id), payload });
+  };
+
+  const rebuild = await rebuildPayloads({ ...WINDOW, dryRun: false });
+
+  assert.equal(rebuild.status, 'completed');
+  assert.deepEqual(updated.map((update) => update.id), ['101']);
+  assert.deepEqual(updated[0].payload, expectedPayload(events[1]));
+  assert.equal(rebuild.counts.mappingsChecked, 3);
+  assert.equal(rebuild.counts.appointmentsChecked, 3);
+  assert.equal(rebuild.counts.appointmentsUpdated, 1);
+  assert.equal(rebuild.counts.skipped.appointmentMissing, 1);
+  assert.deepEqual(rebuild.counts.changedFields, { name: 1 });
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].last_hash, 'old');
+  assert.equal(rows[1].last_hash, getSyncHash(normalizeGraphEvent(events[1]), [expectedPayload(events[1])]));
+  assert.equal(rows[2].last_hash, 'old');
+});
+
+test('a dry-run rebuild reports differences without writing', async () => {
+  const events = [graphEvent(1)];
+  const rows = useSheetsLikeEventMap(events);
+  graph.getCalendarViewEvents = async () => events;
+  servicetitan.getNonJob = async (id) => ({ id, ...expectedPayload(events[0]), name: 'Renamed by dispatch' });
+  servicetitan.updateNonJob = async () => {
+    throw new Error('dry run must not update');
+  };
+
+  const rebuild = await rebuildPayloads({ ...WINDOW });
+
+  assert.equal(rebuild.dryRun, true);
+  assert.equal(rebuild.counts.appointmentsUpdated, 1);
+  assert.equal(rebuild.samples[0].changes[0].field, 'name');
+  assert.equal(rows[0].last_hash, 'old');
+});
+
+test('an interrupted rebuild resumes after its last checkpoint', async () => {
+  const events = Array.from({ length: 27 }, (unused, index) => graphEvent(index + 1));
+  const keys = events.map(stableKey).sort();
+  const rows = useSheetsLikeEventMap(events);
+  graph.getCalendarViewEvents = async () => events;
+  const lastAppointmentId = JSON.parse(rows.find((row) => row.outlook_event_id === keys[26]).st_nonjob_ids_json)[0];
+  let failLast = true;
+  const fetched = [];
+  servicetitan.getNonJob = async (id) => {
+    fetched.push(String(id));
+    if (String(id) === lastAppointmentId && failLast) {
+      throw new Error('ServiceTitan unavailable');
+    }
+    const event = events[Number(id) - 100];
+    return { id, ...expectedPayload(event), name: 'Renamed by dispatch' };
+  };
+  servicetitan.updateNonJob = async () => {};
+
+  const interrupted = await rebuildPayloads({ ...WINDOW, dryRun: false });
+
+  assert.equal(interrupted.status, 'incomplete');
+  assert.deepEqual(interrupted.errors, [{ userUpn: USER.outlook_upn, message: 'ServiceTitan unavailable' }]);
+  // Checkpoints are saved every 25 mappings; the 26th was updated but not checkpointed.
+  assert.equal(interrupted.cursors[USER.outlook_upn], keys[24]);
+  assert.equal(interrupted.counts.mappingsChecked, 25);
+
+  failLast = false;
+  fetched.length = 0;
+  const resumed = await rebuildPayloads({ rebuildId: interrupted.id });
+
+  assert.equal(resumed.status, 'completed');
+  assert.deepEqual(resumed.completedUsers, [USER.outlook_upn]);
+  assert.equal(fetched.length, 2);
+  assert.equal(fetched[1], lastAppointmentId);
+  assert.equal(resumed.counts.mappingsChecked, 27);
+  assert.equal(resumed.cursors[USER.outlook_upn], keys[26]);
+  assert.equal(rows.length, 27);
+
+  // A completed rebuild is returned as is.
+  fetched.length = 0;
+  assert.equal((await rebuildPayloads({ rebuildId: interrupted.id })).status, 'completed');
+  assert.equal(fetched.length, 0);
+});
+
+// ServiceTitan non-jobs kept in memory, so repairs made by one run are listed by the next.
+function useServiceTitanAppointments(appointments) {
+  const created = [];
+  servicetitan.listNonJobs = async () => Object.values(appointments);
+  servicetitan.getNonJob = async (id) => appointments[id] || null;
+  servicetitan.createNonJob = async (payload) => {
+    const id = String(500 + created.length);
+    created.push(id);
+    appointments[id] = { id, ...payload };
+    return id;
+  };
+  servicetitan.updateNonJob = async (id, payload) => {
+    appointments[id] = { id, ...payload };
+  };
+  return created;
+}
+
+test('drift repair recreates a missing appointment once and rewrites its mapping row in place', async () => {
+  const events = [graphEvent(1)];
+  const rows = useSheetsLikeEventMap(events);
+  graph.getCalendarViewEvents = async () => events;
+  const created = useServiceTitanAppointments({});
+
+  const first = await reconcileDrift({ ...WINDOW });
+  const second = await reconcileDrift({ ...WINDOW });
+
+  assert.deepEqual(created, ['500']);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].st_nonjob_ids_json, '["500"]');
+  assert.equal(first.counts.missing, 1);
+  assert.equal(first.counts.repaired, 1);
+  assert.equal(first.drift[0].newAppointmentId, '500');
+  assert.equal(second.counts.missing, 0);
+  assert.deepEqual(second.drift, []);
+});
+
+test('large drift reports are stored in chunks that fit a Sheets cell', async () => {
+  const events = Array.from({ length: 60 }, (unused, index) => graphEvent(index + 1));
+  useSheetsLikeEventMap(events);
+  graph.getCalendarViewEvents = async () => events;
+  const appointments = {};
+  events.forEach((event, index) => {
+    const id = String(100 + index);
+    appointments[id] = { id, ...expectedPayload(event), name: 'x'.repeat(2000) };
+  });
+  useServiceTitanAppointments(appointments);
+
+  const report = await reconcileDrift({ ...WINDOW, dryRun: true });
+
+  assert.equal(report.counts.edited, 60);
+  assert.equal(report.drift.length, 60);
+  const chunks = (await store.listRecords('driftReportEntries')).filter((chunk) => chunk.reportId === report.id);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(JSON.stringify(chunk).length < 50_000);
+  }
+  assert.equal(JSON.stringify(await store.getRecord('driftReports', report.id)).includes('xxxx'), false);
+  assert.deepEqual(await getDriftReport(report.id), report);
+  assert.equal(await getDriftReport('missing'), null);
+});
+
+test('a failed repair keeps the appointments already recreated and moves on to the next mapping', async () => {
+  const multiDay = {
+    ...graphEvent(1),
+    start: { dateTime: '2026-01-05T15:00:00', timeZone: 'UTC' },
+    end: { dateTime: '2026-01-07T16:00:00', timeZone: 'UTC' },
+  };
+  const events = [multiDay, graphEvent(2)];
+  const rows = useSheetsLikeEventMap(events);
+  rows[0].st_nonjob_ids_json = '["100","110","120"]';
+  graph.getCalendarViewEvents = async () => events;
+  const created = useServiceTitanAppointments({});
+  const createNonJob = servicetitan.createNonJob;
+  servicetitan.createNonJob = async (payload) => {
+    if (created.length === 1 && payload.start.startsWith('2026-01-06')) {
+      throw new Error('ServiceTitan 503');
+    }
+    return createNonJob(payload);
+  };
+
+  const report = await reconcileDrift({ ...WINDOW });
+
+  assert.deepEqual(report.errors, [{ userUpn: USER.outlook_upn, eventKey: stableKey(multiDay), message: 'ServiceTitan 503' }]);
+  assert.deepEqual(created, ['500', '501']);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].st_nonjob_ids_json, '["500","110","120"]');
+  assert.equal(rows[1].st_nonjob_ids_json, '["501"]');
+});
+
+test('drift repair keeps an appointment whose mapping was written after the run started', async () => {
+  const events = [graphEvent(1), graphEvent(2)];
+  const rows = useSheetsLikeEventMap([events[0]]);
+  const appointments = { 100: { id: '100', ...expectedPayload(events[0]) } };
+  useServiceTitanAppointments(appointments);
+  // Stands in for a sync that created a block and its row while this run waited for the user lock.
+  graph.getCalendarViewEvents = async () => {
+    appointments[200] = { id: '200', ...expectedPayload(events[1]) };
+    rows.push({ ...rows[0], outlook_event_id: stableKey(events[1]), st_nonjob_ids_json: '["200"]' });
+    return events;
+  };
+
+  const report = await reconcileDrift({ ...WINDOW, policy: { unreferenced: 'delete' } });
+
+  assert.equal(report.counts.unreferenced, 0);
+  assert.deepEqual(Object.keys(appointments).sort(), ['100', '200']);
+});
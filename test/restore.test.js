@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-restore-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.SNAPSHOT_DIR = path.join(tmpDir, 'snapshots');
+process.env.LOG_LEVEL = 'error';
+
+const servicetitan = require('../src/api/servicetitan');
+const store = require('../src/services/store');
+const snapshots = require('../src/services/snapshots');
+const { resetSyncState, restoreSnapshot } = require('../src/services/cleanup');
+
+const USER = { outlook_upn: 'tech@example.com', st_technician_id: '7', st_timesheet_code_id: '', enabled: true };
+const WINDOW = { startsOnOrAfter: '2026-01-01T00:00:00Z', startsOnOrBefore: '2026-02-01T00:00:00Z' };
+const PURGED_KEY = 'uid-1:2026-01-10T15:00:00.000Z:2026-01-10T16:00:00.000Z';
+const KEPT_KEY = 'uid-2:2026-03-10T15:00:00.000Z:2026-03-10T16:00:00.000Z';
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({ techMap: [USER] }));
+});
+
+function mappingRow(key, ids) {
+  return { outlook_upn: USER.outlook_upn, outlook_event_id: key, st_nonjob_ids_json: JSON.stringify(ids), last_hash: 'h', status: 'SYNCED' };
+}
+
+// EventMap with Sheets semantics: rows carry their row number and updateEventMapping appends a new row
+// when it is not given one, so a missing rowIndex shows up as a duplicate mapping.
+function useSheetsLikeEventMap(rows) {
+  store.listEventMappings = async () => rows.map((row, index) => ({ ...row, rowIndex: index + 2 }));
+  store.updateEventMapping = async (upn, key, ids, hash, status = 'SYNCED', rowIndex) => {
+    const row = { outlook_upn: upn, outlook_event_id: key, st_nonjob_ids_json: JSON.stringify(ids), last_hash: hash, status };
+    if (rowIndex) {
+      rows[rowIndex - 2] = row;
+    } else {
+      rows.push(row);
+    }
+  };
+  store.clearEventMappings = async () => {
+    rows.length = 0;
+  };
+  return rows;
+}
+
+// Appointment 100 is in the purge window; deleting removes it, creating adds it back under a new id.
+function useServiceTitanAppointments() {
+  const appointments = new Map([['100', { id: 100, technicianId: 7, start: '2026-01-10T15:00:00Z', name: 'Busy' }]]);
+  const created = [];
+  servicetitan.listNonJobs = async () => [...appointments.values()];
+  servicetitan.getNonJob = async (id) => appointments.get(String(id)) || null;
+  servicetitan.deleteNonJob = async (id) => {
+    appointments.delete(String(id));
+  };
+  servicetitan.createNonJob = async (payload) => {
+    const id = String(500 + created.length);
+    created.push(id);
+    appointments.set(id, { ...payload, id });
+    return id;
+  };
+  return created;
+}
+
+test('a reset that keeps EventMap snapshots the rows of purged appointments and restore remaps them in place', async () => {
+  const rows = useSheetsLikeEventMap([mappingRow(PURGED_KEY, ['100']), mappingRow(KEPT_KEY, ['200'])]);
+  const created = useServiceTitanAppointments();
+
+  const reset = await resetSyncState({ ...WINDOW, dryRun: false, skipSheetsClear: true });
+
+  assert.equal(reset.purge.deleted, 1);
+  assert.equal(reset.sheetsCleared, false);
+  const snapshot = await snapshots.readSnapshot(reset.snapshot.id);
+  assert.deepEqual(snapshot.mappings.map((mapping) => mapping.outlook_event_id), [PURGED_KEY]);
+
+  const restored = await restoreSnapshot({ snapshotId: reset.snapshot.id, dryRun: false });
+
+  assert.equal(restored.appointmentsRecreated, 1);
+  assert.equal(restored.mappingsRestored, 1);
+  assert.equal(restored.mappingsSuperseded, 0);
+  assert.deepEqual(created, ['500']);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].st_nonjob_ids_json, '["500"]');
+  assert.equal(rows[1].st_nonjob_ids_json, '["200"]');
+
+  // Restoring again finds the recreated appointment and rewrites the same row.
+  const again = await restoreSnapshot({ snapshotId: reset.snapshot.id, dryRun: false });
+  assert.equal(again.appointmentsRecreated, 0);
+  assert.equal(again.appointmentsStillPresent, 1);
+  assert.equal(again.mappingsSuperseded, 0);
+  assert.deepEqual(created, ['500']);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].st_nonjob_ids_json, '["500"]');
+});
+
+test('restore keeps rows the sync recreated after the snapshot', async () => {
+  const rows = useSheetsLikeEventMap([mappingRow(PURGED_KEY, ['100'])]);
+  const created = useServiceTitanAppointments();
+  const reset = await resetSyncState({ ...WINDOW, dryRun: false, skipSheetsClear: true });
+  rows[0] = mappingRow(PURGED_KEY, ['777']);
+
+  const restored = await restoreSnapshot({ snapshotId: reset.snapshot.id, dryRun: false });
+
+  assert.equal(restored.mappingsSuperseded, 1);
+  assert.equal(restored.appointmentsSuperseded, 1);
+  assert.equal(restored.appointmentsRecreated, 0);
+  assert.deepEqual(created, []);
+  assert.deepEqual(rows, [mappingRow(PURGED_KEY, ['777'])]);
+});
+
+test('a full reset snapshots every row and restore writes them back once', async () => {
+  const rows = useSheetsLikeEventMap([mappingRow(PURGED_KEY, ['100']), mappingRow(KEPT_KEY, ['200'])]);
+  useServiceTitanAppointments();
+
+  const reset = await resetSyncState({ ...WINDOW, dryRun: false });
+  assert.equal(reset.sheetsCleared, true);
+  assert.equal(rows.length, 0);
+
+  const dryRun = await restoreSnapshot({ snapshotId: reset.snapshot.id });
+  assert.equal(dryRun.mappingsRestored, 2);
+  assert.equal(rows.length, 0);
+
+  await restoreSnapshot({ snapshotId: reset.snapshot.id, dryRun: false });
+  await restoreSnapshot({ snapshotId: reset.snapshot.id, dryRun: false });
+
+  assert.deepEqual(rows.map((row) => [row.outlook_event_id, row.st_nonjob_ids_json]), [
+    [PURGED_KEY, '["500"]'],
+    [KEPT_KEY, '["200"]'],
+  ]);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-resync-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const graph = require('../src/api/graph');
+const servicetitan = require('../src/api/servicetitan');
+const store = require('../src/services/store');
+const { runDeltaSyncForUser } = require('../src/services/sync');
+const { normalizeGraphEvent, getStableEventKey } = require('../src/utils/normalize');
+
+const USER = { outlook_upn: 'tech@example.com', st_technician_id: '7', st_timesheet_code_id: '', enabled: true };
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 3_600_000).toISOString().slice(0, 19);
+}
+
+function graphEvent(id, startHours, endHours) {
+  return {
+    id,
+    iCalUId: `uid-${id}`,
+    subject: `Event ${id}`,
+    start: { dateTime: hoursFromNow(startHours), timeZone: 'UTC' },
+    end: { dateTime: hoursFromNow(endHours), timeZone: 'UTC' },
+    showAs: 'busy',
+    lastModifiedDateTime: '2026-01-01T00:00:00Z',
+  };
+}
+
+function stableKey(event) {
+  return getStableEventKey(normalizeGraphEvent(event));
+}
+
+test('isDeltaResyncRequiredError detects 410 Gone and sync-state error codes', () => {
+  assert.equal(graph.isDeltaResyncRequiredError(Object.assign(new Error('gone'), { statusCode: 410 })), true);
+  assert.equal(graph.isDeltaResyncRequiredError(Object.assign(new Error('bad'), { statusCode: 400, graphErrorCode: 'SyncStateNotFound' })), true);
+  assert.equal(graph.isDeltaResyncRequiredError(Object.assign(new Error('bad'), { statusCode: 400, graphErrorCode: 'resyncRequired' })), true);
+  assert.equal(graph.isDeltaResyncRequiredError(Object.assign(new Error('throttled'), { statusCode: 429 })), false);
+  assert.equal(graph.isDeltaResyncRequiredError(null), false);
+});
+
+test('a rejected delta link resyncs from calendarView and deletes only vanished mappings inside the window', async () => {
+  const live = graphEvent('live', 2, 3);
+  const vanished = graphEvent('vanished', 5, 6);
+  const outside = graphEvent('outside', -24 * 400, -24 * 400 + 1);
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({
+    techMap: [USER],
+    deltaState: [{ outlook_upn: USER.outlook_upn, delta_link: 'expired-link', window_end: '', last_run_utc: '' }],
+    eventMap: [
+      { outlook_upn: USER.outlook_upn, outlook_event_id: stableKey(vanished), st_nonjob_ids_json: '["201"]', last_hash: 'h', status: 'SYNCED' },
+      { outlook_upn: USER.outlook_upn, outlook_event_id: stableKey(outside), st_nonjob_ids_json: '["202"]', last_hash: 'h', status: 'SYNCED' },
+    ],
+  }));
+
+  const deltaLinks = [];
+  graph.getDeltaEvents = async (upn, deltaLink) => {
+    deltaLinks.push(deltaLink);
+    if (deltaLink === 'expired-link') {
+      throw Object.assign(new Error('Graph GET failed 410'), { statusCode: 410, graphErrorCode: 'SyncStateNotFound' });
+    }
+    return { events: [live], nextDeltaLink: 'fresh-link' };
+  };
+  graph.getCalendarWindowEvents = async () => [live];
+  const created = [];
+  const deleted = [];
+  servicetitan.createNonJob = async (payload) => {
+    created.push(payload);
+    return String(300 + created.length);
+  };
+  servicetitan.deleteNonJob = async (id) => {
+    deleted.push(String(id));
+  };
+
+  const summary = await runDeltaSyncForUser(USER.outlook_upn, USER, { record: false });
+
+  assert.deepEqual(deltaLinks, ['expired-link', null]);
+  assert.deepEqual(summary.resyncs, [{ userUpn: USER.outlook_upn, reason: 'SyncStateNotFound', eventsRemoved: 1 }]);
+  assert.deepEqual(summary.errors, []);
+  assert.deepEqual(deleted, ['201']);
+  // The live event was created once: the seed round repeats it and is skipped by its dedupe key.
+  assert.equal(created.length, 1);
+  assert.equal((await store.getDeltaState(USER.outlook_upn)).delta_link, 'fresh-link');
+  assert.equal((await store.findEventMapping(USER.outlook_upn, stableKey(vanished))).status, 'DELETED');
+  assert.equal((await store.findEventMapping(USER.outlook_upn, stableKey(outside))).status, 'SYNCED');
+});
+
+test('other delta errors are not treated as a reset', async () => {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({
+    techMap: [USER],
+    deltaState: [{ outlook_upn: USER.outlook_upn, delta_link: 'link', window_end: '', last_run_utc: '' }],
+  }));
+  graph.getDeltaEvents = async () => {
+    throw Object.assign(new Error('Graph GET failed 403'), { statusCode: 403 });
+  };
+  let windowCalls = 0;
+  graph.getCalendarWindowEvents = async () => {
+    windowCalls += 1;
+    return [];
+  };
+
+  await assert.rejects(runDeltaSyncForUser(USER.outlook_upn, USER, { record: false }), /403/);
+  assert.equal(windowCalls, 0);
+  assert.equal((await store.getDeltaState(USER.outlook_upn)).delta_link, 'link');
+});
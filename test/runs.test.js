@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-runs-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+
+const store = require('../src/services/store');
+const runs = require('../src/services/runs');
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({ techMap: [] }));
+  delete process.env.RUN_HISTORY_RETENTION_DAYS;
+  delete process.env.RUN_HISTORY_RECORD_NOOP;
+});
+
+function actions(count, userUpn = 'tech@example.com') {
+  return Array.from({ length: count }, (unused, index) => ({
+    at: '2026-01-10T15:00:00.000Z',
+    userUpn,
+    eventKey: `uid-${index}:2026-01-10T15:00:00.000Z:2026-01-10T16:00:00.000Z`,
+    action: index % 2 === 0 ? 'created' : 'deleted',
+    appointmentId: String(1000 + index),
+  }));
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86_400_000).toISOString();
+}
+
+test('recordRun stores actions in chunks and getRun reassembles them', async () => {
+  const summary = { startedAt: daysAgo(0), finishedAt: new Date().toISOString(), errors: [{ userUpn: 'Other@Example.com', message: 'x' }] };
+
+  const run = await runs.recordRun({ type: 'delta', trigger: 'webhook', summary, actions: actions(250) });
+
+  assert.equal(run.actionChunks, 3);
+  assert.deepEqual(run.actionCounts, { created: 125, updated: 0, deleted: 125 });
+  assert.deepEqual(run.users, ['other@example.com', 'tech@example.com']);
+  assert.equal(run.errorCount, 1);
+  assert.equal((await store.listRecords('runActions')).length, 3);
+  const stored = await runs.getRun(run.id);
+  assert.deepEqual(stored.actions, actions(250));
+  assert.equal(await runs.getRun('missing'), null);
+});
+
+test('listRuns filters by user, type and appointment, newest first', async () => {
+  const older = await runs.recordRun({ type: 'delta', trigger: 'webhook', summary: { startedAt: daysAgo(2) }, actions: actions(1) });
+  const newer = await runs.recordRun({ type: 'purge', trigger: 'api', summary: { startedAt: daysAgo(1) }, users: ['Someone@Example.com'] });
+
+  assert.deepEqual((await runs.listRuns()).runs.map((run) => run.id), [newer.id, older.id]);
+  assert.deepEqual((await runs.listRuns({ type: 'delta' })).runs.map((run) => run.id), [older.id]);
+  assert.deepEqual((await runs.listRuns({ upn: 'someone@example.com' })).runs.map((run) => run.id), [newer.id]);
+  const byAppointment = await runs.listRuns({ appointmentId: '1000' });
+  assert.deepEqual(byAppointment.runs.map((run) => run.id), [older.id]);
+  assert.equal(byAppointment.runs[0].matchingActions.length, 1);
+  assert.equal((await runs.listRuns({ limit: 1 })).total, 2);
+  await assert.rejects(runs.listRuns({ since: 'yesterday' }), (error) => error.statusCode === 400);
+});
+
+test('runs that wrote nothing are skipped when asked, unless RUN_HISTORY_RECORD_NOOP is set', async () => {
+  const summary = { startedAt: daysAgo(0), errors: [] };
+
+  assert.equal(await runs.recordRun({ type: 'delta', trigger: 'webhook', summary, skipNoop: true }), null);
+  assert.ok(await runs.recordRun({ type: 'delta', trigger: 'webhook', summary: { ...summary, errors: [{ message: 'x' }] }, skipNoop: true }));
+  assert.ok(await runs.recordRun({ type: 'delta', trigger: 'webhook', summary, actions: actions(1), skipNoop: true }));
+  // Cleanup runs that only touch EventMap are kept.
+  assert.ok(await runs.recordRun({ type: 'clear-sheets', trigger: 'api', summary }));
+  assert.equal((await store.listRecords('runs')).length, 3);
+
+  process.env.RUN_HISTORY_RECORD_NOOP = 'true';
+  assert.ok(await runs.recordRun({ type: 'delta', trigger: 'webhook', summary, skipNoop: true }));
+  assert.equal((await store.listRecords('runs')).length, 4);
+});
+
+test('a retention of 0 turns run history off', async () => {
+  process.env.RUN_HISTORY_RETENTION_DAYS = '0';
+
+  assert.equal(await runs.recordRun({ type: 'delta', trigger: 'webhook', summary: {}, actions: actions(1) }), null);
+  assert.equal(await runs.pruneRuns(), 0);
+  assert.deepEqual(await store.listRecords('runs'), []);
+
+  process.env.RUN_HISTORY_RETENTION_DAYS = 'soon';
+  assert.throws(() => runs.getRetentionDays(), /RUN_HISTORY_RETENTION_DAYS/);
+});
+
+test('pruneRuns deletes expired runs and their actions in one batch per collection', async () => {
+  process.env.RUN_HISTORY_RETENTION_DAYS = '7';
+  const expired = await runs.recordRun({ type: 'delta', trigger: 'webhook', summary: { startedAt: daysAgo(10) }, actions: actions(150) });
+  const alsoExpired = await runs.recordRun({ type: 'purge', trigger: 'api', summary: { startedAt: daysAgo(8) } });
+  const kept = await runs.recordRun({ type: 'delta', trigger: 'webhook', summary: { startedAt: daysAgo(1) }, actions: actions(1) });
+  const batches = [];
+  const deleteRecords = store.deleteRecords;
+  store.deleteRecords = async (collection, keys) => {
+    batches.push({ collection, keys });
+    return deleteRecords(collection, keys);
+  };
+
+  try {
+    assert.equal(await runs.pruneRuns(), 2);
+  } finally {
+    store.deleteRecords = deleteRecords;
+  }
+
+  assert.deepEqual(batches.map((batch) => batch.collection), ['runActions', 'runs']);
+  assert.deepEqual(batches[0].keys, [`${expired.id}#0000`, `${expired.id}#0001`]);
+  assert.deepEqual(batches[1].keys.sort(), [expired.id, alsoExpired.id].sort());
+  assert.deepEqual((await store.listRecords('runs')).map((run) => run.id), [kept.id]);
+  assert.deepEqual((await store.listRecords('runActions')).map((chunk) => chunk.runId), [kept.id]);
+  assert.equal(await runs.pruneRuns(), 0);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'sheets';
+process.env.GOOGLE_SPREADSHEET_ID = 'spreadsheet';
+process.env.LOG_LEVEL = 'error';
+
+const { google } = require('googleapis');
+
+// In-memory spreadsheet answering the calls sheets.js makes. Rows are arrays of cells; row 1 is index 0.
+const tabs = new Map();
+const calls = [];
+let beforeAppend = null;
+
+function parseRange(range) {
+  const [, title, startRow, endRow] = range.match(/^(\w+)!A(\d*)(?::[A-Z]+(\d*))?$/);
+  return { title, startRow: Number(startRow || 1), endRow: endRow ? Number(endRow) : Infinity };
+}
+
+function getTab(title) {
+  if (!tabs.has(title)) {
+    throw Object.assign(new Error(`Unable to parse range: ${title}`), { code: 400 });
+  }
+  return tabs.get(title);
+}
+
+const fakeSheets = {
+  spreadsheets: {
+    get: async () => ({
+      data: { sheets: [...tabs.entries()].map(([title, tab]) => ({ properties: { title, sheetId: tab.sheetId } })) },
+    }),
+    batchUpdate: async ({ resource }) => {
+      for (const request of resource.requests) {
+        if (request.addSheet) {
+          tabs.set(request.addSheet.properties.title, { sheetId: tabs.size + 1, rows: [] });
+        } else {
+          const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+          const tab = [...tabs.values()].find((candidate) => candidate.sheetId === sheetId);
+          tab.rows.splice(startIndex, endIndex - startIndex);
+        }
+      }
+    },
+    values: {
+      get: async ({ range }) => {
+        calls.push(`get ${range}`);
+        const { title, startRow, endRow } = parseRange(range);
+        const values = getTab(title).rows.slice(startRow - 1, endRow === Infinity ? undefined : endRow);
+        return { data: { values: values.length > 0 ? values : undefined } };
+      },
+      update: async ({ range, resource }) => {
+        calls.push(`update ${range}`);
+        const { title, startRow } = parseRange(range);
+        resource.values.forEach((row, index) => {
+          getTab(title).rows[startRow - 1 + index] = row;
+        });
+      },
+      append: async ({ range, resource }) => {
+        calls.push(`append ${range}`);
+        const { title } = parseRange(range);
+        if (beforeAppend) {
+          const hook = beforeAppend;
+          beforeAppend = null;
+          hook();
+        }
+        getTab(title).rows.push(...resource.values);
+      },
+    },
+  },
+};
+
+google.auth.GoogleAuth.prototype.getClient = async () => ({});
+google.sheets = () => fakeSheets;
+
+const sheets = require('../src/services/sheets');
+const locks = require('../src/services/locks');
+const runs = require('../src/services/runs');
+
+function lockRows() {
+  return tabs.get('Locks').rows.slice(1).map((row) => JSON.parse(row[1]).owner);
+}
+
+function leaseRow(owner) {
+  const nowMs = Date.now();
+  return ['sync:tech@example.com', JSON.stringify({
+    key: 'sync:tech@example.com',
+    owner,
+    acquiredAt: new Date(nowMs).toISOString(),
+    expiresAt: new Date(nowMs + 60_000).toISOString(),
+    rerunRequested: false,
+  }), new Date(nowMs).toISOString()];
+}
+
+test.beforeEach(() => {
+  tabs.clear();
+  calls.length = 0;
+  tabs.set('Locks', { sheetId: 1, rows: [['key', 'value_json', 'updated_utc']] });
+});
+
+test('when two instances append the same lease, only the first row holds it and release removes both', async () => {
+  // The other instance appends its lease between this instance's read and its append.
+  beforeAppend = () => tabs.get('Locks').rows.push(leaseRow('other-instance'));
+
+  const lock = await locks.acquireLock('sync:tech@example.com');
+
+  assert.equal(lock.acquired, false);
+  assert.equal(lock.heldBy, 'other-instance');
+  assert.deepEqual(lockRows(), ['other-instance', lock.owner]);
+
+  await locks.releaseLock({ key: 'sync:tech@example.com', owner: 'other-instance' });
+
+  assert.deepEqual(lockRows(), []);
+  assert.equal((await locks.acquireLock('sync:tech@example.com')).acquired, true);
+});
+
+test('renewing and rerun requests collapse duplicate lease rows onto the first', async () => {
+  tabs.get('Locks').rows.push(leaseRow('holder'), leaseRow('loser'), leaseRow('loser-2'));
+  const lock = { key: 'sync:tech@example.com', owner: 'holder' };
+
+  const waiting = await locks.acquireLock('sync:tech@example.com', { coalesce: true });
+  assert.equal(waiting.acquired, false);
+  assert.deepEqual(lockRows(), ['holder']);
+
+  assert.equal(await locks.consumeRerunRequest(lock), true);
+  assert.equal(await locks.renewLock(lock), true);
+  assert.deepEqual(lockRows(), ['holder']);
+});
+
+test('listRecords returns the first row of a duplicated key, like getRecord', async () => {
+  tabs.get('Locks').rows.push(leaseRow('holder'), leaseRow('loser'));
+
+  assert.deepEqual((await sheets.listRecords('locks')).map((lease) => lease.owner), ['holder']);
+  assert.equal((await sheets.getRecord('locks', 'sync:tech@example.com')).owner, 'holder');
+});
+
+test('putRecords rewrites existing keys in place and appends new ones in one request', async () => {
+  tabs.get('Locks').rows.push(leaseRow('holder'));
+
+  await sheets.putRecords('locks', [
+    { key: 'a', value: { owner: 'a' } },
+    { key: 'sync:tech@example.com', value: { owner: 'renewed' } },
+    { key: 'b', value: { owner: 'b' } },
+  ]);
+
+  assert.deepEqual(lockRows(), ['renewed', 'a', 'b']);
+  assert.deepEqual(calls, ['get Locks!A2:A', 'update Locks!A2', 'append Locks!A:C']);
+});
+
+test('recording a run writes all its action chunks with one read and one append', async () => {
+  tabs.set('Runs', { sheetId: 2, rows: [['key', 'value_json', 'updated_utc']] });
+  tabs.set('RunActions', { sheetId: 3, rows: [['key', 'value_json', 'updated_utc']] });
+  const actions = Array.from({ length: 250 }, (unused, index) => ({ userUpn: 'tech@example.com', action: 'created', appointmentId: String(index) }));
+
+  const run = await runs.recordRun({ type: 'delta', trigger: 'webhook', summary: {}, actions });
+
+  assert.equal(run.actionChunks, 3);
+  assert.equal(tabs.get('RunActions').rows.length, 4);
+  assert.deepEqual(calls.filter((call) => call.includes('RunActions')), ['get RunActions!A2:A', 'append RunActions!A:C']);
+  assert.deepEqual((await runs.getRun(run.id)).actions, actions);
+});
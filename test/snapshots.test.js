@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-snapshots-'));
+process.env.SNAPSHOT_DIR = tmpDir;
+
+const { createSnapshot, readSnapshot } = require('../src/services/snapshots');
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.SNAPSHOT_DIR;
+});
+
+test('snapshots round-trip appointments and mapping rows through SNAPSHOT_DIR', async () => {
+  const { id, location } = await createSnapshot({
+    reason: 'reset',
+    appointments: [{ id: 100, technicianId: 1, name: 'Busy', summary: '[st-calendar-sync]' }],
+    mappings: [{
+      outlook_upn: 'tech@example.com',
+      outlook_event_id: 'uid:2026-02-10T16:00:00.000Z:2026-02-10T17:00:00.000Z',
+      st_nonjob_ids_json: '["100"]',
+      last_hash: 'abc',
+      status: 'SYNCED',
+      rowIndex: 7,
+    }],
+  });
+
+  assert.equal(location, path.join(tmpDir, `${id}.json`));
+  const snapshot = await readSnapshot(id);
+  assert.equal(snapshot.reason, 'reset');
+  assert.equal(snapshot.appointments[0].summary, '[st-calendar-sync]');
+  assert.deepEqual(Object.keys(snapshot.mappings[0]).sort(), [
+    'last_hash', 'outlook_event_id', 'outlook_upn', 'st_nonjob_ids_json', 'status',
+  ]);
+});
+
+test('readSnapshot returns null for unknown ids and rejects malformed ones', async () => {
+  assert.equal(await readSnapshot('20260101T000000Z-deadbeef'), null);
+  await assert.rejects(() => readSnapshot('../state'), (error) => error.statusCode === 400);
+});
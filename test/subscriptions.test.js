@@ -0,0 +1,296 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-subscriptions-'));
+for (const key of ['RUN_SYNC_AUDIENCE', 'GRAPH_CLIENT_ID', 'GRAPH_CLIENT_SECRET', 'GRAPH_TENANT_ID',
+  'SERVICETITAN_CLIENT_ID', 'SERVICETITAN_CLIENT_SECRET', 'SERVICETITAN_TENANT_ID']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.STATE_BACKEND = 'file';
+process.env.STATE_FILE_PATH = path.join(tmpDir, 'state.json');
+process.env.LOG_LEVEL = 'error';
+process.env.GRAPH_WEBHOOK_URL = 'https://sync.example.com/graph/webhook';
+process.env.GRAPH_CLIENT_STATE = 'state';
+process.env.ALERT_SLACK_WEBHOOK_URL = 'https://hooks.example.com/alerts';
+process.env.ALERT_COOLDOWN_SECONDS = '0';
+
+const graph = require('../src/api/graph');
+const store = require('../src/services/store');
+const { getSubscriptionState, renewSubscriptions, handleLifecycleEvent } = require('../src/services/subscriptions');
+
+const UPN = 'tech@example.com';
+const LIFECYCLE_URL = 'https://sync.example.com/graph/lifecycle';
+const originalFetch = global.fetch;
+
+test.after(() => {
+  global.fetch = originalFetch;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 3_600_000).toISOString();
+}
+
+function subscription(id, upn, hours, overrides = {}) {
+  return {
+    id,
+    resource: `/users/${upn}/events`,
+    notificationUrl: process.env.GRAPH_WEBHOOK_URL,
+    lifecycleNotificationUrl: LIFECYCLE_URL,
+    expirationDateTime: hoursFromNow(hours),
+    ...overrides,
+  };
+}
+
+function record(upn, subscriptionId, hours) {
+  return { upn, subscriptionId, expirationDateTime: hoursFromNow(hours), lifecycleNotificationUrl: LIFECYCLE_URL };
+}
+
+function useState(techMap, records = []) {
+  fs.writeFileSync(process.env.STATE_FILE_PATH, JSON.stringify({
+    techMap,
+    records: { graphSubscriptions: Object.fromEntries(records.map((entry) => [entry.upn.toLowerCase(), entry])) },
+  }));
+}
+
+// Graph subscriptions kept in memory: renewals extend them to 48 hours, creates add `new-<n>`, and a
+// subscription Graph does not have answers 404.
+function useGraphSubscriptions(subscriptions) {
+  const calls = { renewed: [], reauthorized: [], created: [], deleted: [] };
+  graph.listSubscriptions = async () => [...subscriptions.values()];
+  graph.renewSubscription = async (id) => {
+    calls.renewed.push(id);
+    if (!subscriptions.has(id)) {
+      throw Object.assign(new Error('Not found'), { statusCode: 404 });
+    }
+    subscriptions.get(id).expirationDateTime = hoursFromNow(48);
+    return subscriptions.get(id);
+  };
+  graph.createSubscription = async (notificationUrl, clientState, upn) => {
+    const created = subscription(`new-${calls.created.length + 1}`, upn, 48);
+    calls.created.push(upn);
+    subscriptions.set(created.id, created);
+    return created;
+  };
+  graph.deleteSubscription = async (id) => {
+    calls.deleted.push(id);
+    subscriptions.delete(id);
+  };
+  graph.reauthorizeSubscription = async (id) => {
+    calls.reauthorized.push(id);
+    if (!subscriptions.has(id)) {
+      throw Object.assign(new Error('Not found'), { statusCode: 404 });
+    }
+    return subscriptions.get(id);
+  };
+  return calls;
+}
+
+function useAlerts() {
+  const alerts = [];
+  global.fetch = async (url, request) => {
+    alerts.push(JSON.parse(request.body).text);
+    return { ok: true, text: async () => '' };
+  };
+  return alerts;
+}
+
+test('getSubscriptionState compares the expiry with SUBSCRIPTION_RENEW_BEFORE_HOURS', () => {
+  const nowMs = Date.now();
+  const at = (hours) => ({ subscriptionId: 'sub-1', expirationDateTime: new Date(nowMs + hours * 3_600_000).toISOString() });
+
+  assert.equal(getSubscriptionState(null, nowMs), 'missing');
+  assert.equal(getSubscriptionState({ subscriptionId: null, lastError: 'x' }, nowMs), 'missing');
+  assert.equal(getSubscriptionState({ subscriptionId: 'sub-1', expirationDateTime: 'never' }, nowMs), 'expired');
+  assert.equal(getSubscriptionState(at(0), nowMs), 'expired');
+  assert.equal(getSubscriptionState(at(23.9), nowMs), 'expiring');
+  assert.equal(getSubscriptionState(at(24), nowMs), 'live');
+
+  process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS = '6';
+  try {
+    assert.equal(getSubscriptionState(at(5), nowMs), 'expiring');
+    assert.equal(getSubscriptionState(at(7), nowMs), 'live');
+    process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS = '48';
+    assert.throws(() => getSubscriptionState(at(7), nowMs), /SUBSCRIPTION_RENEW_BEFORE_HOURS/);
+  } finally {
+    delete process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS;
+  }
+});
+
+test('renewal adopts an unrecorded subscription instead of creating one', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }]);
+  const calls = useGraphSubscriptions(new Map([['sub-1', subscription('sub-1', 'Tech@Example.com', 10)]]));
+  useAlerts();
+
+  const summary = await renewSubscriptions();
+
+  assert.equal(summary.scanned, true);
+  assert.deepEqual(summary.adopted, [UPN]);
+  assert.deepEqual(calls, { renewed: ['sub-1'], reauthorized: [], created: [], deleted: [] });
+  const saved = await store.getRecord('graphSubscriptions', UPN);
+  assert.equal(saved.subscriptionId, 'sub-1');
+  assert.equal(getSubscriptionState(saved, Date.now()), 'live');
+});
+
+test('renewal leaves live recorded subscriptions alone without listing Graph', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [record(UPN, 'sub-1', 40)]);
+  const calls = useGraphSubscriptions(new Map());
+  graph.listSubscriptions = async () => {
+    throw new Error('no scan needed');
+  };
+
+  const summary = await renewSubscriptions();
+
+  assert.equal(summary.scanned, false);
+  assert.deepEqual(summary.unchanged, [UPN]);
+  assert.deepEqual(calls, { renewed: [], reauthorized: [], created: [], deleted: [] });
+});
+
+test('a rescan deletes duplicates and keeps the recorded subscription', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [record(UPN, 'sub-1', 40)]);
+  const calls = useGraphSubscriptions(new Map([
+    ['sub-2', subscription('sub-2', UPN, 47)],
+    ['sub-1', subscription('sub-1', UPN, 40)],
+    ['sub-3', subscription('sub-3', UPN, 30)],
+    // Another deployment's subscription is not ours to delete.
+    ['other', subscription('other', UPN, 47, { notificationUrl: 'https://staging.example.com/graph/webhook' })],
+  ]));
+
+  const summary = await renewSubscriptions({ rescan: true });
+
+  assert.deepEqual(summary.unchanged, [UPN]);
+  assert.deepEqual(calls.deleted.sort(), ['sub-2', 'sub-3']);
+  assert.deepEqual(summary.deleted.map((entry) => entry.subscriptionId).sort(), ['sub-2', 'sub-3']);
+  assert.equal((await store.getRecord('graphSubscriptions', UPN)).subscriptionId, 'sub-1');
+});
+
+test('renewal deletes subscriptions of disabled, removed and unknown users', async () => {
+  useState(
+    [{ outlook_upn: UPN, enabled: true }, { outlook_upn: 'off@example.com', enabled: false }],
+    [record(UPN, 'sub-1', 40), record('off@example.com', 'sub-off', 40), record('gone@example.com', 'sub-gone', 40)],
+  );
+  const calls = useGraphSubscriptions(new Map([
+    ['sub-1', subscription('sub-1', UPN, 40)],
+    ['sub-off', subscription('sub-off', 'off@example.com', 40)],
+    ['sub-gone', subscription('sub-gone', 'gone@example.com', 40)],
+    ['sub-stray', subscription('sub-stray', 'stray@example.com', 40)],
+  ]));
+
+  const summary = await renewSubscriptions({ rescan: true });
+
+  assert.deepEqual(calls.deleted.sort(), ['sub-gone', 'sub-off', 'sub-stray']);
+  assert.deepEqual(summary.deleted.map((entry) => entry.upn).sort(), ['gone@example.com', 'off@example.com', 'stray@example.com']);
+  assert.deepEqual((await store.listRecords('graphSubscriptions')).map((entry) => entry.upn), [UPN]);
+  assert.deepEqual(summary.withoutSubscription, []);
+});
+
+test('renewal alerts when an enabled user is left without a subscription', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }, { outlook_upn: 'ok@example.com', enabled: true }], [record('ok@example.com', 'sub-ok', 40)]);
+  useGraphSubscriptions(new Map([['sub-ok', subscription('sub-ok', 'ok@example.com', 40)]]));
+  graph.createSubscription = async () => {
+    throw Object.assign(new Error('Subscription validation request failed'), { statusCode: 400 });
+  };
+  const alerts = useAlerts();
+
+  const summary = await renewSubscriptions();
+
+  assert.deepEqual(summary.withoutSubscription, [UPN]);
+  assert.deepEqual(summary.errors, [{ userUpn: UPN, message: 'Subscription validation request failed' }]);
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0], /Graph subscription problems/);
+  assert.match(alerts[0], /tech@example\.com/);
+  const saved = await store.getRecord('graphSubscriptions', UPN);
+  assert.equal(saved.subscriptionId, null);
+  assert.equal(saved.lastError, 'Subscription validation request failed');
+});
+
+test('reauthorizationRequired reauthorizes the current subscription', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [record(UPN, 'sub-1', 40)]);
+  const calls = useGraphSubscriptions(new Map([['sub-1', subscription('sub-1', UPN, 40)]]));
+
+  const result = await handleLifecycleEvent({ lifecycleEvent: 'reauthorizationRequired', subscriptionId: 'sub-1' });
+
+  assert.deepEqual(result, { userUpn: UPN, action: 'reauthorized', syncNeeded: false });
+  assert.deepEqual(calls.reauthorized, ['sub-1']);
+  assert.deepEqual(calls.created, []);
+  const saved = await store.getRecord('graphSubscriptions', UPN);
+  assert.equal(saved.subscriptionId, 'sub-1');
+  assert.equal(saved.lastLifecycleEvent, 'reauthorizationRequired');
+});
+
+test('reauthorizationRequired recreates a subscription Graph no longer has and asks for a sync', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [record(UPN, 'sub-1', 40)]);
+  const calls = useGraphSubscriptions(new Map());
+
+  const result = await handleLifecycleEvent({ lifecycleEvent: 'reauthorizationRequired', subscriptionId: 'sub-1' });
+
+  assert.deepEqual(result, { userUpn: UPN, action: 'recreated', syncNeeded: true });
+  assert.deepEqual(calls.created, [UPN]);
+  const saved = await store.getRecord('graphSubscriptions', UPN);
+  assert.equal(saved.subscriptionId, 'new-1');
+  assert.equal(saved.previousSubscriptionId, 'sub-1');
+});
+
+test('lifecycle notifications for a replaced subscription keep the current one', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [{ ...record(UPN, 'sub-2', 40), previousSubscriptionId: 'sub-1' }]);
+  const calls = useGraphSubscriptions(new Map([['sub-2', subscription('sub-2', UPN, 40)]]));
+
+  const reauthorize = await handleLifecycleEvent({ lifecycleEvent: 'reauthorizationRequired', subscriptionId: 'sub-1' });
+  const removed = await handleLifecycleEvent({ lifecycleEvent: 'subscriptionRemoved', subscriptionId: 'sub-1' });
+
+  assert.deepEqual(reauthorize, { userUpn: UPN, action: 'ignored', syncNeeded: false });
+  assert.deepEqual(removed, { userUpn: UPN, action: 'resync', syncNeeded: true });
+  assert.deepEqual(calls.reauthorized, []);
+  assert.deepEqual(calls.created, []);
+  assert.deepEqual(calls.deleted, []);
+  assert.equal((await store.getRecord('graphSubscriptions', UPN)).subscriptionId, 'sub-2');
+});
+
+test('subscriptionRemoved for the current subscription creates a new one and asks for a sync', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [record(UPN, 'sub-1', 40)]);
+  const calls = useGraphSubscriptions(new Map());
+
+  const result = await handleLifecycleEvent({ lifecycleEvent: 'subscriptionRemoved', subscriptionId: 'sub-1' });
+
+  assert.deepEqual(result, { userUpn: UPN, action: 'recreated', syncNeeded: true });
+  assert.deepEqual(calls.created, [UPN]);
+  assert.deepEqual(calls.deleted, []);
+  assert.equal((await store.getRecord('graphSubscriptions', UPN)).subscriptionId, 'new-1');
+});
+
+test('missed asks for a delta sync without touching the subscription', async () => {
+  useState([{ outlook_upn: UPN, enabled: true }], [record(UPN, 'sub-1', 40)]);
+  const calls = useGraphSubscriptions(new Map([['sub-1', subscription('sub-1', UPN, 40)]]));
+
+  const result = await handleLifecycleEvent({ lifecycleEvent: 'missed', subscriptionId: 'sub-1' });
+
+  assert.deepEqual(result, { userUpn: UPN, action: 'resync', syncNeeded: true });
+  assert.deepEqual(calls, { renewed: [], reauthorized: [], created: [], deleted: [] });
+  assert.equal((await store.getRecord('graphSubscriptions', UPN)).lastLifecycleEvent, 'missed');
+});
+
+test('lifecycle notifications for unknown or disabled users delete their subscriptions', async () => {
+  useState([{ outlook_upn: 'off@example.com', enabled: false }], [{ ...record('off@example.com', 'sub-2', 40), previousSubscriptionId: 'sub-1' }]);
+  const calls = useGraphSubscriptions(new Map([
+    ['sub-1', subscription('sub-1', 'off@example.com', 10)],
+    ['sub-2', subscription('sub-2', 'off@example.com', 40)],
+    ['sub-stray', subscription('sub-stray', 'stray@example.com', 40)],
+  ]));
+
+  const disabled = await handleLifecycleEvent({ lifecycleEvent: 'reauthorizationRequired', subscriptionId: 'sub-1' });
+  const unknown = await handleLifecycleEvent({ lifecycleEvent: 'missed', subscriptionId: 'sub-stray', upn: 'stray@example.com' });
+  // Graph already removed it, so there is nothing to delete.
+  const removed = await handleLifecycleEvent({ lifecycleEvent: 'subscriptionRemoved', subscriptionId: 'sub-gone', upn: 'stray@example.com' });
+  const untraceable = await handleLifecycleEvent({ lifecycleEvent: 'missed', subscriptionId: 'sub-x' });
+
+  assert.deepEqual(disabled, { userUpn: 'off@example.com', action: 'deleted', syncNeeded: false });
+  assert.deepEqual(unknown, { userUpn: 'stray@example.com', action: 'deleted', syncNeeded: false });
+  assert.deepEqual(removed, { userUpn: 'stray@example.com', action: 'deleted', syncNeeded: false });
+  assert.deepEqual(untraceable, { userUpn: null, action: 'ignored', syncNeeded: false });
+  assert.deepEqual(calls.deleted, ['sub-1', 'sub-2', 'sub-stray']);
+  assert.deepEqual(calls.created, []);
+  assert.deepEqual(await store.listRecords('graphSubscriptions'), []);
+});
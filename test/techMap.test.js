@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTechMapRow, techMapRowFromCells } = require('../src/services/store/techMap');
+
+test('Sheets cells and document fields normalize to the same TechMap row', () => {
+  const fromCells = normalizeTechMapRow(techMapRowFromCells([
+    'tech@example.com', '100', '', 'true', ' America/Denver ', ' [] ', '', 'FALSE', '', 'TRUE',
+  ]));
+  const fromDocument = normalizeTechMapRow({
+    outlook_upn: 'tech@example.com',
+    st_technician_id: 100,
+    enabled: true,
+    timezone: 'America/Denver',
+    filter_rules: '[]',
+    clear_dispatch_board: false,
+    remove_from_capacity: 'true',
+  });
+
+  assert.deepEqual(fromCells, fromDocument);
+  assert.deepEqual(fromCells, {
+    outlook_upn: 'tech@example.com',
+    st_technician_id: '100',
+    st_timesheet_code_id: '',
+    enabled: true,
+    timezone: 'America/Denver',
+    filter_rules: '[]',
+    name_template: '',
+    clear_dispatch_board: false,
+    clear_technician_view: null,
+    remove_from_capacity: true,
+    show_on_technician_schedule: null,
+    require_timesheet: false,
+  });
+});
+
+test('documents may hold the filter rules array itself', () => {
+  const rules = [{ field: 'subject', op: 'contains', value: 'Lunch', action: 'skip' }];
+  const row = normalizeTechMapRow({ outlook_upn: 'tech@example.com', enabled: 'FALSE', filter_rules: rules });
+  assert.equal(row.filter_rules, rules);
+  assert.equal(row.enabled, false);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitMultiDayEvent, resolveTimezone, getDefaultTimezone } = require('../src/utils/time');
+
+test('splitMultiDayEvent splits at local midnights across the spring-forward transition', () => {
+  // 2026-03-07 20:00 MST -> 2026-03-09 10:00 MDT in Denver (DST starts 2026-03-08).
+  const blocks = splitMultiDayEvent('2026-03-08T03:00:00.000Z', '2026-03-09T16:00:00.000Z', 'America/Denver');
+
+  assert.deepEqual(blocks, [
+    { start: '2026-03-07T20:00:00.000-07:00', end: '2026-03-07T23:59:59.999-07:00' },
+    { start: '2026-03-08T00:00:00.000-07:00', end: '2026-03-08T23:59:59.999-06:00' },
+    { start: '2026-03-09T00:00:00.000-06:00', end: '2026-03-09T10:00:00.000-06:00' },
+  ]);
+});
+
+test('splitMultiDayEvent uses the given timezone to decide whether an event spans days', () => {
+  const startISO = '2026-06-01T03:30:00.000Z';
+  const endISO = '2026-06-01T06:00:00.000Z';
+
+  // 23:30 -> 02:00 in New York crosses midnight; 21:30 -> 00:00 in Denver ends exactly at it.
+  assert.equal(splitMultiDayEvent(startISO, endISO, 'America/New_York').length, 2);
+  assert.equal(splitMultiDayEvent(startISO, endISO, 'America/Denver').length, 1);
+});
+
+test('splitMultiDayEvent keeps the 25-hour fall-back day as one block', () => {
+  // 2026-11-01 00:00 EDT -> 2026-11-01 23:00 EST in New York (DST ends 2026-11-01).
+  const blocks = splitMultiDayEvent('2026-11-01T04:00:00.000Z', '2026-11-02T04:00:00.000Z', 'America/New_York');
+
+  assert.deepEqual(blocks, [
+    { start: '2026-11-01T00:00:00.000-04:00', end: '2026-11-01T23:00:00.000-05:00' },
+  ]);
+});
+
+test('resolveTimezone falls back to the tenant default', () => {
+  assert.equal(getDefaultTimezone(), 'America/Chicago');
+  assert.equal(resolveTimezone({ timezone: 'America/Denver' }), 'America/Denver');
+  assert.equal(resolveTimezone({ timezone: '' }), 'America/Chicago');
+  assert.equal(resolveTimezone({ outlook_upn: 'tech@example.com', timezone: 'Mars/Olympus' }), 'America/Chicago');
+
+  process.env.DEFAULT_TIMEZONE = 'America/New_York';
+  assert.equal(resolveTimezone({}), 'America/New_York');
+  delete process.env.DEFAULT_TIMEZONE;
+});